@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderFileSystem = require('../src/loader/file-system');
+const TwigPrecompiler = require('../src/precompiler');
+
+const path = require('path');
+
+const USAGE = `Usage: node-twig compile [options] <path>...
+
+Precompiles the templates found in the given paths.
+
+Options:
+  -o, --output <path>             The output directory, or the output file when bundling (required)
+  -b, --bundle                    Writes a single bundle instead of one module per template
+  -n, --namespace <name>=<path>   Adds a path to a namespace (can be repeated)
+  -r, --root <path>               The root path of the relative paths (defaults to the current working directory)
+  -x, --extension <extension>     The extension of the templates (can be repeated, defaults to .twig)
+  -e, --env <module>              A module exporting a function that returns the environment, given the loader
+  -h, --help                      Displays this help
+`;
+
+/**
+ * @param {string[]} $argv
+ *
+ * @return {{command: string, paths: string[], namespaces: string[][], output: string, bundle: boolean, root: string, extensions: string[], env: string, help: boolean}}
+ *
+ * @throws {Error} When an option is unknown or misses its value
+ */
+let parseArguments = function ($argv) {
+  let $args = {
+    command: null,
+    paths: [],
+    namespaces: [],
+    output: null,
+    bundle: false,
+    root: null,
+    extensions: [],
+    env: null,
+    help: false
+  };
+
+  let $value = function ($option) {
+    if (!$argv.length) {
+      throw new Error('The "' + $option + '" option requires a value.');
+    }
+
+    return $argv.shift();
+  };
+
+  $argv = $argv.slice();
+
+  while ($argv.length) {
+    let $arg = $argv.shift();
+
+    switch ($arg) {
+      case '-o':
+      case '--output':
+        $args.output = $value($arg);
+        break;
+      case '-b':
+      case '--bundle':
+        $args.bundle = true;
+        break;
+      case '-n':
+      case '--namespace': {
+        let $namespace = $value($arg);
+        let $pos = $namespace.indexOf('=');
+
+        if ($pos < 1) {
+          throw new Error('The "' + $arg + '" option expects a value like <name>=<path>, got "' + $namespace + '".');
+        }
+
+        $args.namespaces.push([$namespace.substr(0, $pos), $namespace.substr($pos + 1)]);
+        break;
+      }
+      case '-r':
+      case '--root':
+        $args.root = $value($arg);
+        break;
+      case '-x':
+      case '--extension':
+        $args.extensions.push($value($arg));
+        break;
+      case '-e':
+      case '--env':
+        $args.env = $value($arg);
+        break;
+      case '-h':
+      case '--help':
+        $args.help = true;
+        break;
+      default:
+        if ('-' === $arg.charAt(0)) {
+          throw new Error('Unknown option "' + $arg + '".');
+        }
+
+        if (null === $args.command) {
+          $args.command = $arg;
+        }
+        else {
+          $args.paths.push($arg);
+        }
+    }
+  }
+
+  return $args;
+};
+
+/**
+ * @param {string[]} $argv The command line arguments, without the node executable and the script
+ *
+ * @return {Number} The exit code
+ */
+let run = function ($argv) {
+  let $args;
+
+  try {
+    $args = parseArguments($argv);
+
+    if ($args.help) {
+      process.stdout.write(USAGE);
+
+      return 0;
+    }
+
+    if ('compile' !== $args.command) {
+      throw new Error(null === $args.command ? 'A command is required.' : 'Unknown command "' + $args.command + '".');
+    }
+
+    if (!$args.output) {
+      throw new Error('The "--output" option is required.');
+    }
+
+    if (!$args.paths.length && !$args.namespaces.length) {
+      throw new Error('At least one path is required.');
+    }
+  }
+  catch (e) {
+    process.stderr.write(e.message + '\n\n' + USAGE);
+
+    return 1;
+  }
+
+  try {
+    let $loader = new TwigLoaderFileSystem($args.paths, $args.root);
+
+    $args.namespaces.forEach(function ([$namespace, $path]) {
+      $loader.addPath($path, $namespace);
+    });
+
+    let $env = $args.env ? require(path.resolve($args.env))($loader) : new TwigEnvironment($loader);
+    let $precompiler = new TwigPrecompiler($env, $args.extensions.length ? {extensions: $args.extensions} : {});
+    let $output = $args.bundle ? $precompiler.writeBundle($args.output) : $precompiler.writeModules($args.output);
+
+    process.stdout.write('Precompiled templates written to ' + $output + '.\n');
+  }
+  catch (e) {
+    process.stderr.write(e.message + '\n');
+
+    return 1;
+  }
+
+  return 0;
+};
+
+process.exitCode = run(process.argv.slice(2));
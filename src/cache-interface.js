@@ -1,5 +1,53 @@
+/**
+ * Interface implemented by cache classes.
+ *
+ * It is highly recommended to always store templates on the filesystem to
+ * benefit from the module cache of Node.js. The TwigCacheInterface is mostly
+ * useful if you need to implement a custom strategy for storing templates on
+ * the filesystem.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigCacheInterface {
+  /**
+   * Generates a cache key for the given template class name.
+   *
+   * @param {string} $name      The template name
+   * @param {string} $className The template class name
+   *
+   * @return {string}
+   */
+  generateKey($name, $className) {
+  }
 
+  /**
+   * Writes the compiled template to cache.
+   *
+   * @param {string} $key
+   * @param {string} $content The template representation as a javascript module
+   */
+  write($key, $content) {
+  }
+
+  /**
+   * Loads a template from the cache.
+   *
+   * @param {string} $key
+   *
+   * @return {Function|null} The factory exported by the compiled module, or null if the key is not cached
+   */
+  load($key) {
+  }
+
+  /**
+   * Returns the modification timestamp of a key.
+   *
+   * @param {string} $key
+   *
+   * @return {Number}
+   */
+  getTimestamp($key) {
+  }
 }
 
-module.exports = TwigCacheInterface;
\ No newline at end of file
+module.exports = TwigCacheInterface;
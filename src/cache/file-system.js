@@ -1,5 +1,161 @@
-class TwigCacheFileSystem {
+const TwigCacheInterface = require('../cache-interface');
 
+const fs = require('fs');
+const path = require('path');
+const {createHash, randomBytes} = require('crypto');
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * The signature of the cache files at the time they were required, keyed by path.
+ *
+ * @type {Map<string, string>}
+ */
+let requiredSignatures = new Map();
+
+/**
+ * Returns a signature of a file, that changes whenever the file is written.
+ *
+ * The modification time alone is not enough, as a file can be written twice within the resolution of the
+ * filesystem timestamps. As the cache files are written by renaming a temporary file, they get a new inode
+ * each time they are written.
+ *
+ * @param {fs.Stats} $stats
+ *
+ * @return {string}
+ */
+let getSignature = function ($stats) {
+  return [$stats.mtimeMs, $stats.size, $stats.ino].join(':');
+};
+
+/**
+ * Removes a cache file from the module cache of Node.js so that the next require evaluates it again.
+ *
+ * @param {string} $key
+ */
+let invalidateModule = function ($key) {
+  let $module = require.cache[$key];
+
+  if ($module) {
+    // the cache files are only required by this module, so they always have a parent
+    let $index = $module.parent.children.indexOf($module);
+
+    if ($index !== -1) {
+      $module.parent.children.splice($index, 1);
+    }
+
+    delete require.cache[$key];
+  }
+
+  requiredSignatures.delete($key);
+};
+
+/**
+ * Implements a cache on the filesystem.
+ *
+ * Compiled templates are stored as javascript modules and loaded with require,
+ * so that a template is only evaluated once per process as long as it does not change.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigCacheFileSystem extends TwigCacheInterface {
+  /**
+   * @param {string} $directory The root cache directory
+   */
+  constructor($directory) {
+    super();
+
+    this.directory = path.resolve($directory.replace(/[\/\\]+$/, '')) + path.sep;
+  }
+
+  generateKey($name, $className) {
+    let $hash = createHash('sha256').update($className).digest('hex');
+
+    return this.directory + $hash.substr(0, 2) + path.sep + $hash + '.js';
+  }
+
+  load($key) {
+    let $stats;
+
+    try {
+      $stats = fs.statSync($key);
+    }
+    catch (e) {
+      return null;
+    }
+
+    let $signature = getSignature($stats);
+
+    if (requiredSignatures.get($key) !== $signature) {
+      // the file changed since it was required, possibly written by another process
+      invalidateModule($key);
+    }
+
+    let $factory = require($key);
+
+    requiredSignatures.set($key, $signature);
+
+    return $factory;
+  }
+
+  /**
+   * The content is written to a temporary file that is then renamed, so that
+   * concurrent processes never load a partially written template.
+   *
+   * @param {string} $key
+   * @param {string} $content
+   *
+   * @throws {Error} When the cache directory or the cache file cannot be written
+   */
+  write($key, $content) {
+    let $dir = path.dirname($key);
+
+    try {
+      fs.mkdirSync($dir, {recursive: true});
+    }
+    catch (e) {
+      throw new Error(sprintf('Unable to create the cache directory (%s).', $dir));
+    }
+
+    try {
+      fs.accessSync($dir, fs.constants.W_OK);
+    }
+    catch (e) {
+      throw new Error(sprintf('Unable to write in the cache directory (%s).', $dir));
+    }
+
+    let $tmpFile = path.join($dir, path.basename($key) + '.' + randomBytes(6).toString('hex') + '.tmp');
+
+    try {
+      fs.writeFileSync($tmpFile, $content, {flag: 'wx'});
+      fs.renameSync($tmpFile, $key);
+    }
+    catch (e) {
+      try {
+        fs.unlinkSync($tmpFile);
+      }
+      catch (e) {
+        // the temporary file was not created
+      }
+
+      throw new Error(sprintf('Failed to write cache file "%s".', $key));
+    }
+
+    invalidateModule($key);
+  }
+
+  /**
+   * @param {string} $key
+   *
+   * @return {Number} The modification time of the cache file in milliseconds, or 0 if it does not exist
+   */
+  getTimestamp($key) {
+    try {
+      return fs.statSync($key).mtime.getTime();
+    }
+    catch (e) {
+      return 0;
+    }
+  }
 }
 
-module.exports = TwigCacheFileSystem;
\ No newline at end of file
+module.exports = TwigCacheFileSystem;
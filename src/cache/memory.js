@@ -0,0 +1,142 @@
+const TwigCacheInterface = require('../cache-interface');
+
+const Module = require('module');
+
+/**
+ * Implements a cache storing the compiled templates in memory.
+ *
+ * Useful when the filesystem is read-only. The least recently used templates are
+ * evicted when one of the configured limits is exceeded.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigCacheMemory extends TwigCacheInterface {
+  /**
+   * Constructor.
+   *
+   * Available options:
+   *
+   *  * max_entries: The maximum number of cached templates (default to 0, unlimited).
+   *
+   *  * max_size: The maximum size in bytes of the cached templates source (default to 0, unlimited).
+   *
+   * @param {{}} [$options] An object of options
+   */
+  constructor($options) {
+    super();
+
+    $options = Object.assign({
+      max_entries: 0,
+      max_size: 0
+    }, $options);
+
+    this.maxEntries = $options.max_entries;
+    this.maxSize = $options.max_size;
+
+    this.clear();
+  }
+
+  generateKey($name, $className) {
+    return $className;
+  }
+
+  /**
+   * Templates bigger than the max_size option are not cached.
+   *
+   * @param {string} $key
+   * @param {string} $content
+   */
+  write($key, $content) {
+    let $size = Buffer.byteLength($content);
+
+    this.remove($key);
+
+    if (this.maxSize && ($size > this.maxSize)) {
+      return;
+    }
+
+    let $module = new Module($key, null);
+
+    $module._compile($content, $key);
+
+    this.entries.set($key, {
+      factory: $module.exports,
+      size: $size,
+      timestamp: Date.now()
+    });
+
+    this.size += $size;
+
+    // the first entries of the map are the least recently used ones
+    for (let [$leastRecentlyUsedKey] of this.entries) {
+      if (!((this.maxEntries && (this.entries.size > this.maxEntries)) || (this.maxSize && (this.size > this.maxSize)))) {
+        break;
+      }
+
+      this.remove($leastRecentlyUsedKey);
+      this.evictions++;
+    }
+  }
+
+  load($key) {
+    if (!this.entries.has($key)) {
+      this.misses++;
+
+      return null;
+    }
+
+    let $entry = this.entries.get($key);
+
+    // move the entry to the end of the map to mark it as the most recently used
+    this.entries.delete($key);
+    this.entries.set($key, $entry);
+
+    this.hits++;
+
+    return $entry.factory;
+  }
+
+  getTimestamp($key) {
+    return this.entries.has($key) ? this.entries.get($key).timestamp : 0;
+  }
+
+  /**
+   * Returns the statistics of the cache since its creation or its last clearing.
+   *
+   * @return {{hits: Number, misses: Number, evictions: Number, entries: Number, size: Number}}
+   */
+  getStats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      entries: this.entries.size,
+      size: this.size
+    };
+  }
+
+  /**
+   * Removes all the cached templates and resets the statistics.
+   */
+  clear() {
+    this.entries = new Map();
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * @param {string} $key
+   *
+   * @private
+   */
+  remove($key) {
+    if (this.entries.has($key)) {
+      this.size -= this.entries.get($key).size;
+      this.entries.delete($key);
+    }
+  }
+}
+
+module.exports = TwigCacheMemory;
@@ -1,5 +1,25 @@
-class TwigCacheNull {
+const TwigCacheInterface = require('../cache-interface');
 
+/**
+ * Implements a no-cache strategy.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigCacheNull extends TwigCacheInterface {
+  generateKey($name, $className) {
+    return '';
+  }
+
+  write($key, $content) {
+  }
+
+  load($key) {
+    return null;
+  }
+
+  getTimestamp($key) {
+    return 0;
+  }
 }
 
-module.exports = TwigCacheNull;
\ No newline at end of file
+module.exports = TwigCacheNull;
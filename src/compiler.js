@@ -1,17 +1,5 @@
-const ksort = require('locutus/php/array/ksort');
-const addcslashes = require('locutus/php/strings/addcslashes');
-const setlocale = require('locutus/php/strings/setlocale');
+const createHash = require('crypto').createHash;
 const sprintf = require('locutus/php/strings/sprintf');
-const str_repeat = require('locutus/php/strings/str_repeat');
-const strlen = require('locutus/php/strings/strlen');
-const substr_count = require('locutus/php/strings/substr_count');
-const hash = require('locutus/php/strings/md5');
-const is_bool = require('locutus/php/var/is_bool');
-const is_array = require('locutus/php/var/is_array');
-const is_int = require('locutus/php/var/is_int');
-const is_float = require('locutus/php/var/is_float');
-const uniqid = require('locutus/php/misc/uniqid');
-const mt_rand = require('locutus/php/math/mt_rand');
 
 /**
  * Compiles a node to javascript code.
@@ -20,32 +8,32 @@ const mt_rand = require('locutus/php/math/mt_rand');
  */
 class TwigCompiler {
   /**
-   *
-   * @param $env {TwigEnvironment}
+   * @param {TwigEnvironment} $env
    */
   constructor($env) {
     this.lastLine = null;
     this.source = null;
     this.indentation = null;
     this.env = $env;
-    this.debugInfo = [];
+    this.debugInfo = new Map();
     this.sourceOffset = null;
     this.sourceLine = null;
+    this.varNameSalt = 0;
   }
 
   /**
    * Returns the environment instance related to this compiler.
    *
-   * @return Twig_Environment
+   * @return {TwigEnvironment}
    */
   getEnvironment() {
     return this.env;
   }
 
   /**
-   * Gets the current PHP code after compilation.
+   * Gets the current javascript code after compilation.
    *
-   * @return string The PHP code
+   * @return {string} The javascript code
    */
   getSource() {
     return this.source;
@@ -54,30 +42,35 @@ class TwigCompiler {
   /**
    * Compiles a node.
    *
-   * @param {TwigNode}  $node        The node to compile
-   * @param {Number}   $indentation The current indentation
+   * @param {TwigNode}  $node           The node to compile
+   * @param {Number}    [$indentation]  The current indentation
    *
    * @return {TwigCompiler}
    */
   compile($node, $indentation) {
-    $indentation = $indentation || 0;
-
     this.lastLine = null;
     this.source = '';
-    this.debugInfo = [];
+    this.debugInfo = new Map();
     this.sourceOffset = 0;
     // source code starts at 1 (as we then increment it when we encounter new lines)
     this.sourceLine = 1;
-    this.indentation = $indentation;
+    this.indentation = $indentation || 0;
+    this.varNameSalt = 0;
 
     $node.compile(this);
 
     return this;
   }
 
+  /**
+   * @param {TwigNode}  $node
+   * @param {boolean}   [$raw]  Whether to skip the indentation
+   *
+   * @return {TwigCompiler}
+   */
   subcompile($node, $raw) {
-    if (false === ($raw || true)) {
-      this.source += str_repeat(' ', this.indentation * 4);
+    if (false === $raw) {
+      this.source += '  '.repeat(this.indentation);
     }
 
     $node.compile(this);
@@ -99,15 +92,17 @@ class TwigCompiler {
   }
 
   /**
-   * Writes a string to the compiled code by adding indentation.
+   * Writes strings to the compiled code by adding indentation.
+   *
+   * @param {...string} $strings
    *
    * @return {TwigCompiler}
    */
-  write() {
+  write(...$strings) {
     let self = this;
 
-    args.forEach(function ($string) {
-      self.source += str_repeat(' ', this.indentation * 4) + $string;
+    $strings.forEach(function ($string) {
+      self.source += '  '.repeat(self.indentation) + $string;
     });
 
     return this;
@@ -121,53 +116,66 @@ class TwigCompiler {
    * @return {TwigCompiler}
    */
   string($value) {
-    this.source += sprintf('"%s"', addcslashes($value, "\0\t\"\$\\"));
+    // line and paragraph separators are not valid in string literals before ES2019
+    this.source += JSON.stringify(String($value)).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
 
     return this;
   }
 
   /**
-   * Returns a PHP representation of a given value.
+   * Returns a javascript representation of a given value.
    *
-   * @param $value The value to convert
+   * @param {*} $value The value to convert
    *
    * @return {TwigCompiler}
    */
   repr($value) {
-    if (is_int($value) || is_float($value)) {
-      let $locale = setlocale(LC_NUMERIC, '0');
-
-      if ($locale !== false) {
-        setlocale(LC_NUMERIC, 'C');
-      }
-
-      this.raw($value);
+    let self = this;
 
-      if (false !== $locale) {
-        setlocale(LC_NUMERIC, $locale);
-      }
+    if (typeof $value === 'number') {
+      this.raw(Object.is($value, -0) ? '-0' : String($value));
     }
-    else if (null === $value) {
+    else if ((null === $value) || (undefined === $value)) {
       this.raw('null');
     }
-    else if (is_bool($value)) {
+    else if (typeof $value === 'boolean') {
       this.raw($value ? 'true' : 'false');
     }
-    else if (is_array($value)) {
-      this.raw('array(');
-      $first = true;
+    else if (Array.isArray($value)) {
+      this.raw('[');
+
+      $value.forEach(function ($v, $index) {
+        if ($index) {
+          self.raw(', ');
+        }
+
+        self.repr($v);
+      });
+
+      this.raw(']');
+    }
+    else if ($value instanceof Map) {
+      this.raw('new Map([');
+
+      let $first = true;
 
       $value.forEach(function ($v, $key) {
         if (!$first) {
-          this.raw(', ');
+          self.raw(', ');
         }
+
         $first = false;
-        this.repr($key);
-        this.raw(' => ');
-        this.repr($v);
+
+        self
+          .raw('[')
+          .repr($key)
+          .raw(', ')
+          .repr($v)
+          .raw(']')
+        ;
       });
 
-      this.raw(')');
+      this.raw('])');
     }
     else {
       this.string($value);
@@ -179,15 +187,17 @@ class TwigCompiler {
   /**
    * Adds debugging information.
    *
+   * @param {TwigNode} $node
+   *
    * @return {TwigCompiler}
    */
   addDebugInfo($node) {
-    if ($node.getTemplateLine() != this.lastLine) {
+    if ($node.getTemplateLine() !== this.lastLine) {
       this.write(sprintf("// line %d\n", $node.getTemplateLine()));
 
-      this.sourceLine += substr_count(this.source, "\n", this.sourceOffset);
-      this.sourceOffset = strlen(this.source);
-      this.debugInfo[this.sourceLine] = $node.getTemplateLine();
+      this.sourceLine += this.source.substring(this.sourceOffset).split('\n').length - 1;
+      this.sourceOffset = this.source.length;
+      this.debugInfo.set(this.sourceLine, $node.getTemplateLine());
 
       this.lastLine = $node.getTemplateLine();
     }
@@ -195,23 +205,26 @@ class TwigCompiler {
     return this;
   }
 
+  /**
+   * Returns the template line of each compiled line holding debug information.
+   *
+   * @return {Map<Number, Number>} The template lines, keyed by compiled line
+   */
   getDebugInfo() {
-    ksort(this.debugInfo);
-
-    return this.debugInfo;
+    return new Map(Array.from(this.debugInfo).sort(function ($a, $b) {
+      return $a[0] - $b[0];
+    }));
   }
 
   /**
    * Indents the generated code.
    *
-   * @param {Number} $step The number of indentation to add
+   * @param {Number} [$step] The number of indentation to add
    *
    * @return {TwigCompiler}
    */
   indent($step) {
-    $step = $step || 1;
-
-    this.indentation += $step;
+    this.indentation += $step || 1;
 
     return this;
   }
@@ -219,18 +232,18 @@ class TwigCompiler {
   /**
    * Outdents the generated code.
    *
-   * @param {Number} $step The number of indentation to remove
+   * @param {Number} [$step] The number of indentation to remove
    *
    * @return {TwigCompiler}
    *
-   * @throws LogicException When trying to outdent too much so the indentation would become negative
+   * @throws {Error} When trying to outdent too much so the indentation would become negative
    */
   outdent($step) {
     $step = $step || 1;
 
     // can't outdent by more steps than the current indentation level
     if (this.indentation < $step) {
-      throw new LogicException('Unable to call outdent() as the indentation would become negative.');
+      throw new Error('Unable to call outdent() as the indentation would become negative.');
     }
 
     this.indentation -= $step;
@@ -238,9 +251,14 @@ class TwigCompiler {
     return this;
   }
 
+  /**
+   * Returns a variable name that is unique within the compiled code.
+   *
+   * @return {string}
+   */
   getVarName() {
-    return sprintf('__internal_%s', hash(uniqid(mt_rand(), true)));
+    return sprintf('__internal_%s', createHash('sha256').update('TwigCompiler.getVarName' + this.varNameSalt++).digest('hex'));
   }
 }
 
-module.exports = TwigCompiler;
\ No newline at end of file
+module.exports = TwigCompiler;
@@ -17,6 +17,10 @@ const TwigLoaderArray = require('./loader/array');
 const TwigLexer = require('./lexer');
 const TwigParser = require('./parser');
 
+const Module = require('module');
+const {Readable} = require('stream');
+const createHash = require('crypto').createHash;
+
 const is_object = require('locutus/php/var/is_object');
 const gettype = require('locutus/php/var/gettype');
 const isset = require('locutus/php/var/isset');
@@ -51,10 +55,10 @@ class TwigEnvironment {
    *  * charset: The charset used by the templates (default to UTF-8).
    *
    *  * base_template_class: The base template class to use for generated
-   *                         templates (default to Twig_Template).
+   *                         templates (default to TwigTemplate).
    *
    *  * cache: An absolute path where to store the compiled templates,
-   *           a Twig_Cache_Interface implementation,
+   *           a TwigCacheInterface implementation (like TwigCacheMemory),
    *           or false to disable compilation cache (default).
    *
    *  * auto_reload: Whether to reload the template if the original source changed.
@@ -66,14 +70,18 @@ class TwigEnvironment {
    *
    *  * autoescape: Whether to enable auto-escaping (default to html):
    *                  * false: disable auto-escaping
-   *                  * html, js: set the autoescaping to one of the supported strategies
+   *                  * html, html_attr, js, css, url: set the autoescaping to one of the supported strategies
    *                  * name: set the autoescaping strategy based on the template name extension
-   *                  * PHP callback: a PHP callback that returns an escaping strategy based on the template "name"
+   *                  * callable: a function that returns an escaping strategy based on the template "name"
    *
    *  * optimizations: A flag that indicates which optimizations to apply
    *                   (default to -1 which means that all optimizations are enabled;
    *                   set it to 0 to disable).
    *
+   *  * lexer: An object of options passed to the lexer, to change the delimiters
+   *           of the templates (tag_comment, tag_block, tag_variable, whitespace_trim,
+   *           whitespace_line_trim and interpolation; default to the Twig ones).
+   *
    * @param {TwigLoaderInterface} $loader
    * @param {Array}               [$options] An array of options
    */
@@ -89,9 +97,12 @@ class TwigEnvironment {
     this.parser = null;
     this.compiler = null;
     this.baseTemplateClass = null;
-    this.globals = [];
+    this.globals = new Map();
     this.resolvedGlobals = null;
-    this.loadedTemplates = null;
+    this.loadedTemplates = new Map();
+    this.templateClasses = new Map();
+    this.asyncSources = new Map();
+    this.pendingAsyncSource = null;
     this.strictVariables = null;
     this.templateClassPrefix = '__TwigTemplate_';
     this.originalCache = null;
@@ -99,18 +110,20 @@ class TwigEnvironment {
     this.runtimeLoaders = [];
     this.runtimes = [];
     this.optionsHash = null;
+    this.lexerOptions = null;
 
     this.loader = $loader;
 
     $options = array_merge({
       debug: false,
       charset: 'UTF-8',
-      base_template_class: 'TwigTemplate',
+      base_template_class: TwigTemplate,
       strict_variables: false,
       autoescape: 'html',
       cache: false,
       auto_reload: null,
-      optimizations: -1
+      optimizations: -1,
+      lexer: {}
     }, $options);
 
     this.debug = $options.debug;
@@ -118,6 +131,7 @@ class TwigEnvironment {
     this.baseTemplateClass = $options.base_template_class;
     this.autoReload = null === $options.auto_reload ? this.debug : $options.auto_reload;
     this.strictVariables = $options.strict_variables;
+    this.lexerOptions = $options.lexer;
     this.setCache($options.cache);
     this.extensionSet = new TwigExtensionSet();
 
@@ -129,7 +143,7 @@ class TwigEnvironment {
   /**
    * Gets the base template class for compiled templates.
    *
-   * @return {string} The base template class name
+   * @return {Function|string} The base template class, or the name of one of the exported classes
    */
   getBaseTemplateClass() {
     return this.baseTemplateClass;
@@ -138,7 +152,7 @@ class TwigEnvironment {
   /**
    * Sets the base template class for compiled templates.
    *
-   * @param {string} value The base template class name
+   * @param {Function|string} value The base template class, or the name of one of the exported classes
    */
   setBaseTemplateClass(value) {
     this.baseTemplateClass = value;
@@ -221,14 +235,14 @@ class TwigEnvironment {
   /**
    * Gets the current cache implementation.
    *
-   * @param {boolean} original Whether to return the original cache option or the real cache instance
+   * @param {boolean} [original] Whether to return the original cache option or the real cache instance (defaults to true)
    *
    * @return {TwigCacheInterface|string|boolean} A TwigCacheInterface implementation,
    *                                           an absolute path to the compiled templates,
    *                                           or false to disable cache
    */
   getCache(original) {
-    return (original || true) ? this.originalCache : this.cache;
+    return (undefined === original || original) ? this.originalCache : this.cache;
   }
 
   /**
@@ -275,14 +289,14 @@ class TwigEnvironment {
   getTemplateClass($name, $index) {
     let $key = this.getLoader().getCacheKey($name) + this.optionsHash;
 
-    return this.templateClassPrefix.hash('sha256', $key) + (null === $index ? '' : '_' + $index);
+    return this.templateClassPrefix + createHash('sha256').update($key).digest('hex') + ((undefined === $index || null === $index) ? '' : '_' + $index);
   }
 
   /**
    * Renders a template.
    *
-   * @param {string} $name    The template name
-   * @param {Array}  $context An array of parameters to pass to the template
+   * @param {string}      $name     The template name
+   * @param {Map|Object}  $context  The parameters to pass to the template
    *
    * @return string The rendered template
    *
@@ -295,17 +309,117 @@ class TwigEnvironment {
   }
 
   /**
-   * Displays a template.
+   * Renders a template asynchronously.
+   *
+   * The sources of the templates are fetched with the getSourceContextAsync() method of the loader
+   * when it can't provide them synchronously, and the results of the asynchronous filters and
+   * functions are waited for.
+   *
+   * The templates rendered by the include function are rendered synchronously: use the include
+   * tag to include templates calling asynchronous filters and functions.
+   *
+   * @param {string}      $name     The template name
+   * @param {Map|Object}  $context  The parameters to pass to the template
+   *
+   * @return {Promise<string>} The rendered template
+   */
+  renderAsync($name, $context) {
+    return this.loadTemplateAsync($name).then(function ($template) {
+      return $template.renderAsync($context);
+    });
+  }
+
+  /**
+   * Displays a template, writing its output to a stream as it is produced.
+   *
+   * The output is written when the buffer is full or flushed by the flush tag. As the template is
+   * rendered synchronously, the return value of write() is ignored and the 'drain' event is not waited
+   * for: the chunks the stream cannot take yet are buffered in memory, so display() does not bound the
+   * memory used by large outputs. Use renderToStream() and pipe the stream to render them with a
+   * bounded memory.
    *
-   * @param {string} $name    The template name
-   * @param {Array}  $context An array of parameters to pass to the template
+   * @param {string}          $name       The template name
+   * @param {Map|Object}      $context    The parameters to pass to the template
+   * @param {stream.Writable} [$writable] The stream to write to (defaults to the standard output)
    *
    * @throws TwigErrorLoader  When the template cannot be found
    * @throws TwigErrorSyntax  When an error occurred during compilation
    * @throws TwigErrorRuntime When an error occurred during rendering
    */
-  display($name, $context) {
-    this.loadTemplate($name).display($context);
+  display($name, $context, $writable) {
+    $writable = $writable || process.stdout;
+
+    this.loadTemplate($name).stream($context, function ($chunk) {
+      $writable.write($chunk);
+    });
+  }
+
+  /**
+   * Renders a template asynchronously to a readable stream.
+   *
+   * The rendering starts when the stream is first read, and pauses while the consumer of the stream
+   * does not read the output, so that large templates render with a bounded memory. A chunk is pushed
+   * when the buffer is full or flushed by the flush tag. The errors are emitted by the stream.
+   *
+   * @param {string}      $name         The template name
+   * @param {Map|Object}  $context      The parameters to pass to the template
+   * @param {Number}      [$bufferSize] The size of the buffer, in characters (defaults to TwigTemplate.BUFFER_SIZE)
+   *
+   * @return {stream.Readable}
+   */
+  renderToStream($name, $context, $bufferSize) {
+    let self = this;
+    let $started = false;
+    let $resume = null;
+
+    let $readable = new Readable({
+      read() {
+        if ($resume) {
+          let $callback = $resume;
+
+          $resume = null;
+          $callback();
+        }
+
+        if ($started) {
+          return;
+        }
+
+        $started = true;
+
+        self.loadTemplateAsync($name).then(function ($template) {
+          return $template.streamAsync($context, function ($chunk) {
+            if ($readable.destroyed) {
+              throw new Error('The stream has been destroyed.');
+            }
+
+            if (!$readable.push($chunk)) {
+              return new Promise(function (resolve) {
+                $resume = resolve;
+              });
+            }
+          }, $bufferSize);
+        }).then(function () {
+          $readable.push(null);
+        }, function ($e) {
+          // a destroyed stream stops the rendering by making it fail, that must not be reported
+          if (!$readable.destroyed) {
+            $readable.destroy($e);
+          }
+        });
+      },
+      destroy($e, $callback) {
+        // let the rendering resume and stop on the next chunk
+        if ($resume) {
+          $resume();
+          $resume = null;
+        }
+
+        $callback($e);
+      }
+    });
+
+    return $readable;
   }
 
   /**
@@ -348,47 +462,209 @@ class TwigEnvironment {
     let $cls = this.getTemplateClass($name);
     let $mainCls = $cls;
 
-    if (null !== $index) {
+    if (undefined !== $index && null !== $index) {
       $cls += '_' + $index;
     }
 
-    if (isset(this.loadedTemplates[$cls])) {
-      return this.loadedTemplates[$cls];
+    if (this.loadedTemplates.has($cls)) {
+      return this.loadedTemplates.get($cls);
+    }
+
+    if (!this.templateClasses.has($cls) && (typeof this.getLoader().getTemplateFactory === 'function')) {
+      // precompiled templates are instantiated without being compiled
+      this.registerTemplateClasses(this.getLoader().getTemplateFactory($name, $mainCls));
     }
 
-    if (!class_exists(cls, false)) {
+    if (!this.templateClasses.has($cls)) {
       let $key = this.cache.generateKey($name, $mainCls);
 
       if (!this.isAutoReload() || this.isTemplateFresh($name, this.cache.getTimestamp($key))) {
-        this.cache.load($key);
+        this.registerTemplateClasses(this.cache.load($key));
       }
 
-      if (!class_exists($cls, false)) {
-        let $source = this.getLoader().getSourceContext($name);
+      if (!this.templateClasses.has($cls)) {
+        let $source = this.getTemplateSource($name);
         let $content = this.compileSource($source);
 
         this.cache.write($key, $content);
-        this.cache.load($key);
+        this.registerTemplateClasses(this.cache.load($key));
 
-        if (!class_exists($mainCls, false)) {
-          /* Last line of defense if either this.bcWriteCacheFile was used,
-           * this.cache is implemented as a no-op or we have a race condition
-           * where the cache was cleared between the above calls to write to and load from
-           * the cache.
+        if (!this.templateClasses.has($mainCls)) {
+          /* Last line of defense if either this.cache is implemented as a no-op
+           * or we have a race condition where the cache was cleared between the
+           * above calls to write to and load from the cache.
            */
-          eval('?>' + $content);
+          let $module = new Module($source.getName(), module);
+
+          $module._compile($content, $source.getPath() || $source.getName());
+
+          this.registerTemplateClasses($module.exports);
         }
 
-        if (!class_exists($cls, false)) {
-          throw new TwigErrorRuntime(sprintf('Failed to load Twig template "%s", index "%s": cache is corrupted.', name, $index), -1, $source);
+        if (!this.templateClasses.has($cls)) {
+          throw new TwigErrorRuntime(sprintf('Failed to load Twig template "%s", index "%s": cache is corrupted.', $name, $index), -1, $source);
         }
       }
     }
 
-    // to be removed in 3.0
     this.extensionSet.initRuntime(this);
 
-    return this.loadedTemplates[$cls] = new $cls(this);
+    let $template = new (this.templateClasses.get($cls))(this);
+
+    this.loadedTemplates.set($cls, $template);
+
+    return $template;
+  }
+
+  /**
+   * Loads a template internal representation, fetching the sources of the templates asynchronously if needed.
+   *
+   * @param {string}  $name     The template name
+   * @param {Number}  [$index]  The index if it is an embedded template
+   *
+   * @return {Promise<TwigTemplate>}
+   *
+   * @internal
+   */
+  loadTemplateAsync($name, $index) {
+    let self = this;
+
+    return TwigTemplate.runAsync(this.withAsyncSources(function () {
+      return self.loadTemplate($name, $index);
+    }));
+  }
+
+  /**
+   * Calls a function loading templates, until the sources it needs are fetched asynchronously.
+   *
+   * When the loader can't provide the source of a template synchronously, a function fetching it is
+   * yielded and the function loading the templates is called again. As the function is skipped when
+   * the templates are rendered synchronously, the error of the loader is then thrown.
+   *
+   * @param {Function} $callable
+   *
+   * @return {*} The value returned by the function
+   *
+   * @internal
+   */
+  *withAsyncSources($callable) {
+    let self = this;
+    let $fetched = [];
+
+    try {
+      for (;;) {
+        this.pendingAsyncSource = null;
+
+        try {
+          return $callable();
+        }
+        catch ($e) {
+          let $name = this.pendingAsyncSource;
+
+          if ((null === $name) || $fetched.includes($name) || !(yield function () {
+            return self.fetchSourceAsync($name);
+          })) {
+            throw $e;
+          }
+
+          $fetched.push($name);
+        }
+      }
+    }
+    finally {
+      $fetched.forEach(function ($name) {
+        self.asyncSources.delete($name);
+      });
+    }
+  }
+
+  /**
+   * Returns the source of a template, either fetched asynchronously beforehand or provided by the loader.
+   *
+   * @param {string} $name
+   *
+   * @return {TwigSource}
+   *
+   * @throws {TwigErrorLoader}
+   *
+   * @private
+   */
+  getTemplateSource($name) {
+    if (this.asyncSources.has($name)) {
+      let $source = this.asyncSources.get($name);
+
+      if ($source instanceof TwigErrorLoader) {
+        throw new TwigErrorLoader($source.getRawMessage());
+      }
+
+      return $source;
+    }
+
+    try {
+      return this.getLoader().getSourceContext($name);
+    }
+    catch ($e) {
+      if (($e instanceof TwigErrorLoader) && (typeof this.getLoader().getSourceContextAsync === 'function') && (null === this.pendingAsyncSource)) {
+        this.pendingAsyncSource = $name;
+      }
+
+      throw $e;
+    }
+  }
+
+  /**
+   * Fetches the source of a template with the getSourceContextAsync() method of the loader.
+   *
+   * @param {string} $name
+   *
+   * @return {Promise<boolean>} Resolved with true once the source, or the error of the loader, is stored
+   *
+   * @private
+   */
+  fetchSourceAsync($name) {
+    let self = this;
+
+    return Promise.resolve(this.getLoader().getSourceContextAsync($name)).then(function ($source) {
+      self.asyncSources.set($name, $source);
+
+      return true;
+    }, function ($e) {
+      if (!($e instanceof TwigErrorLoader)) {
+        throw $e;
+      }
+
+      // the error is thrown again on the next attempt to load the template, instead of fetching it again
+      self.asyncSources.set($name, $e);
+
+      return true;
+    });
+  }
+
+  /**
+   * Registers the template classes returned by the factory of a compiled template.
+   *
+   * @param {Function|null} $factory The function exported by the compiled template
+   *
+   * @internal
+   */
+  registerTemplateClasses($factory) {
+    let self = this;
+
+    if (!$factory) {
+      return;
+    }
+
+    // required lazily since the namespace exports the environment too
+    let $namespace = Object.assign({}, require('./index'));
+    let $baseClass = this.getBaseTemplateClass();
+
+    if (typeof $baseClass === 'function') {
+      $namespace[$baseClass.name] = $baseClass;
+    }
+
+    $factory($namespace).forEach(function ($class, $name) {
+      self.templateClasses.set($name, $class);
+    });
   }
 
   /**
@@ -410,7 +686,7 @@ class TwigEnvironment {
 
     let $loader = new TwigLoaderChain([
       new TwigLoaderArray({
-        name: $template
+        [$name]: $template
       }),
       $current
     ]);
@@ -448,7 +724,7 @@ class TwigEnvironment {
   /**
    * Tries to load a template consecutively from an array.
    *
-   * Similar to loadTemplate() but it also accepts Twig_Template instances and an array
+   * Similar to loadTemplate() but it also accepts TwigTemplate instances and an array
    * of templates where each is tried to be loaded.
    *
    * @param {string|TwigTemplate|Array} $names A template or an array of templates to try consecutively
@@ -459,38 +735,49 @@ class TwigEnvironment {
    * @throws {TwigErrorSyntax} When an error occurred during compilation
    */
   resolveTemplate($names) {
-    let self = this;
+    let $error = null;
 
     if (!Array.isArray($names)) {
       $names = [$names];
     }
 
-    let error = null;
-
-    $names.forEach(function ($name) {
+    for (let $name of $names) {
       if ($name instanceof TwigTemplate) {
         return $name;
       }
 
       try {
-        return self.loadTemplate($name);
+        return this.loadTemplate($name);
       }
-      catch (err) {
-        error = err;
+      catch ($e) {
+        if (!($e instanceof TwigErrorLoader)) {
+          throw $e;
+        }
+
+        $error = $e;
       }
-    });
+    }
 
     if (1 === $names.length) {
-      throw error;
+      throw $error;
     }
 
-    throw new TwigErrorLoader(sprintf('Unable to find one of the following templates: "%s".', implode('", "', $names)));
+    throw new TwigErrorLoader(sprintf('Unable to find one of the following templates: "%s".', $names.join('", "')));
   }
 
   setLexer($lexer) {
     this.lexer = $lexer;
   }
 
+  /**
+   * Gets the options passed to the lexer.
+   *
+   * @return {Object}
+   */
+  getLexerOptions() {
+    return this.lexerOptions;
+  }
+
   /**
    * Tokenizes a source code.
    *
@@ -500,7 +787,7 @@ class TwigEnvironment {
    */
   tokenize($source) {
     if (null === this.lexer) {
-      this.lexer = new TwigLexer(this);
+      this.lexer = new TwigLexer(this, this.lexerOptions);
     }
 
     return this.lexer.tokenize($source);
@@ -530,9 +817,9 @@ class TwigEnvironment {
   }
 
   /**
-   * Compiles a node and returns the PHP code.
+   * Compiles a node and returns the javascript code.
    *
-   * @return {string} The compiled PHP source code
+   * @return {string} The compiled javascript source code
    */
   compile($node) {
     if (null === this.compiler) {
@@ -545,7 +832,7 @@ class TwigEnvironment {
   /**
    * Compiles a template source code.
    *
-   * @return {string} The compiled PHP source code
+   * @return {string} The compiled javascript source code
    *
    * @throws {TwigErrorSyntax} When there was an error during tokenizing, parsing or compiling
    */
@@ -639,19 +926,17 @@ class TwigEnvironment {
    * @throws {TwigErrorRuntime} When the template cannot be found
    */
   getRuntime($className) {
-    let self = this;
-
     if (isset(this.runtimes[$className])) {
       return this.runtimes[$className];
     }
 
-    this.runtimeLoaders.forEach(function ($loader) {
+    for (let $loader of this.runtimeLoaders) {
       let $runtime = $loader.load($className);
 
       if (null !== $runtime) {
-        return self.runtimes[$className] = $runtime;
+        return this.runtimes[$className] = $runtime;
       }
-    });
+    }
 
     throw new TwigErrorRuntime(sprintf('Unable to load the "%s" runtime.', $className));
   }
@@ -712,6 +997,11 @@ class TwigEnvironment {
     return $tags;
   }
 
+  /**
+   * Registers a node visitor, run by the parser on the tree of each template.
+   *
+   * @param {TwigNodeVisitorInterface} $visitor
+   */
   addNodeVisitor($visitor) {
     this.extensionSet.addNodeVisitor($visitor);
   }
@@ -719,7 +1009,7 @@ class TwigEnvironment {
   /**
    * Gets the registered Node Visitors.
    *
-   * @return Twig_NodeVisitorInterface[]
+   * @return {TwigNodeVisitorInterface[]}
    *
    * @internal
    */
@@ -920,15 +1210,14 @@ class TwigEnvironment {
   }
 
   updateOptionsHash() {
-    this.optionsHash = implode(':', array(
+    this.optionsHash = implode(':', [
       this.extensionSet.getSignature(),
-      // PHP_MAJOR_VERSION,
-      // PHP_MINOR_VERSION,
       TwigEnvironment.VERSION,
       this.debug,
-      this.baseTemplateClass,
-      this.strictVariables
-    ));
+      typeof this.baseTemplateClass === 'function' ? this.baseTemplateClass.name : this.baseTemplateClass,
+      this.strictVariables,
+      JSON.stringify(this.lexerOptions)
+    ]);
   }
 }
 
@@ -1,5 +1,159 @@
+const TwigSource = require('./source');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Twig base error.
+ *
+ * This error class and its children must only be used when
+ * an error occurs during the loading of a template, when a syntax error
+ * is detected in a template, or when rendering a template. Other
+ * errors must use the built-in Error class instead.
+ *
+ * To help debugging template issues, this class tracks the original template
+ * name and line where the error occurred.
+ *
+ * Whenever possible, you must set these information (original template name
+ * and line number) yourself by passing them to the constructor. If some or all
+ * these information are not available from where you throw the error, then
+ * this class will guess them automatically (when the line number is set to -1
+ * and/or the name is set to null).
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigError extends Error {
+  /**
+   * Constructor.
+   *
+   * @param {string}      $message  The error message
+   * @param {Number}      [$lineno] The template line where the error occurred
+   * @param {TwigSource}  [$source] The source context where the error occurred
+   * @param {Error}       [$previous] The previous error
+   */
+  constructor($message, $lineno, $source, $previous) {
+    super($message);
+
+    this.name = this.constructor.name;
+
+    if (undefined === $lineno || null === $lineno) {
+      $lineno = -1;
+    }
+
+    this.lineno = $lineno;
+    this.rawMessage = $message;
+    this.previous = $previous || null;
+    this.sourceName = null;
+    this.sourceCode = null;
+    this.sourcePath = null;
+
+    this.setSourceContext($source || null);
+  }
+
+  /**
+   * Gets the raw message.
+   *
+   * @return {string} The raw message
+   */
+  getRawMessage() {
+    return this.rawMessage;
+  }
+
+  /**
+   * Gets the template line where the error occurred.
+   *
+   * @return {Number} The template line
+   */
+  getTemplateLine() {
+    return this.lineno;
+  }
+
+  /**
+   * Sets the template line where the error occurred.
+   *
+   * @param {Number} $lineno The template line
+   */
+  setTemplateLine($lineno) {
+    this.lineno = $lineno;
+
+    this.updateRepr();
+  }
+
+  /**
+   * Gets the source context of the Twig template where the error occurred.
+   *
+   * @return {TwigSource|null}
+   */
+  getSourceContext() {
+    return this.sourceName ? new TwigSource(this.sourceCode, this.sourceName, this.sourcePath) : null;
+  }
+
+  /**
+   * Sets the source context of the Twig template where the error occurred.
+   *
+   * @param {TwigSource|null} $source
+   */
+  setSourceContext($source) {
+    if (null === $source) {
+      this.sourceCode = this.sourceName = this.sourcePath = null;
+    }
+    else {
+      this.sourceCode = $source.getCode();
+      this.sourceName = $source.getName();
+      this.sourcePath = $source.getPath();
+    }
+
+    this.updateRepr();
+  }
+
+  /**
+   * Appends a string to the raw message.
+   *
+   * @param {string} $rawMessage
+   */
+  appendMessage($rawMessage) {
+    this.rawMessage += $rawMessage;
+
+    this.updateRepr();
+  }
+
+  /**
+   * @private
+   */
+  updateRepr() {
+    let $message = this.rawMessage;
+
+    let $dot = false;
+
+    if ('.' === $message.slice(-1)) {
+      $message = $message.slice(0, -1);
+      $dot = true;
+    }
+
+    let $questionMark = false;
+
+    if ('?' === $message.slice(-1)) {
+      $message = $message.slice(0, -1);
+      $questionMark = true;
+    }
+
+    if (this.sourceName) {
+      $message += sprintf(' in "%s"', this.sourceName);
+    }
+
+    if (this.lineno && this.lineno >= 0) {
+      $message += sprintf(' at line %d', this.lineno);
+    }
+
+    if ($dot) {
+      $message += '.';
+    }
+
+    if ($questionMark) {
+      $message += '?';
+    }
 
+    this.message = $message;
+  }
 }
 
-module.exports = TwigError;
\ No newline at end of file
+module.exports = TwigError;
@@ -1,7 +1,28 @@
 const TwigError = require('../error');
 
+/**
+ * Error thrown when an error occurs during template loading.
+ *
+ * Automatic template information guessing is always turned off as
+ * if a template cannot be loaded, there is nothing to guess.
+ * However, when a template is loaded from another one, then
+ * we need to find the current context and this is automatically
+ * done by TwigTemplate.displayWithErrorHandling().
+ *
+ * This strategy makes TwigEnvironment.resolveTemplate() much faster.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigErrorLoader extends TwigError {
-
+  /**
+   * @param {string}      $message  The error message
+   * @param {Number}      [$lineno] Ignored, the line is set by the template loading the failing one
+   * @param {TwigSource}  [$source] Ignored, the source is set by the template loading the failing one
+   * @param {Error}       [$previous] The previous error
+   */
+  constructor($message, $lineno, $source, $previous) {
+    super($message, false, null, $previous);
+  }
 }
 
-module.exports = TwigErrorLoader;
\ No newline at end of file
+module.exports = TwigErrorLoader;
@@ -1,7 +1,41 @@
 const TwigError = require('../error');
 
+const levenshtein = require('locutus/php/strings/levenshtein');
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Exception thrown when a syntax error occurs during lexing or parsing of a template.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigErrorSyntax extends TwigError {
+  /**
+   * Tweaks the error message to include suggestions.
+   *
+   * @param {string}    $name  The original name of the item that does not exist
+   * @param {string[]}  $items An array of possible items
+   */
+  addSuggestions($name, $items) {
+    let $alternatives = new Map();
+
+    $items.forEach(function ($item) {
+      let $lev = levenshtein($name, $item);
+
+      if ($lev <= $name.length / 3 || $item.includes($name)) {
+        $alternatives.set($item, $lev);
+      }
+    });
+
+    if (!$alternatives.size) {
+      return;
+    }
+
+    let $sorted = Array.from($alternatives.keys()).sort(function ($a, $b) {
+      return $alternatives.get($a) - $alternatives.get($b);
+    });
 
+    this.appendMessage(sprintf(' Did you mean "%s"?', $sorted.join('", "')));
+  }
 }
 
-module.exports = TwigErrorSyntax;
\ No newline at end of file
+module.exports = TwigErrorSyntax;
@@ -0,0 +1,1016 @@
+const TwigToken = require('./token');
+const TwigLexer = require('./lexer');
+const TwigTemplate = require('./template');
+const TwigNode = require('./node');
+const TwigErrorSyntax = require('./error/syntax');
+const TwigNodeExpressionConstant = require('./node/expression/constant');
+const TwigNodeExpressionName = require('./node/expression/name');
+const TwigNodeExpressionAssignName = require('./node/expression/assign-name');
+const TwigNodeExpressionArray = require('./node/expression/array');
+const TwigNodeExpressionConditional = require('./node/expression/conditional');
+const TwigNodeExpressionGetAttr = require('./node/expression/get-attr');
+const TwigNodeExpressionParent = require('./node/expression/parent');
+const TwigNodeExpressionBlockReference = require('./node/expression/block-reference');
+const TwigNodeExpressionMethodCall = require('./node/expression/method-call');
+const TwigNodeExpressionArrowFunction = require('./node/expression/arrow-function');
+const TwigNodeExpressionBinaryConcat = require('./node/expression/binary/concat');
+const TwigNodeExpressionUnaryNot = require('./node/expression/unary/not');
+const TwigNodeExpressionUnaryNeg = require('./node/expression/unary/neg');
+const TwigNodeExpressionUnaryPos = require('./node/expression/unary/pos');
+const get_class = require('./lib/get_class');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Parses expressions.
+ *
+ * This parser implements a "Precedence climbing" algorithm.
+ *
+ * @see http://www.engr.mun.ca/~theo/Misc/exp_parsing.htm
+ * @see http://en.wikipedia.org/wiki/Operator-precedence_parser
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
+class TwigExpressionParser {
+  /**
+   * @param {TwigParser}      $parser
+   * @param {TwigEnvironment} $env
+   */
+  constructor($parser, $env) {
+    this.parser = $parser;
+    this.env = $env;
+    this.unaryOperators = $env.getUnaryOperators();
+    this.binaryOperators = $env.getBinaryOperators();
+  }
+
+  /**
+   * @param {Number}  [$precedence]
+   * @param {boolean} [$allowArrow] Whether an arrow function is allowed or not
+   *
+   * @return {TwigNodeExpression}
+   */
+  parseExpression($precedence, $allowArrow) {
+    $precedence = $precedence || 0;
+
+    let $arrow;
+
+    if ($allowArrow && ($arrow = this.parseArrow())) {
+      return $arrow;
+    }
+
+    let $expr = this.getPrimary();
+    let $token = this.parser.getCurrentToken();
+
+    while (this.isBinary($token) && this.binaryOperators.get($token.getValue()).precedence >= $precedence) {
+      let $op = this.binaryOperators.get($token.getValue());
+
+      this.parser.getStream().next();
+
+      if ('is not' === $token.getValue()) {
+        $expr = this.parseNotTestExpression($expr);
+      }
+      else if ('is' === $token.getValue()) {
+        $expr = this.parseTestExpression($expr);
+      }
+      else if ($op.callable) {
+        $expr = $op.callable(this.parser, $expr);
+      }
+      else {
+        let $expr1 = this.parseExpression(TwigExpressionParser.OPERATOR_LEFT === $op.associativity ? $op.precedence + 1 : $op.precedence);
+        let $class = $op.class;
+
+        $expr = new $class($expr, $expr1, $token.getLine());
+      }
+
+      $token = this.parser.getCurrentToken();
+    }
+
+    if (0 === $precedence) {
+      return this.parseConditionalExpression($expr);
+    }
+
+    return $expr;
+  }
+
+  /**
+   * Parses an arrow function, either "name => expr" or "(name1, name2) => expr".
+   *
+   * @return {TwigNodeExpressionArrowFunction|null} The arrow function, or null if the upcoming tokens are not one
+   *
+   * @private
+   */
+  parseArrow() {
+    let $stream = this.parser.getStream();
+    let $line = $stream.getCurrent().getLine();
+    let $names = [];
+    let $token;
+
+    // short syntax (one argument, no parentheses)?
+    if ($stream.look(1).test(TwigToken.ARROW_TYPE)) {
+      $token = $stream.expect(TwigToken.NAME_TYPE);
+      $names.push(new TwigNodeExpressionAssignName($token.getValue(), $token.getLine()));
+      $stream.expect(TwigToken.ARROW_TYPE);
+
+      return new TwigNodeExpressionArrowFunction(this.parseExpression(0), new TwigNode(new Map($names.entries())), $line);
+    }
+
+    // first, determine if we are parsing an arrow function by finding => (long form)
+    let $i = 0;
+
+    if (!$stream.look($i).test(TwigToken.PUNCTUATION_TYPE, '(')) {
+      return null;
+    }
+
+    ++$i;
+
+    while (true) {
+      // variable name
+      ++$i;
+
+      if (!$stream.look($i).test(TwigToken.PUNCTUATION_TYPE, ',')) {
+        break;
+      }
+
+      ++$i;
+    }
+
+    if (!$stream.look($i).test(TwigToken.PUNCTUATION_TYPE, ')')) {
+      return null;
+    }
+
+    ++$i;
+
+    if (!$stream.look($i).test(TwigToken.ARROW_TYPE)) {
+      return null;
+    }
+
+    // yes, let's parse it properly
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, '(');
+
+    while (true) {
+      $token = $stream.expect(TwigToken.NAME_TYPE);
+      $names.push(new TwigNodeExpressionAssignName($token.getValue(), $token.getLine()));
+
+      if (!$stream.nextIf(TwigToken.PUNCTUATION_TYPE, ',')) {
+        break;
+      }
+    }
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, ')');
+    $stream.expect(TwigToken.ARROW_TYPE);
+
+    return new TwigNodeExpressionArrowFunction(this.parseExpression(0), new TwigNode(new Map($names.entries())), $line);
+  }
+
+  /**
+   * @return {TwigNodeExpression}
+   *
+   * @private
+   */
+  getPrimary() {
+    let $token = this.parser.getCurrentToken();
+
+    if (this.isUnary($token)) {
+      let $operator = this.unaryOperators.get($token.getValue());
+
+      this.parser.getStream().next();
+
+      let $expr = this.parseExpression($operator.precedence);
+      let $class = $operator.class;
+
+      return this.parsePostfixExpression(new $class($expr, $token.getLine()));
+    }
+    else if ($token.test(TwigToken.PUNCTUATION_TYPE, '(')) {
+      this.parser.getStream().next();
+
+      let $expr = this.parseExpression();
+
+      this.parser.getStream().expect(TwigToken.PUNCTUATION_TYPE, ')', 'An opened parenthesis is not properly closed');
+
+      return this.parsePostfixExpression($expr);
+    }
+
+    return this.parsePrimaryExpression();
+  }
+
+  /**
+   * @param {TwigNodeExpression} $expr
+   *
+   * @return {TwigNodeExpression}
+   *
+   * @private
+   */
+  parseConditionalExpression($expr) {
+    let $stream = this.parser.getStream();
+
+    while ($stream.nextIf(TwigToken.PUNCTUATION_TYPE, '?')) {
+      let $expr2;
+      let $expr3;
+
+      if (!$stream.nextIf(TwigToken.PUNCTUATION_TYPE, ':')) {
+        $expr2 = this.parseExpression();
+
+        if ($stream.nextIf(TwigToken.PUNCTUATION_TYPE, ':')) {
+          $expr3 = this.parseExpression();
+        }
+        else {
+          $expr3 = new TwigNodeExpressionConstant('', this.parser.getCurrentToken().getLine());
+        }
+      }
+      else {
+        $expr2 = $expr;
+        $expr3 = this.parseExpression();
+      }
+
+      $expr = new TwigNodeExpressionConditional($expr, $expr2, $expr3, this.parser.getCurrentToken().getLine());
+    }
+
+    return $expr;
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  isUnary($token) {
+    return $token.test(TwigToken.OPERATOR_TYPE) && this.unaryOperators.has($token.getValue());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  isBinary($token) {
+    return $token.test(TwigToken.OPERATOR_TYPE) && this.binaryOperators.has($token.getValue());
+  }
+
+  /**
+   * @return {TwigNodeExpression}
+   */
+  parsePrimaryExpression() {
+    let $stream = this.parser.getStream();
+    let $token = this.parser.getCurrentToken();
+    let $node;
+
+    switch ($token.getType()) {
+      case TwigToken.NAME_TYPE:
+        $stream.next();
+
+        switch ($token.getValue()) {
+          case 'true':
+          case 'TRUE':
+            $node = new TwigNodeExpressionConstant(true, $token.getLine());
+            break;
+
+          case 'false':
+          case 'FALSE':
+            $node = new TwigNodeExpressionConstant(false, $token.getLine());
+            break;
+
+          case 'none':
+          case 'NONE':
+          case 'null':
+          case 'NULL':
+            $node = new TwigNodeExpressionConstant(null, $token.getLine());
+            break;
+
+          default:
+            if ('(' === this.parser.getCurrentToken().getValue()) {
+              $node = this.getFunctionNode($token.getValue(), $token.getLine());
+            }
+            else {
+              $node = new TwigNodeExpressionName($token.getValue(), $token.getLine());
+            }
+        }
+        break;
+
+      case TwigToken.NUMBER_TYPE:
+        $stream.next();
+
+        $node = new TwigNodeExpressionConstant($token.getValue(), $token.getLine());
+        break;
+
+      case TwigToken.STRING_TYPE:
+      case TwigToken.INTERPOLATION_START_TYPE:
+        $node = this.parseStringExpression();
+        break;
+
+      case TwigToken.OPERATOR_TYPE:
+        if (TwigExpressionParser.isName($token.getValue())) {
+          // in this context, string operators are variable names
+          $stream.next();
+
+          $node = new TwigNodeExpressionName($token.getValue(), $token.getLine());
+          break;
+        }
+        else if (this.unaryOperators.has($token.getValue())) {
+          let $class = this.unaryOperators.get($token.getValue()).class;
+
+          if (!(($class === TwigNodeExpressionUnaryNeg) || ($class === TwigNodeExpressionUnaryPos) || ($class.prototype instanceof TwigNodeExpressionUnaryNeg) || ($class.prototype instanceof TwigNodeExpressionUnaryPos))) {
+            throw new TwigErrorSyntax(sprintf('Unexpected unary operator "%s".', $token.getValue()), $token.getLine(), $stream.getSourceContext());
+          }
+
+          $stream.next();
+
+          let $expr = this.parsePrimaryExpression();
+
+          $node = new $class($expr, $token.getLine());
+          break;
+        }
+      // fall through
+
+      default:
+        if ($token.test(TwigToken.PUNCTUATION_TYPE, '[')) {
+          $node = this.parseArrayExpression();
+        }
+        else if ($token.test(TwigToken.PUNCTUATION_TYPE, '{')) {
+          $node = this.parseHashExpression();
+        }
+        else if ($token.test(TwigToken.OPERATOR_TYPE, '=') && ('==' === $stream.look(-1).getValue() || '!=' === $stream.look(-1).getValue())) {
+          throw new TwigErrorSyntax(sprintf('Unexpected operator of value "%s". Did you try to use "===" or "!==" for strict comparison? Use "is same as(value)" instead.', $token.getValue()), $token.getLine(), $stream.getSourceContext());
+        }
+        else {
+          throw new TwigErrorSyntax(sprintf('Unexpected token "%s" of value "%s".', TwigToken.typeToEnglish($token.getType()), $token.getValue()), $token.getLine(), $stream.getSourceContext());
+        }
+    }
+
+    return this.parsePostfixExpression($node);
+  }
+
+  /**
+   * @return {TwigNodeExpression}
+   */
+  parseStringExpression() {
+    let $stream = this.parser.getStream();
+    let $nodes = [];
+    // a string cannot be followed by another string in a single expression
+    let $nextCanBeString = true;
+    let $token;
+
+    while (true) {
+      if ($nextCanBeString && ($token = $stream.nextIf(TwigToken.STRING_TYPE))) {
+        $nodes.push(new TwigNodeExpressionConstant($token.getValue(), $token.getLine()));
+        $nextCanBeString = false;
+      }
+      else if ($stream.nextIf(TwigToken.INTERPOLATION_START_TYPE)) {
+        $nodes.push(this.parseExpression());
+        $stream.expect(TwigToken.INTERPOLATION_END_TYPE);
+        $nextCanBeString = true;
+      }
+      else {
+        break;
+      }
+    }
+
+    let $expr = $nodes.shift();
+
+    $nodes.forEach(function ($node) {
+      $expr = new TwigNodeExpressionBinaryConcat($expr, $node, $node.getTemplateLine());
+    });
+
+    return $expr;
+  }
+
+  /**
+   * @return {TwigNodeExpressionArray}
+   */
+  parseArrayExpression() {
+    let $stream = this.parser.getStream();
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, '[', 'An array element was expected');
+
+    let $node = new TwigNodeExpressionArray(new Map(), $stream.getCurrent().getLine());
+    let $first = true;
+
+    while (!$stream.test(TwigToken.PUNCTUATION_TYPE, ']')) {
+      if (!$first) {
+        $stream.expect(TwigToken.PUNCTUATION_TYPE, ',', 'An array element must be followed by a comma');
+
+        // trailing ,?
+        if ($stream.test(TwigToken.PUNCTUATION_TYPE, ']')) {
+          break;
+        }
+      }
+
+      $first = false;
+
+      $node.addElement(this.parseExpression());
+    }
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, ']', 'An opened array is not properly closed');
+
+    return $node;
+  }
+
+  /**
+   * @return {TwigNodeExpressionArray}
+   */
+  parseHashExpression() {
+    let $stream = this.parser.getStream();
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, '{', 'A hash element was expected');
+
+    let $node = new TwigNodeExpressionArray(new Map(), $stream.getCurrent().getLine());
+    let $first = true;
+
+    while (!$stream.test(TwigToken.PUNCTUATION_TYPE, '}')) {
+      if (!$first) {
+        $stream.expect(TwigToken.PUNCTUATION_TYPE, ',', 'A hash value must be followed by a comma');
+
+        // trailing ,?
+        if ($stream.test(TwigToken.PUNCTUATION_TYPE, '}')) {
+          break;
+        }
+      }
+
+      $first = false;
+
+      // a hash key can be:
+      //
+      //  * a number -- 12
+      //  * a string -- 'a'
+      //  * a name, which is equivalent to a string -- a
+      //  * an expression, which must be enclosed in parentheses -- (1 + 2)
+      let $token;
+      let $key;
+
+      if (($token = $stream.nextIf(TwigToken.STRING_TYPE)) || ($token = $stream.nextIf(TwigToken.NAME_TYPE)) || ($token = $stream.nextIf(TwigToken.NUMBER_TYPE))) {
+        $key = new TwigNodeExpressionConstant($token.getValue(), $token.getLine());
+      }
+      else if ($stream.test(TwigToken.PUNCTUATION_TYPE, '(')) {
+        $key = this.parseExpression();
+      }
+      else {
+        let $current = $stream.getCurrent();
+
+        throw new TwigErrorSyntax(sprintf('A hash key must be a quoted string, a number, a name, or an expression enclosed in parentheses (unexpected token "%s" of value "%s".', TwigToken.typeToEnglish($current.getType()), $current.getValue()), $current.getLine(), $stream.getSourceContext());
+      }
+
+      $stream.expect(TwigToken.PUNCTUATION_TYPE, ':', 'A hash key must be followed by a colon (:)');
+
+      let $value = this.parseExpression();
+
+      $node.addElement($value, $key);
+    }
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, '}', 'An opened hash is not properly closed');
+
+    return $node;
+  }
+
+  /**
+   * @param {TwigNodeExpression} $node
+   *
+   * @return {TwigNodeExpression}
+   */
+  parsePostfixExpression($node) {
+    while (true) {
+      let $token = this.parser.getCurrentToken();
+
+      if ($token.getType() === TwigToken.PUNCTUATION_TYPE) {
+        if ('.' === $token.getValue() || '[' === $token.getValue()) {
+          $node = this.parseSubscriptExpression($node);
+        }
+        else if ('|' === $token.getValue()) {
+          $node = this.parseFilterExpression($node);
+        }
+        else {
+          break;
+        }
+      }
+      else {
+        break;
+      }
+    }
+
+    return $node;
+  }
+
+  /**
+   * @param {string} $name
+   * @param {Number} $line
+   *
+   * @return {TwigNodeExpression}
+   */
+  getFunctionNode($name, $line) {
+    let $stream = this.parser.getStream();
+    let $args;
+
+    switch ($name) {
+      case 'parent':
+        this.parseArguments();
+
+        if (!this.parser.getBlockStack().length) {
+          throw new TwigErrorSyntax('Calling "parent" outside a block is forbidden.', $line, $stream.getSourceContext());
+        }
+
+        if (!this.parser.getParent() && !this.parser.hasTraits()) {
+          throw new TwigErrorSyntax('Calling "parent" on a template that does not extend nor "use" another template is forbidden.', $line, $stream.getSourceContext());
+        }
+
+        return new TwigNodeExpressionParent(this.parser.peekBlockStack(), $line);
+
+      case 'block':
+        $args = this.parseArguments();
+
+        if ($args.count() < 1) {
+          throw new TwigErrorSyntax('The "block" function takes one argument (the block name).', $line, $stream.getSourceContext());
+        }
+
+        return new TwigNodeExpressionBlockReference($args.getNode(0), $args.count() > 1 ? $args.getNode(1) : null, $line);
+
+      case 'attribute':
+        $args = this.parseArguments();
+
+        if ($args.count() < 2) {
+          throw new TwigErrorSyntax('The "attribute" function takes at least two arguments (the variable and the attributes).', $line, $stream.getSourceContext());
+        }
+
+        return new TwigNodeExpressionGetAttr($args.getNode(0), $args.getNode(1), $args.count() > 2 ? $args.getNode(2) : null, TwigTemplate.ANY_CALL, $line);
+
+      default:
+        let $alias = this.parser.getImportedSymbol('function', $name);
+
+        if (null !== $alias) {
+          let $arguments = new TwigNodeExpressionArray(new Map(), $line);
+
+          this.parseArguments().$nodes.forEach(function ($n) {
+            $arguments.addElement($n);
+          });
+
+          let $node = new TwigNodeExpressionMethodCall($alias.node, $alias.name, $arguments, $line);
+
+          $node.setAttribute('safe', true);
+
+          return $node;
+        }
+
+        $args = this.parseArguments(true);
+
+        let $class = this.getFunctionNodeClass($name, $line);
+
+        return new $class($name, $args, $line);
+    }
+  }
+
+  /**
+   * @param {TwigNodeExpression} $node
+   *
+   * @return {TwigNodeExpression}
+   */
+  parseSubscriptExpression($node) {
+    let $stream = this.parser.getStream();
+    let $token = $stream.next();
+    let $lineno = $token.getLine();
+    let $arguments = new TwigNodeExpressionArray(new Map(), $lineno);
+    let $type = TwigTemplate.ANY_CALL;
+    let $arg;
+
+    if ($token.getValue() === '.') {
+      $token = $stream.next();
+
+      if (
+        $token.getType() === TwigToken.NAME_TYPE
+        ||
+        $token.getType() === TwigToken.NUMBER_TYPE
+        ||
+        ($token.getType() === TwigToken.OPERATOR_TYPE && TwigExpressionParser.isName($token.getValue()))
+      ) {
+        $arg = new TwigNodeExpressionConstant($token.getValue(), $lineno);
+
+        if ($stream.test(TwigToken.PUNCTUATION_TYPE, '(')) {
+          $type = TwigTemplate.METHOD_CALL;
+
+          this.parseArguments().$nodes.forEach(function ($n) {
+            $arguments.addElement($n);
+          });
+        }
+      }
+      else {
+        throw new TwigErrorSyntax('Expected name or number.', $lineno, $stream.getSourceContext());
+      }
+
+      if (($node instanceof TwigNodeExpressionName) && (null !== this.parser.getImportedSymbol('template', $node.getAttribute('name')))) {
+        $node = new TwigNodeExpressionMethodCall($node, 'macro_' + $arg.getAttribute('value'), $arguments, $lineno);
+        $node.setAttribute('safe', true);
+
+        return $node;
+      }
+    }
+    else {
+      $type = TwigTemplate.ARRAY_CALL;
+
+      // slice?
+      let $slice = false;
+
+      if ($stream.test(TwigToken.PUNCTUATION_TYPE, ':')) {
+        $slice = true;
+        $arg = new TwigNodeExpressionConstant(0, $token.getLine());
+      }
+      else {
+        $arg = this.parseExpression();
+      }
+
+      if ($stream.nextIf(TwigToken.PUNCTUATION_TYPE, ':')) {
+        $slice = true;
+      }
+
+      if ($slice) {
+        let $length;
+
+        if ($stream.test(TwigToken.PUNCTUATION_TYPE, ']')) {
+          $length = new TwigNodeExpressionConstant(null, $token.getLine());
+        }
+        else {
+          $length = this.parseExpression();
+        }
+
+        let $class = this.getFilterNodeClass('slice', $token.getLine());
+        let $filter = new $class($node, new TwigNodeExpressionConstant('slice', $token.getLine()), new TwigNode(new Map([[0, $arg], [1, $length]])), $token.getLine());
+
+        $stream.expect(TwigToken.PUNCTUATION_TYPE, ']');
+
+        return $filter;
+      }
+
+      $stream.expect(TwigToken.PUNCTUATION_TYPE, ']');
+    }
+
+    return new TwigNodeExpressionGetAttr($node, $arg, $arguments, $type, $lineno);
+  }
+
+  /**
+   * @param {TwigNodeExpression} $node
+   *
+   * @return {TwigNodeExpression}
+   */
+  parseFilterExpression($node) {
+    this.parser.getStream().next();
+
+    return this.parseFilterExpressionRaw($node);
+  }
+
+  /**
+   * @param {TwigNodeExpression}  $node
+   * @param {string}              [$tag]
+   *
+   * @return {TwigNodeExpression}
+   */
+  parseFilterExpressionRaw($node, $tag) {
+    let $stream = this.parser.getStream();
+
+    while (true) {
+      let $token = $stream.expect(TwigToken.NAME_TYPE);
+      let $name = new TwigNodeExpressionConstant($token.getValue(), $token.getLine());
+      let $arguments;
+
+      if (!$stream.test(TwigToken.PUNCTUATION_TYPE, '(')) {
+        $arguments = new TwigNode();
+      }
+      else {
+        $arguments = this.parseArguments(true, false, true);
+      }
+
+      let $class = this.getFilterNodeClass($name.getAttribute('value'), $token.getLine());
+
+      $node = new $class($node, $name, $arguments, $token.getLine(), $tag);
+
+      if (!$stream.test(TwigToken.PUNCTUATION_TYPE, '|')) {
+        break;
+      }
+
+      $stream.next();
+    }
+
+    return $node;
+  }
+
+  /**
+   * Parses arguments.
+   *
+   * @param {boolean} [$namedArguments] Whether to allow named arguments or not
+   * @param {boolean} [$definition]     Whether we are parsing arguments for a function definition
+   * @param {boolean} [$allowArrow]     Whether to allow arrow functions or not
+   *
+   * @return {TwigNode}
+   *
+   * @throws {TwigErrorSyntax}
+   */
+  parseArguments($namedArguments, $definition, $allowArrow) {
+    let $args = new Map();
+    let $index = 0;
+    let $stream = this.parser.getStream();
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, '(', 'A list of arguments must begin with an opening parenthesis');
+
+    while (!$stream.test(TwigToken.PUNCTUATION_TYPE, ')')) {
+      if ($args.size) {
+        $stream.expect(TwigToken.PUNCTUATION_TYPE, ',', 'Arguments must be separated by a comma');
+      }
+
+      let $value;
+      let $token;
+
+      if ($definition) {
+        $token = $stream.expect(TwigToken.NAME_TYPE, null, 'An argument must be a name');
+        $value = new TwigNodeExpressionName($token.getValue(), this.parser.getCurrentToken().getLine());
+      }
+      else {
+        $value = this.parseExpression(0, $allowArrow);
+      }
+
+      let $name = null;
+
+      if ($namedArguments && ($token = $stream.nextIf(TwigToken.OPERATOR_TYPE, '='))) {
+        if (!($value instanceof TwigNodeExpressionName)) {
+          throw new TwigErrorSyntax(sprintf('A parameter name must be a string, "%s" given.', get_class($value)), $token.getLine(), $stream.getSourceContext());
+        }
+
+        $name = $value.getAttribute('name');
+
+        if ($definition) {
+          $value = this.parsePrimaryExpression();
+
+          if (!this.checkConstantExpression($value)) {
+            throw new TwigErrorSyntax('A default value for an argument must be a constant (a boolean, a string, a number, or an array).', $token.getLine(), $stream.getSourceContext());
+          }
+        }
+        else {
+          $value = this.parseExpression(0, $allowArrow);
+        }
+      }
+
+      if ($definition) {
+        if (null === $name) {
+          $name = $value.getAttribute('name');
+          $value = new TwigNodeExpressionConstant(null, this.parser.getCurrentToken().getLine());
+        }
+
+        $args.set($name, $value);
+      }
+      else {
+        if (null === $name) {
+          $args.set($index++, $value);
+        }
+        else {
+          $args.set($name, $value);
+        }
+      }
+    }
+
+    $stream.expect(TwigToken.PUNCTUATION_TYPE, ')', 'A list of arguments must be closed by a parenthesis');
+
+    return new TwigNode($args);
+  }
+
+  /**
+   * @return {TwigNode}
+   */
+  parseAssignmentExpression() {
+    let $stream = this.parser.getStream();
+    let $targets = new Map();
+
+    while (true) {
+      let $token = $stream.expect(TwigToken.NAME_TYPE, null, 'Only variables can be assigned to');
+      let $value = $token.getValue();
+
+      if (['true', 'false', 'none', 'null'].indexOf($value.toLowerCase()) > -1) {
+        throw new TwigErrorSyntax(sprintf('You cannot assign a value to "%s".', $value), $token.getLine(), $stream.getSourceContext());
+      }
+
+      $targets.set($targets.size, new TwigNodeExpressionAssignName($value, $token.getLine()));
+
+      if (!$stream.nextIf(TwigToken.PUNCTUATION_TYPE, ',')) {
+        break;
+      }
+    }
+
+    return new TwigNode($targets);
+  }
+
+  /**
+   * @return {TwigNode}
+   */
+  parseMultitargetExpression() {
+    let $targets = new Map();
+
+    while (true) {
+      $targets.set($targets.size, this.parseExpression());
+
+      if (!this.parser.getStream().nextIf(TwigToken.PUNCTUATION_TYPE, ',')) {
+        break;
+      }
+    }
+
+    return new TwigNode($targets);
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNodeExpressionUnaryNot}
+   *
+   * @private
+   */
+  parseNotTestExpression($node) {
+    return new TwigNodeExpressionUnaryNot(this.parseTestExpression($node), this.parser.getCurrentToken().getLine());
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNodeExpressionTest}
+   *
+   * @private
+   */
+  parseTestExpression($node) {
+    let $stream = this.parser.getStream();
+    let [$name, $test] = this.getTest($node.getTemplateLine());
+    let $class = this.getTestNodeClass($test);
+    let $arguments = null;
+
+    if ($stream.test(TwigToken.PUNCTUATION_TYPE, '(')) {
+      $arguments = this.parseArguments(true);
+    }
+
+    return new $class($node, $name, $arguments, this.parser.getCurrentToken().getLine());
+  }
+
+  /**
+   * @param {Number} $line
+   *
+   * @return {Array} The name of the test and the TwigTest instance
+   *
+   * @private
+   */
+  getTest($line) {
+    let $stream = this.parser.getStream();
+    let $name = $stream.expect(TwigToken.NAME_TYPE).getValue();
+    let $test = this.env.getTest($name);
+
+    if ($test) {
+      return [$name, $test];
+    }
+
+    if ($stream.test(TwigToken.NAME_TYPE)) {
+      // try 2-words tests
+      $name = $name + ' ' + this.parser.getCurrentToken().getValue();
+      $test = this.env.getTest($name);
+
+      if ($test) {
+        $stream.next();
+
+        return [$name, $test];
+      }
+    }
+
+    let $e = new TwigErrorSyntax(sprintf('Unknown "%s" test.', $name), $line, $stream.getSourceContext());
+
+    $e.addSuggestions($name, Array.from(this.env.getTests().keys()));
+
+    throw $e;
+  }
+
+  /**
+   * @param {TwigTest} $test
+   *
+   * @return {Function}
+   *
+   * @private
+   */
+  getTestNodeClass($test) {
+    if ($test.isDeprecated()) {
+      this.triggerDeprecation('Test', $test);
+    }
+
+    return $test.getNodeClass();
+  }
+
+  /**
+   * @param {string} $name
+   * @param {Number} $line
+   *
+   * @return {Function}
+   *
+   * @private
+   */
+  getFunctionNodeClass($name, $line) {
+    let $function = this.env.getFunction($name);
+
+    if (false === $function) {
+      let $e = new TwigErrorSyntax(sprintf('Unknown "%s" function.', $name), $line, this.parser.getStream().getSourceContext());
+
+      $e.addSuggestions($name, Array.from(this.env.getFunctions().keys()));
+
+      throw $e;
+    }
+
+    if ($function.isDeprecated()) {
+      this.triggerDeprecation('Function', $function);
+    }
+
+    return $function.getNodeClass();
+  }
+
+  /**
+   * @param {string} $name
+   * @param {Number} $line
+   *
+   * @return {Function}
+   *
+   * @private
+   */
+  getFilterNodeClass($name, $line) {
+    let $filter = this.env.getFilter($name);
+
+    if (false === $filter) {
+      let $e = new TwigErrorSyntax(sprintf('Unknown "%s" filter.', $name), $line, this.parser.getStream().getSourceContext());
+
+      $e.addSuggestions($name, Array.from(this.env.getFilters().keys()));
+
+      throw $e;
+    }
+
+    if ($filter.isDeprecated()) {
+      this.triggerDeprecation('Filter', $filter);
+    }
+
+    return $filter.getNodeClass();
+  }
+
+  /**
+   * Emits a deprecation warning for a deprecated filter, function or test.
+   *
+   * @param {string}                          $type
+   * @param {TwigFilter|TwigFunction|TwigTest} $callable
+   *
+   * @private
+   */
+  triggerDeprecation($type, $callable) {
+    let $stream = this.parser.getStream();
+    let $message = sprintf('Twig %s "%s" is deprecated', $type, $callable.getName());
+
+    if (typeof $callable.getDeprecatedVersion() !== 'boolean') {
+      $message += sprintf(' since version %s', $callable.getDeprecatedVersion());
+    }
+
+    if ($callable.getAlternative()) {
+      $message += sprintf('. Use "%s" instead', $callable.getAlternative());
+    }
+
+    let $src = $stream.getSourceContext();
+
+    $message += sprintf(' in %s at line %d.', $src.getPath() || $src.getName(), $stream.getCurrent().getLine());
+
+    process.emitWarning($message, 'DeprecationWarning');
+  }
+
+  /**
+   * Checks that the node only contains "constant" elements.
+   *
+   * @param {TwigNode} $node
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  checkConstantExpression($node) {
+    let self = this;
+
+    if (!(($node instanceof TwigNodeExpressionConstant) || ($node instanceof TwigNodeExpressionArray) || ($node instanceof TwigNodeExpressionUnaryNeg) || ($node instanceof TwigNodeExpressionUnaryPos))) {
+      return false;
+    }
+
+    return Array.from($node.getIterator()).every(function ($n) {
+      return self.checkConstantExpression($n);
+    });
+  }
+
+  /**
+   * Whether a string is a valid name, as defined by the lexer.
+   *
+   * @param {string} $value
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  static isName($value) {
+    let $regex = new RegExp('^' + TwigLexer.REGEX_NAME.source + '$');
+
+    return $regex.test($value);
+  }
+}
+
+TwigExpressionParser.OPERATOR_LEFT = 1;
+TwigExpressionParser.OPERATOR_RIGHT = 2;
+
+module.exports = TwigExpressionParser;
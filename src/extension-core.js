@@ -1,5 +1,2267 @@
-class TwigExtensionCore {
-  
+const TwigExtensionInterface = require('./extension-interface');
+const TwigExpressionParser = require('./expression-parser');
+const TwigFilter = require('./filter');
+const TwigFunction = require('./function');
+const TwigTest = require('./test');
+const TwigMarkup = require('./markup');
+const TwigTemplate = require('./template');
+const TwigErrorLoader = require('./error/loader');
+const TwigErrorRuntime = require('./error/runtime');
+
+const TwigTokenParserApply = require('./token-parser/apply');
+const TwigTokenParserFor = require('./token-parser/for');
+const TwigTokenParserIf = require('./token-parser/if');
+const TwigTokenParserExtends = require('./token-parser/extends');
+const TwigTokenParserInclude = require('./token-parser/include');
+const TwigTokenParserBlock = require('./token-parser/block');
+const TwigTokenParserUse = require('./token-parser/use');
+const TwigTokenParserFilter = require('./token-parser/filter');
+const TwigTokenParserMacro = require('./token-parser/macro');
+const TwigTokenParserImport = require('./token-parser/import');
+const TwigTokenParserFrom = require('./token-parser/from');
+const TwigTokenParserSet = require('./token-parser/set');
+const TwigTokenParserSpaceless = require('./token-parser/spaceless');
+const TwigTokenParserFlush = require('./token-parser/flush');
+const TwigTokenParserDo = require('./token-parser/do');
+const TwigTokenParserEmbed = require('./token-parser/embed');
+const TwigTokenParserWith = require('./token-parser/with');
+const TwigTokenParserDeprecated = require('./token-parser/deprecated');
+
+const TwigNodeExpressionUnaryNot = require('./node/expression/unary/not');
+const TwigNodeExpressionUnaryNeg = require('./node/expression/unary/neg');
+const TwigNodeExpressionUnaryPos = require('./node/expression/unary/pos');
+const TwigNodeExpressionBinaryOr = require('./node/expression/binary/or');
+const TwigNodeExpressionBinaryAnd = require('./node/expression/binary/and');
+const TwigNodeExpressionBinaryBitwiseOr = require('./node/expression/binary/bitwise-or');
+const TwigNodeExpressionBinaryBitwiseXor = require('./node/expression/binary/bitwise-xor');
+const TwigNodeExpressionBinaryBitwiseAnd = require('./node/expression/binary/bitwise-and');
+const TwigNodeExpressionBinaryEqual = require('./node/expression/binary/equal');
+const TwigNodeExpressionBinaryNotEqual = require('./node/expression/binary/not-equal');
+const TwigNodeExpressionBinarySpaceship = require('./node/expression/binary/spaceship');
+const TwigNodeExpressionBinaryLess = require('./node/expression/binary/less');
+const TwigNodeExpressionBinaryGreater = require('./node/expression/binary/greater');
+const TwigNodeExpressionBinaryGreaterEqual = require('./node/expression/binary/greater-equal');
+const TwigNodeExpressionBinaryLessEqual = require('./node/expression/binary/less-equal');
+const TwigNodeExpressionBinaryNotIn = require('./node/expression/binary/not-in');
+const TwigNodeExpressionBinaryIn = require('./node/expression/binary/in');
+const TwigNodeExpressionBinaryMatches = require('./node/expression/binary/matches');
+const TwigNodeExpressionBinaryStartsWith = require('./node/expression/binary/starts-with');
+const TwigNodeExpressionBinaryEndsWith = require('./node/expression/binary/ends-with');
+const TwigNodeExpressionBinaryRange = require('./node/expression/binary/range');
+const TwigNodeExpressionBinaryAdd = require('./node/expression/binary/add');
+const TwigNodeExpressionBinarySub = require('./node/expression/binary/sub');
+const TwigNodeExpressionBinaryConcat = require('./node/expression/binary/concat');
+const TwigNodeExpressionBinaryMul = require('./node/expression/binary/mul');
+const TwigNodeExpressionBinaryDiv = require('./node/expression/binary/div');
+const TwigNodeExpressionBinaryFloorDiv = require('./node/expression/binary/floor-div');
+const TwigNodeExpressionBinaryMod = require('./node/expression/binary/mod');
+const TwigNodeExpressionBinaryPower = require('./node/expression/binary/power');
+const TwigNodeExpressionNullCoalesce = require('./node/expression/null-coalesce');
+const TwigNodeExpressionTestDefined = require('./node/expression/test/defined');
+const TwigNodeExpressionTestNull = require('./node/expression/test/null');
+const TwigNodeExpressionTestEven = require('./node/expression/test/even');
+const TwigNodeExpressionTestOdd = require('./node/expression/test/odd');
+const TwigNodeExpressionTestSameAs = require('./node/expression/test/same-as');
+const TwigNodeExpressionTestDivisibleBy = require('./node/expression/test/divisible-by');
+const TwigNodeExpressionTestConstant = require('./node/expression/test/constant');
+const TwigNodeExpressionFilterDefault = require('./node/expression/filter/default');
+const TwigNodeExpressionConstant = require('./node/expression/constant');
+
+const date = require('./lib/date');
+const get_class = require('./lib/get_class');
+const htmlspecialchars = require('./lib/htmlspecialchars');
+const http_build_query = require('./lib/http_build_query');
+const json_encode = require('./lib/json_encode');
+const number_format = require('./lib/number_format');
+const rawurlencode = require('./lib/rawurlencode');
+const round = require('./lib/round');
+const strip_tags = require('./lib/strip_tags');
+const strtotime = require('./lib/strtotime');
+const strtr = require('./lib/strtr');
+const timezone_offset = require('./lib/timezone_offset');
+const var_dump = require('./lib/var_dump');
+const gettype = require('locutus/php/var/gettype');
+const sprintf = require('locutus/php/strings/sprintf');
+
+const REGEX_NUMERIC = /^[ \t\n\r\v\f]*[+-]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?[ \t\n\r\v\f]*$/;
+
+/**
+ * Returns the type of a variable, as used in the error messages.
+ *
+ * @param {*} $value
+ *
+ * @return {string}
+ */
+let typeOf = function ($value) {
+  return ($value && (typeof $value === 'object')) ? get_class($value) : gettype($value);
+};
+
+/**
+ * Checks if an object has its own string representation, like a PHP object implementing __toString.
+ *
+ * @param {*} $value
+ *
+ * @return {boolean}
+ */
+let hasToString = function ($value) {
+  return !!$value && (typeof $value === 'object') && !Array.isArray($value) && (typeof $value.toString === 'function') && ($value.toString !== Object.prototype.toString);
+};
+
+/**
+ * Checks if a key would be an integer key in a PHP array.
+ *
+ * @param {*} $key
+ *
+ * @return {boolean}
+ */
+let isIntegerKey = function ($key) {
+  return (typeof $key === 'number') ? Number.isInteger($key) : /^(?:0|-?[1-9][0-9]*)$/.test($key);
+};
+
+/**
+ * Returns the [key, value] pairs of a traversable sequence, like PHP iterator_to_array.
+ *
+ * @param {*}       $seq
+ * @param {boolean} $preserveKeys Whether to keep the keys or to index the values from 0
+ *
+ * @return {Array[]}
+ */
+let toEntries = function ($seq, $preserveKeys) {
+  let $entries = Array.from(TwigExtensionCore.entries($seq));
+
+  if (!$preserveKeys) {
+    $entries = $entries.map(function ($entry, $index) {
+      return [$index, $entry[1]];
+    });
+  }
+
+  return $entries;
+};
+
+/**
+ * Renumbers the integer keys of [key, value] pairs from 0 and keeps the string keys, like most of the PHP array functions.
+ *
+ * @param {Array[]} $entries
+ *
+ * @return {Array[]}
+ */
+let renumber = function ($entries) {
+  let $index = 0;
+
+  return $entries.map(function ($entry) {
+    return [isIntegerKey($entry[0]) ? $index++ : $entry[0], $entry[1]];
+  });
+};
+
+/**
+ * Merges [key, value] pairs like PHP array_merge: the integer keys are renumbered and the string keys are overwritten.
+ *
+ * @param {...Array[]} $entries
+ *
+ * @return {Array[]}
+ */
+let mergeEntries = function (...$entries) {
+  let $result = new Map();
+  let $index = 0;
+
+  $entries.forEach(function ($pairs) {
+    $pairs.forEach(function ($entry) {
+      $result.set(isIntegerKey($entry[0]) ? $index++ : $entry[0], $entry[1]);
+    });
+  });
+
+  return Array.from($result);
+};
+
+/**
+ * Builds a sequence from [key, value] pairs: an array when the keys are the consecutive integers starting from 0, a Map otherwise.
+ *
+ * @param {Array[]} $entries
+ *
+ * @return {Array|Map}
+ */
+let fromEntries = function ($entries) {
+  let $isList = $entries.every(function ($entry, $index) {
+    return String($entry[0]) === String($index);
+  });
+
+  if ($isList) {
+    return $entries.map(function ($entry) {
+      return $entry[1];
+    });
+  }
+
+  return new Map($entries);
+};
+
+/**
+ * Returns the bounds of a slice, like PHP array_slice and mb_substr compute them.
+ *
+ * @param {Number} $count   The number of items
+ * @param {Number} $start
+ * @param {Number} [$length]
+ *
+ * @return {Number[]} The start and end indexes
+ */
+let sliceBounds = function ($count, $start, $length) {
+  $start = Math.trunc(Number($start) || 0);
+
+  if ($start < 0) {
+    $start = Math.max(0, $count + $start);
+  }
+
+  let $end = $count;
+
+  if ((null !== $length) && (undefined !== $length)) {
+    $length = Math.trunc(Number($length) || 0);
+    $end = $length < 0 ? $count + $length : $start + $length;
+  }
+
+  return [Math.min($start, $count), Math.max(Math.min($start, $count), Math.min($end, $count))];
+};
+
+/**
+ * Returns the timezone to use to format dates.
+ *
+ * @param {TwigEnvironment}       $env
+ * @param {string|null|boolean}   [$timezone] The timezone, null or false to use the default one
+ *
+ * @return {string}
+ *
+ * @throws {TwigErrorRuntime} When the timezone is unknown
+ */
+let resolveTimezone = function ($env, $timezone) {
+  if ((null === $timezone) || (undefined === $timezone) || (false === $timezone)) {
+    return $env.getExtension('TwigExtensionCore').getTimezone();
+  }
+
+  try {
+    timezone_offset(String($timezone), new Date());
+  }
+  catch (err) {
+    throw new TwigErrorRuntime(sprintf('Unknown or bad timezone (%s).', $timezone));
+  }
+
+  return String($timezone);
+};
+
+/**
+ * Resolves a constant, either a static property of the class of an object or a dotted path
+ * from the public classes of the library or from the global object, like "TwigTemplate.ANY_CALL" or "Math.PI".
+ *
+ * @param {string}  $constant
+ * @param {Object}  [$object]
+ *
+ * @return {Array} Whether the constant is defined, and its value
+ */
+let resolveConstant = function ($constant, $object) {
+  let $path = TwigExtensionCore.strval($constant).split('.');
+  let $value;
+
+  if ((null !== $object) && (undefined !== $object)) {
+    $value = $object.constructor;
+  }
+  else {
+    // required here since the library entry point depends on this module
+    let $classes = require('./index');
+
+    $value = $classes.hasOwnProperty($path[0]) ? $classes : global;
+  }
+
+  for (let $name of $path) {
+    if ((null === $value) || (undefined === $value) || !($name in Object($value))) {
+      return [false, null];
+    }
+
+    $value = $value[$name];
+  }
+
+  return [true, $value];
+};
+
+/**
+ * Escapes a character for the js strategy, into its \xHH or \uHHHH representation.
+ *
+ * @param {string} $char
+ *
+ * @return {string}
+ */
+let escapeJsCharacter = function ($char) {
+  let $codePoint = $char.codePointAt(0);
+
+  // \xHH
+  if ($codePoint < 0x80) {
+    return '\\x' + ('00' + $codePoint.toString(16).toUpperCase()).slice(-2);
+  }
+
+  // \uHHHH, as a surrogate pair outside of the basic multilingual plane
+  return Array.from({length: $char.length}, function ($value, $index) {
+    return '\\u' + ('0000' + $char.charCodeAt($index).toString(16).toUpperCase()).slice(-4);
+  }).join('');
+};
+
+/**
+ * Escapes a character for the css strategy, into its \HH representation.
+ *
+ * @param {string} $char
+ *
+ * @return {string}
+ */
+let escapeCssCharacter = function ($char) {
+  return '\\' + $char.codePointAt(0).toString(16).toUpperCase() + ' ';
+};
+
+/**
+ * The named entities supported by XML, the only ones that can be used in the html_attr strategy.
+ */
+const HTML_ATTR_ENTITIES = new Map([
+  [34, 'quot'], /* quotation mark */
+  [38, 'amp'], /* ampersand */
+  [60, 'lt'], /* less-than sign */
+  [62, 'gt'] /* greater-than sign */
+]);
+
+/**
+ * Escapes a character for the html_attr strategy, into its named or hexadecimal entity.
+ *
+ * @param {string} $char
+ *
+ * @return {string}
+ */
+let escapeHtmlAttrCharacter = function ($char) {
+  let $codePoint = $char.codePointAt(0);
+
+  // replace the characters undefined in HTML with the hex entity for the Unicode replacement character
+  if ((($codePoint <= 0x1f) && !['\t', '\n', '\r'].includes($char)) || (($codePoint >= 0x7f) && ($codePoint <= 0x9f))) {
+    return '&#xFFFD;';
+  }
+
+  if (HTML_ATTR_ENTITIES.has($codePoint)) {
+    return sprintf('&%s;', HTML_ATTR_ENTITIES.get($codePoint));
+  }
+
+  // per OWASP recommendations, use hex entities for any other characters where a named entity does not exist
+  return sprintf('&#x%s;', $codePoint.toString(16).toUpperCase().padStart($codePoint < 0x80 ? 2 : 4, '0'));
+};
+
+/**
+ * The escaping strategies supported natively by the escape filter.
+ */
+const ESCAPING_STRATEGIES = ['html', 'js', 'css', 'html_attr', 'url'];
+
+/**
+ * The encodings supported by the convert_encoding filter, keyed by their normalized name.
+ *
+ * @type {Map<string, string>}
+ */
+const ENCODINGS = new Map([
+  ['utf8', 'utf8'],
+  ['iso88591', 'latin1'],
+  ['latin1', 'latin1'],
+  ['ascii', 'ascii'],
+  ['usascii', 'ascii'],
+  ['utf16le', 'utf16le'],
+  ['ucs2', 'utf16le']
+]);
+
+/**
+ * Provides the core tags, filters, functions, tests and operators of the Twig language.
+ *
+ * The static methods are the runtime helpers used by the compiled templates.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigExtensionCore extends TwigExtensionInterface {
+  constructor() {
+    super();
+
+    this.dateFormats = ['F j, Y H:i', '%d days'];
+    this.numberFormat = [0, '.', ','];
+    this.timezone = null;
+  }
+
+  /**
+   * Sets the default format to be used by the date filter.
+   *
+   * @param {string} [$format]              The default date format string
+   * @param {string} [$dateIntervalFormat]  The default date interval format string
+   */
+  setDateFormat($format, $dateIntervalFormat) {
+    if ((null !== $format) && (undefined !== $format)) {
+      this.dateFormats[0] = $format;
+    }
+
+    if ((null !== $dateIntervalFormat) && (undefined !== $dateIntervalFormat)) {
+      this.dateFormats[1] = $dateIntervalFormat;
+    }
+  }
+
+  /**
+   * Gets the default format to be used by the date filter.
+   *
+   * @return {string[]} The default date format string and the default date interval format string
+   */
+  getDateFormat() {
+    return this.dateFormats;
+  }
+
+  /**
+   * Sets the default timezone to be used by the date filter.
+   *
+   * @param {string} $timezone The default timezone identifier, like "Europe/Paris"
+   */
+  setTimezone($timezone) {
+    this.timezone = $timezone;
+  }
+
+  /**
+   * Gets the default timezone to be used by the date filter, defaulting to the timezone of the process.
+   *
+   * @return {string} The default timezone identifier
+   */
+  getTimezone() {
+    if (null === this.timezone) {
+      this.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    return this.timezone;
+  }
+
+  /**
+   * Sets the default format to be used by the number_format filter.
+   *
+   * @param {Number} $decimal       The number of decimal places to use
+   * @param {string} $decimalPoint  The character(s) to use for the decimal point
+   * @param {string} $thousandSep   The character(s) to use for the thousands separator
+   */
+  setNumberFormat($decimal, $decimalPoint, $thousandSep) {
+    this.numberFormat = [$decimal, $decimalPoint, $thousandSep];
+  }
+
+  /**
+   * Gets the default format used by the number_format filter.
+   *
+   * @return {Array} The number of decimal places, the decimal point and the thousands separator
+   */
+  getNumberFormat() {
+    return this.numberFormat;
+  }
+
+  getTokenParsers() {
+    return [
+      new TwigTokenParserApply(),
+      new TwigTokenParserFor(),
+      new TwigTokenParserIf(),
+      new TwigTokenParserExtends(),
+      new TwigTokenParserInclude(),
+      new TwigTokenParserBlock(),
+      new TwigTokenParserUse(),
+      new TwigTokenParserFilter(),
+      new TwigTokenParserMacro(),
+      new TwigTokenParserImport(),
+      new TwigTokenParserFrom(),
+      new TwigTokenParserSet(),
+      new TwigTokenParserSpaceless(),
+      new TwigTokenParserFlush(),
+      new TwigTokenParserDo(),
+      new TwigTokenParserEmbed(),
+      new TwigTokenParserWith(),
+      new TwigTokenParserDeprecated()
+    ];
+  }
+
+  getFilters() {
+    return [
+      // formatting filters
+      new TwigFilter('date', TwigExtensionCore.dateFormatFilter, {needs_environment: true}),
+      new TwigFilter('date_modify', TwigExtensionCore.dateModifyFilter, {needs_environment: true}),
+      new TwigFilter('format', TwigExtensionCore.formatFilter),
+      new TwigFilter('replace', TwigExtensionCore.replaceFilter),
+      new TwigFilter('number_format', TwigExtensionCore.numberFormatFilter, {needs_environment: true}),
+      new TwigFilter('abs', TwigExtensionCore.abs),
+      new TwigFilter('round', TwigExtensionCore.round),
+
+      // encoding
+      new TwigFilter('url_encode', TwigExtensionCore.urlencodeFilter),
+      new TwigFilter('json_encode', TwigExtensionCore.jsonEncode),
+      new TwigFilter('convert_encoding', TwigExtensionCore.convertEncoding),
+
+      // string filters
+      new TwigFilter('title', TwigExtensionCore.titleStringFilter, {needs_environment: true}),
+      new TwigFilter('capitalize', TwigExtensionCore.capitalizeStringFilter, {needs_environment: true}),
+      new TwigFilter('upper', TwigExtensionCore.upperFilter),
+      new TwigFilter('lower', TwigExtensionCore.lowerFilter),
+      new TwigFilter('striptags', TwigExtensionCore.striptags),
+      new TwigFilter('trim', TwigExtensionCore.trimFilter),
+      new TwigFilter('nl2br', TwigExtensionCore.nl2br, {pre_escape: 'html', is_safe: ['html']}),
+
+      // array helpers
+      new TwigFilter('join', TwigExtensionCore.joinFilter),
+      new TwigFilter('split', TwigExtensionCore.splitFilter, {needs_environment: true}),
+      new TwigFilter('sort', TwigExtensionCore.sortFilter),
+      new TwigFilter('merge', TwigExtensionCore.arrayMerge),
+      new TwigFilter('batch', TwigExtensionCore.arrayBatch),
+      new TwigFilter('filter', TwigExtensionCore.arrayFilter),
+      new TwigFilter('map', TwigExtensionCore.arrayMap),
+      new TwigFilter('reduce', TwigExtensionCore.arrayReduce),
+
+      // string/array filters
+      new TwigFilter('reverse', TwigExtensionCore.reverseFilter, {needs_environment: true}),
+      new TwigFilter('length', TwigExtensionCore.lengthFilter, {needs_environment: true}),
+      new TwigFilter('slice', TwigExtensionCore.slice, {needs_environment: true}),
+      new TwigFilter('first', TwigExtensionCore.first, {needs_environment: true}),
+      new TwigFilter('last', TwigExtensionCore.last, {needs_environment: true}),
+
+      // iteration and runtime
+      new TwigFilter('default', TwigExtensionCore.defaultFilter, {node_class: TwigNodeExpressionFilterDefault}),
+      new TwigFilter('keys', TwigExtensionCore.getArrayKeysFilter),
+
+      // escaping
+      new TwigFilter('escape', TwigExtensionCore.escapeFilter, {needs_environment: true, is_safe_callback: TwigExtensionCore.escapeFilterIsSafe}),
+      new TwigFilter('e', TwigExtensionCore.escapeFilter, {needs_environment: true, is_safe_callback: TwigExtensionCore.escapeFilterIsSafe})
+    ];
+  }
+
+  getFunctions() {
+    return [
+      new TwigFunction('max', TwigExtensionCore.max),
+      new TwigFunction('min', TwigExtensionCore.min),
+      new TwigFunction('range', TwigExtensionCore.range),
+      new TwigFunction('constant', TwigExtensionCore.constant),
+      new TwigFunction('cycle', TwigExtensionCore.cycle),
+      new TwigFunction('random', TwigExtensionCore.random, {needs_environment: true}),
+      new TwigFunction('date', TwigExtensionCore.dateConverter, {needs_environment: true}),
+      new TwigFunction('include', TwigExtensionCore.include, {needs_environment: true, needs_context: true, is_safe: ['all']}),
+      new TwigFunction('source', TwigExtensionCore.source, {needs_environment: true, is_safe: ['all']}),
+      new TwigFunction('template_from_string', TwigExtensionCore.templateFromString, {needs_environment: true}),
+      new TwigFunction('dump', TwigExtensionCore.varDump, {needs_environment: true, needs_context: true, is_safe: ['html'], is_variadic: true})
+    ];
+  }
+
+  getTests() {
+    return [
+      new TwigTest('even', null, {node_class: TwigNodeExpressionTestEven}),
+      new TwigTest('odd', null, {node_class: TwigNodeExpressionTestOdd}),
+      new TwigTest('defined', null, {node_class: TwigNodeExpressionTestDefined}),
+      new TwigTest('same as', null, {node_class: TwigNodeExpressionTestSameAs}),
+      new TwigTest('none', null, {node_class: TwigNodeExpressionTestNull}),
+      new TwigTest('null', null, {node_class: TwigNodeExpressionTestNull}),
+      new TwigTest('divisible by', null, {node_class: TwigNodeExpressionTestDivisibleBy}),
+      new TwigTest('constant', null, {node_class: TwigNodeExpressionTestConstant}),
+      new TwigTest('empty', TwigExtensionCore.testEmpty),
+      new TwigTest('iterable', TwigExtensionCore.isIterable)
+    ];
+  }
+
+  getOperators() {
+    return [
+      new Map([
+        ['not', {precedence: 50, class: TwigNodeExpressionUnaryNot}],
+        ['-', {precedence: 500, class: TwigNodeExpressionUnaryNeg}],
+        ['+', {precedence: 500, class: TwigNodeExpressionUnaryPos}]
+      ]),
+      new Map([
+        ['or', {precedence: 10, class: TwigNodeExpressionBinaryOr, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['and', {precedence: 15, class: TwigNodeExpressionBinaryAnd, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['b-or', {precedence: 16, class: TwigNodeExpressionBinaryBitwiseOr, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['b-xor', {precedence: 17, class: TwigNodeExpressionBinaryBitwiseXor, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['b-and', {precedence: 18, class: TwigNodeExpressionBinaryBitwiseAnd, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['==', {precedence: 20, class: TwigNodeExpressionBinaryEqual, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['!=', {precedence: 20, class: TwigNodeExpressionBinaryNotEqual, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['<=>', {precedence: 20, class: TwigNodeExpressionBinarySpaceship, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['<', {precedence: 20, class: TwigNodeExpressionBinaryLess, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['>', {precedence: 20, class: TwigNodeExpressionBinaryGreater, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['>=', {precedence: 20, class: TwigNodeExpressionBinaryGreaterEqual, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['<=', {precedence: 20, class: TwigNodeExpressionBinaryLessEqual, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['not in', {precedence: 20, class: TwigNodeExpressionBinaryNotIn, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['in', {precedence: 20, class: TwigNodeExpressionBinaryIn, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['matches', {precedence: 20, class: TwigNodeExpressionBinaryMatches, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['starts with', {precedence: 20, class: TwigNodeExpressionBinaryStartsWith, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['ends with', {precedence: 20, class: TwigNodeExpressionBinaryEndsWith, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['..', {precedence: 25, class: TwigNodeExpressionBinaryRange, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['+', {precedence: 30, class: TwigNodeExpressionBinaryAdd, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['-', {precedence: 30, class: TwigNodeExpressionBinarySub, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['~', {precedence: 40, class: TwigNodeExpressionBinaryConcat, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['*', {precedence: 60, class: TwigNodeExpressionBinaryMul, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['/', {precedence: 60, class: TwigNodeExpressionBinaryDiv, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['//', {precedence: 60, class: TwigNodeExpressionBinaryFloorDiv, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['%', {precedence: 60, class: TwigNodeExpressionBinaryMod, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['is', {precedence: 100, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['is not', {precedence: 100, associativity: TwigExpressionParser.OPERATOR_LEFT}],
+        ['**', {precedence: 200, class: TwigNodeExpressionBinaryPower, associativity: TwigExpressionParser.OPERATOR_RIGHT}],
+        ['??', {precedence: 300, class: TwigNodeExpressionNullCoalesce, associativity: TwigExpressionParser.OPERATOR_RIGHT}]
+      ])
+    ];
+  }
+
+  /**
+   * Converts a value to a boolean the way PHP does: null, false, 0, "", "0" and empty arrays are falsy.
+   *
+   * @param {*} $value
+   *
+   * @return {boolean}
+   */
+  static boolval($value) {
+    if (Array.isArray($value)) {
+      return $value.length > 0;
+    }
+
+    if ($value instanceof Map) {
+      return $value.size > 0;
+    }
+
+    return !!$value && ('0' !== $value);
+  }
+
+  /**
+   * Converts a value to a string the way PHP does.
+   *
+   * @param {*} $value
+   *
+   * @return {string}
+   */
+  static strval($value) {
+    if ((null === $value) || (undefined === $value) || (false === $value)) {
+      return '';
+    }
+
+    if (true === $value) {
+      return '1';
+    }
+
+    if (typeof $value === 'number') {
+      if (isNaN($value)) {
+        return 'NAN';
+      }
+
+      if (!isFinite($value)) {
+        return $value > 0 ? 'INF' : '-INF';
+      }
+    }
+
+    if (Array.isArray($value) || ($value instanceof Map)) {
+      return 'Array';
+    }
+
+    return String($value);
+  }
+
+  /**
+   * Compares two values the way the PHP 8 spaceship operator does.
+   *
+   * @param {*} $a
+   * @param {*} $b
+   *
+   * @return {Number} -1, 0 or 1
+   */
+  static compare($a, $b) {
+    let spaceship = function ($left, $right) {
+      return $left < $right ? -1 : ($left > $right ? 1 : 0);
+    };
+
+    let isNumeric = function ($value) {
+      return REGEX_NUMERIC.test($value);
+    };
+
+    let isArray = function ($value) {
+      return Array.isArray($value) || ($value instanceof Map);
+    };
+
+    if (undefined === $a) {
+      $a = null;
+    }
+
+    if (undefined === $b) {
+      $b = null;
+    }
+
+    if ((null === $a) && (typeof $b === 'string')) {
+      return spaceship('', $b);
+    }
+
+    if ((typeof $a === 'string') && (null === $b)) {
+      return spaceship($a, '');
+    }
+
+    if ((null === $a) || (null === $b) || (typeof $a === 'boolean') || (typeof $b === 'boolean')) {
+      return spaceship(TwigExtensionCore.boolval($a) ? 1 : 0, TwigExtensionCore.boolval($b) ? 1 : 0);
+    }
+
+    if ((typeof $a === 'string') && (typeof $b === 'string')) {
+      if (isNumeric($a) && isNumeric($b)) {
+        return spaceship(Number($a), Number($b));
+      }
+
+      return spaceship($a, $b);
+    }
+
+    if ((typeof $a === 'number') && (typeof $b === 'string')) {
+      if (isNaN($a)) {
+        return 1;
+      }
+
+      if (!isNumeric($b)) {
+        return spaceship(TwigExtensionCore.strval($a), $b);
+      }
+
+      return spaceship($a, Number($b));
+    }
+
+    if ((typeof $a === 'string') && (typeof $b === 'number')) {
+      return -TwigExtensionCore.compare($b, $a);
+    }
+
+    if ((typeof $a === 'number') && (typeof $b === 'number')) {
+      // NAN is not equal to anything, itself included
+      if (isNaN($a) || isNaN($b)) {
+        return 1;
+      }
+
+      return spaceship($a, $b);
+    }
+
+    if (isArray($a) && isArray($b)) {
+      let $left = new Map(Array.isArray($a) ? $a.entries() : $a);
+      let $right = new Map(Array.isArray($b) ? $b.entries() : $b);
+
+      if ($left.size !== $right.size) {
+        return spaceship($left.size, $right.size);
+      }
+
+      for (let [$key, $value] of $left) {
+        if (!$right.has($key)) {
+          return 1;
+        }
+
+        let $result = TwigExtensionCore.compare($value, $right.get($key));
+
+        if (0 !== $result) {
+          return $result;
+        }
+      }
+
+      return 0;
+    }
+
+    if (isArray($a)) {
+      return 1;
+    }
+
+    if (isArray($b)) {
+      return -1;
+    }
+
+    if (($a instanceof Date) && ($b instanceof Date)) {
+      return spaceship($a.getTime(), $b.getTime());
+    }
+
+    return $a === $b ? 0 : 1;
+  }
+
+  /**
+   * Checks if a variable is contained in a sequence, a mapping, an iterable or a string.
+   *
+   * @param {*} $value   A variable
+   * @param {*} $compare A sequence, a mapping, an iterable or a string
+   *
+   * @return {boolean} true if the value is in the compared variable, false otherwise
+   */
+  static inFilter($value, $compare) {
+    if (typeof $compare === 'string') {
+      if ((typeof $value === 'string') || (typeof $value === 'number')) {
+        return ('' === $value) || $compare.includes(TwigExtensionCore.strval($value));
+      }
+
+      return false;
+    }
+
+    if (!$compare || (typeof $compare !== 'object')) {
+      return false;
+    }
+
+    let $values;
+
+    if ($compare instanceof Map) {
+      $values = $compare.values();
+    }
+    else if (typeof $compare[Symbol.iterator] === 'function') {
+      $values = $compare;
+    }
+    else if (Object.getPrototypeOf($compare) === Object.prototype) {
+      $values = Object.keys($compare).map(function ($key) {
+        return $compare[$key];
+      });
+    }
+    else {
+      return false;
+    }
+
+    let $strict = $value && (typeof $value === 'object');
+
+    for (let $item of $values) {
+      if ($strict ? $item === $value : 0 === TwigExtensionCore.compare($item, $value)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks if a string matches a PCRE regular expression, like "/^foo/i".
+   *
+   * @param {string} $regexp
+   * @param {string} $str
+   *
+   * @return {boolean}
+   *
+   * @throws {TwigErrorRuntime} When the regular expression is invalid
+   */
+  static matches($regexp, $str) {
+    $regexp = TwigExtensionCore.strval($regexp);
+
+    let $delimiter = $regexp.charAt(0);
+    let $closingDelimiters = new Map([['(', ')'], ['{', '}'], ['[', ']'], ['<', '>']]);
+    let $end = $regexp.lastIndexOf($closingDelimiters.has($delimiter) ? $closingDelimiters.get($delimiter) : $delimiter);
+
+    if (!$delimiter || /[a-zA-Z0-9\\\s]/.test($delimiter) || ($end < 1)) {
+      throw new TwigErrorRuntime(sprintf('Invalid regular expression "%s".', $regexp));
+    }
+
+    let $flags = '';
+
+    $regexp.substr($end + 1).split('').forEach(function ($modifier) {
+      if ('imsu'.includes($modifier)) {
+        $flags += $modifier;
+      }
+    });
+
+    let $pattern;
+
+    try {
+      $pattern = new RegExp($regexp.substring(1, $end), $flags);
+    }
+    catch (err) {
+      throw new TwigErrorRuntime(sprintf('Invalid regular expression "%s".', $regexp));
+    }
+
+    return $pattern.test(TwigExtensionCore.strval($str));
+  }
+
+  /**
+   * @param {*} $left
+   * @param {*} $right
+   *
+   * @return {boolean}
+   */
+  static startsWith($left, $right) {
+    return (typeof $left === 'string') && (typeof $right === 'string') && $left.startsWith($right);
+  }
+
+  /**
+   * @param {*} $left
+   * @param {*} $right
+   *
+   * @return {boolean}
+   */
+  static endsWith($left, $right) {
+    return (typeof $left === 'string') && (typeof $right === 'string') && $left.endsWith($right);
+  }
+
+  /**
+   * Creates an array containing a range of numbers or letters, like PHP range().
+   *
+   * @param {Number|string} $low
+   * @param {Number|string} $high
+   * @param {Number}        [$step]
+   *
+   * @return {Array}
+   */
+  static range($low, $high, $step) {
+    $step = Math.abs(undefined === $step ? 1 : Number($step)) || 1;
+
+    let $letters = (typeof $low === 'string') && (typeof $high === 'string') && ($low.length > 0) && ($high.length > 0) && !REGEX_NUMERIC.test($low) && !REGEX_NUMERIC.test($high);
+    let $from = $letters ? $low.charCodeAt(0) : Number($low);
+    let $to = $letters ? $high.charCodeAt(0) : Number($high);
+    let $result = [];
+
+    if ($from > $to) {
+      for (let $i = $from; $i >= $to; $i -= $step) {
+        $result.push($i);
+      }
+    }
+    else {
+      for (let $i = $from; $i <= $to; $i += $step) {
+        $result.push($i);
+      }
+    }
+
+    if ($letters) {
+      $result = $result.map(function ($code) {
+        return String.fromCharCode($code);
+      });
+    }
+
+    return $result;
+  }
+
+  /**
+   * Checks if a variable is traversable: an array, a Map, a plain object or an iterable.
+   *
+   * Strings are not considered traversable.
+   *
+   * @param {*} $value
+   *
+   * @return {boolean}
+   */
+  static isIterable($value) {
+    if (!$value || (typeof $value !== 'object')) {
+      return false;
+    }
+
+    return (typeof $value[Symbol.iterator] === 'function') || TwigExtensionCore.isHash($value);
+  }
+
+  /**
+   * Checks if a variable is a plain object, used as a hash.
+   *
+   * @param {*} $value
+   *
+   * @return {boolean}
+   */
+  static isHash($value) {
+    if (!$value || (typeof $value !== 'object')) {
+      return false;
+    }
+
+    let $prototype = Object.getPrototypeOf($value);
+
+    return (null === $prototype) || (Object.prototype === $prototype);
+  }
+
+  /**
+   * Returns the sequence itself if it is traversable, an empty array otherwise.
+   *
+   * @param {*} $seq
+   *
+   * @return {*}
+   */
+  static ensureTraversable($seq) {
+    if (TwigExtensionCore.isIterable($seq)) {
+      return $seq;
+    }
+
+    return [];
+  }
+
+  /**
+   * Checks if the number of items of a sequence is known without iterating over it.
+   *
+   * @param {*} $seq
+   *
+   * @return {boolean}
+   */
+  static isCountable($seq) {
+    return Array.isArray($seq) || ($seq instanceof Map) || ($seq instanceof Set) || TwigExtensionCore.isHash($seq);
+  }
+
+  /**
+   * Returns the number of items of a countable sequence.
+   *
+   * @param {Array|Map|Set|Object} $seq
+   *
+   * @return {Number}
+   */
+  static count($seq) {
+    if (Array.isArray($seq)) {
+      return $seq.length;
+    }
+
+    if (($seq instanceof Map) || ($seq instanceof Set)) {
+      return $seq.size;
+    }
+
+    return Object.keys($seq).length;
+  }
+
+  /**
+   * Returns an iterator over the [key, value] pairs of a traversable sequence.
+   *
+   * Arrays and generic iterables are keyed by their index, Maps and plain objects by their keys.
+   *
+   * @param {*} $seq
+   *
+   * @return {Iterator}
+   */
+  static *entries($seq) {
+    if (Array.isArray($seq) || ($seq instanceof Map)) {
+      yield* $seq.entries();
+    }
+    else if (TwigExtensionCore.isHash($seq)) {
+      for (let $key of Object.keys($seq)) {
+        yield [$key, $seq[$key]];
+      }
+    }
+    else if (TwigExtensionCore.isIterable($seq)) {
+      let $index = 0;
+
+      for (let $value of $seq) {
+        yield [$index++, $value];
+      }
+    }
+  }
+
+  /**
+   * Converts a traversable sequence to a Map.
+   *
+   * @param {*} $seq
+   *
+   * @return {Map}
+   */
+  static toMap($seq) {
+    if ($seq instanceof Map) {
+      return $seq;
+    }
+
+    return new Map(TwigExtensionCore.entries($seq));
+  }
+
+  /**
+   * Checks if a variable is empty.
+   *
+   * <pre>
+   * {# evaluates to true if the foo variable is null, false, or the empty string #}
+   * {% if foo is empty %}
+   *     {# ... #}
+   * {% endif %}
+   * </pre>
+   *
+   * @param {*} $value A variable
+   *
+   * @return {boolean} true if the value is empty, false otherwise
+   */
+  static testEmpty($value) {
+    if (TwigExtensionCore.isCountable($value)) {
+      return 0 === TwigExtensionCore.count($value);
+    }
+
+    if ($value && (typeof $value.count === 'function')) {
+      return 0 == $value.count();
+    }
+
+    if (hasToString($value)) {
+      return '' === String($value);
+    }
+
+    return ('' === $value) || (false === $value) || (null === $value) || (undefined === $value);
+  }
+
+  /**
+   * Converts an input to a Date.
+   *
+   * <pre>
+   *   {% if date(user.created_at) < date('-2days') %}
+   *     {# do something #}
+   *   {% endif %}
+   * </pre>
+   *
+   * @param {TwigEnvironment}     $env
+   * @param {Date|string|Number}  [$date] A date, a timestamp or a string understood by strtotime, defaults to now
+   *
+   * @return {Date}
+   *
+   * @throws {TwigErrorRuntime} When the date can't be parsed
+   */
+  static dateConverter($env, $date) {
+    if ($date instanceof Date) {
+      return new Date($date.getTime());
+    }
+
+    if ((null === $date) || (undefined === $date) || ('now' === $date)) {
+      return new Date();
+    }
+
+    let $asString = TwigExtensionCore.strval($date);
+    let $result;
+
+    if (/^-?[0-9]+$/.test($asString)) {
+      $result = strtotime('@' + $asString, new Date(), 'UTC');
+    }
+    else {
+      $result = strtotime($asString, new Date(), $env.getExtension('TwigExtensionCore').getTimezone());
+    }
+
+    if (null === $result) {
+      throw new TwigErrorRuntime(sprintf('Failed to parse time string (%s).', $asString));
+    }
+
+    return $result;
+  }
+
+  /**
+   * Converts a date to the given format.
+   *
+   * <pre>
+   *   {{ post.published_at|date("m/d/Y") }}
+   * </pre>
+   *
+   * @param {TwigEnvironment}     $env
+   * @param {Date|string|Number}  $date       A date
+   * @param {string}              [$format]   The target format, using the PHP date format characters, null to use the default
+   * @param {string|null|boolean} [$timezone] The target timezone, null or false to use the default
+   *
+   * @return {string} The formatted date
+   */
+  static dateFormatFilter($env, $date, $format, $timezone) {
+    if ((null === $format) || (undefined === $format)) {
+      $format = $env.getExtension('TwigExtensionCore').getDateFormat()[0];
+    }
+
+    return date(TwigExtensionCore.strval($format), TwigExtensionCore.dateConverter($env, $date), resolveTimezone($env, $timezone));
+  }
+
+  /**
+   * Returns a new date object modified.
+   *
+   * <pre>
+   *   {{ post.published_at|date_modify("-1day")|date("m/d/Y") }}
+   * </pre>
+   *
+   * @param {TwigEnvironment}     $env
+   * @param {Date|string|Number}  $date     A date
+   * @param {string}              $modifier A modifier string, like "+1 day"
+   *
+   * @return {Date} A new date object
+   *
+   * @throws {TwigErrorRuntime} When the modifier can't be parsed
+   */
+  static dateModifyFilter($env, $date, $modifier) {
+    let $result = strtotime(TwigExtensionCore.strval($modifier), TwigExtensionCore.dateConverter($env, $date), resolveTimezone($env, null));
+
+    if (null === $result) {
+      throw new TwigErrorRuntime(sprintf('Failed to parse time string (%s).', $modifier));
+    }
+
+    return $result;
+  }
+
+  /**
+   * Returns a formatted string.
+   *
+   * @param {string}  $format
+   * @param {...*}    $values
+   *
+   * @return {string}
+   */
+  static formatFilter($format, ...$values) {
+    return sprintf(TwigExtensionCore.strval($format), ...$values.map(function ($value) {
+      return typeof $value === 'number' ? $value : TwigExtensionCore.strval($value);
+    }));
+  }
+
+  /**
+   * Replaces strings within a string.
+   *
+   * @param {string}          $str  String to replace in
+   * @param {Map|Array|Object} $from Replace values
+   *
+   * @return {string}
+   *
+   * @throws {TwigErrorRuntime} When the replace values are not traversable
+   */
+  static replaceFilter($str, $from) {
+    if (!TwigExtensionCore.isIterable($from)) {
+      throw new TwigErrorRuntime(sprintf('The "replace" filter expects an array or "Traversable" as replace values, got "%s".', typeOf($from)));
+    }
+
+    let $pairs = new Map();
+
+    for (let [$key, $value] of TwigExtensionCore.entries($from)) {
+      $pairs.set($key, TwigExtensionCore.strval($value));
+    }
+
+    return strtr(TwigExtensionCore.strval($str), $pairs);
+  }
+
+  /**
+   * Number format filter.
+   *
+   * All of the formatting options can be left null, in that case the defaults will
+   * be used. Supplying any of the parameters will override the defaults set in the
+   * environment object.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $number       A float/int/string of the number to format
+   * @param {Number}          [$decimal]    The number of decimal points to display
+   * @param {string}          [$decimalPoint] The character(s) to use for the decimal point
+   * @param {string}          [$thousandSep]  The character(s) to use for the thousands separator
+   *
+   * @return {string} The formatted number
+   */
+  static numberFormatFilter($env, $number, $decimal, $decimalPoint, $thousandSep) {
+    let $defaults = $env.getExtension('TwigExtensionCore').getNumberFormat();
+
+    if ((null === $decimal) || (undefined === $decimal)) {
+      $decimal = $defaults[0];
+    }
+
+    if ((null === $decimalPoint) || (undefined === $decimalPoint)) {
+      $decimalPoint = $defaults[1];
+    }
+
+    if ((null === $thousandSep) || (undefined === $thousandSep)) {
+      $thousandSep = $defaults[2];
+    }
+
+    return number_format($number, $decimal, $decimalPoint, $thousandSep);
+  }
+
+  /**
+   * Returns the absolute value of a number.
+   *
+   * @param {*} $number
+   *
+   * @return {Number}
+   */
+  static abs($number) {
+    return Math.abs(Number($number) || 0);
+  }
+
+  /**
+   * Rounds a number.
+   *
+   * @param {*}       $value      The value to round
+   * @param {Number}  [$precision] The rounding precision
+   * @param {string}  [$method]   The method to use for rounding: "common", "ceil" or "floor"
+   *
+   * @return {Number} The rounded number
+   *
+   * @throws {TwigErrorRuntime} When the method is not supported
+   */
+  static round($value, $precision, $method) {
+    $precision = Number($precision) || 0;
+
+    if ((null === $method) || (undefined === $method) || ('common' === $method)) {
+      return round($value, $precision);
+    }
+
+    if (('ceil' !== $method) && ('floor' !== $method)) {
+      throw new TwigErrorRuntime('The round filter only supports the "common", "ceil", and "floor" methods.');
+    }
+
+    return Math[$method](Number($value) * Math.pow(10, $precision)) / Math.pow(10, $precision);
+  }
+
+  /**
+   * URL encodes (RFC 3986) a string as a path segment or an array as a query string.
+   *
+   * @param {string|Map|Array|Object} $url A URL or a hash of query parameters
+   *
+   * @return {string} The URL encoded value
+   */
+  static urlencodeFilter($url) {
+    if (Array.isArray($url) || ($url instanceof Map) || TwigExtensionCore.isHash($url)) {
+      return http_build_query($url);
+    }
+
+    return rawurlencode(TwigExtensionCore.strval($url));
+  }
+
+  /**
+   * Returns the JSON representation of a value.
+   *
+   * @param {*}       $value
+   * @param {Number}  [$options] A bitmask of the PHP JSON_* constants
+   *
+   * @return {string}
+   */
+  static jsonEncode($value, $options) {
+    return json_encode($value, $options);
+  }
+
+  /**
+   * Converts a string from one encoding to another.
+   *
+   * As strings are unicode, a string in UTF-8 is its text, and a string in any other encoding is a binary string,
+   * each character holding one byte.
+   *
+   * @param {string} $string  A string
+   * @param {string} $to      The target encoding
+   * @param {string} $from    The source encoding
+   *
+   * @return {string}
+   *
+   * @throws {TwigErrorRuntime} When an encoding is not supported
+   */
+  static convertEncoding($string, $to, $from) {
+    let $encodings = [$from, $to].map(function ($encoding) {
+      let $normalized = TwigExtensionCore.strval($encoding).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+      if (!ENCODINGS.has($normalized)) {
+        throw new TwigErrorRuntime(sprintf('The "%s" encoding is not supported.', $encoding));
+      }
+
+      return ENCODINGS.get($normalized);
+    });
+
+    let $text = Buffer.from(TwigExtensionCore.strval($string), 'utf8' === $encodings[0] ? 'utf8' : 'latin1').toString($encodings[0]);
+
+    if ('utf8' === $encodings[1]) {
+      return $text;
+    }
+
+    return Buffer.from($text, $encodings[1]).toString('latin1');
+  }
+
+  /**
+   * Returns a titlecased string.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {string}          $string A string
+   *
+   * @return {string} The titlecased string
+   */
+  static titleStringFilter($env, $string) {
+    let $isWordCharacter = function ($character) {
+      return ($character.toLowerCase() !== $character.toUpperCase()) || /[0-9'’]/.test($character);
+    };
+
+    let $previous = '';
+
+    return Array.from(TwigExtensionCore.strval($string).toLowerCase()).map(function ($character) {
+      let $result = $isWordCharacter($previous) ? $character : $character.toUpperCase();
+
+      $previous = $character;
+
+      return $result;
+    }).join('');
+  }
+
+  /**
+   * Returns a capitalized string.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {string}          $string A string
+   *
+   * @return {string} The capitalized string
+   */
+  static capitalizeStringFilter($env, $string) {
+    let $characters = Array.from(TwigExtensionCore.strval($string));
+
+    return $characters.slice(0, 1).join('').toUpperCase() + $characters.slice(1).join('').toLowerCase();
+  }
+
+  /**
+   * Converts a string to uppercase.
+   *
+   * @param {string} $string A string
+   *
+   * @return {string}
+   */
+  static upperFilter($string) {
+    return TwigExtensionCore.strval($string).toUpperCase();
+  }
+
+  /**
+   * Converts a string to lowercase.
+   *
+   * @param {string} $string A string
+   *
+   * @return {string}
+   */
+  static lowerFilter($string) {
+    return TwigExtensionCore.strval($string).toLowerCase();
+  }
+
+  /**
+   * Strips HTML and PHP tags from a string.
+   *
+   * @param {string}  $string
+   * @param {string}  [$allowableTags] The tags which should not be stripped, like "<a><b>"
+   *
+   * @return {string}
+   */
+  static striptags($string, $allowableTags) {
+    return strip_tags(TwigExtensionCore.strval($string), $allowableTags);
+  }
+
+  /**
+   * Returns a trimmed string.
+   *
+   * @param {string} $string
+   * @param {string} [$characterMask] The characters to strip, ranges like "a..z" being supported
+   * @param {string} [$side]          The side to trim: "left", "right" or "both"
+   *
+   * @return {string}
+   *
+   * @throws {TwigErrorRuntime} When an invalid trimming side is used
+   */
+  static trimFilter($string, $characterMask, $side) {
+    let $characters;
+
+    if ((null === $characterMask) || (undefined === $characterMask)) {
+      $characters = ' \t\n\r\0\x0B';
+    }
+    else {
+      $characters = TwigExtensionCore.strval($characterMask).replace(/([\s\S])\.\.([\s\S])/g, function ($match, $from, $to) {
+        return TwigExtensionCore.range($from, $to).join('');
+      });
+    }
+
+    let $value = TwigExtensionCore.strval($string);
+    let $start = 0;
+    let $end = $value.length;
+
+    if ((null === $side) || (undefined === $side)) {
+      $side = 'both';
+    }
+
+    switch ($side) {
+      case 'both':
+      case 'left':
+      case 'right':
+        break;
+      default:
+        throw new TwigErrorRuntime('Trimming side must be "left", "right" or "both".');
+    }
+
+    if ('right' !== $side) {
+      while (($start < $end) && $characters.includes($value.charAt($start))) {
+        $start++;
+      }
+    }
+
+    if ('left' !== $side) {
+      while (($end > $start) && $characters.includes($value.charAt($end - 1))) {
+        $end--;
+      }
+    }
+
+    return $value.substring($start, $end);
+  }
+
+  /**
+   * Inserts HTML line breaks before all newlines in a string.
+   *
+   * @param {string} $string
+   *
+   * @return {string}
+   */
+  static nl2br($string) {
+    return TwigExtensionCore.strval($string).replace(/(\r\n|\n\r|\n|\r)/g, '<br />$1');
+  }
+
+  /**
+   * Joins the values to a string.
+   *
+   * The separators between elements are empty strings per default, you can define them with the optional parameters.
+   *
+   * <pre>
+   *  {{ [1, 2, 3]|join(', ', ' and ') }}
+   *  {# returns 1, 2 and 3 #}
+   *
+   *  {{ [1, 2, 3]|join('|') }}
+   *  {# returns 1|2|3 #}
+   * </pre>
+   *
+   * @param {*}       $value  A sequence
+   * @param {string}  [$glue] The separator
+   * @param {string}  [$and]  The separator for the last pair
+   *
+   * @return {string} The concatenated string
+   */
+  static joinFilter($value, $glue, $and) {
+    let $values;
+
+    if (TwigExtensionCore.isIterable($value)) {
+      $values = toEntries($value, false).map(function ($entry) {
+        return TwigExtensionCore.strval($entry[1]);
+      });
+    }
+    else {
+      $values = ((null === $value) || (undefined === $value)) ? [] : [TwigExtensionCore.strval($value)];
+    }
+
+    $glue = TwigExtensionCore.strval($glue);
+
+    if ((null === $and) || (undefined === $and)) {
+      $and = $glue;
+    }
+
+    if ($values.length < 2) {
+      return $values.join('');
+    }
+
+    return $values.slice(0, -1).join($glue) + TwigExtensionCore.strval($and) + $values[$values.length - 1];
+  }
+
+  /**
+   * Splits the string into an array.
+   *
+   * <pre>
+   *  {{ "one,two,three"|split(',') }}
+   *  {# returns [one, two, three] #}
+   *
+   *  {{ "one,two,three,four,five"|split(',', 3) }}
+   *  {# returns [one, two, "three,four,five"] #}
+   *
+   *  {{ "123"|split('') }}
+   *  {# returns [1, 2, 3] #}
+   *
+   *  {{ "aabbcc"|split('', 2) }}
+   *  {# returns [aa, bb, cc] #}
+   * </pre>
+   *
+   * @param {TwigEnvironment} $env
+   * @param {string}          $value      A string
+   * @param {string}          $delimiter  The delimiter
+   * @param {Number}          [$limit]    The limit
+   *
+   * @return {string[]} The split string as an array
+   */
+  static splitFilter($env, $value, $delimiter, $limit) {
+    $value = TwigExtensionCore.strval($value);
+
+    let $hasLimit = (null !== $limit) && (undefined !== $limit);
+
+    $limit = Math.trunc(Number($limit) || 0);
+
+    if (TwigExtensionCore.boolval($delimiter)) {
+      $delimiter = TwigExtensionCore.strval($delimiter);
+
+      let $parts = $value.split($delimiter);
+
+      if (!$hasLimit) {
+        return $parts;
+      }
+
+      if ($limit < 0) {
+        return $parts.slice(0, $limit);
+      }
+
+      $limit = Math.max(1, $limit);
+
+      return $parts.slice(0, $limit - 1).concat($parts.length >= $limit ? [$parts.slice($limit - 1).join($delimiter)] : []);
+    }
+
+    let $characters = Array.from($value);
+
+    if ($limit <= 1) {
+      return $characters.length ? $characters : [''];
+    }
+
+    if ($characters.length < $limit) {
+      return [$value];
+    }
+
+    let $result = [];
+
+    for (let $i = 0; $i < $characters.length; $i += $limit) {
+      $result.push($characters.slice($i, $i + $limit).join(''));
+    }
+
+    return $result;
+  }
+
+  /**
+   * Sorts a sequence by its values, keeping the keys.
+   *
+   * <pre>
+   *   {{ products|sort((a, b) => a.price <=> b.price) }}
+   * </pre>
+   *
+   * @param {*}         $array    A sequence
+   * @param {Function}  [$arrow]  The comparison callable, returning a number like the <=> operator does
+   *
+   * @return {Array|Map}
+   *
+   * @throws {TwigErrorRuntime} When the value is not traversable
+   */
+  static sortFilter($array, $arrow) {
+    if (!TwigExtensionCore.isIterable($array)) {
+      throw new TwigErrorRuntime(sprintf('The sort filter only works with arrays or "Traversable", got "%s".', typeOf($array)));
+    }
+
+    return fromEntries(toEntries($array, true).sort(function ($a, $b) {
+      if ($arrow) {
+        return Math.trunc(Number($arrow($a[1], $b[1]))) || 0;
+      }
+
+      return TwigExtensionCore.compare($a[1], $b[1]);
+    }));
+  }
+
+  /**
+   * Merges two sequences.
+   *
+   * <pre>
+   *  {% set items = { 'apple': 'fruit', 'orange': 'fruit' } %}
+   *
+   *  {% set items = items|merge({ 'peugeot': 'car' }) %}
+   *
+   *  {# items now contains { 'apple': 'fruit', 'orange': 'fruit', 'peugeot': 'car' } #}
+   * </pre>
+   *
+   * @param {*} $arr1 A sequence
+   * @param {*} $arr2 A sequence
+   *
+   * @return {Array|Map} The merged sequence
+   *
+   * @throws {TwigErrorRuntime} When a value is not traversable
+   */
+  static arrayMerge($arr1, $arr2) {
+    if (!TwigExtensionCore.isIterable($arr1)) {
+      throw new TwigErrorRuntime(sprintf('The merge filter only works with arrays or "Traversable", got "%s" as first argument.', typeOf($arr1)));
+    }
+
+    if (!TwigExtensionCore.isIterable($arr2)) {
+      throw new TwigErrorRuntime(sprintf('The merge filter only works with arrays or "Traversable", got "%s" as second argument.', typeOf($arr2)));
+    }
+
+    return fromEntries(mergeEntries(toEntries($arr1, true), toEntries($arr2, true)));
+  }
+
+  /**
+   * Batches items.
+   *
+   * @param {*}       $items          A sequence
+   * @param {Number}  $size           The size of the batch
+   * @param {*}       [$fill]         A value used to fill missing items
+   * @param {boolean} [$preserveKeys] Whether to keep the keys of the items
+   *
+   * @return {Array}
+   *
+   * @throws {TwigErrorRuntime} When the items are not a sequence or the size is not a positive number
+   */
+  static arrayBatch($items, $size, $fill, $preserveKeys) {
+    if (!TwigExtensionCore.isIterable($items)) {
+      throw new TwigErrorRuntime(sprintf('The batch filter only works with arrays or "Traversable", got "%s".', typeOf($items)));
+    }
+
+    let $chunkSize = Math.ceil(Number($size));
+
+    if (!($chunkSize >= 1)) {
+      throw new TwigErrorRuntime(sprintf('The batch size must be greater than 0, got "%s".', String($size)));
+    }
+
+    let $entries = toEntries($items, false !== $preserveKeys);
+    let $chunks = [];
+
+    for (let $i = 0; $i < $entries.length; $i += $chunkSize) {
+      $chunks.push($entries.slice($i, $i + $chunkSize));
+    }
+
+    if ((null !== $fill) && (undefined !== $fill) && $chunks.length) {
+      let $last = $chunks.length - 1;
+      let $fillCount = $chunkSize - $chunks[$last].length;
+
+      if ($fillCount) {
+        let $filling = [];
+
+        for (let $i = 0; $i < $fillCount; $i++) {
+          $filling.push([$i, $fill]);
+        }
+
+        $chunks[$last] = mergeEntries($chunks[$last], $filling);
+      }
+    }
+
+    return $chunks.map(fromEntries);
+  }
+
+  /**
+   * Filters the items of a sequence with a callable.
+   *
+   * @param {*}         $array  A sequence
+   * @param {Function}  $arrow  The callable, called with the value and the key of each item
+   *
+   * @return {Array|Map|Iterator} The filtered sequence, lazy if the sequence is a generic iterable
+   */
+  static arrayFilter($array, $arrow) {
+    if (TwigExtensionCore.isCountable($array)) {
+      return fromEntries(toEntries($array, true).filter(function ($entry) {
+        return TwigExtensionCore.boolval($arrow($entry[1], $entry[0]));
+      }));
+    }
+
+    return (function* () {
+      for (let [$key, $value] of TwigExtensionCore.entries($array)) {
+        if (TwigExtensionCore.boolval($arrow($value, $key))) {
+          yield $value;
+        }
+      }
+    })();
+  }
+
+  /**
+   * Applies a callable to the items of a sequence.
+   *
+   * @param {*}         $array  A sequence
+   * @param {Function}  $arrow  The callable, called with the value and the key of each item
+   *
+   * @return {Array|Map} The mapped sequence, keeping the keys
+   */
+  static arrayMap($array, $arrow) {
+    return fromEntries(toEntries($array, true).map(function ($entry) {
+      return [$entry[0], $arrow($entry[1], $entry[0])];
+    }));
+  }
+
+  /**
+   * Reduces a sequence to a single value with a callable.
+   *
+   * @param {*}         $array      A sequence
+   * @param {Function}  $arrow      The callable, called with the carried value and the value of each item
+   * @param {*}         [$initial]  The initial value
+   *
+   * @return {*}
+   */
+  static arrayReduce($array, $arrow, $initial) {
+    return toEntries($array, true).reduce(function ($carry, $entry) {
+      return $arrow($carry, $entry[1]);
+    }, (undefined === $initial) ? null : $initial);
+  }
+
+  /**
+   * Reverses a variable.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $item           A sequence or a string
+   * @param {boolean}         [$preserveKeys] Whether to preserve the integer keys or not
+   *
+   * @return {*} The reversed input
+   */
+  static reverseFilter($env, $item, $preserveKeys) {
+    if (TwigExtensionCore.isIterable($item)) {
+      let $entries = toEntries($item, true).reverse();
+
+      return fromEntries($preserveKeys ? $entries : renumber($entries));
+    }
+
+    return Array.from(TwigExtensionCore.strval($item)).reverse().join('');
+  }
+
+  /**
+   * Returns the length of a variable.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $thing A variable
+   *
+   * @return {Number} The length of the value
+   */
+  static lengthFilter($env, $thing) {
+    if ((null === $thing) || (undefined === $thing)) {
+      return 0;
+    }
+
+    if (typeof $thing !== 'object') {
+      return Array.from(TwigExtensionCore.strval($thing)).length;
+    }
+
+    let $isCountable = TwigExtensionCore.isCountable($thing) || (typeof $thing.count === 'function');
+
+    if (hasToString($thing) && !$isCountable) {
+      return Array.from(String($thing)).length;
+    }
+
+    if (TwigExtensionCore.isCountable($thing)) {
+      return TwigExtensionCore.count($thing);
+    }
+
+    if ($isCountable) {
+      return Number($thing.count());
+    }
+
+    if (TwigExtensionCore.isIterable($thing)) {
+      return Array.from($thing).length;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Slices a variable.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $item           A sequence or a string
+   * @param {Number}          $start          Start of the slice
+   * @param {Number}          [$length]       Size of the slice
+   * @param {boolean}         [$preserveKeys] Whether to preserve the integer keys or not
+   *
+   * @return {*} The sliced variable
+   */
+  static slice($env, $item, $start, $length, $preserveKeys) {
+    if (TwigExtensionCore.isIterable($item)) {
+      let $entries = toEntries($item, true);
+      let $bounds = sliceBounds($entries.length, $start, $length);
+
+      $entries = $entries.slice($bounds[0], $bounds[1]);
+
+      return fromEntries($preserveKeys ? $entries : renumber($entries));
+    }
+
+    let $characters = Array.from(TwigExtensionCore.strval($item));
+    let $bounds = sliceBounds($characters.length, $start, $length);
+
+    return $characters.slice($bounds[0], $bounds[1]).join('');
+  }
+
+  /**
+   * Returns the first element of the item.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $item A variable
+   *
+   * @return {*} The first element of the item, false if it is empty
+   */
+  static first($env, $item) {
+    let $elements = TwigExtensionCore.slice($env, $item, 0, 1, false);
+
+    if (typeof $elements === 'string') {
+      return $elements;
+    }
+
+    for (let $entry of TwigExtensionCore.entries($elements)) {
+      return $entry[1];
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns the last element of the item.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $item A variable
+   *
+   * @return {*} The last element of the item, false if it is empty
+   */
+  static last($env, $item) {
+    let $elements = TwigExtensionCore.slice($env, $item, -1, 1, false);
+
+    if (typeof $elements === 'string') {
+      return $elements;
+    }
+
+    for (let $entry of TwigExtensionCore.entries($elements)) {
+      return $entry[1];
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns the default value when the value is empty.
+   *
+   * @param {*} $value    A variable
+   * @param {*} [$default] The default value
+   *
+   * @return {*}
+   */
+  static defaultFilter($value, $default) {
+    if (TwigExtensionCore.testEmpty($value)) {
+      return ((null === $default) || (undefined === $default)) ? '' : $default;
+    }
+
+    return $value;
+  }
+
+  /**
+   * Returns the keys for the given sequence.
+   *
+   * It is useful when you want to iterate over the keys of a sequence:
+   *
+   * <pre>
+   *  {% for key in array|keys %}
+   *      {# ... #}
+   *  {% endfor %}
+   * </pre>
+   *
+   * @param {*} $array A sequence
+   *
+   * @return {Array} The keys
+   */
+  static getArrayKeysFilter($array) {
+    return toEntries(TwigExtensionCore.ensureTraversable($array), true).map(function ($entry) {
+      return $entry[0];
+    });
+  }
+
+  /**
+   * Escapes a string.
+   *
+   * Strings are unicode in javascript, so the charset is only passed along to the custom escapers.
+   *
+   * @see TwigExtensionEscaper.setEscaper()
+   * @see TwigExtensionEscaper.addSafeClass()
+   *
+   * @param {TwigEnvironment} $env
+   * @param {*}               $string       The value to be escaped
+   * @param {string}          [$strategy]   The escaping strategy: html, js, css, html_attr, url or a custom one
+   * @param {string}          [$charset]    The charset
+   * @param {boolean}         [$autoescape] Whether the function is called by the auto-escaping feature (true) or by the developer (false)
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorRuntime} When the strategy is not supported
+   */
+  static escapeFilter($env, $string, $strategy, $charset, $autoescape) {
+    if ((null === $strategy) || (undefined === $strategy)) {
+      $strategy = 'html';
+    }
+
+    if ($autoescape && ($string instanceof TwigMarkup)) {
+      return $string;
+    }
+
+    if (typeof $string !== 'string') {
+      if (hasToString($string)) {
+        if ($autoescape && $env.getExtension('TwigExtensionEscaper').isSafeObject($string, $strategy)) {
+          return String($string);
+        }
+
+        $string = String($string);
+      }
+      else if (ESCAPING_STRATEGIES.includes($strategy)) {
+        return $string;
+      }
+    }
+
+    if ((null === $charset) || (undefined === $charset)) {
+      $charset = $env.getCharset();
+    }
+
+    switch ($strategy) {
+      case 'html':
+        return htmlspecialchars(TwigExtensionCore.strval($string));
+
+      case 'js':
+        // escape all non-alphanumeric characters into their \xHH or \uHHHH representations
+        $string = TwigExtensionCore.strval($string);
+
+        if (/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/.test($string)) {
+          throw new TwigErrorRuntime('The string to escape is not a valid UTF-8 string.');
+        }
+
+        return $string.replace(/[^a-zA-Z0-9,._]/gu, escapeJsCharacter);
+
+      case 'css':
+        return TwigExtensionCore.strval($string).replace(/[^a-zA-Z0-9]/gu, escapeCssCharacter);
+
+      case 'html_attr':
+        return TwigExtensionCore.strval($string).replace(/[^a-zA-Z0-9,.\-_]/gu, escapeHtmlAttrCharacter);
+
+      case 'url':
+        return rawurlencode(TwigExtensionCore.strval($string));
+
+      default:
+        let $escapers = $env.getExtension('TwigExtensionEscaper').getEscapers();
+
+        if ($escapers.has($strategy)) {
+          return $escapers.get($strategy)($env, $string, $charset);
+        }
+
+        throw new TwigErrorRuntime(sprintf('Invalid escaping strategy "%s" (valid ones: %s).', $strategy, ESCAPING_STRATEGIES.concat(Array.from($escapers.keys())).join(', ')));
+    }
+  }
+
+  /**
+   * Returns the strategies for which the output of the escape filter is safe.
+   *
+   * @param {TwigNode} $filterArgs
+   *
+   * @return {string[]}
+   *
+   * @internal
+   */
+  static escapeFilterIsSafe($filterArgs) {
+    for (let $arg of $filterArgs.$nodes.values()) {
+      if ($arg instanceof TwigNodeExpressionConstant) {
+        return [$arg.getAttribute('value')];
+      }
+
+      return [];
+    }
+
+    return ['html'];
+  }
+
+  /**
+   * Returns the highest value of a sequence or of the arguments.
+   *
+   * @param {...*} $values
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorRuntime} When there is no value
+   */
+  static max(...$values) {
+    if ((1 === $values.length) && TwigExtensionCore.isIterable($values[0])) {
+      $values = toEntries($values[0], false).map(function ($entry) {
+        return $entry[1];
+      });
+    }
+
+    if (!$values.length) {
+      throw new TwigErrorRuntime('max(): Argument #1 ($value) must contain at least one element.');
+    }
+
+    return $values.reduce(function ($max, $value) {
+      return TwigExtensionCore.compare($value, $max) > 0 ? $value : $max;
+    });
+  }
+
+  /**
+   * Returns the lowest value of a sequence or of the arguments.
+   *
+   * @param {...*} $values
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorRuntime} When there is no value
+   */
+  static min(...$values) {
+    if ((1 === $values.length) && TwigExtensionCore.isIterable($values[0])) {
+      $values = toEntries($values[0], false).map(function ($entry) {
+        return $entry[1];
+      });
+    }
+
+    if (!$values.length) {
+      throw new TwigErrorRuntime('min(): Argument #1 ($value) must contain at least one element.');
+    }
+
+    return $values.reduce(function ($min, $value) {
+      return TwigExtensionCore.compare($value, $min) < 0 ? $value : $min;
+    });
+  }
+
+  /**
+   * Provides the ability to get constants from instances as well as class/global constants.
+   *
+   * @param {string} $constant  The name of the constant, a dotted path like "Math.PI" for a global one
+   * @param {Object} [$object]  The object to get the constant from, as a static property of its class
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorRuntime} When the constant is not defined
+   */
+  static constant($constant, $object) {
+    let $result = resolveConstant($constant, $object);
+
+    if (!$result[0]) {
+      throw new TwigErrorRuntime(sprintf('Undefined constant "%s".', $constant));
+    }
+
+    return $result[1];
+  }
+
+  /**
+   * Checks if a constant exists.
+   *
+   * @param {string} $constant  The name of the constant
+   * @param {Object} [$object]  The object to get the constant from
+   *
+   * @return {boolean}
+   */
+  static constantIsDefined($constant, $object) {
+    return resolveConstant($constant, $object)[0];
+  }
+
+  /**
+   * Cycles over a value.
+   *
+   * @param {*}       $values
+   * @param {Number}  $position The cycle position
+   *
+   * @return {*} The next value in the cycle
+   *
+   * @throws {TwigErrorRuntime} When the sequence is empty
+   */
+  static cycle($values, $position) {
+    if (!Array.isArray($values) && !($values instanceof Map) && !TwigExtensionCore.isHash($values)) {
+      return $values;
+    }
+
+    let $items = toEntries($values, false);
+
+    if (!$items.length) {
+      throw new TwigErrorRuntime('The "cycle" function does not work on empty sequences.');
+    }
+
+    return $items[$position % $items.length][1];
+  }
+
+  /**
+   * Returns a random value depending on the supplied parameter type:
+   * - a random item from a sequence;
+   * - a random character from a string;
+   * - a random integer between 0 and the integer parameter, or between the two integer parameters.
+   *
+   * @param {TwigEnvironment}     $env
+   * @param {*}                   [$values] The values to pick a random item from
+   * @param {Number}              [$max]    Maximum value used when $values is an integer
+   *
+   * @return {*} A random value from the given sequence
+   *
+   * @throws {TwigErrorRuntime} When the sequence is empty
+   */
+  static random($env, $values, $max) {
+    let $randomInt = function ($from, $to) {
+      $from = Math.trunc($from);
+      $to = Math.trunc($to);
+
+      if ($from > $to) {
+        [$from, $to] = [$to, $from];
+      }
+
+      return $from + Math.floor(Math.random() * ($to - $from + 1));
+    };
+
+    let $hasMax = (null !== $max) && (undefined !== $max);
+
+    if ((null === $values) || (undefined === $values)) {
+      return $randomInt(0, $hasMax ? Number($max) : 2147483647);
+    }
+
+    if (typeof $values === 'number') {
+      if ($hasMax) {
+        return $randomInt($values, Number($max));
+      }
+
+      return $values < 0 ? $randomInt($values, 0) : $randomInt(0, $values);
+    }
+
+    if (typeof $values === 'string') {
+      if ('' === $values) {
+        return '';
+      }
+
+      $values = Array.from($values);
+    }
+
+    if (!TwigExtensionCore.isIterable($values)) {
+      return $values;
+    }
+
+    let $items = toEntries($values, false);
+
+    if (!$items.length) {
+      throw new TwigErrorRuntime('The random function cannot pick from an empty array.');
+    }
+
+    return $items[$randomInt(0, $items.length - 1)][1];
+  }
+
+  /**
+   * Renders a template.
+   *
+   * @param {TwigEnvironment}       $env
+   * @param {Map}                   $context
+   * @param {string|string[]}       $template       The template to render or an array of templates to try consecutively
+   * @param {Map|Object}            [$variables]    The variables to pass to the template
+   * @param {boolean}               [$withContext]  Whether to pass the current context variables or not
+   * @param {boolean}               [$ignoreMissing] Whether to ignore missing templates or not
+   *
+   * @return {string|null} The rendered template
+   *
+   * @throws {TwigErrorLoader} When the template can't be found and missing templates are not ignored
+   */
+  static include($env, $context, $template, $variables, $withContext, $ignoreMissing) {
+    $variables = TwigExtensionCore.toMap(TwigExtensionCore.ensureTraversable($variables));
+
+    if (false !== $withContext) {
+      $variables = new Map([...$context, ...$variables]);
+    }
+
+    let $loaded;
+
+    try {
+      $loaded = $env.resolveTemplate($template);
+    }
+    catch ($e) {
+      if (!($e instanceof TwigErrorLoader) || !$ignoreMissing) {
+        throw $e;
+      }
+
+      return null;
+    }
+
+    return $loaded.render($variables);
+  }
+
+  /**
+   * Returns a template content without rendering it.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {string}          $name           The template name
+   * @param {boolean}         [$ignoreMissing] Whether to ignore missing templates or not
+   *
+   * @return {string|null} The template source
+   *
+   * @throws {TwigErrorLoader} When the template can't be found and missing templates are not ignored
+   */
+  static source($env, $name, $ignoreMissing) {
+    try {
+      return $env.getLoader().getSourceContext($name).getCode();
+    }
+    catch ($e) {
+      if (!($e instanceof TwigErrorLoader) || !$ignoreMissing) {
+        throw $e;
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Loads a template from a string.
+   *
+   * <pre>
+   * {{ include(template_from_string("Hello {{ name }}")) }}
+   * </pre>
+   *
+   * @param {TwigEnvironment} $env
+   * @param {string}          $template A template as a string
+   *
+   * @return {TwigTemplate}
+   */
+  static templateFromString($env, $template) {
+    return $env.createTemplate(TwigExtensionCore.strval($template));
+  }
+
+  /**
+   * Dumps variables in the format of the PHP var_dump function, in debug mode only.
+   *
+   * Without arguments, all the variables of the context are dumped.
+   *
+   * @param {TwigEnvironment} $env
+   * @param {Map}             $context
+   * @param {...*}            $vars
+   *
+   * @return {string|null}
+   */
+  static varDump($env, $context, ...$vars) {
+    if (!$env.isDebug()) {
+      return null;
+    }
+
+    if (!$vars.length) {
+      let $values = new Map();
+
+      $context.forEach(function ($value, $key) {
+        if (!($value instanceof TwigTemplate)) {
+          $values.set($key, $value);
+        }
+      });
+
+      return var_dump($values);
+    }
+
+    return $vars.map(function ($var) {
+      return var_dump($var);
+    }).join('');
+  }
 }
 
-module.exports = TwigExtensionCore;
\ No newline at end of file
+module.exports = TwigExtensionCore;
@@ -1,5 +1,165 @@
-class TwigExtensionEscaper {
-  
+const TwigExtensionInterface = require('./extension-interface');
+const TwigFilter = require('./filter');
+const TwigTokenParserAutoEscape = require('./token-parser/auto-escape');
+const TwigNodeVisitorEscaper = require('./node-visitor/escaper');
+const TwigFileExtensionEscapingStrategy = require('./file-extension-escaping-strategy');
+
+/**
+ * Provides the output escaping features.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigExtensionEscaper extends TwigExtensionInterface {
+  /**
+   * @param {string|boolean|Function} [$defaultStrategy] An escaping strategy
+   *
+   * @see setDefaultStrategy()
+   */
+  constructor($defaultStrategy) {
+    super();
+
+    this.escapers = new Map();
+    this.safeClasses = new Map();
+
+    this.setDefaultStrategy(undefined === $defaultStrategy ? 'html' : $defaultStrategy);
+  }
+
+  getTokenParsers() {
+    return [
+      new TwigTokenParserAutoEscape()
+    ];
+  }
+
+  getNodeVisitors() {
+    return [
+      new TwigNodeVisitorEscaper()
+    ];
+  }
+
+  getFilters() {
+    return [
+      new TwigFilter('raw', TwigExtensionEscaper.rawFilter, {is_safe: ['all']})
+    ];
+  }
+
+  /**
+   * Sets the default strategy to use when not defined by the user.
+   *
+   * The strategy can be a callable that takes the template
+   * name as an argument and returns the strategy to use,
+   * or "name" to guess it from the extension of the template name.
+   *
+   * @param {string|boolean|Function} $defaultStrategy An escaping strategy, false to disable escaping
+   */
+  setDefaultStrategy($defaultStrategy) {
+    // for BC
+    if (true === $defaultStrategy) {
+      $defaultStrategy = 'html';
+    }
+
+    if ('name' === $defaultStrategy) {
+      $defaultStrategy = TwigFileExtensionEscapingStrategy.guess;
+    }
+
+    this.defaultStrategy = $defaultStrategy;
+  }
+
+  /**
+   * Gets the default strategy to use when not defined by the user.
+   *
+   * @param {string} $name The template name
+   *
+   * @return {string|boolean} The default strategy to use for the template
+   */
+  getDefaultStrategy($name) {
+    if (typeof this.defaultStrategy === 'function') {
+      return this.defaultStrategy($name);
+    }
+
+    return this.defaultStrategy;
+  }
+
+  /**
+   * Defines a new escaper to be used via the escape filter.
+   *
+   * @param {string}    $strategy The strategy name that should be used as a strategy in the escape call
+   * @param {Function}  $callable A callable taking the environment, the value to escape and the charset, and returning the escaped value
+   */
+  setEscaper($strategy, $callable) {
+    this.escapers.set($strategy, $callable);
+  }
+
+  /**
+   * Gets all defined escapers.
+   *
+   * @return {Map<string, Function>} The escapers, keyed by strategy
+   */
+  getEscapers() {
+    return this.escapers;
+  }
+
+  /**
+   * Sets the classes whose instances are not escaped by the auto-escaping.
+   *
+   * @param {Map<Function, string[]>} [$safeClasses] The strategies for which the instances are safe, keyed by class
+   */
+  setSafeClasses($safeClasses) {
+    let self = this;
+
+    this.safeClasses = new Map();
+
+    ($safeClasses || new Map()).forEach(function ($strategies, $class) {
+      self.addSafeClass($class, $strategies);
+    });
+  }
+
+  /**
+   * Marks the instances of a class, and of its subclasses, as safe for some strategies.
+   *
+   * Only the instances with their own string representation are concerned, and only by the auto-escaping:
+   * they are still escaped by an explicit call to the escape filter.
+   *
+   * @param {Function}  $class      The class
+   * @param {string[]}  $strategies The strategies, "all" for all of them
+   */
+  addSafeClass($class, $strategies) {
+    let $safe = this.safeClasses.get($class) || [];
+
+    this.safeClasses.set($class, $safe.concat($strategies.filter(function ($strategy) {
+      return !$safe.includes($strategy);
+    })));
+  }
+
+  /**
+   * Checks whether an object is an instance of a safe class for the given strategy.
+   *
+   * @param {Object} $object
+   * @param {string} $strategy
+   *
+   * @return {boolean}
+   *
+   * @internal
+   */
+  isSafeObject($object, $strategy) {
+    for (let [$class, $strategies] of this.safeClasses) {
+      if (($object instanceof $class) && ($strategies.includes($strategy) || $strategies.includes('all'))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Marks a variable as being safe.
+   *
+   * @param {*} $string A variable
+   *
+   * @return {*}
+   */
+  static rawFilter($string) {
+    return $string;
+  }
 }
 
-module.exports = TwigExtensionEscaper;
\ No newline at end of file
+module.exports = TwigExtensionEscaper;
@@ -1,5 +1,65 @@
+/**
+ * Interface implemented by extension classes.
+ *
+ * Extensions only have to override the methods related to what they provide,
+ * the default implementations returning nothing.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigExtensionInterface {
+  /**
+   * Returns the token parser instances to add to the existing list.
+   *
+   * @return {TwigTokenParserInterface[]}
+   */
+  getTokenParsers() {
+    return [];
+  }
 
+  /**
+   * Returns the node visitor instances to add to the existing list.
+   *
+   * @return {TwigNodeVisitorInterface[]}
+   */
+  getNodeVisitors() {
+    return [];
+  }
+
+  /**
+   * Returns a list of filters to add to the existing list.
+   *
+   * @return {TwigFilter[]}
+   */
+  getFilters() {
+    return [];
+  }
+
+  /**
+   * Returns a list of tests to add to the existing list.
+   *
+   * @return {TwigTest[]}
+   */
+  getTests() {
+    return [];
+  }
+
+  /**
+   * Returns a list of functions to add to the existing list.
+   *
+   * @return {TwigFunction[]}
+   */
+  getFunctions() {
+    return [];
+  }
+
+  /**
+   * Returns a list of operators to add to the existing list.
+   *
+   * @return {Array} First element is a Map of unary operators, second one a Map of binary operators
+   */
+  getOperators() {
+    return [];
+  }
 }
 
-module.exports = TwigExtensionInterface;
\ No newline at end of file
+module.exports = TwigExtensionInterface;
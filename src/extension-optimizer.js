@@ -1,5 +1,31 @@
-class TwigExtensionOptimizer {
-  
+const TwigExtensionInterface = require('./extension-interface');
+const TwigNodeVisitorOptimizer = require('./node-visitor/optimizer');
+
+/**
+ * Provides the template optimizations.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigExtensionOptimizer extends TwigExtensionInterface {
+  /**
+   * @param {Number} [$optimizations] The optimizations to apply
+   */
+  constructor($optimizations) {
+    super();
+
+    this.optimizations = undefined === $optimizations ? -1 : $optimizations;
+  }
+
+  getNodeVisitors() {
+    // the print nodes are optimized in every mode but the one disabling all optimizations
+    if (TwigNodeVisitorOptimizer.OPTIMIZE_NONE === this.optimizations) {
+      return [];
+    }
+
+    return [
+      new TwigNodeVisitorOptimizer(this.optimizations)
+    ];
+  }
 }
 
-module.exports = TwigExtensionOptimizer;
\ No newline at end of file
+module.exports = TwigExtensionOptimizer;
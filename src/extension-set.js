@@ -1,5 +1,556 @@
+const TwigExtensionStaging = require('./extension/staging');
+const get_class = require('./lib/get_class');
+
+const fs = require('fs');
+const sprintf = require('locutus/php/strings/sprintf');
+const preg_quote = require('locutus/php/pcre/preg_quote');
+
+/**
+ * Returns the path of the module exporting a class, if any.
+ *
+ * @param {Function} $class
+ *
+ * @return {string|null}
+ */
+let getModuleFilename = function ($class) {
+  for (let $module of Object.values(require.cache)) {
+    if ($module.exports === $class) {
+      return $module.filename;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds a callable whose name is a pattern matching the given name, like "*_path" for "asset_path".
+ *
+ * The parts of the name matched by the wildcards are set as the callable arguments.
+ *
+ * @param {Map<string, TwigFilter|TwigFunction>}  $callables
+ * @param {string}                                $name
+ *
+ * @return {TwigFilter|TwigFunction|boolean} The callable or false if no pattern matches
+ */
+let matchDynamicCallable = function ($callables, $name) {
+  for (let [$pattern, $callable] of $callables) {
+    if (!$pattern.includes('*')) {
+      continue;
+    }
+
+    let $matches = new RegExp('^' + preg_quote($pattern, '#').replace(/\\\*/g, '(.*?)') + '$').exec($name);
+
+    if ($matches) {
+      $callable.setArguments($matches.slice(1));
+
+      return $callable;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Holds the extensions registered on an environment.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
 class TwigExtensionSet {
+  constructor() {
+    this.extensions = new Map();
+    this.initialized = false;
+    this.staging = new TwigExtensionStaging();
+    this.parsers = null;
+    this.visitors = null;
+    this.filters = null;
+    this.tests = null;
+    this.functions = null;
+    this.unaryOperators = null;
+    this.binaryOperators = null;
+    this.globals = null;
+    this.functionCallbacks = [];
+    this.filterCallbacks = [];
+    this.lastModified = null;
+    this.runtimeInitialized = false;
+  }
+
+  /**
+   * Initializes the runtime of the extensions implementing initRuntime(), only once.
+   *
+   * @param {TwigEnvironment} $env
+   */
+  initRuntime($env) {
+    if (this.runtimeInitialized) {
+      return;
+    }
+
+    this.runtimeInitialized = true;
+
+    this.extensions.forEach(function ($extension) {
+      if (typeof $extension.initRuntime === 'function') {
+        $extension.initRuntime($env);
+      }
+    });
+  }
+
+  /**
+   * Returns true if the given extension is registered.
+   *
+   * @param {string} $class The extension class name
+   *
+   * @return {boolean}
+   */
+  hasExtension($class) {
+    return this.extensions.has($class);
+  }
+
+  /**
+   * Gets an extension by class name.
+   *
+   * @param {string} $class The extension class name
+   *
+   * @return {TwigExtensionInterface}
+   */
+  getExtension($class) {
+    if (!this.extensions.has($class)) {
+      throw new Error(sprintf('The "%s" extension is not enabled.', $class));
+    }
+
+    return this.extensions.get($class);
+  }
+
+  /**
+   * Registers an array of extensions.
+   *
+   * @param {TwigExtensionInterface[]} $extensions
+   */
+  setExtensions($extensions) {
+    let self = this;
+
+    $extensions.forEach(function ($extension) {
+      self.addExtension($extension);
+    });
+  }
+
+  /**
+   * Returns all registered extensions.
+   *
+   * @return {Map<TwigExtensionInterface>}
+   */
+  getExtensions() {
+    return this.extensions;
+  }
+
+  /**
+   * @return {string}
+   */
+  getSignature() {
+    return JSON.stringify(Array.from(this.extensions.keys()));
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isInitialized() {
+    return this.initialized;
+  }
+
+  /**
+   * Returns the last modification time of the modules declaring the extensions.
+   *
+   * @return {Number} The timestamp in milliseconds, 0 if no module could be found
+   */
+  getLastModified() {
+    if (null !== this.lastModified) {
+      return this.lastModified;
+    }
+
+    let $lastModified = 0;
+
+    this.extensions.forEach(function ($extension) {
+      let $filename = getModuleFilename($extension.constructor);
+
+      if ($filename && fs.existsSync($filename)) {
+        $lastModified = Math.max($lastModified, fs.statSync($filename).mtime.getTime());
+      }
+    });
+
+    if (this.initialized) {
+      this.lastModified = $lastModified;
+    }
+
+    return $lastModified;
+  }
+
+  /**
+   * @param {TwigExtensionInterface} $extension
+   *
+   * @throws {Error} When the extensions have already been initialized or when the extension is already registered
+   */
+  addExtension($extension) {
+    let $class = get_class($extension);
+
+    if (this.initialized) {
+      throw new Error(sprintf('Unable to register extension "%s" as extensions have already been initialized.', $class));
+    }
+
+    if (this.extensions.has($class)) {
+      throw new Error(sprintf('Unable to register extension "%s" as it is already registered.', $class));
+    }
+
+    this.extensions.set($class, $extension);
+  }
+
+  /**
+   * @param {TwigFunction} $function
+   */
+  addFunction($function) {
+    if (this.initialized) {
+      throw new Error(sprintf('Unable to add function "%s" as extensions have already been initialized.', $function.getName()));
+    }
+
+    this.staging.addFunction($function);
+  }
+
+  /**
+   * Gets the registered functions.
+   *
+   * @return {Map<TwigFunction>}
+   */
+  getFunctions() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.functions;
+  }
+
+  /**
+   * Gets a function by name.
+   *
+   * @param {string} $name The function name
+   *
+   * @return {TwigFunction|boolean} A TwigFunction instance or false if the function does not exist
+   */
+  getFunction($name) {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    if (this.functions.has($name)) {
+      return this.functions.get($name);
+    }
+
+    let $function = matchDynamicCallable(this.functions, $name);
+
+    if (false !== $function) {
+      return $function;
+    }
+
+    for (let $callback of this.functionCallbacks) {
+      if (false !== ($function = $callback($name))) {
+        return $function;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Registers a callback called with the name of the functions that are not registered.
+   *
+   * @param {Function} $callable A callable returning a TwigFunction instance, or false
+   */
+  registerUndefinedFunctionCallback($callable) {
+    this.functionCallbacks.push($callable);
+  }
+
+  /**
+   * @param {TwigFilter} $filter
+   */
+  addFilter($filter) {
+    if (this.initialized) {
+      throw new Error(sprintf('Unable to add filter "%s" as extensions have already been initialized.', $filter.getName()));
+    }
+
+    this.staging.addFilter($filter);
+  }
+
+  /**
+   * Gets the registered filters.
+   *
+   * @return {Map<TwigFilter>}
+   */
+  getFilters() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.filters;
+  }
+
+  /**
+   * Gets a filter by name.
+   *
+   * @param {string} $name The filter name
+   *
+   * @return {TwigFilter|boolean} A TwigFilter instance or false if the filter does not exist
+   */
+  getFilter($name) {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    if (this.filters.has($name)) {
+      return this.filters.get($name);
+    }
+
+    let $filter = matchDynamicCallable(this.filters, $name);
+
+    if (false !== $filter) {
+      return $filter;
+    }
+
+    for (let $callback of this.filterCallbacks) {
+      if (false !== ($filter = $callback($name))) {
+        return $filter;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Registers a callback called with the name of the filters that are not registered.
+   *
+   * @param {Function} $callable A callable returning a TwigFilter instance, or false
+   */
+  registerUndefinedFilterCallback($callable) {
+    this.filterCallbacks.push($callable);
+  }
+
+  /**
+   * @param {TwigNodeVisitorInterface} $visitor
+   */
+  addNodeVisitor($visitor) {
+    if (this.initialized) {
+      throw new Error('Unable to add a node visitor as extensions have already been initialized.');
+    }
+
+    this.staging.addNodeVisitor($visitor);
+  }
+
+  /**
+   * Gets the registered node visitors.
+   *
+   * @return {TwigNodeVisitorInterface[]}
+   */
+  getNodeVisitors() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.visitors;
+  }
+
+  /**
+   * @param {TwigTokenParserInterface} $parser
+   */
+  addTokenParser($parser) {
+    if (this.initialized) {
+      throw new Error('Unable to add a token parser as extensions have already been initialized.');
+    }
+
+    this.staging.addTokenParser($parser);
+  }
+
+  /**
+   * Gets the registered token parsers.
+   *
+   * @return {TwigTokenParserInterface[]}
+   */
+  getTokenParsers() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.parsers;
+  }
+
+  /**
+   * @param {TwigTest} $test
+   */
+  addTest($test) {
+    if (this.initialized) {
+      throw new Error(sprintf('Unable to add test "%s" as extensions have already been initialized.', $test.getName()));
+    }
+
+    this.staging.addTest($test);
+  }
+
+  /**
+   * Gets the registered tests.
+   *
+   * @return {Map<TwigTest>}
+   */
+  getTests() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.tests;
+  }
+
+  /**
+   * Gets a test by name.
+   *
+   * @param {string} $name The test name
+   *
+   * @return {TwigTest|boolean} A TwigTest instance or false if the test does not exist
+   */
+  getTest($name) {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    if (this.tests.has($name)) {
+      return this.tests.get($name);
+    }
+
+    return false;
+  }
+
+  /**
+   * Gets the globals of the extensions implementing getGlobals().
+   *
+   * @return {Map} A Map of globals
+   */
+  getGlobals() {
+    if (null !== this.globals) {
+      return this.globals;
+    }
+
+    let $globals = new Map();
+
+    this.extensions.forEach(function ($extension) {
+      if (typeof $extension.getGlobals !== 'function') {
+        return;
+      }
+
+      let $extGlobals = $extension.getGlobals();
+
+      if (!($extGlobals instanceof Map)) {
+        throw new Error(sprintf('"%s.getGlobals()" must return a Map with globals.', get_class($extension)));
+      }
+
+      $extGlobals.forEach(function ($value, $name) {
+        $globals.set($name, $value);
+      });
+    });
+
+    if (this.initialized) {
+      this.globals = $globals;
+    }
+
+    return $globals;
+  }
+
+  /**
+   * Gets the registered unary Operators.
+   *
+   * @return {Map} A Map of unary operators
+   */
+  getUnaryOperators() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.unaryOperators;
+  }
+
+  /**
+   * Gets the registered binary Operators.
+   *
+   * @return {Map} A Map of binary operators
+   */
+  getBinaryOperators() {
+    if (!this.initialized) {
+      this.initExtensions();
+    }
+
+    return this.binaryOperators;
+  }
+
+  /**
+   * @private
+   */
+  initExtensions() {
+    let self = this;
+
+    this.parsers = [];
+    this.filters = new Map();
+    this.functions = new Map();
+    this.tests = new Map();
+    this.visitors = [];
+    this.unaryOperators = new Map();
+    this.binaryOperators = new Map();
+
+    this.extensions.forEach(function ($extension) {
+      self.initExtension($extension);
+    });
+
+    this.initExtension(this.staging);
+
+    // done at the end only, so that an exception during initialization does not mark the environment as initialized when catching the exception
+    this.initialized = true;
+  }
+
+  /**
+   * @param {TwigExtensionInterface} $extension
+   *
+   * @private
+   */
+  initExtension($extension) {
+    let self = this;
+
+    $extension.getFilters().forEach(function ($filter) {
+      self.filters.set($filter.getName(), $filter);
+    });
+
+    $extension.getFunctions().forEach(function ($function) {
+      self.functions.set($function.getName(), $function);
+    });
+
+    $extension.getTests().forEach(function ($test) {
+      self.tests.set($test.getName(), $test);
+    });
+
+    $extension.getTokenParsers().forEach(function ($parser) {
+      self.parsers.push($parser);
+    });
+
+    $extension.getNodeVisitors().forEach(function ($visitor) {
+      self.visitors.push($visitor);
+    });
+
+    let $operators = $extension.getOperators();
+
+    if ($operators.length) {
+      if (2 !== $operators.length) {
+        throw new Error(sprintf('"%s.getOperators()" must return an array of 2 elements, got %d.', get_class($extension), $operators.length));
+      }
+
+      $operators[0].forEach(function ($operator, $name) {
+        self.unaryOperators.set($name, $operator);
+      });
 
+      $operators[1].forEach(function ($operator, $name) {
+        self.binaryOperators.set($name, $operator);
+      });
+    }
+  }
 }
 
-module.exports = TwigExtensionSet;
\ No newline at end of file
+module.exports = TwigExtensionSet;
@@ -0,0 +1,100 @@
+const TwigExtensionInterface = require('../extension-interface');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Internal extension holding the filters, functions, tests, token parsers and node visitors
+ * registered directly on the environment.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
+class TwigExtensionStaging extends TwigExtensionInterface {
+  constructor() {
+    super();
+
+    this.functions = new Map();
+    this.filters = new Map();
+    this.visitors = [];
+    this.tokenParsers = [];
+    this.tests = new Map();
+  }
+
+  /**
+   * @param {TwigFunction} $function
+   */
+  addFunction($function) {
+    if (this.functions.has($function.getName())) {
+      throw new Error(sprintf('Function "%s" is already registered.', $function.getName()));
+    }
+
+    this.functions.set($function.getName(), $function);
+  }
+
+  getFunctions() {
+    return Array.from(this.functions.values());
+  }
+
+  /**
+   * @param {TwigFilter} $filter
+   */
+  addFilter($filter) {
+    if (this.filters.has($filter.getName())) {
+      throw new Error(sprintf('Filter "%s" is already registered.', $filter.getName()));
+    }
+
+    this.filters.set($filter.getName(), $filter);
+  }
+
+  getFilters() {
+    return Array.from(this.filters.values());
+  }
+
+  /**
+   * @param {TwigNodeVisitorInterface} $visitor
+   */
+  addNodeVisitor($visitor) {
+    this.visitors.push($visitor);
+  }
+
+  getNodeVisitors() {
+    return this.visitors;
+  }
+
+  /**
+   * @param {TwigTokenParserInterface} $parser
+   */
+  addTokenParser($parser) {
+    let $tag = $parser.getTag();
+
+    this.tokenParsers.forEach(function ($tokenParser) {
+      if ($tokenParser.getTag() === $tag) {
+        throw new Error(sprintf('Tag "%s" is already registered.', $tag));
+      }
+    });
+
+    this.tokenParsers.push($parser);
+  }
+
+  getTokenParsers() {
+    return this.tokenParsers;
+  }
+
+  /**
+   * @param {TwigTest} $test
+   */
+  addTest($test) {
+    if (this.tests.has($test.getName())) {
+      throw new Error(sprintf('Test "%s" is already registered.', $test.getName()));
+    }
+
+    this.tests.set($test.getName(), $test);
+  }
+
+  getTests() {
+    return Array.from(this.tests.values());
+  }
+}
+
+module.exports = TwigExtensionStaging;
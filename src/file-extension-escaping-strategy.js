@@ -0,0 +1,49 @@
+/**
+ * Default autoescaping strategy based on file names.
+ *
+ * This strategy sets the HTML as the default autoescaping strategy,
+ * but changes it based on the template name.
+ *
+ * Note that there is no runtime performance impact as the
+ * default autoescaping strategy is set at compilation time.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigFileExtensionEscapingStrategy {
+  /**
+   * Guesses the best autoescaping strategy based on the file name.
+   *
+   * @param {string} $name The template name
+   *
+   * @return {string|boolean} The escaping strategy name to use or false to disable
+   */
+  static guess($name) {
+    if (['/', '\\'].includes($name.slice(-1))) {
+      // return html for directories
+      return 'html';
+    }
+
+    if ('.twig' === $name.slice(-5)) {
+      $name = $name.slice(0, -5);
+    }
+
+    let $basename = $name.split(/[\/\\]/).pop();
+    let $extension = $basename.includes('.') ? $basename.slice($basename.lastIndexOf('.') + 1) : '';
+
+    switch ($extension) {
+      case 'js':
+        return 'js';
+
+      case 'css':
+        return 'css';
+
+      case 'txt':
+        return false;
+
+      default:
+        return 'html';
+    }
+  }
+}
+
+module.exports = TwigFileExtensionEscapingStrategy;
@@ -0,0 +1,155 @@
+const array_merge = require('locutus/php/array/array_merge');
+
+/**
+ * Represents a template filter.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigFilter {
+  /**
+   * Creates a template filter.
+   *
+   * @param {string}    $name       Name of this filter
+   * @param {Function}  [$callable] A callable implementing the filter. If null, you need to overwrite the "node_class" option to customize compilation.
+   * @param {Object}    [$options]  Options object
+   */
+  constructor($name, $callable, $options) {
+    this.name = $name;
+    this.callable = $callable || null;
+    this.arguments = [];
+    this.options = array_merge({
+      needs_environment: false,
+      needs_context: false,
+      is_variadic: false,
+      is_async: false,
+      is_safe: null,
+      is_safe_callback: null,
+      pre_escape: null,
+      preserves_safety: null,
+      node_class: require('./node/expression/filter'),
+      deprecated: false,
+      alternative: null
+    }, $options || {});
+  }
+
+  /**
+   * @return {string}
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Returns the callable to execute for this filter.
+   *
+   * @return {Function|null}
+   */
+  getCallable() {
+    return this.callable;
+  }
+
+  /**
+   * @return {Function}
+   */
+  getNodeClass() {
+    return this.options.node_class;
+  }
+
+  /**
+   * @param {string[]} $arguments
+   */
+  setArguments($arguments) {
+    this.arguments = $arguments;
+  }
+
+  /**
+   * @return {string[]}
+   */
+  getArguments() {
+    return this.arguments;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  needsEnvironment() {
+    return this.options.needs_environment;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  needsContext() {
+    return this.options.needs_context;
+  }
+
+  /**
+   * @param {TwigNode} $filterArgs
+   *
+   * @return {string[]|null}
+   */
+  getSafe($filterArgs) {
+    if (null !== this.options.is_safe) {
+      return this.options.is_safe;
+    }
+
+    if (null !== this.options.is_safe_callback) {
+      return this.options.is_safe_callback($filterArgs);
+    }
+
+    return null;
+  }
+
+  /**
+   * @return {string[]|null}
+   */
+  getPreservesSafety() {
+    return this.options.preserves_safety;
+  }
+
+  /**
+   * @return {string|null}
+   */
+  getPreEscape() {
+    return this.options.pre_escape;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isVariadic() {
+    return this.options.is_variadic;
+  }
+
+  /**
+   * Whether the callable returns a promise, whose result is waited for when rendering asynchronously.
+   *
+   * @return {boolean}
+   */
+  isAsync() {
+    return this.options.is_async;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isDeprecated() {
+    return false !== this.options.deprecated;
+  }
+
+  /**
+   * @return {string|boolean}
+   */
+  getDeprecatedVersion() {
+    return this.options.deprecated;
+  }
+
+  /**
+   * @return {string|null}
+   */
+  getAlternative() {
+    return this.options.alternative;
+  }
+}
+
+module.exports = TwigFilter;
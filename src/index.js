@@ -0,0 +1,46 @@
+/**
+ * The public classes of node-twig.
+ *
+ * It is also the namespace the compiled templates get their runtime classes from.
+ */
+module.exports = {
+  TwigCacheFileSystem: require('./cache/file-system'),
+  TwigCacheInterface: require('./cache-interface'),
+  TwigCacheMemory: require('./cache/memory'),
+  TwigCacheNull: require('./cache/null'),
+  TwigCompiler: require('./compiler'),
+  TwigEnvironment: require('./environment'),
+  TwigError: require('./error'),
+  TwigErrorLoader: require('./error/loader'),
+  TwigErrorRuntime: require('./error/runtime'),
+  TwigErrorSyntax: require('./error/syntax'),
+  TwigExtensionCore: require('./extension-core'),
+  TwigExtensionEscaper: require('./extension-escaper'),
+  TwigExtensionInterface: require('./extension-interface'),
+  TwigExtensionOptimizer: require('./extension-optimizer'),
+  TwigExtensionStaging: require('./extension/staging'),
+  TwigFileExtensionEscapingStrategy: require('./file-extension-escaping-strategy'),
+  TwigFilter: require('./filter'),
+  TwigFunction: require('./function'),
+  TwigLexer: require('./lexer'),
+  TwigLoaderArray: require('./loader/array'),
+  TwigLoaderChain: require('./loader/chain'),
+  TwigLoaderFileSystem: require('./loader/file-system'),
+  TwigLoaderInterface: require('./loader-interface'),
+  TwigLoaderPrecompiled: require('./loader/precompiled'),
+  TwigMarkup: require('./markup'),
+  TwigNode: require('./node'),
+  TwigNodeTraverser: require('./node-traverser'),
+  TwigNodeVisitorInterface: require('./node-visitor-interface'),
+  TwigNodeVisitorOptimizer: require('./node-visitor/optimizer'),
+  TwigParser: require('./parser'),
+  TwigPrecompiler: require('./precompiler'),
+  TwigSource: require('./source'),
+  TwigTemplate: require('./template'),
+  TwigTemplateWrapper: require('./template-wrapper'),
+  TwigTest: require('./test'),
+  TwigToken: require('./token'),
+  TwigTokenParser: require('./token-parser'),
+  TwigTokenParserInterface: require('./token-parser-interface'),
+  TwigTokenStream: require('./token-stream')
+};
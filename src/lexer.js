@@ -1,5 +1,578 @@
+const TwigToken = require('./token');
+const TwigTokenStream = require('./token-stream');
+const TwigErrorSyntax = require('./error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+const array_merge = require('locutus/php/array/array_merge');
+const preg_quote = require('locutus/php/pcre/preg_quote');
+const rtrim = require('locutus/php/strings/rtrim');
+const substr_count = require('locutus/php/strings/substr_count');
+const stripcslashes = require('./lib/stripcslashes');
+
+/**
+ * Lexes a template string.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigLexer {
+  /**
+   * Constructor.
+   *
+   * Available options:
+   *
+   *  * tag_comment: The comment delimiters (default to ['{#', '#}']).
+   *
+   *  * tag_block: The block delimiters (default to ['{%', '%}']).
+   *
+   *  * tag_variable: The variable delimiters (default to ['{{', '}}']).
+   *
+   *  * whitespace_trim: The modifier that trims all the whitespaces around a tag (default to '-').
+   *
+   *  * whitespace_line_trim: The modifier that trims the spaces and tabs around a tag (default to '~').
+   *
+   *  * interpolation: The string interpolation delimiters (default to ['#{', '}']).
+   *
+   * @param {TwigEnvironment} $env
+   * @param {Object}          [$options] An object of options
+   */
+  constructor($env, $options) {
+    this.tokens = null;
+    this.code = null;
+    this.cursor = null;
+    this.lineno = null;
+    this.end = null;
+    this.state = null;
+    this.states = null;
+    this.brackets = null;
+    this.env = $env;
+    this.source = null;
+    this.regexes = null;
+    this.position = null;
+    this.positions = null;
+    this.currentVarBlockLine = null;
+
+    this.options = array_merge({
+      tag_comment: ['{#', '#}'],
+      tag_block: ['{%', '%}'],
+      tag_variable: ['{{', '}}'],
+      whitespace_trim: '-',
+      whitespace_line_trim: '~',
+      whitespace_line_chars: ' \\t\\0\\x0B',
+      interpolation: ['#{', '}']
+    }, $options || {});
+  }
+
+  /**
+   * Builds the regular expressions used by the lexer.
+   *
+   * This is done lazily so that operators registered by extensions after
+   * the lexer creation are still taken into account.
+   *
+   * @private
+   */
+  initialize() {
+    if (null !== this.regexes) {
+      return;
+    }
+
+    let $options = this.options;
+    let $lineChars = '[' + $options.whitespace_line_chars + ']*';
+    let $interpolationChar = preg_quote($options.interpolation[0][0]);
+    let $interpolationRest = preg_quote($options.interpolation[0].substr(1));
+
+    /**
+     * Builds the alternatives that close a tag: "-}}" (trims all whitespaces), "~}}" (trims spaces and tabs) or "}}".
+     *
+     * @param {string}  $end      The tag end delimiter
+     * @param {string}  $trailing The pattern consumed after a plain tag end delimiter
+     * @param {string}  $trim     The pattern consumed after a whitespace trimming tag end delimiter
+     * @return {string}
+     */
+    let $tagEnd = function ($end, $trailing, $trim) {
+      return '(?:' +
+        preg_quote($options.whitespace_trim + $end) + $trim +
+        '|' +
+        preg_quote($options.whitespace_line_trim + $end) + $lineChars +
+        '|' +
+        preg_quote($end) + $trailing +
+        ')';
+    };
+
+    this.regexes = {
+      // }}
+      lex_var: new RegExp('\\s*' + $tagEnd($options.tag_variable[1], '', '\\s*'), 'y'),
+      // %}
+      lex_block: new RegExp('\\s*' + $tagEnd($options.tag_block[1], '\\n?', '\\s*\\n?'), 'y'),
+      // {% endverbatim %}
+      lex_raw_data: new RegExp(
+        preg_quote($options.tag_block[0]) +
+        '(' + preg_quote($options.whitespace_trim) + '|' + preg_quote($options.whitespace_line_trim) + ')?' +
+        '\\s*endverbatim\\s*' +
+        $tagEnd($options.tag_block[1], '', '\\s*'),
+        'g'
+      ),
+      operator: this.getOperatorRegex(),
+      // #}
+      lex_comment: new RegExp($tagEnd($options.tag_comment[1], '\\n?', '\\s*\\n?'), 'g'),
+      // verbatim %}
+      lex_block_raw: new RegExp('\\s*verbatim\\s*' + $tagEnd($options.tag_block[1], '', '\\s*'), 'y'),
+      // line 10 %}
+      lex_block_line: new RegExp('\\s*line\\s+(\\d+)\\s*' + preg_quote($options.tag_block[1]), 'y'),
+      // {{ or {% or {#
+      lex_tokens_start: new RegExp(
+        '(' +
+        preg_quote($options.tag_variable[0]) + '|' + preg_quote($options.tag_block[0]) + '|' + preg_quote($options.tag_comment[0]) +
+        ')(' +
+        preg_quote($options.whitespace_trim) + '|' + preg_quote($options.whitespace_line_trim) +
+        ')?',
+        'g'
+      ),
+      // "foo" or 'foo', double quoted strings with interpolations being handled by the string state
+      string: new RegExp(
+        '"([^' + $interpolationChar + '"\\\\]*(?:\\\\[\\s\\S][^' + $interpolationChar + '"\\\\]*)*)"' +
+        '|\'([^\'\\\\]*(?:\\\\[\\s\\S][^\'\\\\]*)*)\'',
+        'y'
+      ),
+      dq_string_part: new RegExp(
+        '[^' + $interpolationChar + '"\\\\]*(?:(?:\\\\[\\s\\S]|' + $interpolationChar + '(?!' + $interpolationRest + '))[^' + $interpolationChar + '"\\\\]*)*',
+        'y'
+      ),
+      interpolation_start: new RegExp(preg_quote($options.interpolation[0]) + '\\s*', 'y'),
+      interpolation_end: new RegExp('\\s*' + preg_quote($options.interpolation[1]), 'y')
+    };
+  }
+
+  /**
+   * Tokenizes a source code.
+   *
+   * @param {TwigSource} $source The source to tokenize
+   *
+   * @return {TwigTokenStream}
+   *
+   * @throws {TwigErrorSyntax} When the code is syntactically wrong
+   */
+  tokenize($source) {
+    this.initialize();
+
+    this.source = $source;
+    this.code = $source.getCode().replace(/\r\n|\r/g, "\n");
+    this.cursor = 0;
+    this.lineno = 1;
+    this.end = this.code.length;
+    this.tokens = [];
+    this.state = TwigLexer.STATE_DATA;
+    this.states = [];
+    this.brackets = [];
+    this.position = -1;
+
+    // find all token starts in one go
+    this.positions = [];
+
+    let $regex = this.regexes.lex_tokens_start;
+    let $match;
+
+    $regex.lastIndex = 0;
+
+    while (($match = $regex.exec(this.code)) !== null) {
+      this.positions.push($match);
+    }
+
+    while (this.cursor < this.end) {
+      // dispatch to the lexing functions depending
+      // on the current state
+      switch (this.state) {
+        case TwigLexer.STATE_DATA:
+          this.lexData();
+          break;
+
+        case TwigLexer.STATE_BLOCK:
+          this.lexBlock();
+          break;
+
+        case TwigLexer.STATE_VAR:
+          this.lexVar();
+          break;
+
+        case TwigLexer.STATE_STRING:
+          this.lexString();
+          break;
+
+        case TwigLexer.STATE_INTERPOLATION:
+          this.lexInterpolation();
+          break;
+      }
+    }
+
+    this.pushToken(TwigToken.EOF_TYPE);
+
+    if (this.brackets.length > 0) {
+      let $bracket = this.brackets.pop();
+
+      throw new TwigErrorSyntax(sprintf('Unclosed "%s".', $bracket[0]), $bracket[1], this.source);
+    }
+
+    return new TwigTokenStream(this.tokens, this.source);
+  }
+
+  /**
+   * @private
+   */
+  lexData() {
+    // if no matches are left we return the rest of the template as simple text token
+    if (this.position === this.positions.length - 1) {
+      this.pushToken(TwigToken.TEXT_TYPE, this.code.substr(this.cursor));
+      this.cursor = this.end;
+
+      return;
+    }
+
+    // find the first token after the current cursor
+    let $position = this.positions[++this.position];
+
+    while ($position.index < this.cursor) {
+      if (this.position === this.positions.length - 1) {
+        return;
+      }
+
+      $position = this.positions[++this.position];
+    }
+
+    // push the template text first
+    let $textContent = this.code.substr(this.cursor, $position.index - this.cursor);
+    let $text = $textContent;
+
+    if (this.options.whitespace_trim === $position[2]) {
+      // whitespace_trim detected ({%-, {{- or {#-)
+      $text = rtrim($text);
+    }
+    else if (this.options.whitespace_line_trim === $position[2]) {
+      // whitespace_line_trim detected ({%~, {{~ or {#~), don't trim \r and \n
+      $text = rtrim($text, " \t\0\x0B");
+    }
+
+    this.pushToken(TwigToken.TEXT_TYPE, $text);
+    this.moveCursor($textContent + $position[0]);
+
+    let $match;
+
+    switch ($position[1]) {
+      case this.options.tag_comment[0]:
+        this.lexComment();
+        break;
+
+      case this.options.tag_block[0]:
+        // raw data?
+        if (($match = this.match(this.regexes.lex_block_raw))) {
+          this.moveCursor($match[0]);
+          this.lexRawData();
+        }
+        // {% line \d+ %}
+        else if (($match = this.match(this.regexes.lex_block_line))) {
+          this.moveCursor($match[0]);
+          this.lineno = parseInt($match[1], 10);
+        }
+        else {
+          this.pushToken(TwigToken.BLOCK_START_TYPE);
+          this.pushState(TwigLexer.STATE_BLOCK);
+          this.currentVarBlockLine = this.lineno;
+        }
+        break;
+
+      case this.options.tag_variable[0]:
+        this.pushToken(TwigToken.VAR_START_TYPE);
+        this.pushState(TwigLexer.STATE_VAR);
+        this.currentVarBlockLine = this.lineno;
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  lexBlock() {
+    let $match;
+
+    if (this.brackets.length === 0 && ($match = this.match(this.regexes.lex_block))) {
+      this.pushToken(TwigToken.BLOCK_END_TYPE);
+      this.moveCursor($match[0]);
+      this.popState();
+    }
+    else {
+      this.lexExpression();
+    }
+  }
+
+  /**
+   * @private
+   */
+  lexVar() {
+    let $match;
 
+    if (this.brackets.length === 0 && ($match = this.match(this.regexes.lex_var))) {
+      this.pushToken(TwigToken.VAR_END_TYPE);
+      this.moveCursor($match[0]);
+      this.popState();
+    }
+    else {
+      this.lexExpression();
+    }
+  }
+
+  /**
+   * @private
+   */
+  lexExpression() {
+    let $match;
+
+    // whitespace
+    if (($match = this.match(TwigLexer.REGEX_WHITESPACE))) {
+      this.moveCursor($match[0]);
+
+      if (this.cursor >= this.end) {
+        throw new TwigErrorSyntax(sprintf('Unclosed "%s".', TwigLexer.STATE_BLOCK === this.state ? 'block' : 'variable'), this.currentVarBlockLine, this.source);
+      }
+    }
+
+    let $char = this.code[this.cursor];
+
+    // arrow function
+    if (('=' === $char) && ('>' === this.code[this.cursor + 1])) {
+      this.pushToken(TwigToken.ARROW_TYPE, '=>');
+      this.moveCursor('=>');
+    }
+    // operators
+    else if (($match = this.match(this.regexes.operator))) {
+      this.pushToken(TwigToken.OPERATOR_TYPE, $match[0].replace(/\s+/g, ' '));
+      this.moveCursor($match[0]);
+    }
+    // names
+    else if (($match = this.match(TwigLexer.REGEX_NAME))) {
+      this.pushToken(TwigToken.NAME_TYPE, $match[0]);
+      this.moveCursor($match[0]);
+    }
+    // numbers
+    else if (($match = this.match(TwigLexer.REGEX_NUMBER))) {
+      this.pushToken(TwigToken.NUMBER_TYPE, Number($match[0]));
+      this.moveCursor($match[0]);
+    }
+    // punctuation
+    else if (TwigLexer.PUNCTUATION.indexOf($char) > -1) {
+      // opening bracket
+      if ('([{'.indexOf($char) > -1) {
+        this.brackets.push([$char, this.lineno]);
+      }
+      // closing bracket
+      else if (')]}'.indexOf($char) > -1) {
+        if (this.brackets.length === 0) {
+          throw new TwigErrorSyntax(sprintf('Unexpected "%s".', $char), this.lineno, this.source);
+        }
+
+        let $bracket = this.brackets.pop();
+
+        if ($char !== ')]}'['([{'.indexOf($bracket[0])]) {
+          throw new TwigErrorSyntax(sprintf('Unclosed "%s".', $bracket[0]), $bracket[1], this.source);
+        }
+      }
+
+      this.pushToken(TwigToken.PUNCTUATION_TYPE, $char);
+      this.cursor++;
+    }
+    // strings
+    else if (($match = this.match(this.regexes.string))) {
+      this.pushToken(TwigToken.STRING_TYPE, stripcslashes($match[0].slice(1, -1)));
+      this.moveCursor($match[0]);
+    }
+    // opening double quoted string
+    else if (($match = this.match(TwigLexer.REGEX_DQ_STRING_DELIM))) {
+      this.brackets.push(['"', this.lineno]);
+      this.pushState(TwigLexer.STATE_STRING);
+      this.moveCursor($match[0]);
+    }
+    // unlexable
+    else {
+      throw new TwigErrorSyntax(sprintf('Unexpected character "%s".', $char), this.lineno, this.source);
+    }
+  }
+
+  /**
+   * @private
+   */
+  lexRawData() {
+    let $match = this.match(this.regexes.lex_raw_data);
+
+    if (!$match) {
+      throw new TwigErrorSyntax('Unexpected end of file: Unclosed "verbatim" block.', this.lineno, this.source);
+    }
+
+    let $text = this.code.substr(this.cursor, $match.index - this.cursor);
+
+    this.moveCursor($text + $match[0]);
+
+    if (this.options.whitespace_trim === $match[1]) {
+      $text = rtrim($text);
+    }
+    else if (this.options.whitespace_line_trim === $match[1]) {
+      $text = rtrim($text, " \t\0\x0B");
+    }
+
+    this.pushToken(TwigToken.TEXT_TYPE, $text);
+  }
+
+  /**
+   * @private
+   */
+  lexComment() {
+    let $match = this.match(this.regexes.lex_comment);
+
+    if (!$match) {
+      throw new TwigErrorSyntax('Unclosed comment.', this.lineno, this.source);
+    }
+
+    this.moveCursor(this.code.substr(this.cursor, $match.index - this.cursor) + $match[0]);
+  }
+
+  /**
+   * @private
+   */
+  lexString() {
+    let $match;
+
+    if (($match = this.match(this.regexes.interpolation_start))) {
+      this.brackets.push([this.options.interpolation[0], this.lineno]);
+      this.pushToken(TwigToken.INTERPOLATION_START_TYPE);
+      this.moveCursor($match[0]);
+      this.pushState(TwigLexer.STATE_INTERPOLATION);
+    }
+    else if (($match = this.match(this.regexes.dq_string_part)) && $match[0].length > 0) {
+      this.pushToken(TwigToken.STRING_TYPE, stripcslashes($match[0]));
+      this.moveCursor($match[0]);
+    }
+    else if (($match = this.match(TwigLexer.REGEX_DQ_STRING_DELIM))) {
+      this.brackets.pop();
+      this.popState();
+      this.cursor++;
+    }
+    else {
+      // unlexable
+      throw new TwigErrorSyntax(sprintf('Unexpected character "%s".', this.code[this.cursor]), this.lineno, this.source);
+    }
+  }
+
+  /**
+   * @private
+   */
+  lexInterpolation() {
+    let $bracket = this.brackets[this.brackets.length - 1];
+    let $match;
+
+    if (this.options.interpolation[0] === $bracket[0] && ($match = this.match(this.regexes.interpolation_end))) {
+      this.brackets.pop();
+      this.pushToken(TwigToken.INTERPOLATION_END_TYPE);
+      this.moveCursor($match[0]);
+      this.popState();
+    }
+    else {
+      this.lexExpression();
+    }
+  }
+
+  /**
+   * Matches a regular expression against the code, starting at the current cursor.
+   *
+   * Sticky regular expressions only match at the cursor; global ones search forward from it.
+   *
+   * @param {RegExp} $regex
+   *
+   * @return {Array|null}
+   *
+   * @private
+   */
+  match($regex) {
+    $regex.lastIndex = this.cursor;
+
+    return $regex.exec(this.code);
+  }
+
+  /**
+   * @private
+   */
+  pushToken($type, $value) {
+    if (undefined === $value) {
+      $value = '';
+    }
+
+    // do not push empty text tokens
+    if (TwigToken.TEXT_TYPE === $type && '' === $value) {
+      return;
+    }
+
+    this.tokens.push(new TwigToken($type, $value, this.lineno));
+  }
+
+  /**
+   * @private
+   */
+  moveCursor($text) {
+    this.cursor += $text.length;
+    this.lineno += substr_count($text, "\n");
+  }
+
+  /**
+   * @private
+   */
+  getOperatorRegex() {
+    let $operators = ['='].concat(
+      Array.from(this.env.getUnaryOperators().keys()),
+      Array.from(this.env.getBinaryOperators().keys())
+    );
+
+    // longest operators first so that "not in" wins over "not"
+    $operators.sort(function ($a, $b) {
+      return $b.length - $a.length;
+    });
+
+    let $regex = $operators.map(function ($operator) {
+      let $r = preg_quote($operator);
+
+      // an operator that ends with a character must be followed by
+      // a whitespace or a parenthesis
+      if (/[a-zA-Z]$/.test($operator)) {
+        $r += '(?=[\\s()])';
+      }
+
+      // an operator with a space can be any amount of whitespaces
+      return $r.replace(/\s+/g, '\\s+');
+    });
+
+    return new RegExp($regex.join('|'), 'y');
+  }
+
+  /**
+   * @private
+   */
+  pushState($state) {
+    this.states.push(this.state);
+    this.state = $state;
+  }
+
+  /**
+   * @private
+   */
+  popState() {
+    this.state = this.states.pop();
+  }
 }
 
-module.exports = TwigLexer;
\ No newline at end of file
+TwigLexer.STATE_DATA = 0;
+TwigLexer.STATE_BLOCK = 1;
+TwigLexer.STATE_VAR = 2;
+TwigLexer.STATE_STRING = 3;
+TwigLexer.STATE_INTERPOLATION = 4;
+
+TwigLexer.REGEX_WHITESPACE = /\s+/y;
+TwigLexer.REGEX_NAME = /[a-zA-Z_\u007f-\uffff][a-zA-Z0-9_\u007f-\uffff]*/y;
+TwigLexer.REGEX_NUMBER = /[0-9]+(?:\.[0-9]+)?/y;
+TwigLexer.REGEX_DQ_STRING_DELIM = /"/y;
+TwigLexer.PUNCTUATION = '()[]{}?:.,|';
+
+module.exports = TwigLexer;
@@ -0,0 +1,216 @@
+const timezone_offset = require('./timezone_offset');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+let pad = function (value, length) {
+  let sign = value < 0 ? '-' : '';
+
+  return sign + String(Math.abs(value)).padStart(length, '0');
+};
+
+let formatOffset = function (offset, separator) {
+  return (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60), 2) + separator + pad(Math.abs(offset) % 60, 2);
+};
+
+/**
+ * Returns the ISO 8601 week number and week-numbering year of a wall clock date.
+ *
+ * @param {Date} wall
+ * @return {Number[]}
+ */
+let isoWeek = function (wall) {
+  // the week belongs to the year of its thursday
+  let thursday = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 3 - ((wall.getUTCDay() + 6) % 7)));
+  let yearStart = new Date(Date.UTC(2000, 0, 1));
+
+  yearStart.setUTCFullYear(thursday.getUTCFullYear());
+
+  return [Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7), thursday.getUTCFullYear()];
+};
+
+let isLeapYear = function (year) {
+  return ((year % 4 === 0) && (year % 100 !== 0)) || (year % 400 === 0);
+};
+
+/**
+ * Returns the abbreviation of a timezone at a given instant, like PHP does.
+ *
+ * The abbreviations come from the ICU data of the runtime: without the full ICU data, the timezones
+ * that have no abbreviation in the English data fall back to their offset, like "+02" instead of "CEST".
+ *
+ * @param {string}  timeZone
+ * @param {Date}    date
+ * @param {Number}  offset
+ * @return {string}
+ */
+let abbreviation = function (timeZone, date, offset) {
+  // the abbreviations known by the runtime depend on the locale
+  for (let locale of ['en-US', 'en-GB']) {
+    let name = new Intl.DateTimeFormat(locale, {timeZone: timeZone, timeZoneName: 'short'}).formatToParts(date).filter(function (part) {
+      return part.type === 'timeZoneName';
+    })[0].value;
+
+    if (!/^GMT[+-]/.test(name)) {
+      return name;
+    }
+  }
+
+  return formatOffset(offset, '').replace(/00$/, '');
+};
+
+/**
+ * Formats a date like the PHP date function, in a given timezone.
+ *
+ * @param {string}  format    The format, using the PHP date format characters
+ * @param {Date}    date      The date to format
+ * @param {string}  timeZone  A timezone identifier, like "Europe/Paris"
+ * @return {string}
+ */
+module.exports = function (format, date, timeZone) {
+  let offset = timezone_offset(timeZone, date);
+  let wall = new Date(date.getTime() + offset * 60000);
+
+  let year = wall.getUTCFullYear();
+  let month = wall.getUTCMonth();
+  let day = wall.getUTCDate();
+  let weekDay = wall.getUTCDay();
+  let hours = wall.getUTCHours();
+
+  let characters = {
+    d: function () {
+      return pad(day, 2);
+    },
+    D: function () {
+      return DAYS[weekDay].substr(0, 3);
+    },
+    j: function () {
+      return String(day);
+    },
+    l: function () {
+      return DAYS[weekDay];
+    },
+    N: function () {
+      return String(weekDay || 7);
+    },
+    S: function () {
+      if ((day % 100 > 10) && (day % 100 < 14)) {
+        return 'th';
+      }
+
+      return ['th', 'st', 'nd', 'rd'][day % 10] || 'th';
+    },
+    w: function () {
+      return String(weekDay);
+    },
+    z: function () {
+      return String(Math.round((Date.UTC(2000, month, day) - Date.UTC(2000, 0, 1)) / 86400000) - ((month > 1) && !isLeapYear(year) ? 1 : 0));
+    },
+    W: function () {
+      return pad(isoWeek(wall)[0], 2);
+    },
+    F: function () {
+      return MONTHS[month];
+    },
+    m: function () {
+      return pad(month + 1, 2);
+    },
+    M: function () {
+      return MONTHS[month].substr(0, 3);
+    },
+    n: function () {
+      return String(month + 1);
+    },
+    t: function () {
+      return String([31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month]);
+    },
+    L: function () {
+      return isLeapYear(year) ? '1' : '0';
+    },
+    o: function () {
+      return String(isoWeek(wall)[1]);
+    },
+    Y: function () {
+      return pad(year, 4);
+    },
+    y: function () {
+      return pad(year % 100, 2);
+    },
+    a: function () {
+      return hours < 12 ? 'am' : 'pm';
+    },
+    A: function () {
+      return hours < 12 ? 'AM' : 'PM';
+    },
+    B: function () {
+      let seconds = Math.floor(date.getTime() / 1000) + 3600;
+
+      return pad(Math.floor((((seconds % 86400) + 86400) % 86400) / 86.4), 3);
+    },
+    g: function () {
+      return String(hours % 12 || 12);
+    },
+    G: function () {
+      return String(hours);
+    },
+    h: function () {
+      return pad(hours % 12 || 12, 2);
+    },
+    H: function () {
+      return pad(hours, 2);
+    },
+    i: function () {
+      return pad(wall.getUTCMinutes(), 2);
+    },
+    s: function () {
+      return pad(wall.getUTCSeconds(), 2);
+    },
+    u: function () {
+      return pad(wall.getUTCMilliseconds() * 1000, 6);
+    },
+    v: function () {
+      return pad(wall.getUTCMilliseconds(), 3);
+    },
+    e: function () {
+      return timeZone;
+    },
+    I: function () {
+      let january = timezone_offset(timeZone, new Date(Date.UTC(year, 0, 1)));
+      let july = timezone_offset(timeZone, new Date(Date.UTC(year, 6, 1)));
+
+      return (january !== july) && (offset === Math.max(january, july)) ? '1' : '0';
+    },
+    O: function () {
+      return formatOffset(offset, '');
+    },
+    P: function () {
+      return formatOffset(offset, ':');
+    },
+    p: function () {
+      return offset ? formatOffset(offset, ':') : 'Z';
+    },
+    T: function () {
+      return abbreviation(timeZone, date, offset);
+    },
+    Z: function () {
+      return String(offset * 60);
+    },
+    c: function () {
+      return module.exports('Y-m-d\\TH:i:sP', date, timeZone);
+    },
+    r: function () {
+      return module.exports('D, d M Y H:i:s O', date, timeZone);
+    },
+    U: function () {
+      return String(Math.floor(date.getTime() / 1000));
+    }
+  };
+
+  return format.replace(/\\([\s\S])|[\s\S]/g, function (match, escaped) {
+    if (escaped !== undefined) {
+      return escaped;
+    }
+
+    return characters.hasOwnProperty(match) ? characters[match]() : match;
+  });
+};
@@ -0,0 +1,19 @@
+const entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;'
+};
+
+/**
+ * Converts special characters to HTML entities, like the PHP htmlspecialchars function with the ENT_QUOTES flag.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+module.exports = function (str) {
+  return str.replace(/[&<>"']/g, function (character) {
+    return entities[character];
+  });
+};
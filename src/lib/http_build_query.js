@@ -0,0 +1,43 @@
+const rawurlencode = require('./rawurlencode');
+
+/**
+ * Generates a URL-encoded query string, like the PHP http_build_query function with the PHP_QUERY_RFC3986 encoding.
+ *
+ * @param {Map|Array|Object} data
+ * @return {string}
+ */
+module.exports = function (data) {
+  let pairs = [];
+
+  let entries = function (value) {
+    if (Array.isArray(value) || (value instanceof Map)) {
+      return Array.from(value.entries());
+    }
+
+    return Object.keys(value).map(function (key) {
+      return [key, value[key]];
+    });
+  };
+
+  let build = function (value, prefix) {
+    entries(value).forEach(function (entry) {
+      let key = prefix ? prefix + '[' + entry[0] + ']' : String(entry[0]);
+      let item = entry[1];
+
+      if ((null === item) || (undefined === item)) {
+        return;
+      }
+
+      if ((typeof item === 'object') && (typeof item.toString !== 'function' || Array.isArray(item) || (item instanceof Map) || (item.toString === Object.prototype.toString))) {
+        build(item, key);
+      }
+      else {
+        pairs.push(rawurlencode(key) + '=' + rawurlencode(typeof item === 'boolean' ? (item ? '1' : '0') : String(item)));
+      }
+    });
+  };
+
+  build(data, '');
+
+  return pairs.join('&');
+};
@@ -0,0 +1,115 @@
+const JSON_HEX_TAG = 1;
+const JSON_HEX_AMP = 2;
+const JSON_HEX_APOS = 4;
+const JSON_HEX_QUOT = 8;
+const JSON_FORCE_OBJECT = 16;
+const JSON_UNESCAPED_SLASHES = 64;
+const JSON_PRETTY_PRINT = 128;
+const JSON_UNESCAPED_UNICODE = 256;
+const JSON_UNESCAPED_LINE_TERMINATORS = 2048;
+
+let encodeString = function (str, flags) {
+  let escapes = {
+    '"': (flags & JSON_HEX_QUOT) ? '\\u0022' : '\\"',
+    '\\': '\\\\',
+    '/': (flags & JSON_UNESCAPED_SLASHES) ? '/' : '\\/',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '<': (flags & JSON_HEX_TAG) ? '\\u003C' : '<',
+    '>': (flags & JSON_HEX_TAG) ? '\\u003E' : '>',
+    '&': (flags & JSON_HEX_AMP) ? '\\u0026' : '&',
+    "'": (flags & JSON_HEX_APOS) ? '\\u0027' : "'"
+  };
+
+  return '"' + str.replace(/[\s\S]/g, function (character) {
+    if (escapes.hasOwnProperty(character)) {
+      return escapes[character];
+    }
+
+    let code = character.charCodeAt(0);
+
+    if ((code < 0x20) || ((code > 0x7f) && !(flags & JSON_UNESCAPED_UNICODE)) || (((code === 0x2028) || (code === 0x2029)) && !(flags & JSON_UNESCAPED_LINE_TERMINATORS))) {
+      return '\\u' + code.toString(16).padStart(4, '0');
+    }
+
+    return character;
+  }) + '"';
+};
+
+/**
+ * Returns the JSON representation of a value, like the PHP json_encode function.
+ *
+ * Arrays, Maps and plain objects are handled like PHP arrays: they are encoded as JSON arrays when their keys
+ * are the consecutive integers starting from 0, as JSON objects otherwise.
+ *
+ * @param {*}       value
+ * @param {Number}  [flags] A bitmask of the PHP JSON_* constants
+ * @param {string}  [indentation]
+ * @return {string}
+ */
+module.exports = function json_encode(value, flags, indentation) {
+  flags = Number(flags) || 0;
+  indentation = indentation || '';
+
+  if ((null === value) || (undefined === value)) {
+    return 'null';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  if (typeof value === 'number') {
+    return isFinite(value) ? String(value) : '0';
+  }
+
+  if (typeof value !== 'object') {
+    return encodeString(String(value), flags);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return json_encode(value.toJSON(), flags, indentation);
+  }
+
+  let entries;
+
+  if (Array.isArray(value) || (value instanceof Map)) {
+    entries = Array.from(value.entries());
+  }
+  else {
+    entries = Object.keys(value).map(function (key) {
+      return [key, value[key]];
+    });
+  }
+
+  let prototype = Object.getPrototypeOf(value);
+  let isList = !(flags & JSON_FORCE_OBJECT) && (Array.isArray(value) || (value instanceof Map) || (null === prototype) || (Object.prototype === prototype)) && entries.every(function (entry, index) {
+    return String(entry[0]) === String(index);
+  });
+
+  let pretty = flags & JSON_PRETTY_PRINT;
+  let childIndentation = pretty ? indentation + '    ' : '';
+
+  if (!entries.length) {
+    return isList ? '[]' : '{}';
+  }
+
+  let items = entries.map(function (entry) {
+    let item = json_encode(entry[1], flags, childIndentation);
+
+    if (!isList) {
+      item = encodeString(String(entry[0]), flags) + (pretty ? ': ' : ':') + item;
+    }
+
+    return childIndentation + item;
+  });
+
+  if (pretty) {
+    return (isList ? '[' : '{') + '\n' + items.join(',\n') + '\n' + indentation + (isList ? ']' : '}');
+  }
+
+  return (isList ? '[' : '{') + items.join(',') + (isList ? ']' : '}');
+};
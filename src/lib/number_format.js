@@ -0,0 +1,27 @@
+const round = require('./round');
+
+/**
+ * Formats a number with grouped thousands, like the PHP number_format function.
+ *
+ * @param {Number} number
+ * @param {Number} decimals
+ * @param {string} decimalPoint
+ * @param {string} thousandsSeparator
+ * @return {string}
+ */
+module.exports = function (number, decimals, decimalPoint, thousandsSeparator) {
+  decimals = Math.max(0, Math.trunc(Number(decimals) || 0));
+  decimalPoint = String(decimalPoint);
+  thousandsSeparator = String(thousandsSeparator);
+
+  let value = round(Number(number) || 0, decimals);
+  let parts = Math.abs(value).toLocaleString('en-US', {
+    useGrouping: false,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).split('.');
+
+  let integer = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator);
+
+  return (value < 0 ? '-' : '') + integer + (decimals ? decimalPoint + parts[1] : '');
+};
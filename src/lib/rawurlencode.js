@@ -0,0 +1,11 @@
+/**
+ * URL-encodes a string according to RFC 3986, like the PHP rawurlencode function.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+module.exports = function (str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, function (character) {
+    return '%' + character.charCodeAt(0).toString(16).toUpperCase();
+  });
+};
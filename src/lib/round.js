@@ -0,0 +1,26 @@
+/**
+ * Rounds a number like the PHP round function, halves being rounded away from zero.
+ *
+ * @param {Number} value
+ * @param {Number} [precision] The number of decimal digits to round to, possibly negative
+ * @return {Number}
+ */
+module.exports = function (value, precision) {
+  value = Number(value);
+  precision = Math.trunc(Number(precision) || 0);
+
+  if (!isFinite(value)) {
+    return value;
+  }
+
+  // shifting the decimal point through the string representation avoids the floating point errors of multiplications
+  let shift = function (number, exponent) {
+    let parts = String(number).split('e');
+
+    return Number(parts[0] + 'e' + (Number(parts[1] || 0) + exponent));
+  };
+
+  let result = shift(Math.round(shift(Math.abs(value), precision)), -precision);
+
+  return value < 0 ? -result : result;
+};
@@ -0,0 +1,29 @@
+/**
+ * Strips HTML and PHP tags from a string, like the PHP strip_tags function.
+ *
+ * @param {string}          str
+ * @param {string|string[]} [allowableTags] The tags which should not be stripped, like "<a><b>" or ["a", "b"]
+ * @return {string}
+ */
+module.exports = function (str, allowableTags) {
+  let allowed = [];
+
+  if (Array.isArray(allowableTags)) {
+    allowed = allowableTags.map(function (tag) {
+      return String(tag).toLowerCase();
+    });
+  }
+  else if (allowableTags) {
+    allowed = (String(allowableTags).toLowerCase().match(/<[a-z][a-z0-9-]*>/g) || []).map(function (tag) {
+      return tag.slice(1, -1);
+    });
+  }
+
+  return str
+    .replace(/<!--[\s\S]*?(?:-->|$)|<\?[\s\S]*?(?:\?>|$)/g, '')
+    // a "<" followed by a whitespace doesn't open a tag
+    .replace(/<(?!\s)\/?([^\s>\/'"]*)(?:"[^"]*(?:"|$)|'[^']*(?:'|$)|[^'">])*(?:>|$)/g, function (tag, name) {
+      return allowed.indexOf(name.toLowerCase()) >= 0 ? tag : '';
+    })
+  ;
+};
@@ -0,0 +1,30 @@
+const escapes = {
+  n: "\n",
+  t: "\t",
+  r: "\r",
+  v: "\v",
+  f: "\f",
+  e: "\x1b",
+  a: "\x07",
+  b: "\b"
+};
+
+/**
+ * Un-quotes a string quoted with addcslashes, recognizing C-like escape sequences.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+module.exports = function(str) {
+  return str.replace(/\\(x[0-9A-Fa-f]{1,2}|[0-7]{1,3}|[\s\S])/g, function (match, sequence) {
+    if ('x' === sequence[0] && sequence.length > 1) {
+      return String.fromCharCode(parseInt(sequence.slice(1), 16));
+    }
+
+    if (/^[0-7]+$/.test(sequence)) {
+      return String.fromCharCode(parseInt(sequence, 8) & 0xff);
+    }
+
+    return escapes.hasOwnProperty(sequence) ? escapes[sequence] : sequence;
+  });
+};
@@ -0,0 +1,218 @@
+const timezone_offset = require('./timezone_offset');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const DAY_NAMES = '(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday)?|tues|wednes|thur|thurs';
+const MONTH_NAMES = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)(?:uary|ruary|ch|il|e|y|ust|tember|ober|ember)?';
+const UNITS = '(sec|second|min|minute|hour|day|week|fortnight|month|year)s?|(mon|tue|wed|thu|fri|sat|sun)(?:day|sday|nesday|rsday|urday)?';
+
+/**
+ * The supported formats, tried in order at the current position of the parsed string.
+ *
+ * The handlers update the parsing state with the values matched by the regular expression.
+ */
+const FORMATS = [
+  [/@(-?\d+)/y, function (state, match) {
+    state.timestamp = Number(match[1]) * 1000;
+  }],
+  [/(\d{4})-(\d{1,2})-(\d{1,2})(?:[t\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?/y, function (state, match) {
+    state.date = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    state.time = [Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0), Number(((match[7] || '') + '000').substr(0, 3))];
+  }],
+  [/(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(?:\s*([ap])\.?m\b\.?)?/y, function (state, match) {
+    state.time = [Number(match[1]) % (match[5] ? 12 : 24) + (match[5] === 'p' ? 12 : 0), Number(match[2]), Number(match[3] || 0), Number(((match[4] || '') + '000').substr(0, 3))];
+  }],
+  [/(?:z|utc|gmt)\b|([+-])(\d{2}):?(\d{2})(?![\d]|\s*[a-z])/y, function (state, match) {
+    state.offset = match[1] ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+  }],
+  [/(now)|(today|midnight)|(noon)|(tomorrow)|(yesterday)\b/y, function (state, match) {
+    if (match[2] || match[4] || match[5]) {
+      state.time = [0, 0, 0, 0];
+      state.relative.day += match[4] ? 1 : (match[5] ? -1 : 0);
+    }
+    else if (match[3]) {
+      state.time = [12, 0, 0, 0];
+    }
+  }],
+  [/(first|last) day of\b/y, function (state, match) {
+    state.dayOf = match[1];
+  }],
+  [new RegExp('([+-]?)\\s*(\\d+)\\s*(?:' + UNITS + ')\\b(\\s+ago\\b)?', 'y'), function (state, match) {
+    relative(state, (match[1] === '-' ? -1 : 1) * Number(match[2]) * (match[5] ? -1 : 1), match[3], match[4]);
+  }],
+  [new RegExp('(next|last|previous|this)\\s+(?:' + UNITS + ')\\b', 'y'), function (state, match) {
+    relative(state, {next: 1, last: -1, previous: -1, this: 0}[match[1]], match[2], match[3]);
+  }],
+  [new RegExp('(?:' + DAY_NAMES + ')\\b', 'y'), function (state, match) {
+    relative(state, 0, null, match[1] || match[0].substr(0, 3));
+  }],
+  [new RegExp('(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+(?:' + MONTH_NAMES + ')\\b(?:[\\s-]+(\\d{4}))?', 'y'), function (state, match) {
+    state.date = [match[3] ? Number(match[3]) : null, monthIndex(match[2]), Number(match[1])];
+    state.time = state.time || [0, 0, 0, 0];
+  }],
+  [new RegExp('(?:' + MONTH_NAMES + ')\\b(?:\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b)?(?:,?\\s+(\\d{4}))?', 'y'), function (state, match) {
+    // like PHP, a month and a year without a day stand for the first day of the month
+    state.date = [match[3] ? Number(match[3]) : null, monthIndex(match[1]), match[2] ? Number(match[2]) : (match[3] ? 1 : null)];
+
+    if (match[2]) {
+      state.time = state.time || [0, 0, 0, 0];
+    }
+  }]
+];
+
+let monthIndex = function (name) {
+  return MONTHS.findIndex(function (month) {
+    return month.startsWith(name.substr(0, 3));
+  });
+};
+
+/**
+ * Adds a relative amount of a unit, or a move to a day of the week, to the parsing state.
+ *
+ * @param {Object}  state
+ * @param {Number}  amount
+ * @param {string}  unit
+ * @param {string}  day     The three first letters of a day of the week
+ */
+let relative = function (state, amount, unit, day) {
+  if (day) {
+    state.weekDay = [DAYS.findIndex(function (name) {
+      return name.startsWith(day);
+    }), amount];
+    state.time = state.time || [0, 0, 0, 0];
+
+    return;
+  }
+
+  let units = {
+    sec: ['second', 1],
+    second: ['second', 1],
+    min: ['minute', 1],
+    minute: ['minute', 1],
+    hour: ['hour', 1],
+    day: ['day', 1],
+    week: ['day', 7],
+    fortnight: ['day', 14],
+    month: ['month', 1],
+    year: ['year', 1]
+  };
+
+  state.relative[units[unit][0]] += amount * units[unit][1];
+};
+
+/**
+ * Parses an english textual datetime description, like the PHP strtotime function.
+ *
+ * Supported formats are timestamps ("@1234567890"), ISO 8601 dates and times, timezone offsets,
+ * "now", "today", "midnight", "noon", "tomorrow", "yesterday", "first/last day of", relative amounts
+ * ("+1 day", "2 weeks ago"), "next/last/this" units, days of the week and month names.
+ *
+ * @param {string}  text      The string to parse
+ * @param {Date}    now       The date used as a base for the relative formats
+ * @param {string}  timeZone  The timezone used for the dates that don't specify an offset
+ * @return {Date|null} The date, or null when the string can't be parsed
+ */
+module.exports = function (text, now, timeZone) {
+  let state = {
+    timestamp: null,
+    date: null,
+    time: null,
+    offset: null,
+    dayOf: null,
+    weekDay: null,
+    relative: {year: 0, month: 0, day: 0, hour: 0, minute: 0, second: 0}
+  };
+
+  let position = 0;
+
+  text = String(text).toLowerCase();
+
+  while (position < text.length) {
+    let whitespaces = /[\s,]+/y;
+
+    whitespaces.lastIndex = position;
+
+    if (whitespaces.test(text)) {
+      position = whitespaces.lastIndex;
+
+      continue;
+    }
+
+    let matched = FORMATS.some(function (format) {
+      format[0].lastIndex = position;
+
+      let match = format[0].exec(text);
+
+      if (!match || !match[0].length) {
+        return false;
+      }
+
+      format[1](state, match);
+      position = format[0].lastIndex;
+
+      return true;
+    });
+
+    if (!matched) {
+      return null;
+    }
+  }
+
+  if (null !== state.timestamp) {
+    now = new Date(state.timestamp);
+    timeZone = 'UTC';
+  }
+
+  let offset = (null !== state.offset) ? state.offset : timezone_offset(timeZone, now);
+  let wall = new Date(now.getTime() + offset * 60000);
+  let fields = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds()];
+
+  if (state.date) {
+    state.date.forEach(function (value, index) {
+      if (null !== value) {
+        fields[index] = value;
+      }
+    });
+  }
+
+  if (state.time) {
+    fields.splice(3, 4, ...state.time);
+  }
+
+  if (state.dayOf) {
+    // the month is moved from its first day so that it doesn't overflow
+    fields[2] = 1;
+  }
+
+  let result = new Date(0);
+
+  result.setUTCFullYear(fields[0] + state.relative.year, fields[1] + state.relative.month, fields[2]);
+
+  if ('last' === state.dayOf) {
+    result.setUTCMonth(result.getUTCMonth() + 1, 0);
+  }
+
+  result.setUTCDate(result.getUTCDate() + state.relative.day);
+  result.setUTCHours(fields[3] + state.relative.hour, fields[4] + state.relative.minute, fields[5] + state.relative.second, fields[6]);
+
+  if (state.weekDay) {
+    let difference = (state.weekDay[0] - result.getUTCDay() + 7) % 7;
+
+    if (state.weekDay[1] > 0) {
+      difference = difference || 7;
+    }
+    else if (state.weekDay[1] < 0) {
+      difference -= 7;
+    }
+
+    result.setUTCDate(result.getUTCDate() + difference);
+  }
+
+  if (null !== state.offset) {
+    return new Date(result.getTime() - state.offset * 60000);
+  }
+
+  // the offset of the resulting wall clock time may differ from the one of the base date
+  return new Date(result.getTime() - timezone_offset(timeZone, new Date(result.getTime() - timezone_offset(timeZone, new Date(result.getTime() - offset * 60000)) * 60000)) * 60000);
+};
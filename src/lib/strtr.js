@@ -0,0 +1,34 @@
+/**
+ * Replaces substrings like the PHP strtr function called with an array of replacements.
+ *
+ * The longest keys are tried first, and the replaced parts are not searched again.
+ *
+ * @param {string}  str
+ * @param {Map}     pairs The replacements, keyed by the substrings to replace
+ * @return {string}
+ */
+module.exports = function (str, pairs) {
+  let keys = Array.from(pairs.keys()).map(String).filter(function (key) {
+    return key.length > 0;
+  }).sort(function (a, b) {
+    return b.length - a.length;
+  });
+
+  let replacements = new Map();
+
+  pairs.forEach(function (value, key) {
+    replacements.set(String(key), value);
+  });
+
+  if (!keys.length) {
+    return str;
+  }
+
+  let pattern = new RegExp(keys.map(function (key) {
+    return key.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+  }).join('|'), 'g');
+
+  return str.replace(pattern, function (match) {
+    return replacements.get(match);
+  });
+};
@@ -0,0 +1,53 @@
+/**
+ * The date formatters used to read the wall clock time of an instant, keyed by timezone.
+ *
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+let formatters = new Map();
+
+/**
+ * Returns the offset of a timezone from UTC at a given instant, in minutes.
+ *
+ * @param {string}  timeZone  A timezone identifier, like "Europe/Paris"
+ * @param {Date}    date      The instant
+ * @return {Number}
+ *
+ * @throws {RangeError} When the timezone is unknown
+ */
+module.exports = function (timeZone, date) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hour12: false,
+      era: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  let parts = {};
+
+  formatters.get(timeZone).formatToParts(date).forEach(function (part) {
+    parts[part.type] = part.value;
+  });
+
+  let time = date.getTime();
+  // the years before the common era are counted from 1, backwards
+  let year = (parts.era === 'BC') ? 1 - Number(parts.year) : Number(parts.year);
+  // midnight is formatted as 24 by the runtimes that don't support the hourCycle option
+  let wallTime = Date.UTC(year, Number(parts.month) - 1, Number(parts.day), Number(parts.hour) % 24, Number(parts.minute), Number(parts.second));
+
+  if (year < 100) {
+    // Date.UTC maps the years 0 to 99 to the 20th century
+    let wallDate = new Date(wallTime);
+
+    wallDate.setUTCFullYear(year);
+    wallTime = wallDate.getTime();
+  }
+
+  return Math.round((wallTime - (time - (((time % 1000) + 1000) % 1000))) / 60000);
+};
@@ -0,0 +1,72 @@
+/**
+ * The identifiers of the dumped objects, like the PHP object handles.
+ *
+ * @type {WeakMap<Object, Number>}
+ */
+let handles = new WeakMap();
+let nextHandle = 1;
+
+/**
+ * Returns information about a variable, in the format of the PHP var_dump function.
+ *
+ * Arrays, Maps and plain objects are dumped as PHP arrays, the other objects with their own enumerable properties.
+ *
+ * @param {*}       value
+ * @param {string}  [indentation]
+ * @return {string}
+ */
+module.exports = function var_dump(value, indentation) {
+  indentation = indentation || '';
+
+  if ((null === value) || (undefined === value)) {
+    return indentation + 'NULL\n';
+  }
+
+  if (typeof value === 'boolean') {
+    return indentation + 'bool(' + value + ')\n';
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isInteger(value)) {
+      return indentation + 'int(' + value + ')\n';
+    }
+
+    return indentation + 'float(' + (isNaN(value) ? 'NAN' : (isFinite(value) ? value : (value > 0 ? 'INF' : '-INF'))) + ')\n';
+  }
+
+  if ((typeof value !== 'object') && (typeof value !== 'function')) {
+    value = String(value);
+
+    return indentation + 'string(' + Buffer.byteLength(value) + ') "' + value + '"\n';
+  }
+
+  let entries;
+  let prototype = Object.getPrototypeOf(value);
+  let header;
+
+  if (Array.isArray(value) || (value instanceof Map)) {
+    entries = Array.from(value.entries());
+  }
+  else {
+    entries = Object.keys(value).map(function (key) {
+      return [key, value[key]];
+    });
+  }
+
+  if (Array.isArray(value) || (value instanceof Map) || (null === prototype) || (Object.prototype === prototype)) {
+    header = 'array(' + entries.length + ')';
+  }
+  else {
+    if (!handles.has(value)) {
+      handles.set(value, nextHandle++);
+    }
+
+    header = 'object(' + value.constructor.name + ')#' + handles.get(value) + ' (' + entries.length + ')';
+  }
+
+  return indentation + header + ' {\n' + entries.map(function (entry) {
+    let key = (typeof entry[0] === 'number') ? entry[0] : '"' + entry[0] + '"';
+
+    return indentation + '  [' + key + ']=>\n' + var_dump(entry[1], indentation + '  ');
+  }).join('') + indentation + '}\n';
+};
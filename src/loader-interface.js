@@ -1,5 +1,74 @@
-class LoaderInterface {
+/**
+ * Interface all loaders must implement.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigLoaderInterface {
+  /**
+   * Returns the source context for a given template logical name.
+   *
+   * @param {string} $name The template logical name
+   *
+   * @return {TwigSource}
+   *
+   * @throws {TwigErrorLoader} When $name is not found
+   */
+  getSourceContext($name) {
+  }
 
+  /**
+   * Returns the source context for a given template logical name, asynchronously.
+   *
+   * Loaders fetching the templates from a database or a remote service override it, the environment
+   * calling it when rendering asynchronously and getSourceContext() throws a TwigErrorLoader. The other
+   * methods of the loader stay synchronous.
+   *
+   * @param {string} $name The template logical name
+   *
+   * @return {Promise<TwigSource>} Rejected with a TwigErrorLoader when $name is not found
+   */
+  getSourceContextAsync($name) {
+    let self = this;
+
+    return new Promise(function (resolve) {
+      resolve(self.getSourceContext($name));
+    });
+  }
+
+  /**
+   * Gets the cache key to use for the cache for a given template name.
+   *
+   * @param {string} $name The name of the template to load
+   *
+   * @return {string} The cache key
+   *
+   * @throws {TwigErrorLoader} When $name is not found
+   */
+  getCacheKey($name) {
+  }
+
+  /**
+   * Returns true if the template is still fresh.
+   *
+   * @param {string} $name The template name
+   * @param {Number} $time Timestamp of the last modification time of the cached template, in milliseconds
+   *
+   * @return {boolean} true if the template is fresh, false otherwise
+   *
+   * @throws {TwigErrorLoader} When $name is not found
+   */
+  isFresh($name, $time) {
+  }
+
+  /**
+   * Checks if we have the source code of a template, given its name.
+   *
+   * @param {string} $name The name of the template to check if we can load
+   *
+   * @return {boolean} If the template source code is handled by this loader or not
+   */
+  exists($name) {
+  }
 }
 
-module.exports = LoaderInterface;
\ No newline at end of file
+module.exports = TwigLoaderInterface;
@@ -1,7 +1,85 @@
 const TwigLoaderInterface = require('../loader-interface');
+const TwigErrorLoader = require('../error/loader');
+const TwigSource = require('../source');
 
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Loads a template from an object or a Map.
+ *
+ * When using this loader with a cache mechanism, you should know that a new cache
+ * key is generated each time a template content "changes" (the cache key being the
+ * source code of the template). If you don't want to see your cache grows out of
+ * control, you need to take care of clearing the old cache file by yourself.
+ *
+ * This loader should only be used for unit testing.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigLoaderArray extends TwigLoaderInterface {
+  /**
+   * @param {Object|Map} [$templates] The templates, keyed by name
+   */
+  constructor($templates) {
+    super();
+
+    let self = this;
+
+    this.templates = new Map();
+
+    (($templates instanceof Map) ? $templates : new Map(Object.entries($templates || {}))).forEach(function ($template, $name) {
+      self.setTemplate($name, $template);
+    });
+  }
+
+  /**
+   * Adds or overrides a template.
+   *
+   * @param {string} $name      The template name
+   * @param {string} $template  The template source
+   */
+  setTemplate($name, $template) {
+    this.templates.set(String($name), $template);
+  }
+
+  getSourceContext($name) {
+    $name = String($name);
+
+    this.checkTemplate($name);
+
+    return new TwigSource(this.templates.get($name), $name);
+  }
+
+  exists($name) {
+    return this.templates.has(String($name));
+  }
+
+  getCacheKey($name) {
+    $name = String($name);
+
+    this.checkTemplate($name);
+
+    return $name + ':' + this.templates.get($name);
+  }
+
+  isFresh($name, $time) {
+    this.checkTemplate(String($name));
+
+    return true;
+  }
 
+  /**
+   * @param {string} $name
+   *
+   * @throws {TwigErrorLoader} When the template is not defined
+   *
+   * @private
+   */
+  checkTemplate($name) {
+    if (!this.templates.has($name)) {
+      throw new TwigErrorLoader(sprintf('Template "%s" is not defined.', $name));
+    }
+  }
 }
 
-module.exports = TwigLoaderArray;
\ No newline at end of file
+module.exports = TwigLoaderArray;
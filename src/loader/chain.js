@@ -1,7 +1,170 @@
 const TwigLoaderInterface = require('../loader-interface');
+const TwigErrorLoader = require('../error/loader');
 
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * @param {string}    $name   The template name
+ * @param {string[]}  $errors The messages of the errors of the loaders
+ *
+ * @return {TwigErrorLoader}
+ */
+let createNotDefinedError = function ($name, $errors) {
+  return new TwigErrorLoader(sprintf('Template "%s" is not defined%s.', $name, $errors.length ? ' (' + $errors.join(', ') + ')' : ''));
+};
+
+/**
+ * Loads templates from other loaders.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigLoaderChain extends TwigLoaderInterface {
+  /**
+   * @param {TwigLoaderInterface[]} [$loaders]
+   */
+  constructor($loaders) {
+    super();
+
+    let self = this;
+
+    this.hasSourceCache = new Map();
+    this.loaders = [];
+
+    ($loaders || []).forEach(function ($loader) {
+      self.addLoader($loader);
+    });
+  }
+
+  /**
+   * @param {TwigLoaderInterface} $loader
+   */
+  addLoader($loader) {
+    this.loaders.push($loader);
+    this.hasSourceCache = new Map();
+  }
+
+  getSourceContext($name) {
+    return this.callLoaders($name, function ($loader) {
+      return $loader.getSourceContext($name);
+    });
+  }
+
+  async getSourceContextAsync($name) {
+    let $errors = [];
+
+    for (let $loader of this.loaders) {
+      if ((typeof $loader.exists === 'function') && !$loader.exists($name)) {
+        continue;
+      }
+
+      try {
+        return await ((typeof $loader.getSourceContextAsync === 'function') ? $loader.getSourceContextAsync($name) : $loader.getSourceContext($name));
+      }
+      catch (e) {
+        if (!(e instanceof TwigErrorLoader)) {
+          throw e;
+        }
+
+        $errors.push(e.message);
+      }
+    }
+
+    throw createNotDefinedError($name, $errors);
+  }
+
+  exists($name) {
+    $name = String($name);
+
+    if (this.hasSourceCache.has($name)) {
+      return this.hasSourceCache.get($name);
+    }
+
+    let $exists = this.loaders.some(function ($loader) {
+      if (typeof $loader.exists === 'function') {
+        return $loader.exists($name);
+      }
+
+      try {
+        $loader.getSourceContext($name);
+
+        return true;
+      }
+      catch (e) {
+        if (e instanceof TwigErrorLoader) {
+          return false;
+        }
+
+        throw e;
+      }
+    });
+
+    this.hasSourceCache.set($name, $exists);
+
+    return $exists;
+  }
+
+  getCacheKey($name) {
+    return this.callLoaders($name, function ($loader) {
+      return $loader.getCacheKey($name);
+    });
+  }
+
+  isFresh($name, $time) {
+    return this.callLoaders($name, function ($loader) {
+      return $loader.isFresh($name, $time);
+    });
+  }
+
+  /**
+   * Returns the factory of the precompiled template from the first loader handling it.
+   *
+   * @param {string} $name      The template name
+   * @param {string} $className The template class name
+   *
+   * @return {Function|null}
+   *
+   * @throws {TwigErrorLoader} When no loader handles the template
+   */
+  getTemplateFactory($name, $className) {
+    return this.callLoaders($name, function ($loader) {
+      return (typeof $loader.getTemplateFactory === 'function') ? $loader.getTemplateFactory($name, $className) : null;
+    });
+  }
+
+  /**
+   * Returns the result of the first loader handling the template.
+   *
+   * @param {string}    $name     The template name
+   * @param {Function}  $callable A function calling the loader passed as argument
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorLoader} When no loader handles the template, with the messages of the loaders errors
+   *
+   * @private
+   */
+  callLoaders($name, $callable) {
+    let $errors = [];
+
+    for (let $loader of this.loaders) {
+      if ((typeof $loader.exists === 'function') && !$loader.exists($name)) {
+        continue;
+      }
+
+      try {
+        return $callable($loader);
+      }
+      catch (e) {
+        if (!(e instanceof TwigErrorLoader)) {
+          throw e;
+        }
+
+        $errors.push(e.message);
+      }
+    }
 
+    throw createNotDefinedError($name, $errors);
+  }
 }
 
-module.exports = TwigLoaderChain;
\ No newline at end of file
+module.exports = TwigLoaderChain;
@@ -1,7 +1,388 @@
 const TwigLoaderInterface = require('../loader-interface');
+const TwigErrorLoader = require('../error/loader');
+const TwigSource = require('../source');
 
+const fs = require('fs');
+const path = require('path');
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * @param {string} $path
+ *
+ * @return {string} The path without its trailing separators
+ */
+let rtrimSeparators = function ($path) {
+  return $path.replace(/[\/\\]+$/, '');
+};
+
+/**
+ * @param {string} $path
+ *
+ * @return {boolean}
+ */
+let isDirectory = function ($path) {
+  try {
+    return fs.statSync($path).isDirectory();
+  }
+  catch (e) {
+    return false;
+  }
+};
+
+/**
+ * @param {string} $path
+ *
+ * @return {boolean}
+ */
+let isFile = function ($path) {
+  try {
+    return fs.statSync($path).isFile();
+  }
+  catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Loads template from the filesystem.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigLoaderFileSystem extends TwigLoaderInterface {
+  /**
+   * @param {string|string[]} [$paths]    A path or an array of paths where to look for templates
+   * @param {string}          [$rootPath] The root path common to all relative paths (defaults to the current working directory)
+   */
+  constructor($paths, $rootPath) {
+    super();
+
+    this.paths = new Map();
+    this.cache = new Map();
+    this.errorCache = new Map();
+
+    $rootPath = (null === $rootPath || undefined === $rootPath) ? process.cwd() : $rootPath;
+
+    try {
+      this.rootPath = fs.realpathSync($rootPath) + path.sep;
+    }
+    catch (e) {
+      this.rootPath = $rootPath + path.sep;
+    }
+
+    if ($paths && $paths.length) {
+      this.setPaths($paths);
+    }
+  }
+
+  /**
+   * Returns the paths to the templates.
+   *
+   * @param {string} [$namespace] A path namespace
+   *
+   * @return {string[]} The array of paths where to look for templates
+   */
+  getPaths($namespace) {
+    $namespace = $namespace || TwigLoaderFileSystem.MAIN_NAMESPACE;
+
+    return this.paths.has($namespace) ? this.paths.get($namespace) : [];
+  }
+
+  /**
+   * Returns the path namespaces.
+   *
+   * The main namespace is always defined.
+   *
+   * @return {string[]} The array of defined namespaces
+   */
+  getNamespaces() {
+    return Array.from(this.paths.keys());
+  }
+
+  /**
+   * Sets the paths where templates are stored.
+   *
+   * @param {string|string[]} $paths      A path or an array of paths where to look for templates
+   * @param {string}          [$namespace] A path namespace
+   */
+  setPaths($paths, $namespace) {
+    let self = this;
+
+    $namespace = $namespace || TwigLoaderFileSystem.MAIN_NAMESPACE;
+
+    if (!Array.isArray($paths)) {
+      $paths = [$paths];
+    }
+
+    this.paths.set($namespace, []);
+
+    $paths.forEach(function ($path) {
+      self.addPath($path, $namespace);
+    });
+  }
+
+  /**
+   * Adds a path where templates are stored.
+   *
+   * @param {string} $path        A path where to look for templates
+   * @param {string} [$namespace] A path namespace
+   *
+   * @throws {TwigErrorLoader}
+   */
+  addPath($path, $namespace) {
+    $namespace = $namespace || TwigLoaderFileSystem.MAIN_NAMESPACE;
+
+    this.checkPath($path);
+
+    if (!this.paths.has($namespace)) {
+      this.paths.set($namespace, []);
+    }
+
+    this.paths.get($namespace).push(rtrimSeparators($path));
+  }
+
+  /**
+   * Prepends a path where templates are stored.
+   *
+   * @param {string} $path        A path where to look for templates
+   * @param {string} [$namespace] A path namespace
+   *
+   * @throws {TwigErrorLoader}
+   */
+  prependPath($path, $namespace) {
+    $namespace = $namespace || TwigLoaderFileSystem.MAIN_NAMESPACE;
+
+    this.checkPath($path);
+
+    if (!this.paths.has($namespace)) {
+      this.paths.set($namespace, []);
+    }
+
+    this.paths.get($namespace).unshift(rtrimSeparators($path));
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {TwigSource}
+   */
+  getSourceContext($name) {
+    let $path = this.findTemplate($name);
+
+    return new TwigSource(fs.readFileSync($path, 'utf8'), $name, $path);
+  }
+
+  /**
+   * Returns the path of the template relatively to the root path, or its absolute path when outside the root path.
+   *
+   * @param {string} $name
+   *
+   * @return {string}
+   */
+  getCacheKey($name) {
+    let $path = this.findTemplate($name);
+
+    if ($path.startsWith(this.rootPath)) {
+      return $path.substr(this.rootPath.length);
+    }
+
+    return $path;
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {boolean}
+   */
+  exists($name) {
+    $name = this.normalizeName($name);
+
+    if (this.cache.has($name)) {
+      return true;
+    }
+
+    try {
+      return false !== this.findTemplate($name, false);
+    }
+    catch (e) {
+      if (e instanceof TwigErrorLoader) {
+        return false;
+      }
+
+      throw e;
+    }
+  }
 
+  /**
+   * @param {string} $name
+   * @param {Number} $time The timestamp of the compiled template, in milliseconds
+   *
+   * @return {boolean}
+   */
+  isFresh($name, $time) {
+    return fs.statSync(this.findTemplate($name)).mtime.getTime() <= $time;
+  }
+
+  /**
+   * Checks that a path is a directory and invalidates the cache.
+   *
+   * @param {string} $path
+   *
+   * @throws {TwigErrorLoader}
+   *
+   * @private
+   */
+  checkPath($path) {
+    // invalidate the cache
+    this.cache = new Map();
+    this.errorCache = new Map();
+
+    let $checkPath = path.isAbsolute($path) ? $path : this.rootPath + $path;
+
+    if (!isDirectory($checkPath)) {
+      throw new TwigErrorLoader(sprintf('The "%s" directory does not exist ("%s").', $path, $checkPath));
+    }
+  }
+
+  /**
+   * @param {string}  $name
+   * @param {boolean} [$throw]  Whether to throw an error when the template is not found
+   *
+   * @return {string|boolean} The template path or false if it is not found and $throw is false
+   *
+   * @throws {TwigErrorLoader}
+   *
+   * @protected
+   */
+  findTemplate($name, $throw) {
+    $throw = (undefined === $throw) ? true : $throw;
+    $name = this.normalizeName($name);
+
+    if (this.cache.has($name)) {
+      return this.cache.get($name);
+    }
+
+    if (this.errorCache.has($name)) {
+      if (!$throw) {
+        return false;
+      }
+
+      throw new TwigErrorLoader(this.errorCache.get($name));
+    }
+
+    let [$namespace, $shortname] = this.parseName($name);
+
+    this.validateName($shortname);
+
+    if (!this.paths.has($namespace)) {
+      this.errorCache.set($name, sprintf('There are no registered paths for namespace "%s".', $namespace));
+
+      if (!$throw) {
+        return false;
+      }
+
+      throw new TwigErrorLoader(this.errorCache.get($name));
+    }
+
+    for (let $path of this.paths.get($namespace)) {
+      if (!path.isAbsolute($path)) {
+        $path = this.rootPath + $path;
+      }
+
+      let $file = $path + '/' + $shortname;
+
+      if (isFile($file)) {
+        try {
+          $file = fs.realpathSync($file);
+        }
+        catch (e) {
+          // keep the unresolved path
+        }
+
+        this.cache.set($name, $file);
+
+        return $file;
+      }
+    }
+
+    this.errorCache.set($name, sprintf('Unable to find template "%s" (looked into: %s).', $name, this.paths.get($namespace).join(', ')));
+
+    if (!$throw) {
+      return false;
+    }
+
+    throw new TwigErrorLoader(this.errorCache.get($name));
+  }
+
+  /**
+   * @param {string} $name
+   * @param {string} [$default]
+   *
+   * @return {string[]} The namespace and the name of the template inside the namespace
+   *
+   * @throws {TwigErrorLoader}
+   *
+   * @protected
+   */
+  parseName($name, $default) {
+    $default = $default || TwigLoaderFileSystem.MAIN_NAMESPACE;
+
+    if ('@' === $name.charAt(0)) {
+      let $pos = $name.indexOf('/');
+
+      if (-1 === $pos) {
+        throw new TwigErrorLoader(sprintf('Malformed namespaced template name "%s" (expecting "@namespace/template_name").', $name));
+      }
+
+      return [$name.substring(1, $pos), $name.substr($pos + 1)];
+    }
+
+    return [$default, $name];
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {string}
+   *
+   * @protected
+   */
+  normalizeName($name) {
+    return String($name).replace(/\\/g, '/').replace(/\/{2,}/g, '/');
+  }
+
+  /**
+   * Rejects the names containing NUL bytes or going up above the configured directories.
+   *
+   * @param {string} $name
+   *
+   * @throws {TwigErrorLoader}
+   *
+   * @protected
+   */
+  validateName($name) {
+    if ($name.includes('\0')) {
+      throw new TwigErrorLoader('A template name cannot contain NUL bytes.');
+    }
+
+    $name = $name.replace(/^\/+/, '');
+
+    let $level = 0;
+
+    for (let $part of $name.split('/')) {
+      if ('..' === $part) {
+        --$level;
+      }
+      else if ('.' !== $part) {
+        ++$level;
+      }
+
+      if ($level < 0) {
+        throw new TwigErrorLoader(sprintf('Looks like you try to load a template outside configured directories (%s).', $name));
+      }
+    }
+  }
 }
 
-module.exports = TwigLoaderFileSystem;
\ No newline at end of file
+TwigLoaderFileSystem.MAIN_NAMESPACE = '__main__';
+
+module.exports = TwigLoaderFileSystem;
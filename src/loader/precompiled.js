@@ -0,0 +1,107 @@
+const TwigLoaderInterface = require('../loader-interface');
+const TwigErrorLoader = require('../error/loader');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Loads the templates precompiled by a TwigPrecompiler.
+ *
+ * The templates are served without being compiled, the environment instantiating
+ * directly the classes returned by their factories. Their sources are not available.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigLoaderPrecompiled extends TwigLoaderInterface {
+  /**
+   * @param {string|{manifest: Object, factories: Object}} $bundle The module written by a TwigPrecompiler, or its path
+   */
+  constructor($bundle) {
+    super();
+
+    let self = this;
+
+    if (typeof $bundle === 'string') {
+      $bundle = require($bundle);
+    }
+
+    this.templates = new Map();
+    this.factories = new Map(Object.entries($bundle.factories));
+
+    Object.keys($bundle.manifest).forEach(function ($class) {
+      self.templates.set($bundle.manifest[$class].name, {
+        class: $class,
+        key: $bundle.manifest[$class].key
+      });
+    });
+  }
+
+  /**
+   * Always throws as the sources of the precompiled templates are not available.
+   *
+   * This method is only called by the environment when the environment options or
+   * extensions differ from the ones used to precompile the template.
+   *
+   * @param {string} $name
+   *
+   * @throws {TwigErrorLoader}
+   */
+  getSourceContext($name) {
+    this.checkTemplate($name);
+
+    throw new TwigErrorLoader(sprintf('The source of the precompiled template "%s" is not available; make sure the environment options and extensions match the ones used to precompile it.', $name));
+  }
+
+  /**
+   * Returns the cache key of the template at the time it was precompiled.
+   *
+   * @param {string} $name
+   *
+   * @return {string}
+   */
+  getCacheKey($name) {
+    this.checkTemplate($name);
+
+    return this.templates.get($name).key;
+  }
+
+  isFresh($name, $time) {
+    this.checkTemplate($name);
+
+    return true;
+  }
+
+  exists($name) {
+    return this.templates.has($name);
+  }
+
+  /**
+   * Returns the factory of a precompiled template.
+   *
+   * @param {string} $name      The template name
+   * @param {string} $className The template class name expected by the environment
+   *
+   * @return {Function|null} The factory, or null if the template was precompiled under another class name
+   *
+   * @throws {TwigErrorLoader} When the template is not defined
+   */
+  getTemplateFactory($name, $className) {
+    this.checkTemplate($name);
+
+    return (this.templates.get($name).class === $className) ? this.factories.get($className) : null;
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @throws {TwigErrorLoader} When the template is not defined
+   *
+   * @private
+   */
+  checkTemplate($name) {
+    if (!this.templates.has($name)) {
+      throw new TwigErrorLoader(sprintf('Template "%s" is not defined.', $name));
+    }
+  }
+}
+
+module.exports = TwigLoaderPrecompiled;
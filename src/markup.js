@@ -0,0 +1,32 @@
+/**
+ * Marks a content as safe.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigMarkup {
+  /**
+   * @param {string} $content
+   * @param {string} $charset
+   */
+  constructor($content, $charset) {
+    this.content = String($content);
+    this.charset = $charset;
+  }
+
+  toString() {
+    return this.content;
+  }
+
+  /**
+   * @return {Number}
+   */
+  count() {
+    return this.content.length;
+  }
+
+  toJSON() {
+    return this.content;
+  }
+}
+
+module.exports = TwigMarkup;
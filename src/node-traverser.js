@@ -0,0 +1,85 @@
+/**
+ * Visits the nodes of a tree with node visitors.
+ *
+ * The visitors are run one after the other, by ascending priority, each one on the whole tree.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeTraverser {
+  /**
+   * @param {TwigEnvironment}             $env
+   * @param {TwigNodeVisitorInterface[]}  [$visitors]
+   */
+  constructor($env, $visitors) {
+    let self = this;
+
+    this.env = $env;
+    this.visitors = new Map();
+
+    ($visitors || []).forEach(function ($visitor) {
+      self.addVisitor($visitor);
+    });
+  }
+
+  /**
+   * @param {TwigNodeVisitorInterface} $visitor
+   */
+  addVisitor($visitor) {
+    let $priority = $visitor.getPriority();
+
+    if (!this.visitors.has($priority)) {
+      this.visitors.set($priority, []);
+    }
+
+    this.visitors.get($priority).push($visitor);
+  }
+
+  /**
+   * Traverses a node and calls the registered visitors.
+   *
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNode}
+   */
+  traverse($node) {
+    let self = this;
+    let $priorities = Array.from(this.visitors.keys()).sort(function ($a, $b) {
+      return $a - $b;
+    });
+
+    $priorities.forEach(function ($priority) {
+      self.visitors.get($priority).forEach(function ($visitor) {
+        $node = self.traverseForVisitor($visitor, $node);
+      });
+    });
+
+    return $node;
+  }
+
+  /**
+   * @param {TwigNodeVisitorInterface}  $visitor
+   * @param {TwigNode}                  $node
+   *
+   * @return {TwigNode|false}
+   *
+   * @private
+   */
+  traverseForVisitor($visitor, $node) {
+    $node = $visitor.enterNode($node, this.env);
+
+    for (let [$k, $n] of Array.from($node.$nodes)) {
+      let $m = this.traverseForVisitor($visitor, $n);
+
+      if (false === $m) {
+        $node.removeNode($k);
+      }
+      else if ($m !== $n) {
+        $node.setNode($k, $m);
+      }
+    }
+
+    return $visitor.leaveNode($node, this.env);
+  }
+}
+
+module.exports = TwigNodeTraverser;
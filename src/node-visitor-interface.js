@@ -0,0 +1,43 @@
+/**
+ * Interface implemented by node visitor classes.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeVisitorInterface {
+  /**
+   * Called before child nodes are visited.
+   *
+   * @param {TwigNode}        $node
+   * @param {TwigEnvironment} $env
+   *
+   * @return {TwigNode} The modified node
+   */
+  enterNode($node, $env) {
+    return $node;
+  }
+
+  /**
+   * Called after child nodes are visited.
+   *
+   * @param {TwigNode}        $node
+   * @param {TwigEnvironment} $env
+   *
+   * @return {TwigNode|false} The modified node, or false to remove it
+   */
+  leaveNode($node, $env) {
+    return $node;
+  }
+
+  /**
+   * Returns the priority for this visitor.
+   *
+   * Priority should be between -10 and 10 (0 is the default).
+   *
+   * @return {Number} The priority level
+   */
+  getPriority() {
+    return 0;
+  }
+}
+
+module.exports = TwigNodeVisitorInterface;
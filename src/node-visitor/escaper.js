@@ -0,0 +1,189 @@
+const TwigNode = require('../node');
+const TwigNodeVisitorInterface = require('../node-visitor-interface');
+const TwigNodeVisitorSafeAnalysis = require('./safe-analysis');
+const TwigNodeTraverser = require('../node-traverser');
+const TwigNodeModule = require('../node/module');
+const TwigNodeAutoEscape = require('../node/auto-escape');
+const TwigNodeBlock = require('../node/block');
+const TwigNodeBlockReference = require('../node/block-reference');
+const TwigNodeImport = require('../node/import');
+const TwigNodePrint = require('../node/print');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigNodeExpressionFilter = require('../node/expression/filter');
+
+/**
+ * Wraps the printed expressions with the escape filter, according to the current escaping strategy.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
+class TwigNodeVisitorEscaper extends TwigNodeVisitorInterface {
+  constructor() {
+    super();
+
+    this.statusStack = [];
+    this.blocks = new Map();
+    this.safeAnalysis = new TwigNodeVisitorSafeAnalysis();
+    this.traverser = null;
+    this.defaultStrategy = false;
+    this.safeVars = [];
+  }
+
+  enterNode($node, $env) {
+    if ($node instanceof TwigNodeModule) {
+      let $defaultStrategy;
+
+      if ($env.hasExtension('TwigExtensionEscaper') && ($defaultStrategy = $env.getExtension('TwigExtensionEscaper').getDefaultStrategy($node.getTemplateName()))) {
+        this.defaultStrategy = $defaultStrategy;
+      }
+
+      this.safeVars = [];
+      this.blocks = new Map();
+    }
+    else if ($node instanceof TwigNodeAutoEscape) {
+      this.statusStack.push($node.getAttribute('value'));
+    }
+    else if ($node instanceof TwigNodeBlock) {
+      this.statusStack.push(this.blocks.has($node.getAttribute('name')) ? this.blocks.get($node.getAttribute('name')) : this.needEscaping());
+    }
+    else if ($node instanceof TwigNodeImport) {
+      this.safeVars.push($node.getNode('var').getAttribute('name'));
+    }
+
+    return $node;
+  }
+
+  leaveNode($node, $env) {
+    if ($node instanceof TwigNodeModule) {
+      this.defaultStrategy = false;
+      this.safeVars = [];
+      this.blocks = new Map();
+    }
+    else if ($node instanceof TwigNodeExpressionFilter) {
+      return this.preEscapeFilterNode($node, $env);
+    }
+    else if ($node instanceof TwigNodePrint) {
+      return this.escapePrintNode($node, $env, this.needEscaping());
+    }
+
+    if (($node instanceof TwigNodeAutoEscape) || ($node instanceof TwigNodeBlock)) {
+      this.statusStack.pop();
+    }
+    else if ($node instanceof TwigNodeBlockReference) {
+      this.blocks.set($node.getAttribute('name'), this.needEscaping());
+    }
+
+    return $node;
+  }
+
+  /**
+   * @param {TwigNodePrint}       $node
+   * @param {TwigEnvironment}     $env
+   * @param {string|boolean}      $type
+   *
+   * @return {TwigNodePrint}
+   *
+   * @private
+   */
+  escapePrintNode($node, $env, $type) {
+    if (false === $type) {
+      return $node;
+    }
+
+    let $expression = $node.getNode('expr');
+
+    if (this.isSafeFor($type, $expression, $env)) {
+      return $node;
+    }
+
+    let $class = $node.constructor;
+
+    return new $class(this.getEscaperFilter($type, $expression), $node.getTemplateLine());
+  }
+
+  /**
+   * @param {TwigNodeExpressionFilter}  $filter
+   * @param {TwigEnvironment}           $env
+   *
+   * @return {TwigNodeExpressionFilter}
+   *
+   * @private
+   */
+  preEscapeFilterNode($filter, $env) {
+    let $type = $env.getFilter($filter.getNode('filter').getAttribute('value')).getPreEscape();
+
+    if (null === $type) {
+      return $filter;
+    }
+
+    let $node = $filter.getNode('node');
+
+    if (this.isSafeFor($type, $node, $env)) {
+      return $filter;
+    }
+
+    $filter.setNode('node', this.getEscaperFilter($type, $node));
+
+    return $filter;
+  }
+
+  /**
+   * @param {string}          $type
+   * @param {TwigNode}        $expression
+   * @param {TwigEnvironment} $env
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  isSafeFor($type, $expression, $env) {
+    if (null === this.traverser) {
+      this.traverser = new TwigNodeTraverser($env, [this.safeAnalysis]);
+    }
+
+    // the expressions are checked once, when left, so they have never been analyzed yet
+    this.safeAnalysis.setSafeVars(this.safeVars);
+
+    this.traverser.traverse($expression);
+
+    let $safe = this.safeAnalysis.getSafe($expression);
+
+    return $safe.includes($type) || $safe.includes('all');
+  }
+
+  /**
+   * @return {string|boolean} The current escaping strategy, false if escaping is disabled
+   *
+   * @private
+   */
+  needEscaping() {
+    if (this.statusStack.length) {
+      return this.statusStack[this.statusStack.length - 1];
+    }
+
+    return this.defaultStrategy ? this.defaultStrategy : false;
+  }
+
+  /**
+   * @param {string}    $type
+   * @param {TwigNode}  $node
+   *
+   * @return {TwigNodeExpressionFilter}
+   *
+   * @private
+   */
+  getEscaperFilter($type, $node) {
+    let $line = $node.getTemplateLine();
+    let $name = new TwigNodeExpressionConstant('escape', $line);
+    let $args = new TwigNode(new Map([
+      [0, new TwigNodeExpressionConstant(String($type), $line)],
+      [1, new TwigNodeExpressionConstant(null, $line)],
+      [2, new TwigNodeExpressionConstant(true, $line)]
+    ]));
+
+    return new TwigNodeExpressionFilter($node, $name, $args, $line);
+  }
+}
+
+module.exports = TwigNodeVisitorEscaper;
@@ -0,0 +1,287 @@
+const TwigNodeVisitorInterface = require('../node-visitor-interface');
+const TwigNodeBlockReference = require('../node/block-reference');
+const TwigNodeFor = require('../node/for');
+const TwigNodeInclude = require('../node/include');
+const TwigNodePrint = require('../node/print');
+const TwigNodeExpressionBlockReference = require('../node/expression/block-reference');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigNodeExpressionFilter = require('../node/expression/filter');
+const TwigNodeExpressionFunction = require('../node/expression/function');
+const TwigNodeExpressionGetAttr = require('../node/expression/get-attr');
+const TwigNodeExpressionName = require('../node/expression/name');
+const TwigNodeExpressionParent = require('../node/expression/parent');
+const TwigNodeExpressionBinaryAdd = require('../node/expression/binary/add');
+const TwigNodeExpressionBinaryConcat = require('../node/expression/binary/concat');
+const TwigNodeExpressionBinaryDiv = require('../node/expression/binary/div');
+const TwigNodeExpressionBinaryFloorDiv = require('../node/expression/binary/floor-div');
+const TwigNodeExpressionBinaryMod = require('../node/expression/binary/mod');
+const TwigNodeExpressionBinaryMul = require('../node/expression/binary/mul');
+const TwigNodeExpressionBinarySub = require('../node/expression/binary/sub');
+const TwigNodeExpressionUnaryNeg = require('../node/expression/unary/neg');
+const TwigNodeExpressionUnaryNot = require('../node/expression/unary/not');
+const TwigNodeExpressionUnaryPos = require('../node/expression/unary/pos');
+const TwigExtensionCore = require('../extension-core');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * The operations of the expressions that can be evaluated at compile time, keyed by node class.
+ *
+ * They mirror the code compiled by each node.
+ */
+const CONSTANT_OPERATIONS = new Map([
+  [TwigNodeExpressionBinaryAdd, ($left, $right) => Number($left) + Number($right)],
+  [TwigNodeExpressionBinaryConcat, ($left, $right) => TwigExtensionCore.strval($left) + TwigExtensionCore.strval($right)],
+  [TwigNodeExpressionBinaryDiv, ($left, $right) => $left / $right],
+  [TwigNodeExpressionBinaryFloorDiv, ($left, $right) => Math.floor($left / $right)],
+  [TwigNodeExpressionBinaryMod, ($left, $right) => $left % $right],
+  [TwigNodeExpressionBinaryMul, ($left, $right) => $left * $right],
+  [TwigNodeExpressionBinarySub, ($left, $right) => $left - $right],
+  [TwigNodeExpressionUnaryNeg, ($value) => -$value],
+  [TwigNodeExpressionUnaryNot, ($value) => !TwigExtensionCore.boolval($value)],
+  [TwigNodeExpressionUnaryPos, ($value) => +$value]
+]);
+
+/**
+ * Tries to optimize the AST.
+ *
+ * This visitor is always the last registered one.
+ *
+ * You can configure which optimizations you want to activate via the
+ * optimizer mode.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
+class TwigNodeVisitorOptimizer extends TwigNodeVisitorInterface {
+  /**
+   * @param {Number} [$optimizers] The optimizer mode
+   *
+   * @throws {Error} When the optimizer mode is not valid
+   */
+  constructor($optimizers) {
+    super();
+
+    if (undefined === $optimizers) {
+      $optimizers = TwigNodeVisitorOptimizer.OPTIMIZE_ALL;
+    }
+
+    if (!Number.isInteger($optimizers) || $optimizers > (TwigNodeVisitorOptimizer.OPTIMIZE_FOR | TwigNodeVisitorOptimizer.OPTIMIZE_RAW_FILTER | TwigNodeVisitorOptimizer.OPTIMIZE_CONSTANT_EXPRESSION)) {
+      throw new Error(sprintf('Optimizer mode "%s" is not valid.', $optimizers));
+    }
+
+    this.loops = [];
+    this.loopsTargets = [];
+    this.optimizers = $optimizers;
+  }
+
+  enterNode($node, $env) {
+    if (this.isEnabled(TwigNodeVisitorOptimizer.OPTIMIZE_FOR)) {
+      this.enterOptimizeFor($node);
+    }
+
+    return $node;
+  }
+
+  leaveNode($node, $env) {
+    if (this.isEnabled(TwigNodeVisitorOptimizer.OPTIMIZE_FOR)) {
+      this.leaveOptimizeFor($node);
+    }
+
+    if (this.isEnabled(TwigNodeVisitorOptimizer.OPTIMIZE_RAW_FILTER)) {
+      $node = this.optimizeRawFilter($node);
+    }
+
+    if (this.isEnabled(TwigNodeVisitorOptimizer.OPTIMIZE_CONSTANT_EXPRESSION)) {
+      $node = this.optimizeConstantExpression($node);
+    }
+
+    return this.optimizePrintNode($node);
+  }
+
+  /**
+   * @param {Number} $optimizer
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  isEnabled($optimizer) {
+    return $optimizer === ($optimizer & this.optimizers);
+  }
+
+  /**
+   * Optimizes print nodes.
+   *
+   * It replaces:
+   *
+   *   * "yield (yield* this.render(Parent)Block())" with "yield* this.display(Parent)Block()"
+   *
+   * The escaper visitor runs first, so the expression is only left unwrapped when it is safe.
+   *
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNode}
+   *
+   * @private
+   */
+  optimizePrintNode($node) {
+    if (!($node instanceof TwigNodePrint)) {
+      return $node;
+    }
+
+    let $exprNode = $node.getNode('expr');
+
+    if (($exprNode instanceof TwigNodeExpressionBlockReference) || ($exprNode instanceof TwigNodeExpressionParent)) {
+      $exprNode.setAttribute('output', true);
+
+      return $exprNode;
+    }
+
+    return $node;
+  }
+
+  /**
+   * Removes "raw" filters.
+   *
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNode}
+   *
+   * @private
+   */
+  optimizeRawFilter($node) {
+    if (($node instanceof TwigNodeExpressionFilter) && ('raw' === $node.getNode('filter').getAttribute('value'))) {
+      return $node.getNode('node');
+    }
+
+    return $node;
+  }
+
+  /**
+   * Replaces the arithmetic, concatenation and negation expressions of constants with their value.
+   *
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNode}
+   *
+   * @private
+   */
+  optimizeConstantExpression($node) {
+    let $operation = CONSTANT_OPERATIONS.get($node.constructor);
+
+    if (!$operation) {
+      return $node;
+    }
+
+    let $operands = Array.from($node.$nodes.values());
+
+    if (!$operands.every(($operand) => $operand instanceof TwigNodeExpressionConstant)) {
+      return $node;
+    }
+
+    return new TwigNodeExpressionConstant($operation(...$operands.map(($operand) => $operand.getAttribute('value'))), $node.getTemplateLine());
+  }
+
+  /**
+   * Optimizes "for" tag by removing the "loop" variable creation whenever possible.
+   *
+   * @param {TwigNode} $node
+   *
+   * @private
+   */
+  enterOptimizeFor($node) {
+    if ($node instanceof TwigNodeFor) {
+      // disable the loop variable by default
+      $node.setAttribute('with_loop', false);
+      this.loops.unshift($node);
+      this.loopsTargets.unshift($node.getNode('value_target').getAttribute('name'));
+      this.loopsTargets.unshift($node.getNode('key_target').getAttribute('name'));
+    }
+    else if (!this.loops.length) {
+      // we are outside a loop
+    }
+    // when do we need to add the loop variable back?
+    // the loop variable is referenced for the current loop
+    else if (($node instanceof TwigNodeExpressionName) && ('loop' === $node.getAttribute('name'))) {
+      $node.setAttribute('always_defined', true);
+      this.addLoopToCurrent();
+    }
+    // optimize access to loop targets
+    else if (($node instanceof TwigNodeExpressionName) && this.loopsTargets.includes($node.getAttribute('name'))) {
+      $node.setAttribute('always_defined', true);
+    }
+    // block reference
+    else if (($node instanceof TwigNodeBlockReference) || ($node instanceof TwigNodeExpressionBlockReference)) {
+      this.addLoopToCurrent();
+    }
+    // include without the only attribute
+    else if (($node instanceof TwigNodeInclude) && !$node.getAttribute('only')) {
+      this.addLoopToAll();
+    }
+    // include function without the with_context=false parameter
+    else if (($node instanceof TwigNodeExpressionFunction)
+      && ('include' === $node.getAttribute('name'))
+      && (!$node.getNode('arguments').hasNode('with_context')
+        || false !== $node.getNode('arguments').getNode('with_context').getAttribute('value')
+      )
+    ) {
+      this.addLoopToAll();
+    }
+    // the loop variable is referenced via an attribute
+    else if (($node instanceof TwigNodeExpressionGetAttr)
+      && (!($node.getNode('attribute') instanceof TwigNodeExpressionConstant)
+        || 'parent' === $node.getNode('attribute').getAttribute('value')
+      )
+      && (true === this.loops[0].getAttribute('with_loop')
+        || (($node.getNode('node') instanceof TwigNodeExpressionName)
+          && 'loop' === $node.getNode('node').getAttribute('name')
+        )
+      )
+    ) {
+      this.addLoopToAll();
+    }
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @private
+   */
+  leaveOptimizeFor($node) {
+    if ($node instanceof TwigNodeFor) {
+      this.loops.shift();
+      this.loopsTargets.shift();
+      this.loopsTargets.shift();
+    }
+  }
+
+  /**
+   * @private
+   */
+  addLoopToCurrent() {
+    this.loops[0].setAttribute('with_loop', true);
+  }
+
+  /**
+   * @private
+   */
+  addLoopToAll() {
+    this.loops.forEach(function ($loop) {
+      $loop.setAttribute('with_loop', true);
+    });
+  }
+
+  getPriority() {
+    return 255;
+  }
+}
+
+TwigNodeVisitorOptimizer.OPTIMIZE_ALL = -1;
+TwigNodeVisitorOptimizer.OPTIMIZE_NONE = 0;
+TwigNodeVisitorOptimizer.OPTIMIZE_FOR = 2;
+TwigNodeVisitorOptimizer.OPTIMIZE_RAW_FILTER = 4;
+TwigNodeVisitorOptimizer.OPTIMIZE_CONSTANT_EXPRESSION = 8;
+
+module.exports = TwigNodeVisitorOptimizer;
@@ -0,0 +1,148 @@
+const TwigNodeVisitorInterface = require('../node-visitor-interface');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigNodeExpressionBlockReference = require('../node/expression/block-reference');
+const TwigNodeExpressionParent = require('../node/expression/parent');
+const TwigNodeExpressionConditional = require('../node/expression/conditional');
+const TwigNodeExpressionFilter = require('../node/expression/filter');
+const TwigNodeExpressionFunction = require('../node/expression/function');
+const TwigNodeExpressionMethodCall = require('../node/expression/method-call');
+const TwigNodeExpressionGetAttr = require('../node/expression/get-attr');
+const TwigNodeExpressionName = require('../node/expression/name');
+
+/**
+ * Computes the escaping strategies for which the value of each expression is safe.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ *
+ * @internal
+ */
+class TwigNodeVisitorSafeAnalysis extends TwigNodeVisitorInterface {
+  constructor() {
+    super();
+
+    this.data = new WeakMap();
+    this.safeVars = [];
+  }
+
+  /**
+   * @param {string[]} $safeVars The names of the variables whose attributes are safe
+   */
+  setSafeVars($safeVars) {
+    this.safeVars = $safeVars;
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @return {string[]|null} The safe strategies, or null if the node has not been analyzed
+   */
+  getSafe($node) {
+    if (!this.data.has($node)) {
+      return null;
+    }
+
+    let $safe = this.data.get($node);
+
+    if ($safe.includes('html_attr') && !$safe.includes('html')) {
+      $safe = $safe.concat(['html']);
+    }
+
+    return $safe;
+  }
+
+  /**
+   * @param {TwigNode}  $node
+   * @param {string[]}  $safe
+   *
+   * @private
+   */
+  setSafe($node, $safe) {
+    this.data.set($node, $safe);
+  }
+
+  leaveNode($node, $env) {
+    if ($node instanceof TwigNodeExpressionConstant) {
+      // constants are marked safe for all
+      this.setSafe($node, ['all']);
+    }
+    else if ($node instanceof TwigNodeExpressionBlockReference) {
+      // blocks are safe by definition
+      this.setSafe($node, ['all']);
+    }
+    else if ($node instanceof TwigNodeExpressionParent) {
+      // parent block is safe by definition
+      this.setSafe($node, ['all']);
+    }
+    else if ($node instanceof TwigNodeExpressionConditional) {
+      // intersect safeness of both operands
+      this.setSafe($node, this.intersectSafe(this.getSafe($node.getNode('expr2')), this.getSafe($node.getNode('expr3'))));
+    }
+    else if ($node instanceof TwigNodeExpressionFilter) {
+      // filter expression is safe when the filter is safe
+      let $filter = $env.getFilter($node.getNode('filter').getAttribute('value'));
+
+      if (false !== $filter) {
+        let $safe = $filter.getSafe($node.getNode('arguments'));
+
+        if (null === $safe) {
+          $safe = this.intersectSafe(this.getSafe($node.getNode('node')), $filter.getPreservesSafety());
+        }
+
+        this.setSafe($node, $safe);
+      }
+      else {
+        this.setSafe($node, []);
+      }
+    }
+    else if ($node instanceof TwigNodeExpressionFunction) {
+      // function expression is safe when the function is safe
+      let $function = $env.getFunction($node.getAttribute('name'));
+
+      if (false !== $function) {
+        this.setSafe($node, $function.getSafe($node.getNode('arguments')) || []);
+      }
+      else {
+        this.setSafe($node, []);
+      }
+    }
+    else if ($node instanceof TwigNodeExpressionMethodCall) {
+      this.setSafe($node, $node.getAttribute('safe') ? ['all'] : []);
+    }
+    else if (($node instanceof TwigNodeExpressionGetAttr) && ($node.getNode('node') instanceof TwigNodeExpressionName)) {
+      this.setSafe($node, this.safeVars.includes($node.getNode('node').getAttribute('name')) ? ['all'] : []);
+    }
+    else {
+      this.setSafe($node, []);
+    }
+
+    return $node;
+  }
+
+  /**
+   * @param {string[]|null} $a
+   * @param {string[]|null} $b
+   *
+   * @return {string[]}
+   *
+   * @private
+   */
+  intersectSafe($a, $b) {
+    if ((null === $a) || (null === $b)) {
+      return [];
+    }
+
+    if ($a.includes('all')) {
+      return $b;
+    }
+
+    if ($b.includes('all')) {
+      return $a;
+    }
+
+    return $a.filter(function ($strategy) {
+      return $b.includes($strategy);
+    });
+  }
+}
+
+module.exports = TwigNodeVisitorSafeAnalysis;
@@ -2,7 +2,6 @@ const is_object = require('locutus/php/var/is_object');
 const gettype = require('locutus/php/var/gettype');
 const isset = require('locutus/php/var/isset');
 const array_key_exists = require('locutus/php/array/array_key_exists');
-const count = require('locutus/php/array/count');
 const implode = require('locutus/php/strings/implode');
 const explode = require('locutus/php/strings/explode');
 const sprintf = require('locutus/php/strings/sprintf');
@@ -65,22 +64,18 @@ class TwigNode {
 
     let $repr = [get_class(this) + '(' + implode(', ', $attributes)];
 
-    if (count(this.$nodes)) {
-      this.$nodes.forEach(function ($node, $name) {
-        let $len = strlen($name) + 4;
-        let $noderepr = [];
+    this.$nodes.forEach(function ($node, $name) {
+      let $len = strlen($name) + 4;
+      let $noderepr = [];
 
-        explode("\n", $node.toString()).forEach(function ($line) {
-          $noderepr.push(str_repeat(' ', $len) + $line);
-        });
-
-        $repr.push(sprintf('  %s: %s', $name, ltrim(implode("\n", $noderepr))));
+      explode("\n", $node.toString()).forEach(function ($line) {
+        $noderepr.push(str_repeat(' ', $len) + $line);
       });
 
-      $repr.push(')');
-    } else {
-      $repr[0] += ')';
-    }
+      $repr.push(sprintf('  %s: %s', $name, ltrim(implode("\n", $noderepr))));
+    });
+
+    $repr.push(')');
 
     return implode("\n", $repr);
   }
@@ -111,7 +106,7 @@ class TwigNode {
    */
   getAttribute($name) {
     if (!this.hasAttribute($name)) {
-      throw new Error(sprintf('Attribute "%s" does not exist for Node "%s".', $name, typeof this));
+      throw new Error(sprintf('Attribute "%s" does not exist for Node "%s".', $name, get_class(this)));
     }
 
     return this.$attributes.get($name);
@@ -141,10 +136,10 @@ class TwigNode {
    */
   getNode($name) {
     if (!this.hasNode($name)) {
-      throw new Error(sprintf('Node "%s" does not exist for Node "%s".', $name, typeof this));
+      throw new Error(sprintf('Node "%s" does not exist for Node "%s".', $name, get_class(this)));
     }
 
-    return this.$nodes[$name];
+    return this.$nodes.get($name);
   }
 
   setNode($name, $node) {
@@ -174,6 +169,42 @@ class TwigNode {
   getTemplateName() {
     return this.$name;
   }
+
+  /**
+   * Returns a shallow copy of the node: attributes and the list of children are copied, children themselves are shared.
+   *
+   * @return {TwigNode}
+   */
+  clone() {
+    let $clone = Object.create(Object.getPrototypeOf(this));
+
+    Object.assign($clone, this);
+
+    $clone.$nodes = new Map(this.$nodes);
+    $clone.$attributes = new Map(this.$attributes);
+
+    return $clone;
+  }
+
+  /**
+   * Whether the node outputs something when compiled.
+   *
+   * A template that extends another one cannot contain output nodes outside of blocks.
+   *
+   * @return {boolean}
+   */
+  isOutput() {
+    return false;
+  }
+
+  /**
+   * Whether the node captures the output of its children.
+   *
+   * @return {boolean}
+   */
+  isCapture() {
+    return false;
+  }
 }
 
 module.exports = TwigNode;
@@ -0,0 +1,30 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents an autoescape node.
+ *
+ * The value is the escaping strategy (can be html, js, ...)
+ *
+ * The true value is equivalent to html.
+ *
+ * If autoescaping is disabled, then the value is false.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeAutoEscape extends TwigNode {
+  /**
+   * @param {string|boolean}  $value
+   * @param {TwigNode}        $body
+   * @param {Number}          $lineno
+   * @param {string}          [$tag]
+   */
+  constructor($value, $body, $lineno, $tag) {
+    super(new Map([['body', $body]]), new Map([['value', $value]]), $lineno, $tag || 'autoescape');
+  }
+
+  compile($compiler) {
+    $compiler.subcompile(this.getNode('body'));
+  }
+}
+
+module.exports = TwigNodeAutoEscape;
@@ -0,0 +1,32 @@
+const TwigNode = require('../node');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a block call node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeBlockReference extends TwigNode {
+  /**
+   * @param {string} $name
+   * @param {Number} $lineno
+   * @param {string} [$tag]
+   */
+  constructor($name, $lineno, $tag) {
+    super(null, new Map([['name', $name]]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write(sprintf("yield* this.displayBlock('%s', $context, $blocks);\n", this.getAttribute('name')))
+    ;
+  }
+
+  isOutput() {
+    return true;
+  }
+}
+
+module.exports = TwigNodeBlockReference;
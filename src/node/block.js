@@ -0,0 +1,33 @@
+const TwigNode = require('../node');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a block node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeBlock extends TwigNode {
+  /**
+   * @param {string}    $name
+   * @param {TwigNode}  $body
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($name, $body, $lineno, $tag) {
+    super(new Map([['body', $body]]), new Map([['name', $name]]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write(sprintf("*block_%s($context, $blocks = new Map()) {\n", this.getAttribute('name')))
+      .indent()
+      .subcompile(this.getNode('body'))
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeBlock;
@@ -0,0 +1,12 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a body node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeBody extends TwigNode {
+
+}
+
+module.exports = TwigNodeBody;
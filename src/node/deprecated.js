@@ -0,0 +1,48 @@
+const TwigNode = require('../node');
+const TwigNodeExpressionConstant = require('./expression/constant');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a deprecated node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeDeprecated extends TwigNode {
+  /**
+   * @param {TwigNodeExpression}  $expr
+   * @param {Number}              $lineno
+   * @param {string}              [$tag]
+   */
+  constructor($expr, $lineno, $tag) {
+    super(new Map([['expr', $expr]]), null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    let $expr = this.getNode('expr');
+
+    $compiler
+      .addDebugInfo(this)
+      .write('process.emitWarning(')
+    ;
+
+    if ($expr instanceof TwigNodeExpressionConstant) {
+      $compiler.subcompile($expr);
+    }
+    else {
+      $compiler
+        .raw('TwigExtensionCore.strval(')
+        .subcompile($expr)
+        .raw(')')
+      ;
+    }
+
+    $compiler
+      .raw(' + ')
+      .string(sprintf(' ("%s" at line %d).', this.getTemplateName(), this.getTemplateLine()))
+      .raw(", 'DeprecationWarning');\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeDeprecated;
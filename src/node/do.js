@@ -0,0 +1,28 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a do node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeDo extends TwigNode {
+  /**
+   * @param {TwigNodeExpression}  $expr
+   * @param {Number}              $lineno
+   * @param {string}              [$tag]
+   */
+  constructor($expr, $lineno, $tag) {
+    super(new Map([['expr', $expr]]), null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write('')
+      .subcompile(this.getNode('expr'))
+      .raw(";\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeDo;
@@ -0,0 +1,41 @@
+const TwigNodeInclude = require('./include');
+const TwigNodeExpressionConstant = require('./expression/constant');
+
+/**
+ * Represents an embed node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeEmbed extends TwigNodeInclude {
+  /**
+   * @param {string}                  $name           The name of the embedding template
+   * @param {Number}                  $index          The index of the embedded template
+   * @param {TwigNodeExpression|null} $variables
+   * @param {boolean}                 $only
+   * @param {boolean}                 $ignoreMissing
+   * @param {Number}                  $lineno
+   * @param {string}                  [$tag]
+   */
+  constructor($name, $index, $variables, $only, $ignoreMissing, $lineno, $tag) {
+    super(new TwigNodeExpressionConstant('not_used', $lineno), $variables, $only, $ignoreMissing, $lineno, $tag);
+
+    this.setAttribute('name', $name);
+    this.setAttribute('index', $index);
+  }
+
+  addGetTemplate($compiler) {
+    $compiler
+      .raw('(yield* this.fetchTemplate(')
+      .string(this.getAttribute('name'))
+      .raw(', ')
+      .repr(this.getTemplateName())
+      .raw(', ')
+      .repr(this.getTemplateLine())
+      .raw(', ')
+      .repr(this.getAttribute('index'))
+      .raw('))')
+    ;
+  }
+}
+
+module.exports = TwigNodeEmbed;
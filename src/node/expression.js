@@ -0,0 +1,12 @@
+const TwigNode = require('../node');
+
+/**
+ * Abstract class for all nodes that represents an expression.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpression extends TwigNode {
+
+}
+
+module.exports = TwigNodeExpression;
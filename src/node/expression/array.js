@@ -0,0 +1,126 @@
+const TwigNodeExpression = require('../expression');
+const TwigNodeExpressionConstant = require('./constant');
+
+/**
+ * Represents an array or a hash literal.
+ *
+ * Sequences are compiled to arrays, hashes to Map instances so that the keys keep their order and type.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionArray extends TwigNodeExpression {
+  /**
+   * @param {Map}     $elements The keys and values, interleaved
+   * @param {Number}  $lineno
+   */
+  constructor($elements, $lineno) {
+    super($elements, null, $lineno);
+
+    let self = this;
+
+    this.index = -1;
+
+    this.getKeyValuePairs().forEach(function ($pair) {
+      if ($pair.key instanceof TwigNodeExpressionConstant && /^\d+$/.test(String($pair.key.getAttribute('value'))) && $pair.key.getAttribute('value') > self.index) {
+        self.index = Number($pair.key.getAttribute('value'));
+      }
+    });
+  }
+
+  /**
+   * @return {Array} An array of {key, value} objects
+   */
+  getKeyValuePairs() {
+    let $pairs = [];
+    let $nodes = Array.from(this.$nodes.values());
+
+    for (let $i = 0; $i < $nodes.length; $i += 2) {
+      $pairs.push({
+        key: $nodes[$i],
+        value: $nodes[$i + 1]
+      });
+    }
+
+    return $pairs;
+  }
+
+  /**
+   * @param {TwigNodeExpression} $key
+   *
+   * @return {boolean}
+   */
+  hasElement($key) {
+    return this.getKeyValuePairs().some(function ($pair) {
+      // we compare the string representation of the keys
+      // to avoid comparing the line numbers which are not relevant here.
+      return $key.toString() === $pair.key.toString();
+    });
+  }
+
+  /**
+   * @param {TwigNodeExpression} $value
+   * @param {TwigNodeExpression} [$key]
+   */
+  addElement($value, $key) {
+    if (!$key) {
+      $key = new TwigNodeExpressionConstant(++this.index, $value.getTemplateLine());
+    }
+
+    this.$nodes.set(this.$nodes.size, $key);
+    this.$nodes.set(this.$nodes.size, $value);
+  }
+
+  /**
+   * Whether the keys are the consecutive integers starting from 0, in which case the array is a sequence.
+   *
+   * @return {boolean}
+   */
+  isSequence() {
+    return this.getKeyValuePairs().every(function ($pair, $index) {
+      return $pair.key instanceof TwigNodeExpressionConstant && $pair.key.getAttribute('value') === $index;
+    });
+  }
+
+  compile($compiler) {
+    let $first = true;
+
+    if (this.isSequence()) {
+      $compiler.raw('[');
+
+      this.getKeyValuePairs().forEach(function ($pair) {
+        if (!$first) {
+          $compiler.raw(', ');
+        }
+
+        $first = false;
+
+        $compiler.subcompile($pair.value);
+      });
+
+      $compiler.raw(']');
+    }
+    else {
+      $compiler.raw('new Map([');
+
+      this.getKeyValuePairs().forEach(function ($pair) {
+        if (!$first) {
+          $compiler.raw(', ');
+        }
+
+        $first = false;
+
+        $compiler
+          .raw('[')
+          .subcompile($pair.key)
+          .raw(', ')
+          .subcompile($pair.value)
+          .raw(']')
+        ;
+      });
+
+      $compiler.raw('])');
+    }
+  }
+}
+
+module.exports = TwigNodeExpressionArray;
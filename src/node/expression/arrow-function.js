@@ -0,0 +1,58 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents an arrow function.
+ *
+ * It compiles to a javascript closure running its expression against a copy of the context in which the
+ * arguments are set, so that assigning them doesn't leak outside of the closure.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionArrowFunction extends TwigNodeExpression {
+  /**
+   * @param {TwigNodeExpression}  $expr   The expression returned by the closure
+   * @param {TwigNode}            $names  The names of the arguments
+   * @param {Number}              $lineno
+   */
+  constructor($expr, $names, $lineno) {
+    super(new Map([
+      ['expr', $expr],
+      ['names', $names]
+    ]), null, $lineno);
+  }
+
+  compile($compiler) {
+    let $names = Array.from(this.getNode('names').getIterator()).map(function ($name) {
+      return $name.getAttribute('name');
+    });
+
+    $compiler.raw('((');
+
+    $names.forEach(function ($name, $index) {
+      if ($index) {
+        $compiler.raw(', ');
+      }
+
+      $compiler.raw('$__' + $name + '__');
+    });
+
+    // the expression may call macros or render blocks, which are generators
+    $compiler.raw(') => this.evaluate(function* ($context) { ');
+
+    $names.forEach(function ($name) {
+      $compiler
+        .raw('$context.set(')
+        .string($name)
+        .raw(', $__' + $name + '__); ')
+      ;
+    });
+
+    $compiler
+      .raw('return ')
+      .subcompile(this.getNode('expr'))
+      .raw('; }, new Map($context)))')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionArrowFunction;
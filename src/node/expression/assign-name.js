@@ -0,0 +1,16 @@
+const TwigNodeExpressionName = require('./name');
+
+/**
+ * Represents the target of an assignment.
+ *
+ * It compiles to the key under which the value is stored in the context.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionAssignName extends TwigNodeExpressionName {
+  compile($compiler) {
+    $compiler.string(this.getAttribute('name'));
+  }
+}
+
+module.exports = TwigNodeExpressionAssignName;
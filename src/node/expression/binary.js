@@ -0,0 +1,65 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Abstract class for binary operator expressions.
+ *
+ * Subclasses either implement operator($compiler), compiling the operator, or override compile().
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionBinary extends TwigNodeExpression {
+  /**
+   * @param {TwigNode}  $left
+   * @param {TwigNode}  $right
+   * @param {Number}    $lineno
+   */
+  constructor($left, $right, $lineno) {
+    super(new Map([
+      ['left', $left],
+      ['right', $right]
+    ]), null, $lineno);
+  }
+
+  compile($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('left'))
+      .raw(' ')
+    ;
+
+    this.operator($compiler);
+
+    $compiler
+      .raw(' ')
+      .subcompile(this.getNode('right'))
+      .raw(')')
+    ;
+  }
+
+  /**
+   * Compiles a call to a function taking both operands as arguments.
+   *
+   * @param {TwigCompiler}  $compiler
+   * @param {string}        $function The compiled function
+   * @param {boolean}       [$reversed] Whether to pass the right operand first
+   *
+   * @protected
+   */
+  compileFunctionCall($compiler, $function, $reversed) {
+    let $operands = [this.getNode('left'), this.getNode('right')];
+
+    if ($reversed) {
+      $operands.reverse();
+    }
+
+    $compiler
+      .raw($function + '(')
+      .subcompile($operands[0])
+      .raw(', ')
+      .subcompile($operands[1])
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionBinary;
@@ -0,0 +1,25 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryAdd extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    $compiler
+      .raw('(Number(')
+      .subcompile(this.getNode('left'))
+      .raw(') ')
+    ;
+
+    this.operator($compiler);
+
+    $compiler
+      .raw(' Number(')
+      .subcompile(this.getNode('right'))
+      .raw('))')
+    ;
+  }
+
+  operator($compiler) {
+    return $compiler.raw('+');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryAdd;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryBitwiseAnd extends TwigNodeExpressionBinary {
+  operator($compiler) {
+    return $compiler.raw('&');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryBitwiseAnd;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryBitwiseOr extends TwigNodeExpressionBinary {
+  operator($compiler) {
+    return $compiler.raw('|');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryBitwiseOr;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryBitwiseXor extends TwigNodeExpressionBinary {
+  operator($compiler) {
+    return $compiler.raw('^');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryBitwiseXor;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryDiv extends TwigNodeExpressionBinary {
+  operator($compiler) {
+    return $compiler.raw('/');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryDiv;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryEndsWith extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, 'TwigExtensionCore.endsWith');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryEndsWith;
@@ -0,0 +1,13 @@
+const TwigNodeExpressionBinaryDiv = require('./div');
+
+class TwigNodeExpressionBinaryFloorDiv extends TwigNodeExpressionBinaryDiv {
+  compile($compiler) {
+    $compiler.raw('Math.floor(');
+
+    super.compile($compiler);
+
+    $compiler.raw(')');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryFloorDiv;
@@ -0,0 +1,21 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryLess extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    $compiler.raw('(');
+
+    this.compileFunctionCall($compiler, 'TwigExtensionCore.compare');
+
+    $compiler.raw(' ');
+
+    this.operator($compiler);
+
+    $compiler.raw(' 0)');
+  }
+
+  operator($compiler) {
+    return $compiler.raw('<');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryLess;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryMatches extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, 'TwigExtensionCore.matches', true);
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryMatches;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryNotIn extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, '!TwigExtensionCore.inFilter');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryNotIn;
@@ -0,0 +1,25 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryOr extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    $compiler
+      .raw('(TwigExtensionCore.boolval(')
+      .subcompile(this.getNode('left'))
+      .raw(') ')
+    ;
+
+    this.operator($compiler);
+
+    $compiler
+      .raw(' TwigExtensionCore.boolval(')
+      .subcompile(this.getNode('right'))
+      .raw('))')
+    ;
+  }
+
+  operator($compiler) {
+    return $compiler.raw('||');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryOr;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryPower extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, 'Math.pow');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryPower;
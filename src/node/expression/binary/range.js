@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinaryRange extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, 'TwigExtensionCore.range');
+  }
+}
+
+module.exports = TwigNodeExpressionBinaryRange;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionBinary = require('../binary');
+
+class TwigNodeExpressionBinarySpaceship extends TwigNodeExpressionBinary {
+  compile($compiler) {
+    this.compileFunctionCall($compiler, 'TwigExtensionCore.compare');
+  }
+}
+
+module.exports = TwigNodeExpressionBinarySpaceship;
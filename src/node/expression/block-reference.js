@@ -0,0 +1,102 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents a block call node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionBlockReference extends TwigNodeExpression {
+  /**
+   * @param {TwigNode}  $name       The block name
+   * @param {TwigNode}  [$template] The template holding the block
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($name, $template, $lineno, $tag) {
+    let $nodes = new Map([
+      ['name', $name]
+    ]);
+
+    if ($template) {
+      $nodes.set('template', $template);
+    }
+
+    super($nodes, new Map([
+      ['is_defined_test', false],
+      ['output', false]
+    ]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    if (this.getAttribute('is_defined_test')) {
+      this.compileTemplateCall($compiler, 'hasBlock');
+    }
+    else {
+      if (this.getAttribute('output')) {
+        $compiler
+          .addDebugInfo(this)
+          .write('yield* ')
+        ;
+
+        this.compileTemplateCall($compiler, 'displayBlock').raw(";\n");
+      }
+      else {
+        $compiler.raw('(yield* ');
+
+        this.compileTemplateCall($compiler, 'renderBlock').raw(')');
+      }
+    }
+  }
+
+  /**
+   * @param {TwigCompiler}  $compiler
+   * @param {string}        $method
+   *
+   * @return {TwigCompiler}
+   *
+   * @private
+   */
+  compileTemplateCall($compiler, $method) {
+    if (!this.hasNode('template')) {
+      $compiler.raw('this');
+    }
+    else {
+      $compiler
+        .raw('(yield* this.fetchTemplate(')
+        .subcompile(this.getNode('template'))
+        .raw(', ')
+        .repr(this.getTemplateName())
+        .raw(', ')
+        .repr(this.getTemplateLine())
+        .raw('))')
+      ;
+    }
+
+    $compiler.raw('.' + $method);
+
+    return this.compileBlockArguments($compiler);
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   *
+   * @return {TwigCompiler}
+   *
+   * @private
+   */
+  compileBlockArguments($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('name'))
+      .raw(', $context')
+    ;
+
+    if (!this.hasNode('template')) {
+      $compiler.raw(', $blocks');
+    }
+
+    return $compiler.raw(')');
+  }
+}
+
+module.exports = TwigNodeExpressionBlockReference;
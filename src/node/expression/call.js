@@ -0,0 +1,442 @@
+const TwigNodeExpression = require('../expression');
+const TwigErrorSyntax = require('../../error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Splits a list of parameters or arguments on its top-level commas.
+ *
+ * @param {string} $list
+ *
+ * @return {string[]}
+ */
+let splitList = function ($list) {
+  let $items = [];
+  let $depth = 0;
+  let $quote = null;
+  let $current = '';
+
+  for (let $i = 0; $i < $list.length; $i++) {
+    let $char = $list.charAt($i);
+
+    if ($quote) {
+      if ('\\' === $char) {
+        $current += $char + $list.charAt(++$i);
+
+        continue;
+      }
+
+      if ($char === $quote) {
+        $quote = null;
+      }
+    }
+    else if ('"\'`'.includes($char)) {
+      $quote = $char;
+    }
+    else if ('([{'.includes($char)) {
+      $depth++;
+    }
+    else if (')]}'.includes($char)) {
+      $depth--;
+    }
+    else if ((',' === $char) && !$depth) {
+      $items.push($current);
+      $current = '';
+
+      continue;
+    }
+
+    $current += $char;
+  }
+
+  if ($current.trim()) {
+    $items.push($current);
+  }
+
+  return $items;
+};
+
+/**
+ * Removes the comments from the source code of a function, leaving the string literals untouched.
+ *
+ * @param {string} $source
+ *
+ * @return {string}
+ */
+let stripComments = function ($source) {
+  let $result = '';
+  let $quote = null;
+
+  for (let $i = 0; $i < $source.length; $i++) {
+    let $char = $source.charAt($i);
+
+    if ($quote) {
+      if ('\\' === $char) {
+        $result += $char + $source.charAt(++$i);
+
+        continue;
+      }
+
+      if ($char === $quote) {
+        $quote = null;
+      }
+    }
+    else if ('"\'`'.includes($char)) {
+      $quote = $char;
+    }
+    // the source code of a function always ends with its body, so the comments are always closed
+    else if (('/' === $char) && ('/' === $source.charAt($i + 1))) {
+      $i = $source.indexOf('\n', $i) - 1;
+
+      continue;
+    }
+    else if (('/' === $char) && ('*' === $source.charAt($i + 1))) {
+      $i = $source.indexOf('*/', $i + 2) + 1;
+      $result += ' ';
+
+      continue;
+    }
+
+    $result += $char;
+  }
+
+  return $result;
+};
+
+/**
+ * Returns the parameters of a function, read from its source code.
+ *
+ * The "$" prefix of the parameter names is removed, as it is used by convention in this library.
+ *
+ * @param {Function} $callable
+ *
+ * @return {Object[]|null} The parameters, with their name and whether they are a rest parameter, or null when the source code of the function is not available, like for native and bound functions
+ */
+let reflectParameters = function ($callable) {
+  let $source = stripComments(Function.prototype.toString.call($callable));
+
+  if (/\{\s*\[native code\]\s*\}\s*$/.test($source)) {
+    return null;
+  }
+
+  let $match = /^\s*(?:async\s*)?([\w$]+)\s*=>/.exec($source);
+  let $list;
+
+  if ($match) {
+    $list = $match[1];
+  }
+  else {
+    let $start = $source.indexOf('(');
+    let $depth = 0;
+    let $quote = null;
+    let $end = $start;
+
+    // the list ends at the parenthesis closing the opening one, the string literals being skipped
+    for (; $end < $source.length; $end++) {
+      let $char = $source.charAt($end);
+
+      if ($quote) {
+        if ('\\' === $char) {
+          $end++;
+        }
+        else if ($char === $quote) {
+          $quote = null;
+        }
+      }
+      else if ('"\'`'.includes($char)) {
+        $quote = $char;
+      }
+      else if ('([{'.includes($char)) {
+        $depth++;
+      }
+      else if (')]}'.includes($char) && !--$depth) {
+        break;
+      }
+    }
+
+    $list = $source.substring($start + 1, $end);
+  }
+
+  return splitList($list).map(function ($parameter, $index) {
+    let $parts = /^\s*(\.\.\.)?\s*([\w$]*)/.exec($parameter);
+
+    return {
+      name: ($parts[2] || String($index)).replace(/^\$/, ''),
+      isRest: !!$parts[1]
+    };
+  });
+};
+
+/**
+ * Abstract class for expressions calling a filter, a function or a test.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionCall extends TwigNodeExpression {
+  /**
+   * Compiles the call to the callable, using the attributes set by the concrete node.
+   *
+   * @param {TwigCompiler} $compiler
+   *
+   * @protected
+   */
+  compileCallable($compiler) {
+    let $type = this.getAttribute('type');
+    let $isAsync = this.hasAttribute('is_async') && this.getAttribute('is_async');
+
+    // the promise returned by an asynchronous callable is yielded, the rendering resuming with its result
+    if ($isAsync) {
+      $compiler.raw('this.checkResolved(yield Promise.resolve(');
+    }
+
+    $compiler
+      .raw(sprintf('this.env.get%s(', $type.charAt(0).toUpperCase() + $type.substr(1)))
+      .string(this.getAttribute('name'))
+      .raw(').getCallable()')
+    ;
+
+    this.compileArguments($compiler);
+
+    if ($isAsync) {
+      $compiler.raw('))');
+    }
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   *
+   * @protected
+   */
+  compileArguments($compiler) {
+    let self = this;
+
+    $compiler.raw('(');
+
+    let $first = true;
+
+    if (this.hasAttribute('needs_environment') && this.getAttribute('needs_environment')) {
+      $compiler.raw('this.env');
+      $first = false;
+    }
+
+    if (this.hasAttribute('needs_context') && this.getAttribute('needs_context')) {
+      if (!$first) {
+        $compiler.raw(', ');
+      }
+
+      $compiler.raw('$context');
+      $first = false;
+    }
+
+    if (this.hasAttribute('arguments')) {
+      this.getAttribute('arguments').forEach(function ($argument) {
+        if (!$first) {
+          $compiler.raw(', ');
+        }
+
+        $compiler.string($argument);
+        $first = false;
+      });
+    }
+
+    if (this.hasNode('node')) {
+      if (!$first) {
+        $compiler.raw(', ');
+      }
+
+      $compiler.subcompile(this.getNode('node'));
+      $first = false;
+    }
+
+    if (this.hasNode('arguments')) {
+      this.getArguments(this.getAttribute('callable'), this.getNode('arguments')).forEach(function ($node) {
+        if (!$first) {
+          $compiler.raw(', ');
+        }
+
+        // skipped arguments are left undefined so that the callable uses its default value
+        if (null === $node) {
+          $compiler.raw('undefined');
+        }
+        else {
+          $compiler.subcompile($node);
+        }
+
+        $first = false;
+      });
+    }
+
+    $compiler.raw(')');
+  }
+
+  /**
+   * Returns the argument nodes to pass to the callable, in order.
+   *
+   * Named arguments are mapped to the parameters of the callable, read from its source code. As the default
+   * values of the parameters can't be known, a skipped argument is passed as undefined.
+   *
+   * @param {Function} $callable
+   * @param {TwigNode} $arguments
+   *
+   * @return {Array<TwigNode|null>} The nodes, null standing for a skipped argument
+   *
+   * @throws {TwigErrorSyntax}
+   *
+   * @protected
+   */
+  getArguments($callable, $arguments) {
+    let self = this;
+    let $callType = this.getAttribute('type');
+    let $callName = this.getAttribute('name');
+
+    let $parameters = new Map();
+    let $named = false;
+
+    $arguments.$nodes.forEach(function ($node, $name) {
+      if (typeof $name !== 'number') {
+        $named = true;
+        $name = self.normalizeName($name);
+      }
+      else if ($named) {
+        throw new TwigErrorSyntax(sprintf('Positional arguments cannot be used after named arguments for %s "%s".', $callType, $callName), self.getTemplateLine());
+      }
+
+      $parameters.set($name, $node);
+    });
+
+    // arbitrary positional arguments are passed through to the rest parameter of variadic callables
+    if (!$named) {
+      return Array.from($parameters.values());
+    }
+
+    if (!$callable) {
+      throw new Error(sprintf('Named arguments are not supported for %s "%s".', $callType, $callName));
+    }
+
+    let $isVariadic = this.hasAttribute('is_variadic') && this.getAttribute('is_variadic');
+    let $callableParameters = this.getCallableParameters($callable, $isVariadic);
+    let $result = [];
+    let $names = [];
+    let $optionalArguments = [];
+    let $pos = 0;
+
+    for (let $callableParameter of $callableParameters) {
+      let $name = this.normalizeName($callableParameter.name);
+
+      $names.push($name);
+
+      if ($parameters.has($name)) {
+        if ($parameters.has($pos)) {
+          throw new TwigErrorSyntax(sprintf('Argument "%s" is defined twice for %s "%s".', $name, $callType, $callName), this.getTemplateLine());
+        }
+
+        $result = $result.concat($optionalArguments);
+        $result.push($parameters.get($name));
+        $parameters.delete($name);
+        $optionalArguments = [];
+      }
+      else if ($parameters.has($pos)) {
+        $result = $result.concat($optionalArguments);
+        $result.push($parameters.get($pos));
+        $parameters.delete($pos);
+        $optionalArguments = [];
+        ++$pos;
+      }
+      else if (!$parameters.size) {
+        break;
+      }
+      else {
+        $optionalArguments.push(null);
+      }
+    }
+
+    if ($isVariadic) {
+      $parameters.forEach(function ($value, $key) {
+        if (typeof $key === 'number') {
+          $result.push($value);
+          $parameters.delete($key);
+        }
+      });
+    }
+
+    if ($parameters.size) {
+      let $unknownParameter = Array.from($parameters.values())[0];
+
+      throw new TwigErrorSyntax(sprintf(
+        'Unknown argument%s "%s" for %s "%s(%s)".',
+        $parameters.size > 1 ? 's' : '', Array.from($parameters.keys()).join('", "'), $callType, $callName, $names.join(', ')
+      ), $unknownParameter.getTemplateLine());
+    }
+
+    return $result;
+  }
+
+  /**
+   * Converts a camel cased name to snake case.
+   *
+   * @param {string} $name
+   *
+   * @return {string}
+   *
+   * @protected
+   */
+  normalizeName($name) {
+    return String($name).replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  /**
+   * Returns the parameters of the callable that can be set from the template.
+   *
+   * @param {Function}  $callable
+   * @param {boolean}   $isVariadic
+   *
+   * @return {Object[]}
+   *
+   * @throws {TwigErrorSyntax} When the parameters of the callable cannot be read
+   * @throws {Error} When the callable is variadic and has no rest parameter
+   *
+   * @private
+   */
+  getCallableParameters($callable, $isVariadic) {
+    let $parameters = reflectParameters($callable);
+
+    if (null === $parameters) {
+      throw new TwigErrorSyntax(sprintf('Named arguments are not supported for %s "%s" as the parameters of its callable cannot be read (native and bound functions are not supported).', this.getAttribute('type'), this.getAttribute('name')), this.getTemplateLine());
+    }
+
+    if (this.hasNode('node')) {
+      $parameters.shift();
+    }
+
+    if (this.hasAttribute('needs_environment') && this.getAttribute('needs_environment')) {
+      $parameters.shift();
+    }
+
+    if (this.hasAttribute('needs_context') && this.getAttribute('needs_context')) {
+      $parameters.shift();
+    }
+
+    if (this.hasAttribute('arguments') && (null !== this.getAttribute('arguments'))) {
+      this.getAttribute('arguments').forEach(function () {
+        $parameters.shift();
+      });
+    }
+
+    if ($isVariadic) {
+      let $argument = $parameters[$parameters.length - 1];
+
+      if ($argument && $argument.isRest) {
+        $parameters.pop();
+      }
+      else {
+        throw new Error(sprintf('The last parameter of "%s" for %s "%s" must be a rest parameter, eg. "...$args".', $callable.name, this.getAttribute('type'), this.getAttribute('name')));
+      }
+    }
+
+    return $parameters.filter(function ($parameter) {
+      return !$parameter.isRest;
+    });
+  }
+}
+
+module.exports = TwigNodeExpressionCall;
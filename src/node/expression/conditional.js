@@ -0,0 +1,36 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents a ternary expression.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionConditional extends TwigNodeExpression {
+  /**
+   * @param {TwigNodeExpression} $expr1 The condition
+   * @param {TwigNodeExpression} $expr2 The expression used when the condition is truthy
+   * @param {TwigNodeExpression} $expr3 The expression used when the condition is falsy
+   * @param {Number}             $lineno
+   */
+  constructor($expr1, $expr2, $expr3, $lineno) {
+    super(new Map([
+      ['expr1', $expr1],
+      ['expr2', $expr2],
+      ['expr3', $expr3]
+    ]), null, $lineno);
+  }
+
+  compile($compiler) {
+    $compiler
+      .raw('((TwigExtensionCore.boolval(')
+      .subcompile(this.getNode('expr1'))
+      .raw(')) ? (')
+      .subcompile(this.getNode('expr2'))
+      .raw(') : (')
+      .subcompile(this.getNode('expr3'))
+      .raw('))')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionConditional;
@@ -0,0 +1,22 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents a constant expression: a string, a number, a boolean or null.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionConstant extends TwigNodeExpression {
+  /**
+   * @param {*}       $value
+   * @param {Number}  $lineno
+   */
+  constructor($value, $lineno) {
+    super(null, new Map([['value', $value]]), $lineno);
+  }
+
+  compile($compiler) {
+    $compiler.repr(this.getAttribute('value'));
+  }
+}
+
+module.exports = TwigNodeExpressionConstant;
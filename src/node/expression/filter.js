@@ -0,0 +1,41 @@
+const TwigNodeExpressionCall = require('./call');
+
+/**
+ * Represents a filter call.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionFilter extends TwigNodeExpressionCall {
+  /**
+   * @param {TwigNode}                    $node       The filtered node
+   * @param {TwigNodeExpressionConstant}  $filterName
+   * @param {TwigNode}                    $arguments
+   * @param {Number}                      $lineno
+   * @param {string}                      [$tag]
+   */
+  constructor($node, $filterName, $arguments, $lineno, $tag) {
+    super(new Map([
+      ['node', $node],
+      ['filter', $filterName],
+      ['arguments', $arguments]
+    ]), null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    let $name = this.getNode('filter').getAttribute('value');
+    let $filter = $compiler.getEnvironment().getFilter($name);
+
+    this.setAttribute('name', $name);
+    this.setAttribute('type', 'filter');
+    this.setAttribute('needs_environment', $filter.needsEnvironment());
+    this.setAttribute('needs_context', $filter.needsContext());
+    this.setAttribute('arguments', $filter.getArguments());
+    this.setAttribute('callable', $filter.getCallable());
+    this.setAttribute('is_variadic', $filter.isVariadic());
+    this.setAttribute('is_async', $filter.isAsync());
+
+    this.compileCallable($compiler);
+  }
+}
+
+module.exports = TwigNodeExpressionFilter;
@@ -0,0 +1,47 @@
+const TwigNode = require('../../../node');
+const TwigNodeExpressionFilter = require('../filter');
+const TwigNodeExpressionConstant = require('../constant');
+const TwigNodeExpressionConditional = require('../conditional');
+const TwigNodeExpressionName = require('../name');
+const TwigNodeExpressionGetAttr = require('../get-attr');
+const TwigNodeExpressionTestDefined = require('../test/defined');
+
+/**
+ * Returns the value or the default value when it is undefined or empty.
+ *
+ * <pre>
+ *  {{ var.foo|default('foo item on var is not defined') }}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionFilterDefault extends TwigNodeExpressionFilter {
+  /**
+   * @param {TwigNode}                    $node       The filtered node
+   * @param {TwigNodeExpressionConstant}  $filterName
+   * @param {TwigNode}                    $arguments
+   * @param {Number}                      $lineno
+   * @param {string}                      [$tag]
+   */
+  constructor($node, $filterName, $arguments, $lineno, $tag) {
+    let $default = new TwigNodeExpressionFilter($node, new TwigNodeExpressionConstant('default', $node.getTemplateLine()), $arguments, $node.getTemplateLine());
+
+    if ('default' === $filterName.getAttribute('value') && ($node instanceof TwigNodeExpressionName || $node instanceof TwigNodeExpressionGetAttr)) {
+      let $test = new TwigNodeExpressionTestDefined($node.clone(), 'defined', new TwigNode(), $node.getTemplateLine());
+      let $false = $arguments.count() ? $arguments.getNode(0) : new TwigNodeExpressionConstant('', $node.getTemplateLine());
+
+      $node = new TwigNodeExpressionConditional($test, $default, $false, $node.getTemplateLine());
+    }
+    else {
+      $node = $default;
+    }
+
+    super($node, $filterName, $arguments, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler.subcompile(this.getNode('node'));
+  }
+}
+
+module.exports = TwigNodeExpressionFilterDefault;
@@ -0,0 +1,48 @@
+const TwigNodeExpressionCall = require('./call');
+
+/**
+ * Represents a function call.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionFunction extends TwigNodeExpressionCall {
+  /**
+   * @param {string}    $name
+   * @param {TwigNode}  $arguments
+   * @param {Number}    $lineno
+   */
+  constructor($name, $arguments, $lineno) {
+    super(new Map([
+      ['arguments', $arguments]
+    ]), new Map([
+      ['name', $name],
+      ['is_defined_test', false]
+    ]), $lineno);
+  }
+
+  compile($compiler) {
+    let $name = this.getAttribute('name');
+    let $function = $compiler.getEnvironment().getFunction($name);
+
+    this.setAttribute('name', $name);
+    this.setAttribute('type', 'function');
+    this.setAttribute('needs_environment', $function.needsEnvironment());
+    this.setAttribute('needs_context', $function.needsContext());
+    this.setAttribute('arguments', $function.getArguments());
+    this.setAttribute('callable', $function.getCallable());
+    this.setAttribute('is_variadic', $function.isVariadic());
+    this.setAttribute('is_async', $function.isAsync());
+
+    if (('constant' === $name) && this.getAttribute('is_defined_test')) {
+      $compiler.raw('TwigExtensionCore.constantIsDefined');
+
+      this.compileArguments($compiler);
+
+      return;
+    }
+
+    this.compileCallable($compiler);
+  }
+}
+
+module.exports = TwigNodeExpressionFunction;
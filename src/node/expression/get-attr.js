@@ -0,0 +1,68 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents an attribute access: `foo.bar`, `foo['bar']` or `foo.bar(baz)`.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionGetAttr extends TwigNodeExpression {
+  /**
+   * @param {TwigNodeExpression}  $node
+   * @param {TwigNodeExpression}  $attribute
+   * @param {TwigNodeExpression}  [$arguments]
+   * @param {string}              $type       One of TwigTemplate.ANY_CALL, TwigTemplate.ARRAY_CALL or TwigTemplate.METHOD_CALL
+   * @param {Number}              $lineno
+   */
+  constructor($node, $attribute, $arguments, $type, $lineno) {
+    let $nodes = new Map([
+      ['node', $node],
+      ['attribute', $attribute]
+    ]);
+
+    if ($arguments) {
+      $nodes.set('arguments', $arguments);
+    }
+
+    super($nodes, new Map([
+      ['type', $type],
+      ['is_defined_test', false],
+      ['ignore_strict_check', false],
+      ['optimizable', true]
+    ]), $lineno);
+  }
+
+  compile($compiler) {
+    if (this.getAttribute('ignore_strict_check')) {
+      this.getNode('node').setAttribute('ignore_strict_check', true);
+    }
+
+    $compiler
+      .raw('this.getAttribute(')
+      .subcompile(this.getNode('node'))
+      .raw(', ')
+      .subcompile(this.getNode('attribute'))
+      .raw(', ')
+    ;
+
+    if (this.hasNode('arguments')) {
+      $compiler.subcompile(this.getNode('arguments'));
+    }
+    else {
+      $compiler.raw('[]');
+    }
+
+    $compiler
+      .raw(', ')
+      .repr(this.getAttribute('type'))
+      .raw(', ')
+      .repr(this.getAttribute('is_defined_test'))
+      .raw(', ')
+      .repr(this.getAttribute('ignore_strict_check'))
+      .raw(', ')
+      .repr(this.getTemplateLine())
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionGetAttr;
@@ -0,0 +1,96 @@
+const TwigNodeExpression = require('../expression');
+const TwigNodeExpressionName = require('./name');
+const TwigNodeExpressionAssignName = require('./assign-name');
+
+/**
+ * Represents a macro call on an imported template.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionMethodCall extends TwigNodeExpression {
+  /**
+   * @param {TwigNodeExpression}      $node       The variable holding the imported template
+   * @param {string}                  $method     The name of the macro method
+   * @param {TwigNodeExpressionArray} $arguments
+   * @param {Number}                  $lineno
+   */
+  constructor($node, $method, $arguments, $lineno) {
+    super(new Map([
+      ['node', $node],
+      ['arguments', $arguments]
+    ]), new Map([
+      ['method', $method],
+      ['safe', false],
+      ['is_defined_test', false]
+    ]), $lineno);
+
+    if ($node instanceof TwigNodeExpressionName) {
+      $node.setAttribute('always_defined', true);
+    }
+  }
+
+  compile($compiler) {
+    if (this.getAttribute('is_defined_test')) {
+      $compiler.raw('this.hasMacro(');
+
+      this.compileTemplate($compiler);
+
+      $compiler
+        .raw(', ')
+        .repr(this.getAttribute('method'))
+        .raw(', $context)')
+      ;
+
+      return;
+    }
+
+    $compiler.raw('(yield* this.callMacro(');
+
+    this.compileTemplate($compiler);
+
+    $compiler
+      .raw(', ')
+      .repr(this.getAttribute('method'))
+      .raw(', [')
+    ;
+
+    let $first = true;
+
+    this.getNode('arguments').getKeyValuePairs().forEach(function ($pair) {
+      if (!$first) {
+        $compiler.raw(', ');
+      }
+
+      $first = false;
+
+      $compiler.subcompile($pair.value);
+    });
+
+    $compiler
+      .raw('], ')
+      .repr(this.getTemplateLine())
+      .raw(', $context))')
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileTemplate($compiler) {
+    let $node = this.getNode('node');
+
+    // the templates imported with the "from" tag are stored under an internal name
+    if ($node instanceof TwigNodeExpressionAssignName) {
+      $compiler
+        .raw('$context.get(')
+        .string($node.getAttribute('name'))
+        .raw(')')
+      ;
+    }
+    else {
+      $compiler.subcompile($node);
+    }
+  }
+}
+
+module.exports = TwigNodeExpressionMethodCall;
@@ -0,0 +1,84 @@
+const TwigNodeExpression = require('../expression');
+
+const SPECIAL_VARS = new Map([
+  ['_self', 'this.getTemplateName()'],
+  ['_context', '$context'],
+  ['_charset', 'this.env.getCharset()']
+]);
+
+/**
+ * Represents a variable name.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionName extends TwigNodeExpression {
+  /**
+   * @param {string} $name
+   * @param {Number} $lineno
+   */
+  constructor($name, $lineno) {
+    super(null, new Map([
+      ['name', $name],
+      ['is_defined_test', false],
+      ['ignore_strict_check', false],
+      ['always_defined', false]
+    ]), $lineno);
+  }
+
+  compile($compiler) {
+    let $name = this.getAttribute('name');
+
+    if (this.getAttribute('is_defined_test')) {
+      if (this.isSpecial()) {
+        $compiler.repr(true);
+      }
+      else {
+        $compiler.raw('$context.has(').string($name).raw(')');
+      }
+    }
+    else if (this.isSpecial()) {
+      $compiler.raw(SPECIAL_VARS.get($name));
+    }
+    else if (this.getAttribute('always_defined')) {
+      $compiler.raw('$context.get(').string($name).raw(')');
+    }
+    else if (this.getAttribute('ignore_strict_check') || !$compiler.getEnvironment().isStrictVariables()) {
+      $compiler
+        .raw('($context.has(')
+        .string($name)
+        .raw(') ? $context.get(')
+        .string($name)
+        .raw(') : null)')
+      ;
+    }
+    else {
+      $compiler
+        .raw('($context.has(')
+        .string($name)
+        .raw(') ? $context.get(')
+        .string($name)
+        .raw(') : (() => { throw new TwigErrorRuntime(')
+        .string('Variable "' + $name + '" does not exist.')
+        .raw(', ')
+        .repr(this.getTemplateLine())
+        .raw(', this.getSourceContext()); })())')
+      ;
+    }
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isSpecial() {
+    return SPECIAL_VARS.has(this.getAttribute('name'));
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isSimple() {
+    return !this.isSpecial() && !this.getAttribute('is_defined_test');
+  }
+}
+
+module.exports = TwigNodeExpressionName;
@@ -0,0 +1,30 @@
+const TwigNode = require('../../node');
+const TwigNodeExpressionConditional = require('./conditional');
+const TwigNodeExpressionBinaryAnd = require('./binary/and');
+const TwigNodeExpressionUnaryNot = require('./unary/not');
+const TwigNodeExpressionTestDefined = require('./test/defined');
+const TwigNodeExpressionTestNull = require('./test/null');
+
+/**
+ * Represents a null coalescing expression: `foo ?? bar`.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionNullCoalesce extends TwigNodeExpressionConditional {
+  /**
+   * @param {TwigNode}  $left
+   * @param {TwigNode}  $right
+   * @param {Number}    $lineno
+   */
+  constructor($left, $right, $lineno) {
+    let $test = new TwigNodeExpressionBinaryAnd(
+      new TwigNodeExpressionTestDefined($left.clone(), 'defined', new TwigNode(), $left.getTemplateLine()),
+      new TwigNodeExpressionUnaryNot(new TwigNodeExpressionTestNull($left, 'null', new TwigNode(), $left.getTemplateLine()), $left.getTemplateLine()),
+      $left.getTemplateLine()
+    );
+
+    super($test, $left, $right, $lineno);
+  }
+}
+
+module.exports = TwigNodeExpressionNullCoalesce;
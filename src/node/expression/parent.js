@@ -0,0 +1,40 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents a parent node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionParent extends TwigNodeExpression {
+  /**
+   * @param {string} $name    The block name
+   * @param {Number} $lineno
+   * @param {string} [$tag]
+   */
+  constructor($name, $lineno, $tag) {
+    super(null, new Map([
+      ['output', false],
+      ['name', $name]
+    ]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    if (this.getAttribute('output')) {
+      $compiler
+        .addDebugInfo(this)
+        .write('yield* this.displayParentBlock(')
+        .string(this.getAttribute('name'))
+        .raw(", $context, $blocks);\n")
+      ;
+    }
+    else {
+      $compiler
+        .raw('(yield* this.renderParentBlock(')
+        .string(this.getAttribute('name'))
+        .raw(', $context, $blocks))')
+      ;
+    }
+  }
+}
+
+module.exports = TwigNodeExpressionParent;
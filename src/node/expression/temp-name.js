@@ -0,0 +1,26 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Represents a temporary variable that lives outside of the context.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTempName extends TwigNodeExpression {
+  /**
+   * @param {string} $name
+   * @param {Number} $lineno
+   */
+  constructor($name, $lineno) {
+    super(null, new Map([['name', $name]]), $lineno);
+  }
+
+  compile($compiler) {
+    $compiler
+      .raw('$_')
+      .raw(this.getAttribute('name'))
+      .raw('_')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTempName;
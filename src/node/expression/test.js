@@ -0,0 +1,44 @@
+const TwigNodeExpressionCall = require('./call');
+
+/**
+ * Represents a test call.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTest extends TwigNodeExpressionCall {
+  /**
+   * @param {TwigNode}    $node       The tested node
+   * @param {string}      $name
+   * @param {TwigNode}    [$arguments]
+   * @param {Number}      $lineno
+   */
+  constructor($node, $name, $arguments, $lineno) {
+    let $nodes = new Map([
+      ['node', $node]
+    ]);
+
+    if ($arguments) {
+      $nodes.set('arguments', $arguments);
+    }
+
+    super($nodes, new Map([
+      ['name', $name]
+    ]), $lineno);
+  }
+
+  compile($compiler) {
+    let $name = this.getAttribute('name');
+    let $test = $compiler.getEnvironment().getTest($name);
+
+    this.setAttribute('name', $name);
+    this.setAttribute('type', 'test');
+    this.setAttribute('needs_environment', $test.needsEnvironment());
+    this.setAttribute('needs_context', $test.needsContext());
+    this.setAttribute('callable', $test.getCallable());
+    this.setAttribute('is_variadic', $test.isVariadic());
+
+    this.compileCallable($compiler);
+  }
+}
+
+module.exports = TwigNodeExpressionTest;
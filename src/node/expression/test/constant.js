@@ -0,0 +1,34 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks if a variable is the exact same value as a constant.
+ *
+ * <pre>
+ *  {% if post.status is constant('Post.PUBLISHED') %}
+ *    the status attribute is exactly the same as Post.PUBLISHED
+ *  {% endif %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestConstant extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('node'))
+      .raw(' === TwigExtensionCore.constant(')
+      .subcompile(this.getNode('arguments').getNode(0))
+    ;
+
+    if (this.getNode('arguments').hasNode(1)) {
+      $compiler
+        .raw(', ')
+        .subcompile(this.getNode('arguments').getNode(1))
+      ;
+    }
+
+    $compiler.raw('))');
+  }
+}
+
+module.exports = TwigNodeExpressionTestConstant;
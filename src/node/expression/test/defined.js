@@ -0,0 +1,70 @@
+const TwigNodeExpressionTest = require('../test');
+const TwigNodeExpressionName = require('../name');
+const TwigNodeExpressionGetAttr = require('../get-attr');
+const TwigNodeExpressionBlockReference = require('../block-reference');
+const TwigNodeExpressionMethodCall = require('../method-call');
+const TwigNodeExpressionFunction = require('../function');
+const TwigNodeExpressionConstant = require('../constant');
+const TwigNodeExpressionArray = require('../array');
+const TwigErrorSyntax = require('../../../error/syntax');
+
+/**
+ * Checks if a variable is defined in the current context.
+ *
+ * <pre>
+ * {# defined works with variable names and variable attributes #}
+ * {% if foo is defined %}
+ *     {# ... #}
+ * {% endif %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestDefined extends TwigNodeExpressionTest {
+  constructor($node, $name, $arguments, $lineno) {
+    if ($node instanceof TwigNodeExpressionName) {
+      $node.setAttribute('is_defined_test', true);
+    }
+    else if ($node instanceof TwigNodeExpressionGetAttr) {
+      $node.setAttribute('is_defined_test', true);
+
+      TwigNodeExpressionTestDefined.changeIgnoreStrictCheck($node);
+    }
+    else if ($node instanceof TwigNodeExpressionBlockReference) {
+      $node.setAttribute('is_defined_test', true);
+    }
+    else if ($node instanceof TwigNodeExpressionMethodCall) {
+      $node.setAttribute('is_defined_test', true);
+    }
+    else if ($node instanceof TwigNodeExpressionFunction && 'constant' === $node.getAttribute('name')) {
+      $node.setAttribute('is_defined_test', true);
+    }
+    else if ($node instanceof TwigNodeExpressionConstant || $node instanceof TwigNodeExpressionArray) {
+      $node = new TwigNodeExpressionConstant(true, $node.getTemplateLine());
+    }
+    else {
+      throw new TwigErrorSyntax('The "defined" test only works with simple variables.', $lineno);
+    }
+
+    super($node, $name, $arguments, $lineno);
+  }
+
+  /**
+   * @param {TwigNodeExpressionGetAttr} $node
+   *
+   * @private
+   */
+  static changeIgnoreStrictCheck($node) {
+    $node.setAttribute('ignore_strict_check', true);
+
+    if ($node.getNode('node') instanceof TwigNodeExpressionGetAttr) {
+      TwigNodeExpressionTestDefined.changeIgnoreStrictCheck($node.getNode('node'));
+    }
+  }
+
+  compile($compiler) {
+    $compiler.subcompile(this.getNode('node'));
+  }
+}
+
+module.exports = TwigNodeExpressionTestDefined;
@@ -0,0 +1,24 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks if a variable is divisible by a number.
+ *
+ * <pre>
+ *  {% if loop.index is divisible by(3) %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestDivisibleBy extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(0 == ')
+      .subcompile(this.getNode('node'))
+      .raw(' % ')
+      .subcompile(this.getNode('arguments').getNode(0))
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTestDivisibleBy;
@@ -0,0 +1,23 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks if a number is even.
+ *
+ * <pre>
+ *  {{ var is even }}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestEven extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('node'))
+      .raw(' % 2 == 0')
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTestEven;
@@ -0,0 +1,22 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks that a variable is null.
+ *
+ * <pre>
+ *  {{ var is none }}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestNull extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(null == ')
+      .subcompile(this.getNode('node'))
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTestNull;
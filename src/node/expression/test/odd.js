@@ -0,0 +1,23 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks if a number is odd.
+ *
+ * <pre>
+ *  {{ var is odd }}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestOdd extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('node'))
+      .raw(' % 2 == 1')
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTestOdd;
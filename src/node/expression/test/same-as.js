@@ -0,0 +1,24 @@
+const TwigNodeExpressionTest = require('../test');
+
+/**
+ * Checks if a variable is the same as another one (=== in javascript).
+ *
+ * <pre>
+ *  {{ var is same as(false) }}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionTestSameAs extends TwigNodeExpressionTest {
+  compile($compiler) {
+    $compiler
+      .raw('(')
+      .subcompile(this.getNode('node'))
+      .raw(' === ')
+      .subcompile(this.getNode('arguments').getNode(0))
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionTestSameAs;
@@ -0,0 +1,33 @@
+const TwigNodeExpression = require('../expression');
+
+/**
+ * Abstract class for unary operator expressions.
+ *
+ * Subclasses either implement operator($compiler), compiling the operator, or override compile().
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeExpressionUnary extends TwigNodeExpression {
+  /**
+   * @param {TwigNode}  $node
+   * @param {Number}    $lineno
+   */
+  constructor($node, $lineno) {
+    super(new Map([
+      ['node', $node]
+    ]), null, $lineno);
+  }
+
+  compile($compiler) {
+    $compiler.raw('(');
+
+    this.operator($compiler);
+
+    $compiler
+      .subcompile(this.getNode('node'))
+      .raw(')')
+    ;
+  }
+}
+
+module.exports = TwigNodeExpressionUnary;
@@ -0,0 +1,9 @@
+const TwigNodeExpressionUnary = require('../unary');
+
+class TwigNodeExpressionUnaryNeg extends TwigNodeExpressionUnary {
+  operator($compiler) {
+    return $compiler.raw('-');
+  }
+}
+
+module.exports = TwigNodeExpressionUnaryNeg;
@@ -0,0 +1,21 @@
+const TwigNodeExpressionUnary = require('../unary');
+
+class TwigNodeExpressionUnaryNot extends TwigNodeExpressionUnary {
+  compile($compiler) {
+    $compiler.raw('(');
+
+    this.operator($compiler);
+
+    $compiler
+      .raw('TwigExtensionCore.boolval(')
+      .subcompile(this.getNode('node'))
+      .raw('))')
+    ;
+  }
+
+  operator($compiler) {
+    return $compiler.raw('!');
+  }
+}
+
+module.exports = TwigNodeExpressionUnaryNot;
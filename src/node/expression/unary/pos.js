@@ -0,0 +1,9 @@
+const TwigNodeExpressionUnary = require('../unary');
+
+class TwigNodeExpressionUnaryPos extends TwigNodeExpressionUnary {
+  operator($compiler) {
+    return $compiler.raw('+');
+  }
+}
+
+module.exports = TwigNodeExpressionUnaryPos;
@@ -0,0 +1,25 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a flush node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeFlush extends TwigNode {
+  /**
+   * @param {Number} $lineno
+   * @param {string} [$tag]
+   */
+  constructor($lineno, $tag) {
+    super(null, null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write("yield TwigTemplate.FLUSH;\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeFlush;
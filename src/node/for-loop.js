@@ -0,0 +1,48 @@
+const TwigNode = require('../node');
+
+/**
+ * Internal node used by the for node to update the loop variable at the end of each iteration.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeForLoop extends TwigNode {
+  /**
+   * @param {Number} $lineno
+   * @param {string} [$tag]
+   */
+  constructor($lineno, $tag) {
+    super(null, new Map([
+      ['with_loop', false],
+      ['ifexpr', false],
+      ['else', false]
+    ]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    if (this.getAttribute('else')) {
+      $compiler.write("$context.set('_iterated', true);\n");
+    }
+
+    if (this.getAttribute('with_loop')) {
+      $compiler
+        .write("$context.get('loop').set('index0', $context.get('loop').get('index0') + 1);\n")
+        .write("$context.get('loop').set('index', $context.get('loop').get('index') + 1);\n")
+        .write("$context.get('loop').set('first', false);\n")
+      ;
+
+      if (!this.getAttribute('ifexpr')) {
+        $compiler
+          .write("if ($context.get('loop').has('length')) {\n")
+          .indent()
+          .write("$context.get('loop').set('revindex0', $context.get('loop').get('revindex0') - 1);\n")
+          .write("$context.get('loop').set('revindex', $context.get('loop').get('revindex') - 1);\n")
+          .write("$context.get('loop').set('last', 0 === $context.get('loop').get('revindex0'));\n")
+          .outdent()
+          .write("}\n")
+        ;
+      }
+    }
+  }
+}
+
+module.exports = TwigNodeForLoop;
@@ -0,0 +1,152 @@
+const TwigNode = require('../node');
+const TwigNodeIf = require('./if');
+const TwigNodeForLoop = require('./for-loop');
+
+/**
+ * Represents a for node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeFor extends TwigNode {
+  /**
+   * @param {TwigNodeExpressionAssignName}  $keyTarget
+   * @param {TwigNodeExpressionAssignName}  $valueTarget
+   * @param {TwigNodeExpression}            $seq
+   * @param {TwigNodeExpression|null}       $ifexpr
+   * @param {TwigNode}                      $body
+   * @param {TwigNode|null}                 $else
+   * @param {Number}                        $lineno
+   * @param {string}                        [$tag]
+   */
+  constructor($keyTarget, $valueTarget, $seq, $ifexpr, $body, $else, $lineno, $tag) {
+    let $loop = new TwigNodeForLoop($lineno, $tag);
+
+    $body = new TwigNode(new Map([[0, $body], [1, $loop]]));
+
+    if ($ifexpr) {
+      $body = new TwigNodeIf(new TwigNode(new Map([[0, $ifexpr], [1, $body]])), null, $lineno, $tag);
+    }
+
+    let $nodes = new Map([
+      ['key_target', $keyTarget],
+      ['value_target', $valueTarget],
+      ['seq', $seq],
+      ['body', $body]
+    ]);
+
+    if ($else) {
+      $nodes.set('else', $else);
+    }
+
+    super($nodes, new Map([
+      ['with_loop', true],
+      ['ifexpr', !!$ifexpr]
+    ]), $lineno, $tag);
+
+    this.loop = $loop;
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write("$context.set('_parent', new Map($context));\n")
+      .write("$context.set('_seq', TwigExtensionCore.ensureTraversable(")
+      .subcompile(this.getNode('seq'))
+      .raw("));\n")
+    ;
+
+    if (this.hasNode('else')) {
+      $compiler.write("$context.set('_iterated', false);\n");
+    }
+
+    if (this.getAttribute('with_loop')) {
+      $compiler
+        .write("$context.set('loop', new Map([\n")
+        .indent()
+        .write("['parent', $context.get('_parent')],\n")
+        .write("['index0', 0],\n")
+        .write("['index', 1],\n")
+        .write("['first', true]\n")
+        .outdent()
+        .write("]));\n")
+      ;
+
+      if (!this.getAttribute('ifexpr')) {
+        $compiler
+          .write("if (TwigExtensionCore.isCountable($context.get('_seq'))) {\n")
+          .indent()
+          .write("let $length = TwigExtensionCore.count($context.get('_seq'));\n\n")
+          .write("$context.get('loop').set('revindex0', $length - 1);\n")
+          .write("$context.get('loop').set('revindex', $length);\n")
+          .write("$context.get('loop').set('length', $length);\n")
+          .write("$context.get('loop').set('last', 1 === $length);\n")
+          .outdent()
+          .write("}\n")
+        ;
+      }
+    }
+
+    this.loop.setAttribute('else', this.hasNode('else'));
+    this.loop.setAttribute('with_loop', this.getAttribute('with_loop'));
+    this.loop.setAttribute('ifexpr', this.getAttribute('ifexpr'));
+
+    $compiler
+      .write("for (let [$key, $value] of TwigExtensionCore.entries($context.get('_seq'))) {\n")
+      .indent()
+      .write('$context.set(')
+      .subcompile(this.getNode('key_target'))
+      .raw(", $key);\n")
+      .write('$context.set(')
+      .subcompile(this.getNode('value_target'))
+      .raw(", $value);\n")
+      .subcompile(this.getNode('body'))
+      .outdent()
+      .write("}\n")
+    ;
+
+    if (this.hasNode('else')) {
+      $compiler
+        .write("if (!$context.get('_iterated')) {\n")
+        .indent()
+        .subcompile(this.getNode('else'))
+        .outdent()
+        .write("}\n")
+      ;
+    }
+
+    $compiler
+      .write("{\n")
+      .indent()
+      .write("let $_parent = $context.get('_parent');\n\n")
+      // remove some "private" loop variables (needed for nested loops)
+      .write("['_seq', '_iterated', ")
+      .subcompile(this.getNode('key_target'))
+      .raw(', ')
+      .subcompile(this.getNode('value_target'))
+      .raw(", '_parent', 'loop'].forEach(($key) => $context.delete($key));\n\n")
+      // keep the values set in the inner context for variables defined in the outer context
+      .write("for (let $key of $context.keys()) {\n")
+      .indent()
+      .write("if (!$_parent.has($key)) {\n")
+      .indent()
+      .write("$context.delete($key);\n")
+      .outdent()
+      .write("}\n")
+      .outdent()
+      .write("}\n\n")
+      .write("for (let [$key, $value] of $_parent) {\n")
+      .indent()
+      .write("if (!$context.has($key)) {\n")
+      .indent()
+      .write("$context.set($key, $value);\n")
+      .outdent()
+      .write("}\n")
+      .outdent()
+      .write("}\n")
+      .outdent()
+      .write("}\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeFor;
@@ -0,0 +1,68 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents an if node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeIf extends TwigNode {
+  /**
+   * @param {TwigNode}  $tests  The conditions, each one followed by its body
+   * @param {TwigNode}  [$else]
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($tests, $else, $lineno, $tag) {
+    let $nodes = new Map([['tests', $tests]]);
+
+    if ($else) {
+      $nodes.set('else', $else);
+    }
+
+    super($nodes, null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    let $tests = this.getNode('tests');
+
+    $compiler.addDebugInfo(this);
+
+    for (let $i = 0; $i < $tests.count(); $i += 2) {
+      if ($i > 0) {
+        $compiler
+          .outdent()
+          .write('}\n')
+          .write('else if (')
+        ;
+      }
+      else {
+        $compiler.write('if (');
+      }
+
+      $compiler
+        .raw('TwigExtensionCore.boolval(')
+        .subcompile($tests.getNode($i))
+        .raw(")) {\n")
+        .indent()
+        .subcompile($tests.getNode($i + 1))
+      ;
+    }
+
+    if (this.hasNode('else')) {
+      $compiler
+        .outdent()
+        .write('}\n')
+        .write("else {\n")
+        .indent()
+        .subcompile(this.getNode('else'))
+      ;
+    }
+
+    $compiler
+      .outdent()
+      .write("}\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeIf;
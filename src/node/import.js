@@ -0,0 +1,52 @@
+const TwigNode = require('../node');
+const TwigNodeExpressionName = require('./expression/name');
+
+/**
+ * Represents an import node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeImport extends TwigNode {
+  /**
+   * @param {TwigNodeExpression}            $expr
+   * @param {TwigNodeExpressionAssignName}  $var
+   * @param {Number}                        $lineno
+   * @param {string}                        [$tag]
+   */
+  constructor($expr, $var, $lineno, $tag) {
+    super(new Map([
+      ['expr', $expr],
+      ['var', $var]
+    ]), null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write('$context.set(')
+      .subcompile(this.getNode('var'))
+      .raw(', ')
+    ;
+
+    let $expr = this.getNode('expr');
+
+    if ($expr instanceof TwigNodeExpressionName && '_self' === $expr.getAttribute('name')) {
+      $compiler.raw('this');
+    }
+    else {
+      $compiler
+        .raw('(yield* this.fetchTemplate(')
+        .subcompile($expr)
+        .raw(', ')
+        .repr(this.getTemplateName())
+        .raw(', ')
+        .repr(this.getTemplateLine())
+        .raw('))')
+      ;
+    }
+
+    $compiler.raw(");\n");
+  }
+}
+
+module.exports = TwigNodeImport;
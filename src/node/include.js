@@ -0,0 +1,130 @@
+const TwigNode = require('../node');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents an include node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeInclude extends TwigNode {
+  /**
+   * @param {TwigNodeExpression}      $expr
+   * @param {TwigNodeExpression|null} $variables
+   * @param {boolean}                 $only
+   * @param {boolean}                 $ignoreMissing
+   * @param {Number}                  $lineno
+   * @param {string}                  [$tag]
+   */
+  constructor($expr, $variables, $only, $ignoreMissing, $lineno, $tag) {
+    let $nodes = new Map([['expr', $expr]]);
+
+    if ($variables) {
+      $nodes.set('variables', $variables);
+    }
+
+    super($nodes, new Map([
+      ['only', !!$only],
+      ['ignore_missing', !!$ignoreMissing]
+    ]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler.addDebugInfo(this);
+
+    if (this.getAttribute('ignore_missing')) {
+      let $template = $compiler.getVarName();
+
+      $compiler
+        .write(sprintf("let $%s = null;\n\n", $template))
+        .write("try {\n")
+        .indent()
+        .write(sprintf('$%s = ', $template))
+      ;
+
+      this.addGetTemplate($compiler);
+
+      $compiler
+        .raw(";\n")
+        .outdent()
+        .write("}\n")
+        .write("catch ($e) {\n")
+        .indent()
+        .write("if (!($e instanceof TwigErrorLoader)) {\n")
+        .indent()
+        .write("throw $e;\n")
+        .outdent()
+        .write("}\n\n")
+        .write("// ignore missing template\n")
+        .outdent()
+        .write("}\n\n")
+        .write(sprintf("if ($%s) {\n", $template))
+        .indent()
+        .write(sprintf('yield* $%s.display(', $template))
+      ;
+
+      this.addTemplateArguments($compiler);
+
+      $compiler
+        .raw(");\n")
+        .outdent()
+        .write("}\n")
+      ;
+    }
+    else {
+      $compiler.write('yield* ');
+
+      this.addGetTemplate($compiler);
+
+      $compiler.raw('.display(');
+
+      this.addTemplateArguments($compiler);
+
+      $compiler.raw(");\n");
+    }
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  addGetTemplate($compiler) {
+    $compiler
+      .raw('(yield* this.fetchTemplate(')
+      .subcompile(this.getNode('expr'))
+      .raw(', ')
+      .repr(this.getTemplateName())
+      .raw(', ')
+      .repr(this.getTemplateLine())
+      .raw('))')
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  addTemplateArguments($compiler) {
+    if (!this.hasNode('variables')) {
+      $compiler.raw(false === this.getAttribute('only') ? '$context' : 'new Map()');
+    }
+    else if (false === this.getAttribute('only')) {
+      $compiler
+        .raw('new Map([...$context, ...TwigExtensionCore.toMap(')
+        .subcompile(this.getNode('variables'))
+        .raw(')])')
+      ;
+    }
+    else {
+      $compiler
+        .raw('TwigExtensionCore.toMap(')
+        .subcompile(this.getNode('variables'))
+        .raw(')')
+      ;
+    }
+  }
+
+  isOutput() {
+    return true;
+  }
+}
+
+module.exports = TwigNodeInclude;
@@ -0,0 +1,85 @@
+const TwigNode = require('../node');
+const TwigErrorSyntax = require('../error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a macro node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeMacro extends TwigNode {
+  /**
+   * @param {string}    $name
+   * @param {TwigNode}  $body
+   * @param {TwigNode}  $arguments  The arguments, keyed by name, with their default value
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($name, $body, $arguments, $lineno, $tag) {
+    $arguments.$nodes.forEach(function ($argument, $argumentName) {
+      if (TwigNodeMacro.VARARGS_NAME === $argumentName) {
+        throw new TwigErrorSyntax(sprintf('The argument "%s" in macro "%s" cannot be defined because the variable "%s" is reserved for arbitrary arguments.', TwigNodeMacro.VARARGS_NAME, $name, TwigNodeMacro.VARARGS_NAME), $argument.getTemplateLine());
+      }
+    });
+
+    super(new Map([
+      ['body', $body],
+      ['arguments', $arguments]
+    ]), new Map([['name', $name]]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    let $arguments = this.getNode('arguments');
+
+    $compiler
+      .addDebugInfo(this)
+      .write(sprintf('*macro_%s(', this.getAttribute('name')))
+    ;
+
+    $arguments.$nodes.forEach(function ($default, $name) {
+      $compiler
+        .raw('$__' + $name + '__ = ')
+        .subcompile($default)
+        .raw(', ')
+      ;
+    });
+
+    $compiler
+      .raw('...$__varargs__')
+      .raw(") {\n")
+      .indent()
+      .write("let $context = this.env.mergeGlobals(new Map([\n")
+      .indent()
+    ;
+
+    $arguments.$nodes.forEach(function ($default, $name) {
+      $compiler
+        .write('[')
+        .string($name)
+        .raw(', $__' + $name + '__')
+        .raw("],\n")
+      ;
+    });
+
+    $compiler
+      .write('[')
+      .string(TwigNodeMacro.VARARGS_NAME)
+      .raw(', $__varargs__]\n')
+      .outdent()
+      .write("]));\n\n")
+      .write("let $blocks = new Map();\n\n")
+      .write("return (($tmp) => '' === $tmp ? '' : new TwigMarkup($tmp, this.env.getCharset()))(yield* this.capture((function* () {\n")
+      .indent()
+      .subcompile(this.getNode('body'))
+      .outdent()
+      .write("}).call(this)));\n")
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+}
+
+TwigNodeMacro.VARARGS_NAME = 'varargs';
+
+module.exports = TwigNodeMacro;
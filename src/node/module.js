@@ -0,0 +1,545 @@
+const TwigNode = require('../node');
+const TwigNodeBody = require('./body');
+const TwigNodeExpressionConstant = require('./expression/constant');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a module node.
+ *
+ * Consider this class as being final. If you need to customize the behavior of
+ * the generated class, consider adding nodes to the following nodes: display_start,
+ * display_end, constructor_start, constructor_end, and class_end.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeModule extends TwigNode {
+  /**
+   * @param {TwigNode}            $body
+   * @param {TwigNodeExpression}  $parent
+   * @param {TwigNode}            $blocks
+   * @param {TwigNode}            $macros
+   * @param {TwigNode}            $traits
+   * @param {TwigNodeModule[]}    $embeddedTemplates
+   * @param {TwigSource}          $source
+   */
+  constructor($body, $parent, $blocks, $macros, $traits, $embeddedTemplates, $source) {
+    let $nodes = new Map([
+      ['body', $body],
+      ['blocks', $blocks],
+      ['macros', $macros],
+      ['traits', $traits],
+      ['display_start', new TwigNode()],
+      ['display_end', new TwigNode()],
+      ['constructor_start', new TwigNode()],
+      ['constructor_end', new TwigNode()],
+      ['class_end', new TwigNode()]
+    ]);
+
+    if (null !== $parent) {
+      $nodes.set('parent', $parent);
+    }
+
+    // embedded templates are set as attributes so that they are only visited once by the visitors
+    super($nodes, new Map([
+      ['index', null],
+      ['embedded_templates', $embeddedTemplates]
+    ]), 1);
+
+    this.source = $source;
+
+    // populate the template name of all node children
+    this.setTemplateName($source.getName());
+  }
+
+  /**
+   * @param {Number} $index
+   */
+  setIndex($index) {
+    this.setAttribute('index', $index);
+  }
+
+  /**
+   * @return {TwigSource}
+   */
+  getSourceContext() {
+    return this.source;
+  }
+
+  compile($compiler) {
+    let $namesOffset;
+
+    if (null === this.getAttribute('index')) {
+      $compiler
+        .write("module.exports = function (Twig) {\n")
+        .indent()
+        .write('const {')
+      ;
+
+      // the names of the runtime classes are only known once the templates are compiled
+      $namesOffset = $compiler.getSource().length;
+
+      $compiler.raw("} = Twig;\n\n");
+    }
+
+    this.compileTemplate($compiler);
+
+    this.getAttribute('embedded_templates').forEach(function ($template) {
+      $compiler.subcompile($template);
+    });
+
+    if (null === this.getAttribute('index')) {
+      let $classes = this.getTemplateClasses($compiler.getEnvironment());
+
+      $compiler
+        .write("return new Map([\n")
+        .indent()
+      ;
+
+      $classes.forEach(function ($class, $index) {
+        $compiler
+          .write('[')
+          .string($class)
+          .raw(', ' + $class + ']')
+          .raw($index < $classes.length - 1 ? ",\n" : "\n")
+        ;
+      });
+
+      $compiler
+        .outdent()
+        .write("]);\n")
+        .outdent()
+        .write("};\n")
+      ;
+
+      $compiler.source = $compiler.source.substring(0, $namesOffset) + TwigNodeModule.getRuntimeNames($compiler).join(', ') + $compiler.source.substring($namesOffset);
+    }
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileTemplate($compiler) {
+    this.compileClassHeader($compiler);
+
+    if (
+      this.getNode('blocks').count() ||
+      this.getNode('traits').count() ||
+      !this.hasNode('parent') ||
+      this.getNode('parent') instanceof TwigNodeExpressionConstant ||
+      this.getNode('constructor_start').count() ||
+      this.getNode('constructor_end').count()
+    ) {
+      this.compileConstructor($compiler);
+    }
+
+    this.compileGetParent($compiler);
+    this.compileDisplay($compiler);
+
+    $compiler.subcompile(this.getNode('blocks'));
+
+    this.compileMacros($compiler);
+    this.compileGetTemplateName($compiler);
+    this.compileIsTraitable($compiler);
+    this.compileDebugInfo($compiler);
+    this.compileGetSourceContext($compiler);
+    this.compileClassFooter($compiler);
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileGetParent($compiler) {
+    if (!this.hasNode('parent')) {
+      return;
+    }
+
+    let $parent = this.getNode('parent');
+
+    $compiler
+      .write("doGetParent($context) {\n")
+      .indent()
+      .addDebugInfo($parent)
+      .write('return ')
+    ;
+
+    if ($parent instanceof TwigNodeExpressionConstant) {
+      $compiler.subcompile($parent);
+    }
+    else {
+      $compiler
+        .raw('this.loadTemplate(')
+        .subcompile($parent)
+        .raw(', ')
+        .repr(this.source.getName())
+        .raw(', ')
+        .repr($parent.getTemplateLine())
+        .raw(')')
+      ;
+    }
+
+    $compiler
+      .raw(";\n")
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileClassHeader($compiler) {
+    let $baseClass = $compiler.getEnvironment().getBaseTemplateClass();
+
+    $compiler
+      // if the template name contains */, add a blank to avoid a parse error
+      .write('/* ' + this.source.getName().replace(/\*\//g, '* /') + " */\n")
+      .write('class ' + $compiler.getEnvironment().getTemplateClass(this.source.getName(), this.getAttribute('index')))
+      .raw(sprintf(" extends %s {\n", typeof $baseClass === 'function' ? $baseClass.name : $baseClass))
+      .indent()
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileConstructor($compiler) {
+    $compiler
+      .write("constructor($env) {\n")
+      .indent()
+      .subcompile(this.getNode('constructor_start'))
+      .write("super($env);\n\n")
+    ;
+
+    // parent
+    if (!this.hasNode('parent')) {
+      $compiler.write("this.parent = false;\n\n");
+    }
+    else if (this.getNode('parent') instanceof TwigNodeExpressionConstant) {
+      let $parent = this.getNode('parent');
+
+      $compiler
+        .addDebugInfo($parent)
+        .write('this.parent = this.loadTemplate(')
+        .subcompile($parent)
+        .raw(', ')
+        .repr(this.source.getName())
+        .raw(', ')
+        .repr($parent.getTemplateLine())
+        .raw(");\n\n")
+      ;
+    }
+
+    let $traits = this.getNode('traits');
+    let $countTraits = $traits.count();
+
+    if ($countTraits) {
+      // traits
+      for (let $i = 0; $i < $countTraits; $i++) {
+        let $trait = $traits.getNode($i);
+        let $template = $trait.getNode('template');
+
+        this.compileLoadTemplate($compiler, $template, sprintf('$_trait_%s', $i));
+
+        $compiler
+          .addDebugInfo($template)
+          .write(sprintf("if (!$_trait_%s.isTraitable()) {\n", $i))
+          .indent()
+          .write('throw new TwigErrorRuntime(')
+          .string(sprintf('Template "%s" cannot be used as a trait.', $template.getAttribute('value')))
+          .raw(', ')
+          .repr($template.getTemplateLine())
+          .raw(", this.getSourceContext());\n")
+          .outdent()
+          .write("}\n\n")
+          .write(sprintf("let $_trait_%s_blocks = new Map($_trait_%s.getBlocks());\n\n", $i, $i))
+        ;
+
+        $trait.getNode('targets').$nodes.forEach(function ($value, $key) {
+          $compiler
+            .write(sprintf('if (!$_trait_%s_blocks.has(', $i))
+            .string($key)
+            .raw(")) {\n")
+            .indent()
+            .write('throw new TwigErrorRuntime(')
+            .string(sprintf('Block "%s" is not defined in trait "%s".', $key, $template.getAttribute('value')))
+            .raw(', ')
+            .repr($template.getTemplateLine())
+            .raw(", this.getSourceContext());\n")
+            .outdent()
+            .write("}\n\n")
+            .write(sprintf('$_trait_%s_blocks.set(', $i))
+            .subcompile($value)
+            .raw(sprintf(', $_trait_%s_blocks.get(', $i))
+            .string($key)
+            .raw("));\n")
+            .write(sprintf('$_trait_%s_blocks.delete(', $i))
+            .string($key)
+            .raw(");\n\n")
+          ;
+        });
+      }
+
+      $compiler.write('this.traits = new Map([');
+
+      for (let $i = 0; $i < $countTraits; $i++) {
+        $compiler.raw(sprintf('%s...$_trait_%s_blocks', $i ? ', ' : '', $i));
+      }
+
+      $compiler
+        .raw("]);\n\n")
+        .write("this.blocks = new Map([\n")
+        .indent()
+        .write('...this.traits')
+        .raw(this.getNode('blocks').count() ? ",\n" : "\n")
+      ;
+    }
+    else if (this.getNode('blocks').count()) {
+      $compiler
+        .write("this.blocks = new Map([\n")
+        .indent()
+      ;
+    }
+    else {
+      $compiler
+        .write("this.blocks = new Map();\n")
+        .subcompile(this.getNode('constructor_end'))
+        .outdent()
+        .write("}\n\n")
+      ;
+
+      return;
+    }
+
+    // blocks
+    let $names = Array.from(this.getNode('blocks').$nodes.keys());
+
+    $names.forEach(function ($name, $index) {
+      $compiler
+        .write('[')
+        .string($name)
+        .raw(sprintf(', [this, "block_%s"]]', $name))
+        .raw($index < $names.length - 1 ? ",\n" : "\n")
+      ;
+    });
+
+    $compiler
+      .outdent()
+      .write("]);\n")
+      .subcompile(this.getNode('constructor_end'))
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileDisplay($compiler) {
+    $compiler
+      .write("*doDisplay($context, $blocks = new Map()) {\n")
+      .indent()
+      .subcompile(this.getNode('display_start'))
+      .subcompile(this.getNode('body'))
+    ;
+
+    if (this.hasNode('parent')) {
+      let $parent = this.getNode('parent');
+
+      $compiler.addDebugInfo($parent);
+
+      if ($parent instanceof TwigNodeExpressionConstant) {
+        $compiler.write('yield* this.parent');
+      }
+      else {
+        $compiler.write('yield* (yield* this.fetchParent($context))');
+      }
+
+      $compiler.raw(".display($context, new Map([...this.blocks, ...$blocks]));\n");
+    }
+
+    $compiler
+      .subcompile(this.getNode('display_end'))
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileClassFooter($compiler) {
+    $compiler
+      .subcompile(this.getNode('class_end'))
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileMacros($compiler) {
+    $compiler.subcompile(this.getNode('macros'));
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileGetTemplateName($compiler) {
+    $compiler
+      .write("getTemplateName() {\n")
+      .indent()
+      .write('return ')
+      .repr(this.source.getName())
+      .raw(";\n")
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileIsTraitable($compiler) {
+    // A template can be used as a trait if:
+    //   * it has no parent
+    //   * it has no macros
+    //   * it has no body
+    //
+    // Put another way, a template can be used as a trait if it
+    // only contains blocks and use statements.
+    let $traitable = !this.hasNode('parent') && (0 === this.getNode('macros').count());
+
+    if ($traitable) {
+      let $nodes;
+
+      if (this.getNode('body') instanceof TwigNodeBody) {
+        $nodes = this.getNode('body').getNode(0);
+      }
+      else {
+        $nodes = this.getNode('body');
+      }
+
+      if (!$nodes.count()) {
+        $nodes = new TwigNode(new Map([[0, $nodes]]));
+      }
+
+      for (let $node of $nodes.getIterator()) {
+        // nodes without children, like texts and block references, are ignored
+        if (!$node.count()) {
+          continue;
+        }
+
+        $traitable = false;
+
+        break;
+      }
+    }
+
+    if ($traitable) {
+      return;
+    }
+
+    $compiler
+      .write("isTraitable() {\n")
+      .indent()
+      .write("return false;\n")
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileDebugInfo($compiler) {
+    $compiler
+      .write("getDebugInfo() {\n")
+      .indent()
+      .write('return ')
+      .repr(new Map(Array.from($compiler.getDebugInfo()).reverse()))
+      .raw(";\n")
+      .outdent()
+      .write("}\n\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler} $compiler
+   */
+  compileGetSourceContext($compiler) {
+    $compiler
+      .write("getSourceContext() {\n")
+      .indent()
+      .write('return new TwigSource(')
+      .string($compiler.getEnvironment().isDebug() ? this.source.getCode() : '')
+      .raw(', ')
+      .string(this.source.getName())
+      .raw(', ')
+      .string(this.source.getPath())
+      .raw(");\n")
+      .outdent()
+      .write("}\n")
+    ;
+  }
+
+  /**
+   * @param {TwigCompiler}  $compiler
+   * @param {TwigNode}      $node
+   * @param {string}        $var
+   */
+  compileLoadTemplate($compiler, $node, $var) {
+    if (!($node instanceof TwigNodeExpressionConstant)) {
+      throw new Error('Trait templates can only be constant nodes.');
+    }
+
+    $compiler
+      .write(sprintf('let %s = this.loadTemplate(', $var))
+      .subcompile($node)
+      .raw(', ')
+      .repr($node.getTemplateName())
+      .raw(', ')
+      .repr($node.getTemplateLine())
+      .raw(");\n")
+    ;
+  }
+
+  /**
+   * Returns the class names of the template and of its embedded templates.
+   *
+   * @param {TwigEnvironment} $env
+   *
+   * @return {string[]}
+   */
+  getTemplateClasses($env) {
+    let $classes = [$env.getTemplateClass(this.source.getName(), this.getAttribute('index'))];
+
+    this.getAttribute('embedded_templates').forEach(function ($template) {
+      $classes = $classes.concat($template.getTemplateClasses($env));
+    });
+
+    return $classes;
+  }
+
+  /**
+   * Returns the names of the runtime classes referenced by the compiled code.
+   *
+   * @param {TwigCompiler} $compiler
+   *
+   * @return {string[]}
+   *
+   * @private
+   */
+  static getRuntimeNames($compiler) {
+    let $baseClass = $compiler.getEnvironment().getBaseTemplateClass();
+    let $candidates = Object.keys(require('../index')).concat([typeof $baseClass === 'function' ? $baseClass.name : $baseClass]);
+    let $source = $compiler.getSource();
+
+    return $candidates.filter(function ($name, $index) {
+      return ($candidates.indexOf($name) === $index) && new RegExp('\\b' + $name + '\\b').test($source);
+    }).sort();
+  }
+}
+
+module.exports = TwigNodeModule;
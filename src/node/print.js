@@ -0,0 +1,32 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a node that outputs an expression.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodePrint extends TwigNode {
+  /**
+   * @param {TwigNodeExpression}  $expr
+   * @param {Number}              $lineno
+   * @param {string}              [$tag]
+   */
+  constructor($expr, $lineno, $tag) {
+    super(new Map([['expr', $expr]]), null, $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write('yield TwigExtensionCore.strval(')
+      .subcompile(this.getNode('expr'))
+      .raw(");\n")
+    ;
+  }
+
+  isOutput() {
+    return true;
+  }
+}
+
+module.exports = TwigNodePrint;
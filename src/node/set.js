@@ -0,0 +1,128 @@
+const TwigNode = require('../node');
+const TwigNodeText = require('./text');
+const TwigNodeExpressionConstant = require('./expression/constant');
+const TwigNodeExpressionTempName = require('./expression/temp-name');
+
+/**
+ * Represents a set node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeSet extends TwigNode {
+  /**
+   * @param {boolean}   $capture
+   * @param {TwigNode}  $names
+   * @param {TwigNode}  $values
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($capture, $names, $values, $lineno, $tag) {
+    super(new Map([
+      ['names', $names],
+      ['values', $values]
+    ]), new Map([
+      ['capture', $capture],
+      ['safe', false]
+    ]), $lineno, $tag);
+
+    /*
+     * Optimizes the node when capture is used for a large block of text.
+     *
+     * {% set foo %}foo{% endset %} is compiled to $context.set("foo", new TwigMarkup("foo", ...));
+     */
+    if (this.getAttribute('capture')) {
+      this.setAttribute('safe', true);
+
+      let $values = this.getNode('values');
+
+      if ($values instanceof TwigNodeText) {
+        this.setNode('values', new TwigNodeExpressionConstant($values.getAttribute('data'), $values.getTemplateLine()));
+        this.setAttribute('capture', false);
+      }
+    }
+  }
+
+  compile($compiler) {
+    let $names = this.getNode('names');
+
+    $compiler.addDebugInfo(this);
+
+    if ($names.count() > 1) {
+      // all the values are evaluated before being assigned, so that {% set a, b = b, a %} swaps the variables
+      $compiler.write('for (let [$name, $value] of [');
+
+      for (let $i = 0; $i < $names.count(); $i++) {
+        if ($i) {
+          $compiler.raw(', ');
+        }
+
+        $compiler
+          .raw('[')
+          .subcompile($names.getNode($i))
+          .raw(', ')
+          .subcompile(this.getNode('values').getNode($i))
+          .raw(']')
+        ;
+      }
+
+      $compiler
+        .raw("]) {\n")
+        .indent()
+        .write("$context.set($name, $value);\n")
+        .outdent()
+        .write("}\n")
+      ;
+
+      return;
+    }
+
+    let $name = $names.getNode(0);
+
+    if ($name instanceof TwigNodeExpressionTempName) {
+      $compiler
+        .write('let ')
+        .subcompile($name)
+        .raw(' = ')
+      ;
+    }
+    else {
+      $compiler
+        .write('$context.set(')
+        .subcompile($name)
+        .raw(', ')
+      ;
+    }
+
+    if (this.getAttribute('capture')) {
+      $compiler
+        .raw("(($tmp) => '' === $tmp ? '' : new TwigMarkup($tmp, this.env.getCharset()))(yield* this.capture((function* () {\n")
+        .indent()
+        .subcompile(this.getNode('values'))
+        .outdent()
+        .write('}).call(this)))')
+      ;
+    }
+    else if (this.getAttribute('safe')) {
+      $compiler
+        .raw("(($tmp) => '' === $tmp ? '' : new TwigMarkup($tmp, this.env.getCharset()))(")
+        .subcompile(this.getNode('values'))
+        .raw(')')
+      ;
+    }
+    else {
+      $compiler.subcompile(this.getNode('values'));
+    }
+
+    if (!($name instanceof TwigNodeExpressionTempName)) {
+      $compiler.raw(')');
+    }
+
+    $compiler.raw(";\n");
+  }
+
+  isCapture() {
+    return true;
+  }
+}
+
+module.exports = TwigNodeSet;
@@ -0,0 +1,36 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a spaceless node.
+ *
+ * It removes spaces between HTML tags.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeSpaceless extends TwigNode {
+  /**
+   * @param {TwigNode}  $body
+   * @param {Number}    $lineno
+   * @param {string}    [$tag]
+   */
+  constructor($body, $lineno, $tag) {
+    super(new Map([['body', $body]]), null, $lineno, $tag || 'spaceless');
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write("yield (yield* this.capture((function* () {\n")
+      .indent()
+      .subcompile(this.getNode('body'))
+      .outdent()
+      .write("}).call(this))).replace(/>\\s+</g, '><').trim();\n")
+    ;
+  }
+
+  isOutput() {
+    return true;
+  }
+}
+
+module.exports = TwigNodeSpaceless;
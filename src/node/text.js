@@ -0,0 +1,31 @@
+const TwigNode = require('../node');
+
+/**
+ * Represents a text node.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeText extends TwigNode {
+  /**
+   * @param {string} $data
+   * @param {Number} $lineno
+   */
+  constructor($data, $lineno) {
+    super(null, new Map([['data', $data]]), $lineno);
+  }
+
+  compile($compiler) {
+    $compiler
+      .addDebugInfo(this)
+      .write('yield ')
+      .string(this.getAttribute('data'))
+      .raw(";\n")
+    ;
+  }
+
+  isOutput() {
+    return true;
+  }
+}
+
+module.exports = TwigNodeText;
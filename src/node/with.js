@@ -0,0 +1,66 @@
+const TwigNode = require('../node');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a nested "with" scope.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigNodeWith extends TwigNode {
+  /**
+   * @param {TwigNode}                $body
+   * @param {TwigNodeExpression|null} $variables
+   * @param {boolean}                 $only
+   * @param {Number}                  $lineno
+   * @param {string}                  [$tag]
+   */
+  constructor($body, $variables, $only, $lineno, $tag) {
+    let $nodes = new Map([['body', $body]]);
+
+    if ($variables) {
+      $nodes.set('variables', $variables);
+    }
+
+    super($nodes, new Map([['only', !!$only]]), $lineno, $tag);
+  }
+
+  compile($compiler) {
+    $compiler.addDebugInfo(this);
+
+    if (this.hasNode('variables')) {
+      let $node = this.getNode('variables');
+      let $varsName = $compiler.getVarName();
+
+      $compiler
+        .write(sprintf('let $%s = ', $varsName))
+        .subcompile($node)
+        .raw(";\n\n")
+        .write(sprintf("if (!TwigExtensionCore.isIterable($%s)) {\n", $varsName))
+        .indent()
+        .write("throw new TwigErrorRuntime('Variables passed to the \"with\" tag must be a hash.', ")
+        .repr($node.getTemplateLine())
+        .raw(", this.getSourceContext());\n")
+        .outdent()
+        .write("}\n\n")
+      ;
+
+      if (this.getAttribute('only')) {
+        $compiler.write(sprintf("$context = this.env.mergeGlobals(new Map([['_parent', $context], ...TwigExtensionCore.toMap($%s)]));\n", $varsName));
+      }
+      else {
+        $compiler.write(sprintf("$context = this.env.mergeGlobals(new Map([...$context, ['_parent', $context], ...TwigExtensionCore.toMap($%s)]));\n", $varsName));
+      }
+    }
+    else {
+      $compiler.write("$context = new Map([...$context, ['_parent', $context]]);\n");
+    }
+
+    $compiler
+      .subcompile(this.getNode('body'))
+      .write("$context = $context.get('_parent');\n")
+    ;
+  }
+}
+
+module.exports = TwigNodeWith;
@@ -1,5 +1,500 @@
+const TwigToken = require('./token');
+const TwigNode = require('./node');
+const TwigNodeText = require('./node/text');
+const TwigNodePrint = require('./node/print');
+const TwigNodeBody = require('./node/body');
+const TwigNodeModule = require('./node/module');
+const TwigNodeBlockReference = require('./node/block-reference');
+const TwigExpressionParser = require('./expression-parser');
+const TwigNodeTraverser = require('./node-traverser');
+const TwigErrorSyntax = require('./error/syntax');
+
+const createHash = require('crypto').createHash;
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Default parser implementation.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigParser {
+  /**
+   * @param {TwigEnvironment} $env
+   */
+  constructor($env) {
+    this.stack = [];
+    this.stream = null;
+    this.parent = null;
+    this.handlers = null;
+    this.visitors = null;
+    this.expressionParser = null;
+    this.blocks = null;
+    this.blockStack = null;
+    this.macros = null;
+    this.env = $env;
+    this.importedSymbols = null;
+    this.traits = null;
+    this.embeddedTemplates = [];
+    this.embeddedTemplateIndex = 0;
+    this.varNameSalt = 0;
+  }
+
+  /**
+   * @return {string}
+   */
+  getVarName() {
+    return sprintf('__internal_%s', createHash('sha256').update('TwigParser.getVarName' + this.stream.getSourceContext().getCode() + this.varNameSalt++).digest('hex'));
+  }
+
+  /**
+   * Converts a token stream to a node tree.
+   *
+   * @param {TwigTokenStream}   $stream
+   * @param {Function|Array}    [$test]       A callable that tells whether the parsing should stop at the given token
+   * @param {boolean}           [$dropNeedle] Whether to drop the token matched by $test
+   *
+   * @return {TwigNodeModule}
+   *
+   * @throws {TwigErrorSyntax}
+   */
+  parse($stream, $test, $dropNeedle) {
+    let self = this;
+
+    this.stack.push({
+      stream: this.stream,
+      parent: this.parent,
+      blocks: this.blocks,
+      blockStack: this.blockStack,
+      macros: this.macros,
+      importedSymbols: this.importedSymbols,
+      traits: this.traits,
+      embeddedTemplates: this.embeddedTemplates,
+      varNameSalt: this.varNameSalt
+    });
+
+    // the embedded templates are numbered in the order they appear in the whole template, nested ones included,
+    // so that the compiled code does not change from one compilation to the other
+    if (1 === this.stack.length) {
+      this.embeddedTemplateIndex = 0;
+    }
+
+    // tag handlers
+    if (null === this.handlers) {
+      this.handlers = new Map();
+
+      this.env.getTokenParsers().forEach(function ($handler) {
+        $handler.setParser(self);
+
+        self.handlers.set($handler.getTag(), $handler);
+      });
+    }
+
+    // node visitors
+    if (null === this.visitors) {
+      this.visitors = this.env.getNodeVisitors();
+    }
+
+    if (null === this.expressionParser) {
+      this.expressionParser = new TwigExpressionParser(this, this.env);
+    }
+
+    this.stream = $stream;
+    this.parent = null;
+    this.blocks = new Map();
+    this.macros = new Map();
+    this.traits = [];
+    this.blockStack = [];
+    this.importedSymbols = [new Map()];
+    this.embeddedTemplates = [];
+    this.varNameSalt = 0;
+
+    let $body;
+
+    try {
+      $body = this.subparse($test, $dropNeedle);
+
+      if (null !== this.parent && null === ($body = this.filterBodyNodes($body))) {
+        $body = new TwigNode();
+      }
+    }
+    catch ($e) {
+      if ($e instanceof TwigErrorSyntax) {
+        if (!$e.getSourceContext()) {
+          $e.setSourceContext(this.stream.getSourceContext());
+        }
+
+        if ($e.getTemplateLine() < 1) {
+          $e.setTemplateLine(this.stream.getCurrent().getLine());
+        }
+      }
+
+      this.restoreState();
+
+      throw $e;
+    }
+
+    let $node = new TwigNodeModule(
+      new TwigNodeBody(new Map([[0, $body]])),
+      this.parent,
+      new TwigNode(this.blocks),
+      new TwigNode(this.macros),
+      new TwigNode(new Map(this.traits.entries())),
+      this.embeddedTemplates,
+      $stream.getSourceContext()
+    );
+
+    let $traverser = new TwigNodeTraverser(this.env, this.visitors);
+
+    $node = $traverser.traverse($node);
+
+    this.restoreState();
+
+    return $node;
+  }
+
+  /**
+   * Restores the previous stack so that the previous parse() call can resume working.
+   *
+   * @private
+   */
+  restoreState() {
+    let self = this;
+    let $previous = this.stack.pop();
+
+    Object.keys($previous).forEach(function ($key) {
+      self[$key] = $previous[$key];
+    });
+  }
+
+  /**
+   * @param {Function|Array}  $test       A callable that tells whether the parsing should stop at the given token, or an array of a token parser and the name of its method to call
+   * @param {boolean}         [$dropNeedle]
+   *
+   * @return {TwigNode}
+   *
+   * @throws {TwigErrorSyntax}
+   */
+  subparse($test, $dropNeedle) {
+    let $lineno = this.getCurrentToken().getLine();
+    let $rv = [];
+    let $token;
+
+    $test = $test || null;
+
+    while (!this.stream.isEOF()) {
+      switch (this.getCurrentToken().getType()) {
+        case TwigToken.TEXT_TYPE:
+          $token = this.stream.next();
+
+          $rv.push(new TwigNodeText($token.getValue(), $token.getLine()));
+          break;
+
+        case TwigToken.VAR_START_TYPE:
+          $token = this.stream.next();
+
+          let $expr = this.expressionParser.parseExpression();
+
+          this.stream.expect(TwigToken.VAR_END_TYPE);
+
+          $rv.push(new TwigNodePrint($expr, $token.getLine()));
+          break;
+
+        case TwigToken.BLOCK_START_TYPE:
+          this.stream.next();
+
+          $token = this.getCurrentToken();
+
+          if ($token.getType() !== TwigToken.NAME_TYPE) {
+            throw new TwigErrorSyntax('A block must start with a tag name.', $token.getLine(), this.stream.getSourceContext());
+          }
+
+          if (null !== $test && TwigParser.callTest($test, $token)) {
+            if ($dropNeedle) {
+              this.stream.next();
+            }
+
+            if (1 === $rv.length) {
+              return $rv[0];
+            }
+
+            return new TwigNode(new Map($rv.entries()), null, $lineno);
+          }
+
+          if (!this.handlers.has($token.getValue())) {
+            let $e;
+
+            if (null !== $test) {
+              $e = new TwigErrorSyntax(sprintf('Unexpected "%s" tag', $token.getValue()), $token.getLine(), this.stream.getSourceContext());
+
+              if (Array.isArray($test) && $test[0] && (typeof $test[0].getTag === 'function')) {
+                $e.appendMessage(sprintf(' (expecting closing tag for the "%s" tag defined near line %s).', $test[0].getTag(), $lineno));
+              }
+            }
+            else {
+              $e = new TwigErrorSyntax(sprintf('Unknown "%s" tag.', $token.getValue()), $token.getLine(), this.stream.getSourceContext());
+
+              $e.addSuggestions($token.getValue(), Array.from(this.env.getTags().keys()));
+            }
+
+            throw $e;
+          }
+
+          this.stream.next();
+
+          let $subparser = this.handlers.get($token.getValue());
+          let $node = $subparser.parse($token);
+
+          if (null !== $node) {
+            $rv.push($node);
+          }
+          break;
+
+        default:
+          throw new TwigErrorSyntax('Lexer or parser ended up in unsupported state.', this.getCurrentToken().getLine(), this.stream.getSourceContext());
+      }
+    }
+
+    if (1 === $rv.length) {
+      return $rv[0];
+    }
+
+    return new TwigNode(new Map($rv.entries()), null, $lineno);
+  }
+
+  /**
+   * @return {string[]}
+   */
+  getBlockStack() {
+    return this.blockStack;
+  }
+
+  /**
+   * @return {string}
+   */
+  peekBlockStack() {
+    return this.blockStack[this.blockStack.length - 1];
+  }
+
+  popBlockStack() {
+    this.blockStack.pop();
+  }
+
+  /**
+   * @param {string} $name
+   */
+  pushBlockStack($name) {
+    this.blockStack.push($name);
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {boolean}
+   */
+  hasBlock($name) {
+    return this.blocks.has($name);
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {TwigNodeBody}
+   */
+  getBlock($name) {
+    return this.blocks.get($name);
+  }
+
+  /**
+   * @param {string}        $name
+   * @param {TwigNodeBlock} $value
+   */
+  setBlock($name, $value) {
+    this.blocks.set($name, new TwigNodeBody(new Map([[0, $value]]), null, $value.getTemplateLine()));
+  }
+
+  /**
+   * @param {string} $name
+   *
+   * @return {boolean}
+   */
+  hasMacro($name) {
+    return this.macros.has($name);
+  }
+
+  /**
+   * @param {string}        $name
+   * @param {TwigNodeMacro} $node
+   */
+  setMacro($name, $node) {
+    this.macros.set($name, $node);
+  }
+
+  /**
+   * @param {TwigNode} $trait
+   */
+  addTrait($trait) {
+    this.traits.push($trait);
+  }
+
+  /**
+   * @return {boolean}
+   */
+  hasTraits() {
+    return this.traits.length > 0;
+  }
+
+  /**
+   * @param {TwigNodeModule} $template
+   */
+  embedTemplate($template) {
+    $template.setIndex(++this.embeddedTemplateIndex);
+
+    this.embeddedTemplates.push($template);
+  }
+
+  /**
+   * @param {string}              $type
+   * @param {string}              $alias
+   * @param {string}              [$name]
+   * @param {TwigNodeExpression}  [$node]
+   */
+  addImportedSymbol($type, $alias, $name, $node) {
+    let $symbols = this.importedSymbols[0];
+
+    if (!$symbols.has($type)) {
+      $symbols.set($type, new Map());
+    }
+
+    $symbols.get($type).set($alias, {
+      name: $name || null,
+      node: $node || null
+    });
+  }
+
+  /**
+   * @param {string} $type
+   * @param {string} $alias
+   *
+   * @return {Object|null}
+   */
+  getImportedSymbol($type, $alias) {
+    for (let $symbols of this.importedSymbols) {
+      if ($symbols.has($type) && $symbols.get($type).has($alias)) {
+        return $symbols.get($type).get($alias);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isMainScope() {
+    return 1 === this.importedSymbols.length;
+  }
+
+  pushLocalScope() {
+    this.importedSymbols.unshift(new Map());
+  }
+
+  popLocalScope() {
+    this.importedSymbols.shift();
+  }
+
+  /**
+   * @return {TwigExpressionParser}
+   */
+  getExpressionParser() {
+    return this.expressionParser;
+  }
+
+  /**
+   * @return {TwigNode|null}
+   */
+  getParent() {
+    return this.parent;
+  }
+
+  /**
+   * @param {TwigNode|null} $parent
+   */
+  setParent($parent) {
+    this.parent = $parent;
+  }
+
+  /**
+   * @return {TwigTokenStream}
+   */
+  getStream() {
+    return this.stream;
+  }
+
+  /**
+   * @return {TwigToken}
+   */
+  getCurrentToken() {
+    return this.stream.getCurrent();
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @return {TwigNode|null}
+   *
+   * @private
+   */
+  filterBodyNodes($node) {
+    let self = this;
+
+    // check that the body does not contain non-empty output nodes
+    if (
+      ($node instanceof TwigNodeText && !/^[ \t\n\r\v\f]+$/.test($node.getAttribute('data')))
+      ||
+      (!($node instanceof TwigNodeText) && !($node instanceof TwigNodeBlockReference) && $node.isOutput())
+    ) {
+      if ($node.toString().includes('\uFEFF')) {
+        throw new TwigErrorSyntax('A template that extends another one cannot start with a byte order mark (BOM); it must be removed.', $node.getTemplateLine(), this.stream.getSourceContext());
+      }
+
+      throw new TwigErrorSyntax('A template that extends another one cannot include content outside Twig blocks. Did you forget to put the content inside a {% block %} tag?', $node.getTemplateLine(), this.stream.getSourceContext());
+    }
+
+    // bypass nodes that will "capture" the output
+    if ($node.isCapture()) {
+      return $node;
+    }
+
+    if ($node.isOutput()) {
+      return null;
+    }
+
+    $node.$nodes.forEach(function ($n, $k) {
+      if (null !== $n && null === self.filterBodyNodes($n)) {
+        $node.removeNode($k);
+      }
+    });
+
+    return $node;
+  }
+
+  /**
+   * Calls a subparse test, either a function or an array of an object and the name of its method.
+   *
+   * @param {Function|Array}  $test
+   * @param {TwigToken}       $token
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  static callTest($test, $token) {
+    if (Array.isArray($test)) {
+      return $test[0][$test[1]]($token);
+    }
 
+    return $test($token);
+  }
 }
 
-module.exports = TwigParser;
\ No newline at end of file
+module.exports = TwigParser;
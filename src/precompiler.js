@@ -0,0 +1,234 @@
+const TwigLoaderFileSystem = require('./loader/file-system');
+
+const fs = require('fs');
+const path = require('path');
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Returns the templates found in a directory and its subdirectories.
+ *
+ * Hidden files and directories are skipped, and the directories are only walked once, so that the symbolic
+ * links creating cycles are not followed forever.
+ *
+ * @param {string}      $directory
+ * @param {string[]}    $extensions The extensions of the templates
+ * @param {Set<string>} [$visited]  The real paths of the directories already walked
+ *
+ * @return {string[]} The paths of the templates, relative to the directory
+ */
+let walk = function ($directory, $extensions, $visited) {
+  let $files = [];
+  let $realPath = fs.realpathSync($directory);
+
+  $visited = $visited || new Set();
+
+  if ($visited.has($realPath)) {
+    return $files;
+  }
+
+  $visited.add($realPath);
+
+  fs.readdirSync($directory).sort().forEach(function ($entry) {
+    if ('.' === $entry.charAt(0)) {
+      return;
+    }
+
+    let $path = path.join($directory, $entry);
+    let $stats;
+
+    try {
+      $stats = fs.statSync($path);
+    }
+    catch (e) {
+      // broken symbolic link
+      return;
+    }
+
+    if ($stats.isDirectory()) {
+      walk($path, $extensions, $visited).forEach(function ($file) {
+        $files.push($entry + '/' + $file);
+      });
+    }
+    else if ($stats.isFile() && $extensions.some(function ($extension) {
+      return $entry.endsWith($extension);
+    })) {
+      $files.push($entry);
+    }
+  });
+
+  return $files;
+};
+
+/**
+ * @param {string}  $manifest  The manifest, as JSON
+ * @param {Array[]} $factories The pairs of template class name and factory code
+ *
+ * @return {string} A javascript module exporting the manifest and the factories
+ */
+let generateModule = function ($manifest, $factories) {
+  return 'module.exports = {\n' +
+    '  manifest: ' + $manifest + ',\n' +
+    '  factories: {\n' +
+    $factories.map(function ([$class, $factory]) {
+      return '    ' + JSON.stringify($class) + ': ' + $factory;
+    }).join(',\n') + '\n' +
+    '  }\n' +
+    '};\n';
+};
+
+/**
+ * Compiles ahead of time all the templates of a filesystem loader.
+ *
+ * The compiled templates are written as javascript modules exporting a manifest
+ * and the template factories, that can be served by a TwigLoaderPrecompiled without
+ * any runtime compilation. The environment used at runtime must have the same options
+ * and extensions as the one used to precompile the templates.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigPrecompiler {
+  /**
+   * Constructor.
+   *
+   * Available options:
+   *
+   *  * extensions: The extensions of the files that are templates (default to ['.twig']).
+   *
+   * @param {TwigEnvironment} $env        An environment using a TwigLoaderFileSystem
+   * @param {{}}              [$options]  An object of options
+   *
+   * @throws {Error} When the loader of the environment is not a TwigLoaderFileSystem
+   */
+  constructor($env, $options) {
+    if (!($env.getLoader() instanceof TwigLoaderFileSystem)) {
+      throw new Error(sprintf('The precompiler requires a TwigLoaderFileSystem, got "%s".', $env.getLoader() ? $env.getLoader().constructor.name : $env.getLoader()));
+    }
+
+    $options = Object.assign({
+      extensions: ['.twig']
+    }, $options);
+
+    this.env = $env;
+    this.extensions = $options.extensions;
+  }
+
+  /**
+   * Returns the names of all the templates found in the paths of the loader, the files whose extension
+   * is not one of the configured ones being ignored.
+   *
+   * @return {string[]}
+   */
+  getTemplateNames() {
+    let self = this;
+    let $loader = this.env.getLoader();
+    let $names = new Set();
+
+    $loader.getNamespaces().forEach(function ($namespace) {
+      let $prefix = (TwigLoaderFileSystem.MAIN_NAMESPACE === $namespace) ? '' : '@' + $namespace + '/';
+
+      $loader.getPaths($namespace).forEach(function ($path) {
+        walk(path.isAbsolute($path) ? $path : $loader.rootPath + $path, self.extensions).forEach(function ($file) {
+          $names.add($prefix + $file);
+        });
+      });
+    });
+
+    return Array.from($names);
+  }
+
+  /**
+   * Compiles the templates.
+   *
+   * @param {string[]} [$names] The names of the templates to compile (defaults to all the templates of the loader)
+   *
+   * @return {Map<string, {name: string, key: string, content: string}>} The compiled templates, keyed by template class name
+   *
+   * @throws {TwigErrorLoader} When a template cannot be found
+   * @throws {TwigErrorSyntax} When an error occurred during compilation
+   */
+  compile($names) {
+    let self = this;
+    let $templates = new Map();
+
+    ($names || this.getTemplateNames()).forEach(function ($name) {
+      $templates.set(self.env.getTemplateClass($name), {
+        name: $name,
+        key: self.env.getLoader().getCacheKey($name),
+        content: self.env.compileSource(self.env.getLoader().getSourceContext($name))
+      });
+    });
+
+    return $templates;
+  }
+
+  /**
+   * Writes one module per template in a directory, along with an index.js module requiring them.
+   *
+   * @param {string}   $directory The output directory
+   * @param {string[]} [$names]   The names of the templates to compile (defaults to all the templates of the loader)
+   *
+   * @return {string} The path of the index module, to pass to a TwigLoaderPrecompiled
+   */
+  writeModules($directory, $names) {
+    let $templates = this.compile($names);
+    let $factories = [];
+
+    fs.mkdirSync($directory, {recursive: true});
+
+    $templates.forEach(function ($template, $class) {
+      fs.writeFileSync(path.join($directory, $class + '.js'), $template.content);
+
+      $factories.push([$class, 'require(' + JSON.stringify('./' + $class + '.js') + ')']);
+    });
+
+    let $index = path.join($directory, 'index.js');
+
+    fs.writeFileSync($index, generateModule(this.generateManifest($templates), $factories));
+
+    return $index;
+  }
+
+  /**
+   * Writes all the templates in a single module.
+   *
+   * @param {string}   $file    The output file
+   * @param {string[]} [$names] The names of the templates to compile (defaults to all the templates of the loader)
+   *
+   * @return {string} The path of the bundle, to pass to a TwigLoaderPrecompiled
+   */
+  writeBundle($file, $names) {
+    let $templates = this.compile($names);
+    let $factories = [];
+
+    $templates.forEach(function ($template, $class) {
+      $factories.push([$class, '(function (module) {\n' + $template.content + '\nreturn module.exports;\n})({exports: null})']);
+    });
+
+    fs.mkdirSync(path.dirname($file), {recursive: true});
+    fs.writeFileSync($file, generateModule(this.generateManifest($templates), $factories));
+
+    return $file;
+  }
+
+  /**
+   * @param {Map<string, {name: string, key: string, content: string}>} $templates
+   *
+   * @return {string}
+   *
+   * @private
+   */
+  generateManifest($templates) {
+    let $manifest = {};
+
+    $templates.forEach(function ($template, $class) {
+      $manifest[$class] = {
+        name: $template.name,
+        key: $template.key
+      };
+    });
+
+    return JSON.stringify($manifest, null, 2).replace(/\n/g, '\n  ');
+  }
+}
+
+module.exports = TwigPrecompiler;
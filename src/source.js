@@ -0,0 +1,40 @@
+/**
+ * Holds information about a non-compiled Twig template.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigSource {
+  /**
+   * @param {string} $code The template source code
+   * @param {string} $name The template logical name
+   * @param {string} [$path] The filesystem path of the template if any
+   */
+  constructor($code, $name, $path) {
+    this.code = $code;
+    this.name = $name;
+    this.path = $path || '';
+  }
+
+  /**
+   * @return {string}
+   */
+  getCode() {
+    return this.code;
+  }
+
+  /**
+   * @return {string}
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * @return {string}
+   */
+  getPath() {
+    return this.path;
+  }
+}
+
+module.exports = TwigSource;
@@ -1,5 +1,1110 @@
+const TwigError = require('./error');
+const TwigErrorLoader = require('./error/loader');
+const TwigErrorRuntime = require('./error/runtime');
+const TwigSource = require('./source');
+
+const get_class = require('./lib/get_class');
+const gettype = require('locutus/php/var/gettype');
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * The methods of the classes, with their getters indexed by property name, keyed by class.
+ *
+ * @type {Map<Function, Map<string, string>>}
+ */
+let methodsCache = new Map();
+
+/**
+ * The properties giving access to the prototype chain, that are never exposed to the templates.
+ *
+ * @type {Set<string>}
+ */
+let forbiddenProperties = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Checks if a variable is a plain object, which templates handle like a PHP array.
+ *
+ * Same as TwigExtensionCore.isHash, that can't be required here since the core extension depends on this module.
+ *
+ * @param {*} $value
+ *
+ * @return {boolean}
+ */
+let isHash = function ($value) {
+  if (!$value || (typeof $value !== 'object')) {
+    return false;
+  }
+
+  let $prototype = Object.getPrototypeOf($value);
+
+  return (null === $prototype) || (Object.prototype === $prototype);
+};
+
+/**
+ * Checks if a variable is an object in the PHP sense: neither a scalar, nor null, nor an array.
+ *
+ * @param {*} $value
+ *
+ * @return {boolean}
+ */
+let isObject = function ($value) {
+  return (null !== $value) && ((typeof $value === 'object') || (typeof $value === 'function')) && !Array.isArray($value) && !($value instanceof Map);
+};
+
+/**
+ * Converts a scalar to a string for the error messages.
+ *
+ * @param {*} $value
+ *
+ * @return {string}
+ */
+let stringify = function ($value) {
+  if (typeof $value === 'boolean') {
+    return $value ? '1' : '';
+  }
+
+  return String($value);
+};
+
+/**
+ * Returns the public methods of an object, indexed by their name, their lowercased name
+ * and the name of the property they are a getter of (getFoo, isFoo and hasFoo for foo).
+ *
+ * @param {Object} $object
+ *
+ * @return {Map<string, string>}
+ */
+let getMethods = function ($object) {
+  let $class = $object.constructor;
+
+  // the methods of plain objects are their own properties, so they can't be cached by class
+  if (!isHash($object) && methodsCache.has($class)) {
+    return methodsCache.get($class);
+  }
+
+  let $methods = new Set();
+
+  for (let $prototype = $object; $prototype && ($prototype !== Object.prototype) && ($prototype !== Function.prototype); $prototype = Object.getPrototypeOf($prototype)) {
+    Object.getOwnPropertyNames($prototype).forEach(function ($name) {
+      let $descriptor = Object.getOwnPropertyDescriptor($prototype, $name);
+
+      if (!forbiddenProperties.has($name) && (typeof $descriptor.value === 'function')) {
+        $methods.add($name);
+      }
+    });
+  }
+
+  // accessing the environment from templates is forbidden to prevent untrusted changes to the environment
+  if ($object instanceof TwigTemplate) {
+    $methods.delete('getEnvironment');
+  }
+
+  let $cache = new Map();
+
+  // sort values to have consistent behavior, so that "get" methods win precedence over "is" and "has" methods
+  Array.from($methods).sort().forEach(function ($method) {
+    let $lcName = $method.toLowerCase();
+    let $name;
+
+    $cache.set($method, $method);
+    $cache.set($lcName, $method);
+
+    let $prefix = /^(get|is|has)/.exec($lcName);
+
+    if (!$prefix) {
+      return;
+    }
+
+    $name = $method.substr($prefix[1].length);
+    $lcName = $lcName.substr($prefix[1].length);
+
+    // skip get(), is() and has() methods (in which case, $name is empty)
+    if ($name) {
+      if (!$cache.has($name)) {
+        $cache.set($name, $method);
+      }
+
+      if (!$cache.has($lcName)) {
+        $cache.set($lcName, $method);
+      }
+    }
+  });
+
+  if (!isHash($object)) {
+    methodsCache.set($class, $cache);
+  }
+
+  return $cache;
+};
+
+/**
+ * Returns true if a frame of a stack belongs to the compiled code of a template.
+ *
+ * The methods inherited from the base template class, like getAttribute(), and the functions they declare
+ * are not part of the compiled code, unlike the anonymous functions declared by the compiled methods.
+ *
+ * @param {TwigTemplate}  $template
+ * @param {string}        $method   The name of the method of the frame
+ * @param {string}        $file     The file of the frame
+ *
+ * @return {boolean}
+ */
+let isCompiledFrame = function ($template, $method, $file) {
+  if ('<anonymous>' === $method) {
+    return __filename !== $file;
+  }
+
+  return Object.prototype.hasOwnProperty.call(Object.getPrototypeOf($template), $method);
+};
+
+/**
+ * Guesses the template line where an error occurred, from the stack of the error and the debug information of the template.
+ *
+ * @param {TwigError}     $e
+ * @param {TwigTemplate}  $template
+ */
+let guessTemplateLine = function ($e, $template) {
+  let $stack = String(($e.previous && $e.previous.stack) || $e.stack);
+  let $frames = new RegExp('^\\s*at ' + $template.constructor.name + '\\.(\\S+) \\((.*):(\\d+):\\d+\\)$', 'gm');
+  let $frame;
+
+  do {
+    $frame = $frames.exec($stack);
+  } while ($frame && !isCompiledFrame($template, $frame[1], $frame[2]));
+
+  if (!$frame) {
+    return;
+  }
+
+  let $line = parseInt($frame[3]);
+
+  for (let [$codeLine, $templateLine] of $template.getDebugInfo()) {
+    if ($codeLine <= $line) {
+      $e.setTemplateLine($templateLine);
+
+      return;
+    }
+  }
+};
+
+/**
+ * Adds the template information to an error thrown while rendering a template.
+ *
+ * @param {Error}         $e
+ * @param {TwigTemplate}  $template
+ *
+ * @return {TwigError}
+ */
+let handleRenderingError = function ($e, $template) {
+  if ($e instanceof TwigError) {
+    if (!$e.getSourceContext()) {
+      $e.setSourceContext($template.getSourceContext());
+    }
+
+    // this is mostly useful for TwigErrorLoader errors
+    // see TwigErrorLoader
+    if (false === $e.getTemplateLine()) {
+      $e.setTemplateLine(-1);
+    }
+
+    if (-1 === $e.getTemplateLine()) {
+      guessTemplateLine($e, $template);
+    }
+
+    return $e;
+  }
+
+  $e = new TwigErrorRuntime(sprintf('An exception has been thrown during the rendering of a template ("%s").', $e.message), -1, $template.getSourceContext(), $e);
+
+  guessTemplateLine($e, $template);
+
+  return $e;
+};
+
+/**
+ * Returns a function buffering the output of a template, that passes the buffer to a write function
+ * when it is full or when the template flushes it.
+ *
+ * @param {Function} $write       Called with the content of the buffer
+ * @param {Number}   $bufferSize  The size of the buffer, in characters
+ *
+ * @return {Function} Called with the strings and the flush markers yielded by the template, returns the result of the write function
+ */
+let bufferOutput = function ($write, $bufferSize) {
+  let $buffer = '';
+
+  return function ($chunk) {
+    if (typeof $chunk === 'string') {
+      $buffer += $chunk;
+
+      if ($buffer.length < $bufferSize) {
+        return;
+      }
+    }
+
+    if ('' === $buffer) {
+      return;
+    }
+
+    let $output = $buffer;
+
+    $buffer = '';
+
+    return $write($output);
+  };
+};
+
+/**
+ * Default base class for compiled templates.
+ *
+ * The compiled templates output their content by yielding strings from generators, so
+ * that the content can be either collected, like render() does, or streamed.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigTemplate {
+  /**
+   * @param {TwigEnvironment} $env
+   */
+  constructor($env) {
+    this.env = $env;
+    this.parent = null;
+    this.parents = new Map();
+    this.blocks = new Map();
+    this.traits = new Map();
+  }
+
+  /**
+   * Returns the template name.
+   *
+   * @return {string} The template name
+   */
+  getTemplateName() {
+  }
+
+  /**
+   * Returns debug information about the template.
+   *
+   * @return {Map<Number, Number>} The template lines, keyed by compiled line
+   *
+   * @internal
+   */
+  getDebugInfo() {
+    return new Map();
+  }
+
+  /**
+   * Returns information about the original template source code.
+   *
+   * @return {TwigSource}
+   */
+  getSourceContext() {
+    return new TwigSource('', this.getTemplateName());
+  }
+
+  /**
+   * Returns the parent template.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @param {Map} $context
+   *
+   * @return {TwigTemplate|false} The parent template or false if there is no parent
+   *
+   * @internal
+   */
+  getParent($context) {
+    if (null !== this.parent) {
+      return this.parent;
+    }
+
+    let $parent;
+
+    try {
+      $parent = this.doGetParent($context);
+
+      if (false === $parent) {
+        return false;
+      }
+
+      if ($parent instanceof TwigTemplate) {
+        this.parents.set($parent.getSourceContext().getName(), $parent);
+
+        return $parent;
+      }
+
+      if (!this.parents.has($parent)) {
+        this.parents.set($parent, this.loadTemplate($parent));
+      }
+    }
+    catch ($e) {
+      if ($e instanceof TwigErrorLoader) {
+        $e.setSourceContext(null);
+        $e.setTemplateLine(-1);
+
+        guessTemplateLine($e, this);
+      }
+
+      throw $e;
+    }
+
+    return this.parents.get($parent);
+  }
+
+  /**
+   * @param {Map} $context
+   *
+   * @return {TwigTemplate|string|false}
+   */
+  doGetParent($context) {
+    return false;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isTraitable() {
+    return true;
+  }
+
+  /**
+   * Displays a parent block.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @param {string}  $name     The block name to display from the parent
+   * @param {Map}     $context  The context
+   * @param {Map}     [$blocks] The current set of blocks
+   *
+   * @internal
+   */
+  *displayParentBlock($name, $context, $blocks) {
+    let $parent;
+
+    if (this.traits.has($name)) {
+      // the block may have been renamed when imported, so it is displayed from the trait definition instead of being looked up by name
+      yield* this.traits.get($name)[0].displayBlock($name, $context, new Map([...($blocks || new Map()), [$name, this.traits.get($name)]]));
+    }
+    else if (false !== ($parent = this.getParent($context))) {
+      yield* $parent.displayBlock($name, $context, $blocks, false);
+    }
+    else {
+      throw new TwigErrorRuntime(sprintf('The template has no parent and no traits defining the "%s" block.', $name), -1, this.getSourceContext());
+    }
+  }
+
+  /**
+   * Displays a block.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @param {string}  $name         The block name to display
+   * @param {Map}     $context      The context
+   * @param {Map}     [$blocks]     The current set of blocks
+   * @param {boolean} [$useBlocks]  Whether to use the current set of blocks
+   *
+   * @internal
+   */
+  *displayBlock($name, $context, $blocks, $useBlocks) {
+    let $template = null;
+    let $block = null;
+    let $parent;
+
+    $name = String($name);
+    $blocks = $blocks || new Map();
+
+    if ((false !== $useBlocks) && $blocks.has($name)) {
+      [$template, $block] = $blocks.get($name);
+    }
+    else if (this.blocks.has($name)) {
+      [$template, $block] = this.blocks.get($name);
+    }
+
+    // avoid RCEs when sandbox is enabled
+    if ((null !== $template) && !($template instanceof TwigTemplate)) {
+      throw new Error('A block must be a method on a TwigTemplate instance.');
+    }
+
+    if (null !== $template) {
+      try {
+        yield* $template[$block](new Map($context), $blocks);
+      }
+      catch ($e) {
+        throw handleRenderingError($e, $template);
+      }
+    }
+    else if (false !== ($parent = this.getParent($context))) {
+      yield* $parent.displayBlock($name, $context, new Map([...this.blocks, ...$blocks]), false);
+    }
+    else {
+      throw new TwigErrorRuntime(sprintf('Block "%s" on template "%s" does not exist.', $name, this.getTemplateName()), -1, this.getSourceContext());
+    }
+  }
+
+  /**
+   * Renders a parent block.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @param {string}  $name     The block name to render from the parent
+   * @param {Map}     $context  The context
+   * @param {Map}     [$blocks] The current set of blocks
+   *
+   * @return {string} The rendered block
+   *
+   * @internal
+   */
+  *renderParentBlock($name, $context, $blocks) {
+    return yield* this.capture(this.displayParentBlock($name, $context, $blocks));
+  }
+
+  /**
+   * Renders a block.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @param {string}  $name         The block name to render
+   * @param {Map}     $context      The context
+   * @param {Map}     [$blocks]     The current set of blocks
+   * @param {boolean} [$useBlocks]  Whether to use the current set of blocks
+   *
+   * @return {string} The rendered block
+   *
+   * @internal
+   */
+  *renderBlock($name, $context, $blocks, $useBlocks) {
+    return yield* this.capture(this.displayBlock($name, $context, $blocks, $useBlocks));
+  }
+
+  /**
+   * Returns whether a block exists or not in the current context of the template.
+   *
+   * This method checks blocks defined in the current template
+   * or defined in "used" traits or defined in parent templates.
+   *
+   * @param {string}  $name     The block name
+   * @param {Map}     $context  The context
+   * @param {Map}     [$blocks] The current set of blocks
+   *
+   * @return {boolean} true if the block exists, false otherwise
+   *
+   * @internal
+   */
+  hasBlock($name, $context, $blocks) {
+    let $parent;
+
+    $name = String($name);
+
+    if ($blocks && $blocks.has($name)) {
+      return $blocks.get($name)[0] instanceof TwigTemplate;
+    }
+
+    if (this.blocks.has($name)) {
+      return true;
+    }
+
+    if (false !== ($parent = this.getParent($context))) {
+      return $parent.hasBlock($name, $context);
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns all block names in the current context of the template.
+   *
+   * This method checks blocks defined in the current template
+   * or defined in "used" traits or defined in parent templates.
+   *
+   * @param {Map} $context  The context
+   * @param {Map} [$blocks] The current set of blocks
+   *
+   * @return {string[]} An array of block names
+   *
+   * @internal
+   */
+  getBlockNames($context, $blocks) {
+    let $parent;
+    let $names = Array.from(($blocks || new Map()).keys()).concat(Array.from(this.blocks.keys()));
+
+    if (false !== ($parent = this.getParent($context))) {
+      $names = $names.concat($parent.getBlockNames($context));
+    }
 
+    return Array.from(new Set($names));
+  }
+
+  /**
+   * Returns all blocks.
+   *
+   * This method is for internal use only and should never be called
+   * directly.
+   *
+   * @return {Map} A Map of blocks
+   *
+   * @internal
+   */
+  getBlocks() {
+    return this.blocks;
+  }
+
+  /**
+   * @param {string|TwigTemplate|Array} $template
+   * @param {string}                    [$templateName]
+   * @param {Number}                    [$line]
+   * @param {Number}                    [$index]
+   *
+   * @return {TwigTemplate}
+   */
+  loadTemplate($template, $templateName, $line, $index) {
+    try {
+      if (Array.isArray($template)) {
+        return this.env.resolveTemplate($template);
+      }
+
+      if ($template instanceof TwigTemplate) {
+        return $template;
+      }
+
+      return this.env.loadTemplate($template, $index);
+    }
+    catch ($e) {
+      if (!($e instanceof TwigError)) {
+        throw $e;
+      }
+
+      if (!$e.getSourceContext()) {
+        $e.setSourceContext($templateName ? new TwigSource('', $templateName) : this.getSourceContext());
+      }
+
+      if ($e.getTemplateLine()) {
+        throw $e;
+      }
+
+      if (!$line) {
+        $e.setTemplateLine(-1);
+
+        guessTemplateLine($e, this);
+      }
+      else {
+        $e.setTemplateLine($line);
+      }
+
+      throw $e;
+    }
+  }
+
+  /**
+   * Loads a template, fetching the sources of the templates asynchronously when rendering asynchronously.
+   *
+   * @param {string|TwigTemplate|Array} $template
+   * @param {string}                    [$templateName]
+   * @param {Number}                    [$line]
+   * @param {Number}                    [$index]
+   *
+   * @return {TwigTemplate}
+   *
+   * @internal
+   */
+  *fetchTemplate($template, $templateName, $line, $index) {
+    let self = this;
+
+    return yield* this.env.withAsyncSources(function () {
+      return self.loadTemplate($template, $templateName, $line, $index);
+    });
+  }
+
+  /**
+   * Returns the parent template, fetching the sources of the templates asynchronously when rendering asynchronously.
+   *
+   * @param {Map} $context
+   *
+   * @return {TwigTemplate|false}
+   *
+   * @internal
+   */
+  *fetchParent($context) {
+    let self = this;
+
+    return yield* this.env.withAsyncSources(function () {
+      return self.getParent($context);
+    });
+  }
+
+  /**
+   * Calls a macro of an imported template.
+   *
+   * @param {TwigTemplate}  $template   The imported template
+   * @param {string}        $method     The name of the macro method
+   * @param {Array}         $arguments  The positional arguments
+   * @param {Number}        $lineno     The line of the call
+   * @param {Map}           $context    The context
+   *
+   * @return {TwigMarkup|string} The macro output
+   *
+   * @throws {TwigErrorRuntime} When the macro is not defined
+   *
+   * @internal
+   */
+  *callMacro($template, $method, $arguments, $lineno, $context) {
+    if (!this.hasMacro($template, $method, $context)) {
+      throw new TwigErrorRuntime(sprintf('Macro "%s" is not defined in template "%s".', $method.substr('macro_'.length), ($template instanceof TwigTemplate) ? $template.getTemplateName() : get_class($template)), $lineno, this.getSourceContext());
+    }
+
+    return yield* $template[$method](...$arguments);
+  }
+
+  /**
+   * Checks if a macro is defined in an imported template.
+   *
+   * @param {TwigTemplate}  $template The imported template
+   * @param {string}        $method   The name of the macro method
+   * @param {Map}           $context  The context
+   *
+   * @return {boolean}
+   *
+   * @internal
+   */
+  hasMacro($template, $method, $context) {
+    return ($template instanceof TwigTemplate) && (typeof $template[$method] === 'function');
+  }
+
+  /**
+   * Returns the result of a promise yielded by the compiled template, the rendering was resumed with.
+   *
+   * @param {*} $result
+   *
+   * @return {*}
+   *
+   * @throws {TwigErrorRuntime} When the promise could not be waited for, the template being rendered synchronously
+   *
+   * @internal
+   */
+  checkResolved($result) {
+    if (TwigTemplate.UNRESOLVED === $result) {
+      throw new TwigErrorRuntime('Asynchronous filters and functions can only be called by templates rendered with renderAsync(), outside of arrow functions.', -1, this.getSourceContext());
+    }
+
+    return $result;
+  }
+
+  /**
+   * Collects the strings yielded by a generator, forwarding the flush markers and the asynchronous operations.
+   *
+   * @param {Iterator} $iterator
+   *
+   * @return {string} The collected content
+   *
+   * @internal
+   */
+  *capture($iterator) {
+    let $output = '';
+    let $step = $iterator.next();
+
+    while (!$step.done) {
+      let $chunk = $step.value;
+
+      if (typeof $chunk === 'string') {
+        $output += $chunk;
+        $step = $iterator.next();
+      }
+      else if (TwigTemplate.FLUSH === $chunk) {
+        yield $chunk;
+        $step = $iterator.next();
+      }
+      else {
+        let $result;
+
+        try {
+          $result = yield $chunk;
+        }
+        catch ($e) {
+          $step = $iterator.throw($e);
+
+          continue;
+        }
+
+        $step = $iterator.next($result);
+      }
+    }
+
+    return $output;
+  }
+
+  /**
+   * Runs a generator function to completion and returns its value, dropping the flush markers.
+   *
+   * Compiled arrow functions use it to run their expression, that may call macros or render blocks.
+   *
+   * @param {GeneratorFunction} $generator
+   * @param {...*}              $arguments  The arguments passed to the generator function
+   *
+   * @return {*} The value returned by the generator function
+   *
+   * @internal
+   */
+  evaluate($generator, ...$arguments) {
+    return TwigTemplate.run($generator.apply(this, $arguments));
+  }
+
+  /**
+   * Displays the template with the given context.
+   *
+   * @param {Map|Object}  $context  The context, either a Map or a plain object
+   * @param {Map}         [$blocks] The current set of blocks
+   */
+  *display($context, $blocks) {
+    if (!($context instanceof Map)) {
+      $context = new Map(Object.entries($context || {}));
+    }
+
+    yield* this.displayWithErrorHandling(this.env.mergeGlobals(new Map($context)), new Map([...this.blocks, ...($blocks || new Map())]));
+  }
+
+  /**
+   * Renders the template with the given context and returns it as string.
+   *
+   * @param {Map|Object} $context The context, either a Map or a plain object
+   *
+   * @return {string} The rendered template
+   */
+  render($context) {
+    return TwigTemplate.run(this.capture(this.display($context)));
+  }
+
+  /**
+   * Renders the template with the given context, waiting for the asynchronous filters and functions.
+   *
+   * @param {Map|Object} $context The context, either a Map or a plain object
+   *
+   * @return {Promise<string>} The rendered template
+   */
+  renderAsync($context) {
+    return TwigTemplate.runAsync(this.capture(this.display($context)));
+  }
+
+  /**
+   * Displays the template with the given context, passing the output to a function as it is produced.
+   *
+   * The output is buffered until the buffer is full or the template flushes it with the flush tag.
+   *
+   * @param {Map|Object}  $context      The context, either a Map or a plain object
+   * @param {Function}    $write        Called with each chunk of output
+   * @param {Number}      [$bufferSize] The size of the buffer, in characters (defaults to TwigTemplate.BUFFER_SIZE)
+   */
+  stream($context, $write, $bufferSize) {
+    let $output = bufferOutput($write, $bufferSize || TwigTemplate.BUFFER_SIZE);
+
+    TwigTemplate.run(this.display($context), $output);
+
+    $output(TwigTemplate.FLUSH);
+  }
+
+  /**
+   * Displays the template with the given context asynchronously, passing the output to a function as it is produced.
+   *
+   * The rendering waits for the promises returned by the write function, to let the destination apply backpressure.
+   *
+   * @param {Map|Object}  $context      The context, either a Map or a plain object
+   * @param {Function}    $write        Called with each chunk of output, may return a promise
+   * @param {Number}      [$bufferSize] The size of the buffer, in characters (defaults to TwigTemplate.BUFFER_SIZE)
+   *
+   * @return {Promise} Resolved once the whole output is written
+   */
+  streamAsync($context, $write, $bufferSize) {
+    let $output = bufferOutput($write, $bufferSize || TwigTemplate.BUFFER_SIZE);
+
+    return TwigTemplate.runAsync(this.display($context), $output).then(function () {
+      return $output(TwigTemplate.FLUSH);
+    });
+  }
+
+  /**
+   * @param {Map} $context
+   * @param {Map} $blocks
+   */
+  *displayWithErrorHandling($context, $blocks) {
+    try {
+      yield* this.doDisplay($context, $blocks);
+    }
+    catch ($e) {
+      throw handleRenderingError($e, this);
+    }
+  }
+
+  /**
+   * Auto-generated method to display the template with the given context.
+   *
+   * @param {Map} $context  The context
+   * @param {Map} [$blocks] The current set of blocks
+   */
+  *doDisplay($context, $blocks) {
+  }
+
+  /**
+   * Returns the attribute value for a given array or object.
+   *
+   * Maps and arrays are accessed by key or index, plain objects either by key or like any other object,
+   * through their properties, their methods and their getters (getFoo(), isFoo() and hasFoo() for foo).
+   *
+   * @param {*}       $object             The object or array from where to get the item
+   * @param {*}       $item               The item to get from the array or object
+   * @param {Array}   [$arguments]        The arguments to pass if the item is a method
+   * @param {string}  [$type]             The type of attribute (see TwigTemplate constants)
+   * @param {boolean} [$isDefinedTest]    Whether this is only a defined check
+   * @param {boolean} [$ignoreStrictCheck] Whether to ignore the strict attribute check or not
+   *
+   * @return {*} The attribute value, or a boolean when isDefinedTest is true, or null when the attribute is not set and ignoreStrictCheck is true
+   *
+   * @throws {TwigErrorRuntime} if the attribute does not exist and strict_variables is enabled
+   *
+   * @internal
+   */
+  getAttribute($object, $item, $arguments, $type, $isDefinedTest, $ignoreStrictCheck) {
+    let $message;
+
+    $arguments = $arguments || [];
+    $type = $type || TwigTemplate.ANY_CALL;
+
+    // array
+    if (TwigTemplate.METHOD_CALL !== $type) {
+      let $arrayItem = (typeof $item === 'boolean') || ((typeof $item === 'number') && !Number.isInteger($item)) ? Math.trunc($item) : $item;
+
+      if ($object instanceof Map) {
+        let $keys = [$arrayItem, String($arrayItem)];
+
+        // like with PHP arrays, numeric strings and integers are the same keys
+        if (/^(0|-?[1-9][0-9]*)$/.test($arrayItem)) {
+          $keys.push(Number($arrayItem));
+        }
+
+        for (let $key of $keys) {
+          if ($object.has($key)) {
+            return $isDefinedTest ? true : $object.get($key);
+          }
+        }
+      }
+      else if (Array.isArray($object)) {
+        if (/^(0|[1-9][0-9]*)$/.test($arrayItem) && (Number($arrayItem) < $object.length)) {
+          return $isDefinedTest ? true : $object[Number($arrayItem)];
+        }
+      }
+      else if (isHash($object) && Object.prototype.hasOwnProperty.call($object, $arrayItem)) {
+        return $isDefinedTest ? true : $object[$arrayItem];
+      }
+
+      if ((TwigTemplate.ARRAY_CALL === $type) || !isObject($object)) {
+        if ($isDefinedTest) {
+          return false;
+        }
+
+        if ($ignoreStrictCheck || !this.env.isStrictVariables()) {
+          return null;
+        }
+
+        if (isHash($object)) {
+          $message = sprintf('Key "%s" does not exist in the object.', $arrayItem);
+        }
+        else if (isObject($object)) {
+          $message = sprintf('Impossible to access a key "%s" on an object of class "%s" that is not a Map.', $item, get_class($object));
+        }
+        else if (Array.isArray($object) || ($object instanceof Map)) {
+          let $keys = Array.from($object.keys());
+
+          if (!$keys.length) {
+            $message = sprintf('Key "%s" does not exist as the array is empty.', $arrayItem);
+          }
+          else {
+            $message = sprintf('Key "%s" for array with keys "%s" does not exist.', $arrayItem, $keys.join(', '));
+          }
+        }
+        else if (TwigTemplate.ARRAY_CALL === $type) {
+          if ((null === $object) || (undefined === $object)) {
+            $message = sprintf('Impossible to access a key ("%s") on a null variable.', $item);
+          }
+          else {
+            $message = sprintf('Impossible to access a key ("%s") on a %s variable ("%s").', $item, gettype($object), stringify($object));
+          }
+        }
+        else if ((null === $object) || (undefined === $object)) {
+          $message = sprintf('Impossible to access an attribute ("%s") on a null variable.', $item);
+        }
+        else {
+          $message = sprintf('Impossible to access an attribute ("%s") on a %s variable ("%s").', $item, gettype($object), stringify($object));
+        }
+
+        throw new TwigErrorRuntime($message, -1, this.getSourceContext());
+      }
+    }
+
+    if (!isObject($object)) {
+      if ($isDefinedTest) {
+        return false;
+      }
+
+      if ($ignoreStrictCheck || !this.env.isStrictVariables()) {
+        return null;
+      }
+
+      if ((null === $object) || (undefined === $object)) {
+        $message = sprintf('Impossible to invoke a method ("%s") on a null variable.', $item);
+      }
+      else {
+        $message = sprintf('Impossible to invoke a method ("%s") on a %s variable ("%s").', $item, gettype($object), stringify($object));
+      }
+
+      throw new TwigErrorRuntime($message, -1, this.getSourceContext());
+    }
+
+    $item = String($item);
+
+    // object property
+    // TwigTemplate does not expose its properties, and we don't want to allow access to internal ones
+    if ((TwigTemplate.METHOD_CALL !== $type) && !($object instanceof TwigTemplate)) {
+      if (($item in $object) && !forbiddenProperties.has($item) && (typeof $object[$item] !== 'function')) {
+        return $isDefinedTest ? true : $object[$item];
+      }
+    }
+
+    // object method
+    let $methods = getMethods($object);
+    let $method;
+
+    if ($methods.has($item)) {
+      $method = $methods.get($item);
+    }
+    else if ($methods.has($item.toLowerCase())) {
+      $method = $methods.get($item.toLowerCase());
+    }
+    else {
+      if ($isDefinedTest) {
+        return false;
+      }
+
+      if ($ignoreStrictCheck || !this.env.isStrictVariables()) {
+        return null;
+      }
+
+      throw new TwigErrorRuntime(sprintf('Neither the property "%1$s" nor one of the methods "%1$s()", "get%1$s()"/"is%1$s()"/"has%1$s()" exist and have public access in class "%2$s".', $item, get_class($object)), -1, this.getSourceContext());
+    }
+
+    if ($isDefinedTest) {
+      return true;
+    }
+
+    return $object[$method](...$arguments);
+  }
+
+  /**
+   * Runs an iterator yielded by the compiled templates to completion, synchronously.
+   *
+   * The optional asynchronous operations are skipped. The promises of the asynchronous filters and
+   * functions can't be waited for, so the iterator is resumed with TwigTemplate.UNRESOLVED instead,
+   * for the compiled template to throw an error at the line of the call.
+   *
+   * @param {Iterator} $iterator
+   * @param {Function} [$onChunk] Called with the strings and the flush markers, that are dropped otherwise
+   *
+   * @return {*} The value returned by the iterator
+   *
+   * @internal
+   */
+  static run($iterator, $onChunk) {
+    let $step = $iterator.next();
+
+    while (!$step.done) {
+      let $chunk = $step.value;
+
+      if ($chunk instanceof Promise) {
+        // the result is dropped, so is its rejection
+        $chunk.catch(function () {
+        });
+
+        $step = $iterator.next(TwigTemplate.UNRESOLVED);
+      }
+      else {
+        if ($onChunk && (typeof $chunk !== 'function')) {
+          $onChunk($chunk);
+        }
+
+        $step = $iterator.next();
+      }
+    }
+
+    return $step.value;
+  }
+
+  /**
+   * Runs an iterator yielded by the compiled templates to completion, asynchronously.
+   *
+   * The iterator is resumed with the result of the promises it yields, and with the result of the
+   * functions it yields, that start optional asynchronous operations. The rejections are thrown into it.
+   *
+   * @param {Iterator} $iterator
+   * @param {Function} [$onChunk] Called with the strings and the flush markers, may return a promise to wait for
+   *
+   * @return {Promise<*>} The value returned by the iterator
+   *
+   * @internal
+   */
+  static async runAsync($iterator, $onChunk) {
+    let $step = $iterator.next();
+
+    while (!$step.done) {
+      let $chunk = $step.value;
+
+      if (($chunk instanceof Promise) || (typeof $chunk === 'function')) {
+        let $result;
+
+        try {
+          $result = await ((typeof $chunk === 'function') ? $chunk() : $chunk);
+        }
+        catch ($e) {
+          $step = $iterator.throw($e);
+
+          continue;
+        }
+
+        $step = $iterator.next($result);
+      }
+      else {
+        // the rendering only pauses when the function returns a promise
+        let $result = $onChunk ? $onChunk($chunk) : null;
+
+        if ($result instanceof Promise) {
+          await $result;
+        }
+
+        $step = $iterator.next();
+      }
+    }
+
+    return $step.value;
+  }
 }
 
-module.exports = TwigTemplate;
\ No newline at end of file
+TwigTemplate.ANY_CALL = 'any';
+TwigTemplate.ARRAY_CALL = 'array';
+TwigTemplate.METHOD_CALL = 'method';
+
+/**
+ * Yielded by the compiled templates when the output has to be flushed.
+ */
+TwigTemplate.FLUSH = Symbol('flush');
+
+/**
+ * Passed to the compiled templates instead of the result of a promise that could not be waited for.
+ */
+TwigTemplate.UNRESOLVED = Symbol('unresolved');
+
+/**
+ * The default size of the buffer of the streamed output, in characters.
+ */
+TwigTemplate.BUFFER_SIZE = 16384;
+
+module.exports = TwigTemplate;
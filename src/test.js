@@ -1,5 +1,95 @@
+const array_merge = require('locutus/php/array/array_merge');
+
+/**
+ * Represents a template test.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigTest {
+  /**
+   * Creates a template test.
+   *
+   * @param {string}    $name       Name of this test
+   * @param {Function}  [$callable] A callable implementing the test. If null, you need to overwrite the "node_class" option to customize compilation.
+   * @param {Object}    [$options]  Options object
+   */
+  constructor($name, $callable, $options) {
+    this.name = $name;
+    this.callable = $callable || null;
+    this.options = array_merge({
+      needs_environment: false,
+      needs_context: false,
+      is_variadic: false,
+      node_class: require('./node/expression/test'),
+      deprecated: false,
+      alternative: null
+    }, $options || {});
+  }
+
+  /**
+   * @return {string}
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Returns the callable to execute for this test.
+   *
+   * @return {Function|null}
+   */
+  getCallable() {
+    return this.callable;
+  }
+
+  /**
+   * @return {Function}
+   */
+  getNodeClass() {
+    return this.options.node_class;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  needsEnvironment() {
+    return this.options.needs_environment;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  needsContext() {
+    return this.options.needs_context;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isVariadic() {
+    return this.options.is_variadic;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isDeprecated() {
+    return false !== this.options.deprecated;
+  }
+
+  /**
+   * @return {string|boolean}
+   */
+  getDeprecatedVersion() {
+    return this.options.deprecated;
+  }
 
+  /**
+   * @return {string|null}
+   */
+  getAlternative() {
+    return this.options.alternative;
+  }
 }
 
-module.exports = TwigTest;
\ No newline at end of file
+module.exports = TwigTest;
@@ -1,5 +1,38 @@
+/**
+ * Interface implemented by token parsers.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigTokenParserInterface {
+  /**
+   * Sets the parser associated with this token parser.
+   *
+   * @param {TwigParser} $parser
+   */
+  setParser($parser) {
+  }
 
+  /**
+   * Parses a token and returns a node.
+   *
+   * @param {TwigToken} $token
+   *
+   * @return {TwigNode|null}
+   *
+   * @throws {TwigErrorSyntax}
+   */
+  parse($token) {
+    return null;
+  }
+
+  /**
+   * Gets the tag name associated with this token parser.
+   *
+   * @return {string} The tag name
+   */
+  getTag() {
+    return null;
+  }
 }
 
-module.exports = TwigTokenParserInterface;
\ No newline at end of file
+module.exports = TwigTokenParserInterface;
@@ -0,0 +1,26 @@
+const TwigTokenParserInterface = require('./token-parser-interface');
+
+/**
+ * Base class for all token parsers.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParser extends TwigTokenParserInterface {
+  constructor() {
+    super();
+
+    /**
+     * @type {TwigParser}
+     */
+    this.parser = null;
+  }
+
+  /**
+   * @param {TwigParser} $parser
+   */
+  setParser($parser) {
+    this.parser = $parser;
+  }
+}
+
+module.exports = TwigTokenParser;
@@ -0,0 +1,56 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNode = require('../node');
+const TwigNodeSet = require('../node/set');
+const TwigNodePrint = require('../node/print');
+const TwigNodeExpressionTempName = require('../node/expression/temp-name');
+
+/**
+ * Applies filters on a section of a template.
+ *
+ * <pre>
+ *   {% apply upper %}
+ *      This text becomes uppercase
+ *   {% endapply %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserApply extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $name = this.parser.getVarName();
+
+    let $ref = new TwigNodeExpressionTempName($name, $lineno);
+
+    $ref.setAttribute('always_defined', true);
+
+    let $filter = this.parser.getExpressionParser().parseFilterExpressionRaw($ref, this.getTag());
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideApplyEnd'], true);
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNode(new Map([
+      [0, new TwigNodeSet(true, new TwigNode(new Map([[0, $ref]])), $body, $lineno, this.getTag())],
+      [1, new TwigNodePrint($filter, $lineno, this.getTag())]
+    ]));
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideApplyEnd($token) {
+    return $token.test('endapply');
+  }
+
+  getTag() {
+    return 'apply';
+  }
+}
+
+module.exports = TwigTokenParserApply;
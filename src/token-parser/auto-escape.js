@@ -0,0 +1,68 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeAutoEscape = require('../node/auto-escape');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigErrorSyntax = require('../error/syntax');
+
+/**
+ * Marks a section of a template to be escaped or not.
+ *
+ * <pre>
+ * {% autoescape %}
+ *   Everything will be automatically escaped in this block
+ * {% endautoescape %}
+ *
+ * {% autoescape false %}
+ *   Everything will be outputted as is in this block
+ * {% endautoescape %}
+ *
+ * {% autoescape 'js' %}
+ *   Everything will be automatically escaped in this block using the js escaping strategy
+ * {% endautoescape %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserAutoEscape extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $stream = this.parser.getStream();
+    let $value;
+
+    if ($stream.test(TwigToken.BLOCK_END_TYPE)) {
+      $value = 'html';
+    }
+    else {
+      let $expr = this.parser.getExpressionParser().parseExpression();
+
+      if (!($expr instanceof TwigNodeExpressionConstant)) {
+        throw new TwigErrorSyntax('An escaping strategy must be a string or false.', $stream.getCurrent().getLine(), $stream.getSourceContext());
+      }
+
+      $value = $expr.getAttribute('value');
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideBlockEnd'], true);
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeAutoEscape($value, $body, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endautoescape');
+  }
+
+  getTag() {
+    return 'autoescape';
+  }
+}
+
+module.exports = TwigTokenParserAutoEscape;
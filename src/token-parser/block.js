@@ -0,0 +1,84 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNode = require('../node');
+const TwigNodeBlock = require('../node/block');
+const TwigNodeBlockReference = require('../node/block-reference');
+const TwigNodePrint = require('../node/print');
+const TwigErrorSyntax = require('../error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Marks a section of a template as being reusable.
+ *
+ * <pre>
+ *  {% block head %}
+ *    <link rel="stylesheet" href="style.css" />
+ *    <title>{% block title %}{% endblock %} - My Webpage</title>
+ *  {% endblock %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserBlock extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $stream = this.parser.getStream();
+    let $name = $stream.expect(TwigToken.NAME_TYPE).getValue();
+
+    if (this.parser.hasBlock($name)) {
+      throw new TwigErrorSyntax(sprintf("The block '%s' has already been defined line %d.", $name, this.parser.getBlock($name).getTemplateLine()), $stream.getCurrent().getLine(), $stream.getSourceContext());
+    }
+
+    let $block = new TwigNodeBlock($name, new TwigNode(), $lineno);
+
+    this.parser.setBlock($name, $block);
+    this.parser.pushLocalScope();
+    this.parser.pushBlockStack($name);
+
+    let $body;
+
+    if ($stream.nextIf(TwigToken.BLOCK_END_TYPE)) {
+      $body = this.parser.subparse([this, 'decideBlockEnd'], true);
+
+      $token = $stream.nextIf(TwigToken.NAME_TYPE);
+
+      if ($token) {
+        let $value = $token.getValue();
+
+        if ($value !== $name) {
+          throw new TwigErrorSyntax(sprintf('Expected endblock for block "%s" (but "%s" given).', $name, $value), $stream.getCurrent().getLine(), $stream.getSourceContext());
+        }
+      }
+    }
+    else {
+      $body = new TwigNode(new Map([
+        [0, new TwigNodePrint(this.parser.getExpressionParser().parseExpression(), $lineno)]
+      ]));
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    $block.setNode('body', $body);
+
+    this.parser.popBlockStack();
+    this.parser.popLocalScope();
+
+    return new TwigNodeBlockReference($name, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endblock');
+  }
+
+  getTag() {
+    return 'block';
+  }
+}
+
+module.exports = TwigTokenParserBlock;
@@ -0,0 +1,29 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeDeprecated = require('../node/deprecated');
+
+/**
+ * Deprecates a section of a template.
+ *
+ * <pre>
+ * {% deprecated 'The "base.twig" template is deprecated, use "layout.twig" instead.' %}
+ * {% extends 'layout.html.twig' %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserDeprecated extends TwigTokenParser {
+  parse($token) {
+    let $expr = this.parser.getExpressionParser().parseExpression();
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeDeprecated($expr, $token.getLine(), this.getTag());
+  }
+
+  getTag() {
+    return 'deprecated';
+  }
+}
+
+module.exports = TwigTokenParserDeprecated;
@@ -0,0 +1,28 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeDo = require('../node/do');
+
+/**
+ * Evaluates an expression, discarding the returned value.
+ *
+ * <pre>
+ *   {% do 1 + 2 %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserDo extends TwigTokenParser {
+  parse($token) {
+    let $expr = this.parser.getExpressionParser().parseExpression();
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeDo($expr, $token.getLine(), this.getTag());
+  }
+
+  getTag() {
+    return 'do';
+  }
+}
+
+module.exports = TwigTokenParserDo;
@@ -0,0 +1,72 @@
+const TwigTokenParserInclude = require('./include');
+const TwigToken = require('../token');
+const TwigNodeEmbed = require('../node/embed');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigNodeExpressionName = require('../node/expression/name');
+
+/**
+ * Embeds a template.
+ *
+ * <pre>
+ *  {% embed "base.html" %}
+ *    {% block content %}Overridden content{% endblock %}
+ *  {% endembed %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserEmbed extends TwigTokenParserInclude {
+  parse($token) {
+    let $stream = this.parser.getStream();
+
+    let $parent = this.parser.getExpressionParser().parseExpression();
+
+    let [$variables, $only, $ignoreMissing] = this.parseArguments();
+
+    let $fakeParentToken = new TwigToken(TwigToken.STRING_TYPE, '__parent__', $token.getLine());
+    let $parentToken = $fakeParentToken;
+
+    if ($parent instanceof TwigNodeExpressionConstant) {
+      $parentToken = new TwigToken(TwigToken.STRING_TYPE, $parent.getAttribute('value'), $token.getLine());
+    }
+    else if ($parent instanceof TwigNodeExpressionName) {
+      $parentToken = new TwigToken(TwigToken.NAME_TYPE, $parent.getAttribute('name'), $token.getLine());
+    }
+
+    // inject a fake parent to make the parent() function work
+    $stream.injectTokens([
+      new TwigToken(TwigToken.BLOCK_START_TYPE, '', $token.getLine()),
+      new TwigToken(TwigToken.NAME_TYPE, 'extends', $token.getLine()),
+      $parentToken,
+      new TwigToken(TwigToken.BLOCK_END_TYPE, '', $token.getLine())
+    ]);
+
+    let $module = this.parser.parse($stream, [this, 'decideBlockEnd'], true);
+
+    // override the parent with the correct one
+    if ($fakeParentToken === $parentToken) {
+      $module.setNode('parent', $parent);
+    }
+
+    this.parser.embedTemplate($module);
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeEmbed($module.getTemplateName(), $module.getAttribute('index'), $variables, $only, $ignoreMissing, $token.getLine(), this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endembed');
+  }
+
+  getTag() {
+    return 'embed';
+  }
+}
+
+module.exports = TwigTokenParserEmbed;
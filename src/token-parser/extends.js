@@ -0,0 +1,75 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigErrorSyntax = require('../error/syntax');
+const TwigNodeExpressionFilter = require('../node/expression/filter');
+const TwigNodeExpressionFunction = require('../node/expression/function');
+
+/**
+ * @param {TwigNode}        $node
+ * @param {TwigEnvironment} $env
+ *
+ * @return {boolean} Whether the node calls an asynchronous filter or function
+ */
+let callsAsync = function ($node, $env) {
+  let $callable = null;
+
+  if ($node instanceof TwigNodeExpressionFilter) {
+    $callable = $env.getFilter($node.getNode('filter').getAttribute('value'));
+  }
+  else if ($node instanceof TwigNodeExpressionFunction) {
+    $callable = $env.getFunction($node.getAttribute('name'));
+  }
+
+  if ($callable && $callable.isAsync()) {
+    return true;
+  }
+
+  return Array.from($node.$nodes.values()).some(function ($child) {
+    return callsAsync($child, $env);
+  });
+};
+
+/**
+ * Extends a template by another one.
+ *
+ * <pre>
+ *  {% extends "base.html" %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserExtends extends TwigTokenParser {
+  parse($token) {
+    let $stream = this.parser.getStream();
+
+    if (this.parser.peekBlockStack()) {
+      throw new TwigErrorSyntax('Cannot use "extend" in a block.', $token.getLine(), $stream.getSourceContext());
+    }
+    else if (!this.parser.isMainScope()) {
+      throw new TwigErrorSyntax('Cannot use "extend" in a macro.', $token.getLine(), $stream.getSourceContext());
+    }
+
+    if (null !== this.parser.getParent()) {
+      throw new TwigErrorSyntax('Multiple extends tags are forbidden.', $token.getLine(), $stream.getSourceContext());
+    }
+
+    let $parent = this.parser.getExpressionParser().parseExpression();
+
+    // the parent is computed synchronously, see TwigTemplate.getParent()
+    if (callsAsync($parent, this.parser.env)) {
+      throw new TwigErrorSyntax('The parent template cannot be computed by an asynchronous filter or function.', $token.getLine(), $stream.getSourceContext());
+    }
+
+    this.parser.setParent($parent);
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return null;
+  }
+
+  getTag() {
+    return 'extends';
+  }
+}
+
+module.exports = TwigTokenParserExtends;
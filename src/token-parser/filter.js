@@ -0,0 +1,53 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeBlock = require('../node/block');
+const TwigNodePrint = require('../node/print');
+const TwigNodeExpressionBlockReference = require('../node/expression/block-reference');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+
+/**
+ * Filters a section of a template by applying filters.
+ *
+ * <pre>
+ * {% filter upper %}
+ *  This text becomes uppercase
+ * {% endfilter %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserFilter extends TwigTokenParser {
+  parse($token) {
+    let $name = this.parser.getVarName();
+    let $ref = new TwigNodeExpressionBlockReference(new TwigNodeExpressionConstant($name, $token.getLine()), null, $token.getLine(), this.getTag());
+
+    let $filter = this.parser.getExpressionParser().parseFilterExpressionRaw($ref, this.getTag());
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideBlockEnd'], true);
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    let $block = new TwigNodeBlock($name, $body, $token.getLine());
+
+    this.parser.setBlock($name, $block);
+
+    return new TwigNodePrint($filter, $token.getLine(), this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endfilter');
+  }
+
+  getTag() {
+    return 'filter';
+  }
+}
+
+module.exports = TwigTokenParserFilter;
@@ -0,0 +1,26 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeFlush = require('../node/flush');
+
+/**
+ * Flushes the output to the client.
+ *
+ * <pre>
+ *   {% flush %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserFlush extends TwigTokenParser {
+  parse($token) {
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeFlush($token.getLine(), this.getTag());
+  }
+
+  getTag() {
+    return 'flush';
+  }
+}
+
+module.exports = TwigTokenParserFlush;
@@ -0,0 +1,157 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeFor = require('../node/for');
+const TwigNodeExpressionAssignName = require('../node/expression/assign-name');
+const TwigNodeExpressionGetAttr = require('../node/expression/get-attr');
+const TwigNodeExpressionName = require('../node/expression/name');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigErrorSyntax = require('../error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Loops over each item of a sequence.
+ *
+ * <pre>
+ * <ul>
+ *  {% for user in users %}
+ *    <li>{{ user.username|e }}</li>
+ *  {% endfor %}
+ * </ul>
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserFor extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $stream = this.parser.getStream();
+    let $targets = this.parser.getExpressionParser().parseAssignmentExpression();
+
+    $stream.expect(TwigToken.OPERATOR_TYPE, 'in');
+
+    let $seq = this.parser.getExpressionParser().parseExpression();
+
+    let $ifexpr = null;
+
+    if ($stream.nextIf(TwigToken.NAME_TYPE, 'if')) {
+      $ifexpr = this.parser.getExpressionParser().parseExpression();
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideForFork']);
+    let $else = null;
+
+    if ($stream.next().getValue() === 'else') {
+      $stream.expect(TwigToken.BLOCK_END_TYPE);
+      $else = this.parser.subparse([this, 'decideForEnd'], true);
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $keyTarget;
+    let $valueTarget;
+
+    if ($targets.count() > 1) {
+      $keyTarget = $targets.getNode(0);
+      $keyTarget = new TwigNodeExpressionAssignName($keyTarget.getAttribute('name'), $keyTarget.getTemplateLine());
+      $valueTarget = $targets.getNode(1);
+      $valueTarget = new TwigNodeExpressionAssignName($valueTarget.getAttribute('name'), $valueTarget.getTemplateLine());
+    }
+    else {
+      $keyTarget = new TwigNodeExpressionAssignName('_key', $lineno);
+      $valueTarget = $targets.getNode(0);
+      $valueTarget = new TwigNodeExpressionAssignName($valueTarget.getAttribute('name'), $valueTarget.getTemplateLine());
+    }
+
+    if ($ifexpr) {
+      this.checkLoopUsageCondition($stream, $ifexpr);
+      this.checkLoopUsageBody($stream, $body);
+    }
+
+    return new TwigNodeFor($keyTarget, $valueTarget, $seq, $ifexpr, $body, $else, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideForFork($token) {
+    return $token.test(['else', 'endfor']);
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideForEnd($token) {
+    return $token.test('endfor');
+  }
+
+  /**
+   * The loop variable cannot be used in the condition.
+   *
+   * @param {TwigTokenStream} $stream
+   * @param {TwigNode}        $node
+   *
+   * @private
+   */
+  checkLoopUsageCondition($stream, $node) {
+    if (TwigTokenParserFor.isLoopAttribute($node)) {
+      throw new TwigErrorSyntax('The "loop" variable cannot be used in a looping condition.', $node.getTemplateLine(), $stream.getSourceContext());
+    }
+
+    for (let $n of $node.getIterator()) {
+      this.checkLoopUsageCondition($stream, $n);
+    }
+  }
+
+  /**
+   * Checks usage of non-defined loop-items.
+   *
+   * It does not catch all problems (for instance when a for is included into another or when the variable is used in an include).
+   *
+   * @param {TwigTokenStream} $stream
+   * @param {TwigNode}        $node
+   *
+   * @private
+   */
+  checkLoopUsageBody($stream, $node) {
+    if (TwigTokenParserFor.isLoopAttribute($node)) {
+      let $attribute = $node.getNode('attribute');
+
+      if ($attribute instanceof TwigNodeExpressionConstant && ['length', 'revindex0', 'revindex', 'last'].indexOf($attribute.getAttribute('value')) > -1) {
+        throw new TwigErrorSyntax(sprintf('The "loop.%s" variable is not defined when looping with a condition.', $attribute.getAttribute('value')), $node.getTemplateLine(), $stream.getSourceContext());
+      }
+    }
+
+    // should check for parent.loop.XXX usage
+    if ($node instanceof TwigNodeFor) {
+      return;
+    }
+
+    for (let $n of $node.getIterator()) {
+      this.checkLoopUsageBody($stream, $n);
+    }
+  }
+
+  getTag() {
+    return 'for';
+  }
+
+  /**
+   * @param {TwigNode} $node
+   *
+   * @return {boolean}
+   *
+   * @private
+   */
+  static isLoopAttribute($node) {
+    return $node instanceof TwigNodeExpressionGetAttr && $node.getNode('node') instanceof TwigNodeExpressionName && 'loop' === $node.getNode('node').getAttribute('name');
+  }
+}
+
+module.exports = TwigTokenParserFor;
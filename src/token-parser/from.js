@@ -0,0 +1,52 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeImport = require('../node/import');
+const TwigNodeExpressionAssignName = require('../node/expression/assign-name');
+
+/**
+ * Imports macros.
+ *
+ * <pre>
+ *   {% from 'forms.html' import forms %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserFrom extends TwigTokenParser {
+  parse($token) {
+    let self = this;
+    let $macro = this.parser.getExpressionParser().parseExpression();
+    let $stream = this.parser.getStream();
+
+    $stream.expect('import');
+
+    let $targets = new Map();
+
+    do {
+      let $name = $stream.expect(TwigToken.NAME_TYPE).getValue();
+      let $alias = $name;
+
+      if ($stream.nextIf('as')) {
+        $alias = $stream.expect(TwigToken.NAME_TYPE).getValue();
+      }
+
+      $targets.set($name, $alias);
+    } while ($stream.nextIf(TwigToken.PUNCTUATION_TYPE, ','));
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $node = new TwigNodeImport($macro, new TwigNodeExpressionAssignName(this.parser.getVarName(), $token.getLine()), $token.getLine(), this.getTag());
+
+    $targets.forEach(function ($alias, $name) {
+      self.parser.addImportedSymbol('function', $alias, 'macro_' + $name, $node.getNode('var'));
+    });
+
+    return $node;
+  }
+
+  getTag() {
+    return 'from';
+  }
+}
+
+module.exports = TwigTokenParserFrom;
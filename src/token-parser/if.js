@@ -0,0 +1,85 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNode = require('../node');
+const TwigNodeIf = require('../node/if');
+
+/**
+ * Tests a condition.
+ *
+ * <pre>
+ * {% if users %}
+ *  <ul>
+ *    {% for user in users %}
+ *      <li>{{ user.username|e }}</li>
+ *    {% endfor %}
+ *  </ul>
+ * {% endif %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserIf extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $expr = this.parser.getExpressionParser().parseExpression();
+    let $stream = this.parser.getStream();
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideIfFork']);
+    let $tests = [$expr, $body];
+    let $else = null;
+
+    let $end = false;
+
+    while (!$end) {
+      switch ($stream.next().getValue()) {
+        case 'else':
+          $stream.expect(TwigToken.BLOCK_END_TYPE);
+          $else = this.parser.subparse([this, 'decideIfEnd']);
+          break;
+
+        case 'elseif':
+          $expr = this.parser.getExpressionParser().parseExpression();
+          $stream.expect(TwigToken.BLOCK_END_TYPE);
+          $body = this.parser.subparse([this, 'decideIfFork']);
+          $tests.push($expr);
+          $tests.push($body);
+          break;
+
+        default:
+          // decideIfFork only stops on the "else", "elseif" and "endif" tags
+          $end = true;
+          break;
+      }
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeIf(new TwigNode(new Map($tests.entries())), $else, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideIfFork($token) {
+    return $token.test(['elseif', 'else', 'endif']);
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideIfEnd($token) {
+    return $token.test(['endif']);
+  }
+
+  getTag() {
+    return 'if';
+  }
+}
+
+module.exports = TwigTokenParserIf;
@@ -0,0 +1,35 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeImport = require('../node/import');
+const TwigNodeExpressionAssignName = require('../node/expression/assign-name');
+
+/**
+ * Imports macros.
+ *
+ * <pre>
+ *   {% import 'forms.html' as forms %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserImport extends TwigTokenParser {
+  parse($token) {
+    let $macro = this.parser.getExpressionParser().parseExpression();
+
+    this.parser.getStream().expect('as');
+
+    let $var = new TwigNodeExpressionAssignName(this.parser.getStream().expect(TwigToken.NAME_TYPE).getValue(), $token.getLine());
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    this.parser.addImportedSymbol('template', $var.getAttribute('name'));
+
+    return new TwigNodeImport($macro, $var, $token.getLine(), this.getTag());
+  }
+
+  getTag() {
+    return 'import';
+  }
+}
+
+module.exports = TwigTokenParserImport;
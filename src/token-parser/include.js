@@ -0,0 +1,60 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeInclude = require('../node/include');
+
+/**
+ * Includes a template.
+ *
+ * <pre>
+ *   {% include 'header.html' %}
+ *     Body
+ *   {% include 'footer.html' %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserInclude extends TwigTokenParser {
+  parse($token) {
+    let $expr = this.parser.getExpressionParser().parseExpression();
+    let [$variables, $only, $ignoreMissing] = this.parseArguments();
+
+    return new TwigNodeInclude($expr, $variables, $only, $ignoreMissing, $token.getLine(), this.getTag());
+  }
+
+  /**
+   * @return {Array} The variables, whether only the variables are passed and whether missing templates are ignored
+   */
+  parseArguments() {
+    let $stream = this.parser.getStream();
+
+    let $ignoreMissing = false;
+
+    if ($stream.nextIf(TwigToken.NAME_TYPE, 'ignore')) {
+      $stream.expect(TwigToken.NAME_TYPE, 'missing');
+
+      $ignoreMissing = true;
+    }
+
+    let $variables = null;
+
+    if ($stream.nextIf(TwigToken.NAME_TYPE, 'with')) {
+      $variables = this.parser.getExpressionParser().parseExpression();
+    }
+
+    let $only = false;
+
+    if ($stream.nextIf(TwigToken.NAME_TYPE, 'only')) {
+      $only = true;
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return [$variables, $only, $ignoreMissing];
+  }
+
+  getTag() {
+    return 'include';
+  }
+}
+
+module.exports = TwigTokenParserInclude;
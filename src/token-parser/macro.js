@@ -0,0 +1,67 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeBody = require('../node/body');
+const TwigNodeMacro = require('../node/macro');
+const TwigErrorSyntax = require('../error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Defines a macro.
+ *
+ * <pre>
+ * {% macro input(name, value, type, size) %}
+ *    <input type="{{ type|default('text') }}" name="{{ name }}" value="{{ value|e }}" size="{{ size|default(20) }}" />
+ * {% endmacro %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserMacro extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $stream = this.parser.getStream();
+    let $name = $stream.expect(TwigToken.NAME_TYPE).getValue();
+
+    let $arguments = this.parser.getExpressionParser().parseArguments(true, true);
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    this.parser.pushLocalScope();
+
+    let $body = this.parser.subparse([this, 'decideBlockEnd'], true);
+
+    $token = $stream.nextIf(TwigToken.NAME_TYPE);
+
+    if ($token) {
+      let $value = $token.getValue();
+
+      if ($value !== $name) {
+        throw new TwigErrorSyntax(sprintf('Expected endmacro for macro "%s" (but "%s" given).', $name, $value), $stream.getCurrent().getLine(), $stream.getSourceContext());
+      }
+    }
+
+    this.parser.popLocalScope();
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    this.parser.setMacro($name, new TwigNodeMacro($name, new TwigNodeBody(new Map([[0, $body]])), $arguments, $lineno, this.getTag()));
+
+    return null;
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endmacro');
+  }
+
+  getTag() {
+    return 'macro';
+  }
+}
+
+module.exports = TwigTokenParserMacro;
@@ -0,0 +1,69 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeSet = require('../node/set');
+const TwigErrorSyntax = require('../error/syntax');
+
+/**
+ * Defines a variable.
+ *
+ * <pre>
+ *  {% set foo = 'foo' %}
+ *  {% set foo = [1, 2] %}
+ *  {% set foo = {'foo': 'bar'} %}
+ *  {% set foo = 'foo' ~ 'bar' %}
+ *  {% set foo, bar = 'foo', 'bar' %}
+ *  {% set foo %}Some content{% endset %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserSet extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+    let $stream = this.parser.getStream();
+    let $names = this.parser.getExpressionParser().parseAssignmentExpression();
+
+    let $capture = false;
+    let $values;
+
+    if ($stream.nextIf(TwigToken.OPERATOR_TYPE, '=')) {
+      $values = this.parser.getExpressionParser().parseMultitargetExpression();
+
+      $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+      if ($names.count() !== $values.count()) {
+        throw new TwigErrorSyntax('When using set, you must have the same number of variables and assignments.', $stream.getCurrent().getLine(), $stream.getSourceContext());
+      }
+    }
+    else {
+      $capture = true;
+
+      if ($names.count() > 1) {
+        throw new TwigErrorSyntax('When using set with a block, you cannot have a multi-target.', $stream.getCurrent().getLine(), $stream.getSourceContext());
+      }
+
+      $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+      $values = this.parser.subparse([this, 'decideBlockEnd'], true);
+
+      $stream.expect(TwigToken.BLOCK_END_TYPE);
+    }
+
+    return new TwigNodeSet($capture, $names, $values, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideBlockEnd($token) {
+    return $token.test('endset');
+  }
+
+  getTag() {
+    return 'set';
+  }
+}
+
+module.exports = TwigTokenParserSet;
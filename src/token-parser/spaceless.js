@@ -0,0 +1,46 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeSpaceless = require('../node/spaceless');
+
+/**
+ * Remove whitespaces between HTML tags.
+ *
+ * <pre>
+ * {% spaceless %}
+ *      <div>
+ *          <strong>foo</strong>
+ *      </div>
+ * {% endspaceless %}
+ * {# output will be <div><strong>foo</strong></div> #}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserSpaceless extends TwigTokenParser {
+  parse($token) {
+    let $lineno = $token.getLine();
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideSpacelessEnd'], true);
+
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeSpaceless($body, $lineno, this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideSpacelessEnd($token) {
+    return $token.test('endspaceless');
+  }
+
+  getTag() {
+    return 'spaceless';
+  }
+}
+
+module.exports = TwigTokenParserSpaceless;
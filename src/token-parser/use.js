@@ -0,0 +1,62 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNode = require('../node');
+const TwigNodeExpressionConstant = require('../node/expression/constant');
+const TwigErrorSyntax = require('../error/syntax');
+
+/**
+ * Imports blocks defined in another template into the current template.
+ *
+ * <pre>
+ * {% extends "base.html" %}
+ *
+ * {% use "blocks.html" %}
+ *
+ * {% block title %}{% endblock %}
+ * {% block content %}{% endblock %}
+ * </pre>
+ *
+ * @see https://twig.symfony.com/doc/2.x/templates.html#horizontal-reuse for details.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserUse extends TwigTokenParser {
+  parse($token) {
+    let $template = this.parser.getExpressionParser().parseExpression();
+    let $stream = this.parser.getStream();
+
+    if (!($template instanceof TwigNodeExpressionConstant)) {
+      throw new TwigErrorSyntax('The template references in a "use" statement must be a string.', $stream.getCurrent().getLine(), $stream.getSourceContext());
+    }
+
+    let $targets = new Map();
+
+    if ($stream.nextIf('with')) {
+      do {
+        let $name = $stream.expect(TwigToken.NAME_TYPE).getValue();
+        let $alias = $name;
+
+        if ($stream.nextIf('as')) {
+          $alias = $stream.expect(TwigToken.NAME_TYPE).getValue();
+        }
+
+        $targets.set($name, new TwigNodeExpressionConstant($alias, -1));
+      } while ($stream.nextIf(TwigToken.PUNCTUATION_TYPE, ','));
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    this.parser.addTrait(new TwigNode(new Map([
+      ['template', $template],
+      ['targets', new TwigNode($targets)]
+    ])));
+
+    return new TwigNode();
+  }
+
+  getTag() {
+    return 'use';
+  }
+}
+
+module.exports = TwigTokenParserUse;
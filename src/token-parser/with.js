@@ -0,0 +1,51 @@
+const TwigTokenParser = require('../token-parser');
+const TwigToken = require('../token');
+const TwigNodeWith = require('../node/with');
+
+/**
+ * Creates a nested scope.
+ *
+ * <pre>
+ * {% with {foo: 42} only %}
+ *   {{ foo }}
+ * {% endwith %}
+ * </pre>
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigTokenParserWith extends TwigTokenParser {
+  parse($token) {
+    let $stream = this.parser.getStream();
+
+    let $variables = null;
+    let $only = false;
+
+    if (!$stream.test(TwigToken.BLOCK_END_TYPE)) {
+      $variables = this.parser.getExpressionParser().parseExpression();
+      $only = !!$stream.nextIf(TwigToken.NAME_TYPE, 'only');
+    }
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let $body = this.parser.subparse([this, 'decideWithEnd'], true);
+
+    $stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return new TwigNodeWith($body, $variables, $only, $token.getLine(), this.getTag());
+  }
+
+  /**
+   * @param {TwigToken} $token
+   *
+   * @return {boolean}
+   */
+  decideWithEnd($token) {
+    return $token.test('endwith');
+  }
+
+  getTag() {
+    return 'with';
+  }
+}
+
+module.exports = TwigTokenParserWith;
@@ -1,5 +1,168 @@
+const TwigToken = require('./token');
+const TwigErrorSyntax = require('./error/syntax');
+
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a token stream.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
 class TwigTokenStream {
+  /**
+   * Constructor.
+   *
+   * @param {TwigToken[]} $tokens   An array of tokens
+   * @param {TwigSource}  [$source] The source context of the tokens
+   */
+  constructor($tokens, $source) {
+    this.tokens = $tokens;
+    this.current = 0;
+    this.source = $source || null;
+  }
+
+  /**
+   * Returns a string representation of the token stream.
+   *
+   * @return {string}
+   */
+  toString() {
+    return this.tokens.join("\n");
+  }
+
+  /**
+   * Injects tokens at the current position of the stream.
+   *
+   * @param {TwigToken[]} $tokens
+   */
+  injectTokens($tokens) {
+    this.tokens = this.tokens.slice(0, this.current).concat($tokens, this.tokens.slice(this.current));
+  }
+
+  /**
+   * Sets the pointer to the next token and returns the old one.
+   *
+   * @return {TwigToken}
+   *
+   * @throws {TwigErrorSyntax} When the end of the stream has been reached
+   */
+  next() {
+    if (undefined === this.tokens[++this.current]) {
+      throw new TwigErrorSyntax('Unexpected end of template.', this.tokens[this.current - 1].getLine(), this.source);
+    }
+
+    return this.tokens[this.current - 1];
+  }
+
+  /**
+   * Tests a token, sets the pointer to the next one and returns it or returns null.
+   *
+   * @param {Number|string|string[]} $primary
+   * @param {string|string[]}         [$secondary]
+   *
+   * @return {TwigToken|null}
+   */
+  nextIf($primary, $secondary) {
+    if (this.tokens[this.current].test($primary, $secondary)) {
+      return this.next();
+    }
+
+    return null;
+  }
+
+  /**
+   * Tests a token and returns it or throws a syntax error.
+   *
+   * @param {Number|string|string[]} $type
+   * @param {string|string[]}         [$value]
+   * @param {string}                  [$message]
+   *
+   * @return {TwigToken}
+   *
+   * @throws {TwigErrorSyntax} When the token does not match the expectation
+   */
+  expect($type, $value, $message) {
+    let $token = this.tokens[this.current];
+
+    if (!$token.test($type, $value)) {
+      if (typeof $type !== 'number') {
+        $value = $type;
+        $type = TwigToken.NAME_TYPE;
+      }
+
+      throw new TwigErrorSyntax(sprintf('%sUnexpected token "%s"%s ("%s" expected%s).',
+        $message ? $message + '. ' : '',
+        TwigToken.typeToEnglish($token.getType()),
+        $token.getValue() ? sprintf(' of value "%s"', $token.getValue()) : '',
+        TwigToken.typeToEnglish($type),
+        $value ? sprintf(' with value "%s"', Array.isArray($value) ? $value.join('", "') : $value) : ''
+      ), $token.getLine(), this.source);
+    }
+
+    this.next();
+
+    return $token;
+  }
+
+  /**
+   * Looks at the next token.
+   *
+   * @param {Number} [$number] The number of tokens to look ahead, default to 1
+   *
+   * @return {TwigToken}
+   *
+   * @throws {TwigErrorSyntax} When the end of the stream would be reached
+   */
+  look($number) {
+    if (undefined === $number) {
+      $number = 1;
+    }
+
+    if (undefined === this.tokens[this.current + $number]) {
+      let $last = this.tokens[this.tokens.length - 1];
+
+      throw new TwigErrorSyntax('Unexpected end of template.', $last.getLine(), this.source);
+    }
+
+    return this.tokens[this.current + $number];
+  }
+
+  /**
+   * Tests the current token.
+   *
+   * @param {Number|string|string[]} $primary
+   * @param {string|string[]}         [$secondary]
+   *
+   * @return {boolean}
+   */
+  test($primary, $secondary) {
+    return this.tokens[this.current].test($primary, $secondary);
+  }
+
+  /**
+   * Checks if end of stream was reached.
+   *
+   * @return {boolean}
+   */
+  isEOF() {
+    return TwigToken.EOF_TYPE === this.tokens[this.current].getType();
+  }
+
+  /**
+   * @return {TwigToken}
+   */
+  getCurrent() {
+    return this.tokens[this.current];
+  }
 
+  /**
+   * Gets the source context associated with this stream.
+   *
+   * @return {TwigSource}
+   */
+  getSourceContext() {
+    return this.source;
+  }
 }
 
-module.exports = TwigTokenStream;
\ No newline at end of file
+module.exports = TwigTokenStream;
@@ -0,0 +1,173 @@
+const sprintf = require('locutus/php/strings/sprintf');
+
+/**
+ * Represents a Token.
+ *
+ * @author Eric MORAND <eric.morand@gmail.com>
+ */
+class TwigToken {
+  /**
+   * Constructor.
+   *
+   * @param {Number}        $type   The type of the token
+   * @param {string|Number} $value  The token value
+   * @param {Number}        $lineno The line position in the source
+   */
+  constructor($type, $value, $lineno) {
+    this.type = $type;
+    this.value = $value;
+    this.lineno = $lineno;
+  }
+
+  /**
+   * Returns a string representation of the token.
+   *
+   * @return {string}
+   */
+  toString() {
+    return sprintf('%s(%s)', TwigToken.typeToString(this.type, true), this.value);
+  }
+
+  /**
+   * Tests the current token for a type and/or a value.
+   *
+   * Parameters may be:
+   *  * just type
+   *  * type and value (or array of possible values)
+   *  * just value (or array of possible values) (NAME_TYPE is used as type)
+   *
+   * @param {Number|string|string[]} $type   The type to test
+   * @param {string|string[]}         [$values] The token value
+   *
+   * @return {boolean}
+   */
+  test($type, $values) {
+    if (undefined === $values) {
+      $values = null;
+    }
+
+    if (null === $values && typeof $type !== 'number') {
+      $values = $type;
+      $type = TwigToken.NAME_TYPE;
+    }
+
+    return (this.type === $type) && (
+      null === $values ||
+      (Array.isArray($values) && $values.indexOf(this.value) > -1) ||
+      this.value === $values
+    );
+  }
+
+  /**
+   * Gets the line.
+   *
+   * @return {Number} The source line
+   */
+  getLine() {
+    return this.lineno;
+  }
+
+  /**
+   * Gets the token type.
+   *
+   * @return {Number} The token type
+   */
+  getType() {
+    return this.type;
+  }
+
+  /**
+   * Gets the token value.
+   *
+   * @return {string|Number} The token value
+   */
+  getValue() {
+    return this.value;
+  }
+
+  /**
+   * Returns the constant representation (internal) of a given type.
+   *
+   * @param {Number}  $type  The type as an integer
+   * @param {boolean} [$short] Whether to return a short representation or not
+   *
+   * @return {string} The string representation
+   */
+  static typeToString($type, $short) {
+    let $name = TYPE_NAMES.get($type);
+
+    if (undefined === $name) {
+      throw new Error(sprintf('Token of type "%s" does not exist.', $type));
+    }
+
+    return $short ? $name : 'TwigToken.' + $name;
+  }
+
+  /**
+   * Returns the English representation of a given type.
+   *
+   * @param {Number} $type The type as an integer
+   *
+   * @return {string} The string representation
+   */
+  static typeToEnglish($type) {
+    let $english = TYPE_ENGLISH_NAMES.get($type);
+
+    if (undefined === $english) {
+      throw new Error(sprintf('Token of type "%s" does not exist.', $type));
+    }
+
+    return $english;
+  }
+}
+
+TwigToken.EOF_TYPE = -1;
+TwigToken.TEXT_TYPE = 0;
+TwigToken.BLOCK_START_TYPE = 1;
+TwigToken.VAR_START_TYPE = 2;
+TwigToken.BLOCK_END_TYPE = 3;
+TwigToken.VAR_END_TYPE = 4;
+TwigToken.NAME_TYPE = 5;
+TwigToken.NUMBER_TYPE = 6;
+TwigToken.STRING_TYPE = 7;
+TwigToken.OPERATOR_TYPE = 8;
+TwigToken.PUNCTUATION_TYPE = 9;
+TwigToken.INTERPOLATION_START_TYPE = 10;
+TwigToken.INTERPOLATION_END_TYPE = 11;
+TwigToken.ARROW_TYPE = 12;
+
+const TYPE_NAMES = new Map([
+  [TwigToken.EOF_TYPE, 'EOF_TYPE'],
+  [TwigToken.TEXT_TYPE, 'TEXT_TYPE'],
+  [TwigToken.BLOCK_START_TYPE, 'BLOCK_START_TYPE'],
+  [TwigToken.VAR_START_TYPE, 'VAR_START_TYPE'],
+  [TwigToken.BLOCK_END_TYPE, 'BLOCK_END_TYPE'],
+  [TwigToken.VAR_END_TYPE, 'VAR_END_TYPE'],
+  [TwigToken.NAME_TYPE, 'NAME_TYPE'],
+  [TwigToken.NUMBER_TYPE, 'NUMBER_TYPE'],
+  [TwigToken.STRING_TYPE, 'STRING_TYPE'],
+  [TwigToken.OPERATOR_TYPE, 'OPERATOR_TYPE'],
+  [TwigToken.PUNCTUATION_TYPE, 'PUNCTUATION_TYPE'],
+  [TwigToken.INTERPOLATION_START_TYPE, 'INTERPOLATION_START_TYPE'],
+  [TwigToken.INTERPOLATION_END_TYPE, 'INTERPOLATION_END_TYPE'],
+  [TwigToken.ARROW_TYPE, 'ARROW_TYPE']
+]);
+
+const TYPE_ENGLISH_NAMES = new Map([
+  [TwigToken.EOF_TYPE, 'end of template'],
+  [TwigToken.TEXT_TYPE, 'text'],
+  [TwigToken.BLOCK_START_TYPE, 'begin of statement block'],
+  [TwigToken.VAR_START_TYPE, 'begin of print statement'],
+  [TwigToken.BLOCK_END_TYPE, 'end of statement block'],
+  [TwigToken.VAR_END_TYPE, 'end of print statement'],
+  [TwigToken.NAME_TYPE, 'name'],
+  [TwigToken.NUMBER_TYPE, 'number'],
+  [TwigToken.STRING_TYPE, 'string'],
+  [TwigToken.OPERATOR_TYPE, 'operator'],
+  [TwigToken.PUNCTUATION_TYPE, 'punctuation'],
+  [TwigToken.INTERPOLATION_START_TYPE, 'begin of string interpolation'],
+  [TwigToken.INTERPOLATION_END_TYPE, 'end of string interpolation'],
+  [TwigToken.ARROW_TYPE, 'arrow function']
+]);
+
+module.exports = TwigToken;
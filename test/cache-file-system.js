@@ -0,0 +1,172 @@
+const tap = require('tap');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TwigEnvironment = require('../src/environment');
+const TwigCacheFileSystem = require('../src/cache/file-system');
+const TwigLoaderArray = require('../src/loader/array');
+const {removeDirectory} = require('./helpers/file-system');
+
+let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-twig-cache-'));
+
+let factory = function (value) {
+  return 'module.exports = function () { return ' + JSON.stringify(value) + '; };';
+};
+
+tap.tearDown(function () {
+  removeDirectory(directory);
+});
+
+tap.test('cache/file-system', function (test) {
+  test.plan(5);
+
+  test.test('generateKey', function (test) {
+    let cache = new TwigCacheFileSystem(directory + '/keys//');
+    let key = cache.generateKey('index', '__TwigTemplate_foo');
+
+    let hash = path.basename(key, '.js');
+
+    test.match(hash, /^[0-9a-f]{64}$/);
+    test.equal(path.dirname(key), path.join(directory, 'keys', hash.substr(0, 2)), 'keys are spread in subdirectories named after the hash of the class name');
+    test.equal(cache.generateKey('other', '__TwigTemplate_foo'), key, 'keys only depend on the class name');
+    test.notEqual(cache.generateKey('index', '__TwigTemplate_bar'), key);
+    test.equal(new TwigCacheFileSystem('relative').generateKey('index', 'foo').indexOf(path.resolve('relative') + path.sep), 0, 'relative directories are resolved');
+
+    test.end();
+  });
+
+  test.test('write, load and getTimestamp', function (test) {
+    let cache = new TwigCacheFileSystem(directory);
+    let key = cache.generateKey('index', 'write');
+
+    test.equal(cache.load(key), null);
+    test.equal(cache.getTimestamp(key), 0);
+
+    cache.write(key, factory('foo'));
+
+    test.equal(cache.load(key)(), 'foo');
+    test.equal(cache.load(key), cache.load(key), 'unchanged files are only required once');
+    test.equal(cache.getTimestamp(key), fs.statSync(key).mtime.getTime(), 'timestamps are in milliseconds');
+    test.same(fs.readdirSync(path.dirname(key)), [path.basename(key)], 'no temporary file is left behind');
+
+    cache.write(key, factory('bar'));
+
+    test.equal(cache.load(key)(), 'bar', 'the module cache is invalidated on write');
+
+    fs.writeFileSync(key, factory('baz'));
+    fs.utimesSync(key, new Date(), new Date(cache.getTimestamp(key) + 1000));
+
+    test.equal(cache.load(key)(), 'baz', 'files changed by another process are required again');
+
+    let timestamp = cache.getTimestamp(key);
+    let tmpFile = key + '.tmp';
+
+    fs.writeFileSync(tmpFile, factory('qux'));
+    fs.renameSync(tmpFile, key);
+    fs.utimesSync(key, new Date(), new Date(timestamp));
+
+    test.equal(cache.getTimestamp(key), timestamp);
+    test.equal(cache.load(key)(), 'qux', 'files written twice within the same modification time are required again');
+
+    let parent = require.cache[require.resolve('../src/cache/file-system')];
+    let module = require.cache[key];
+
+    parent.children.splice(parent.children.indexOf(module), 1);
+
+    let children = parent.children.slice();
+
+    cache.write(key, factory('quux'));
+
+    test.ok((parent.children.length === children.length) && children.every(function (child, index) {
+      return parent.children[index] === child;
+    }), 'the other modules required by the cache are kept');
+    test.equal(cache.load(key)(), 'quux');
+
+    test.end();
+  });
+
+  test.test('write errors', function (test) {
+    let cache = new TwigCacheFileSystem(directory);
+
+    fs.writeFileSync(path.join(directory, 'file'), '');
+
+    test.throws(function () {
+      cache.write(path.join(directory, 'file', 'key.js'), factory('foo'));
+    }, new Error('Unable to create the cache directory (' + path.join(directory, 'file') + ').'));
+
+    // the permissions of the directories do not apply to root, so the access check is made to fail
+    let accessSync = fs.accessSync;
+
+    fs.accessSync = function () {
+      throw new Error('EACCES: permission denied');
+    };
+
+    try {
+      test.throws(function () {
+        cache.write(path.join(directory, 'readonly', 'key.js'), factory('foo'));
+      }, new Error('Unable to write in the cache directory (' + path.join(directory, 'readonly') + ').'));
+    }
+    finally {
+      fs.accessSync = accessSync;
+    }
+
+    let key = path.join(directory, 'errors', 'key.js');
+
+    fs.mkdirSync(key, {recursive: true});
+    fs.writeFileSync(path.join(key, 'foo'), '');
+
+    test.throws(function () {
+      cache.write(key, factory('foo'));
+    }, new Error('Failed to write cache file "' + key + '".'));
+    test.same(fs.readdirSync(path.dirname(key)), ['key.js'], 'the temporary file is removed on failure');
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let loader = new TwigLoaderArray({index: 'Hello {{ name }}'});
+    let env = new TwigEnvironment(loader, {cache: directory + '/env'});
+
+    test.type(env.getCache(false), TwigCacheFileSystem);
+    test.equal(env.getCache(), directory + '/env');
+    test.equal(env.render('index', {name: 'foo'}), 'Hello foo');
+
+    let key = env.getCache(false).generateKey('index', env.getTemplateClass('index'));
+
+    test.ok(fs.existsSync(key));
+
+    fs.writeFileSync(key, fs.readFileSync(key, 'utf8').replace('Hello ', 'Cached '));
+
+    test.equal(new TwigEnvironment(loader, {cache: directory + '/env'}).render('index', {name: 'foo'}), 'Cached foo', 'compiled templates are loaded from the cache');
+
+    test.end();
+  });
+
+  test.test('auto_reload', function (test) {
+    let loader = new TwigLoaderArray({index: 'foo'});
+    let isFresh = true;
+
+    loader.isFresh = function () {
+      return isFresh;
+    };
+
+    let createEnvironment = function () {
+      return new TwigEnvironment(loader, {cache: directory + '/reload', auto_reload: true});
+    };
+
+    test.equal(createEnvironment().render('index'), 'foo');
+
+    let key = createEnvironment().getCache(false).generateKey('index', createEnvironment().getTemplateClass('index'));
+
+    fs.writeFileSync(key, fs.readFileSync(key, 'utf8').replace('"foo"', '"cached"'));
+
+    test.equal(createEnvironment().render('index'), 'cached', 'fresh templates are loaded from the cache');
+
+    isFresh = false;
+
+    test.equal(createEnvironment().render('index'), 'foo', 'stale templates are compiled again');
+    test.equal(fs.readFileSync(key, 'utf8').indexOf('"cached"'), -1);
+
+    test.end();
+  });
+});
@@ -0,0 +1,148 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigCacheMemory = require('../src/cache/memory');
+const TwigCacheInterface = require('../src/cache-interface');
+const TwigLoaderArray = require('../src/loader/array');
+
+let factory = function (value) {
+  return 'module.exports = function () { return ' + JSON.stringify(value) + '; };';
+};
+
+tap.test('cache/memory', function (test) {
+  test.plan(6);
+
+  test.test('write, load and getTimestamp', function (test) {
+    let cache = new TwigCacheMemory();
+    let key = cache.generateKey('index', '__TwigTemplate_foo');
+
+    test.type(cache, TwigCacheInterface);
+    test.equal(key, '__TwigTemplate_foo');
+    test.equal(cache.load(key), null);
+    test.equal(cache.getTimestamp(key), 0);
+
+    let before = Date.now();
+
+    cache.write(key, factory('foo'));
+
+    test.equal(cache.load(key)(), 'foo');
+    test.ok(cache.getTimestamp(key) >= before && cache.getTimestamp(key) <= Date.now(), 'timestamps are in milliseconds');
+
+    cache.write(key, factory('bar'));
+
+    test.equal(cache.load(key)(), 'bar');
+    test.same(cache.getStats(), {hits: 2, misses: 1, evictions: 0, entries: 1, size: Buffer.byteLength(factory('bar'))});
+
+    test.end();
+  });
+
+  test.test('max_entries', function (test) {
+    let cache = new TwigCacheMemory({max_entries: 2});
+
+    cache.write('a', factory('a'));
+    cache.write('b', factory('b'));
+    cache.load('a');
+    cache.write('c', factory('c'));
+
+    test.equal(cache.load('b'), null, 'the least recently used template is evicted');
+    test.equal(cache.load('a')(), 'a');
+    test.equal(cache.load('c')(), 'c');
+
+    cache.write('c', factory('d'));
+
+    test.same(cache.getStats(), {hits: 3, misses: 1, evictions: 1, entries: 2, size: Buffer.byteLength(factory('a')) * 2}, 'overwriting a template does not evict another one');
+
+    test.end();
+  });
+
+  test.test('max_size', function (test) {
+    let size = Buffer.byteLength(factory('a'));
+    let cache = new TwigCacheMemory({max_size: size * 2 + 1});
+
+    cache.write('a', factory('a'));
+    cache.write('b', factory('b'));
+    cache.write('c', factory('c'));
+
+    test.equal(cache.load('a'), null);
+    test.same(cache.getStats(), {hits: 0, misses: 1, evictions: 1, entries: 2, size: size * 2});
+
+    cache.write('big', factory('foobar'));
+
+    test.same(cache.getStats(), {hits: 0, misses: 1, evictions: 3, entries: 1, size: Buffer.byteLength(factory('foobar'))}, 'as many templates as needed are evicted');
+
+    cache.write('huge', factory('a'.repeat(size * 2)));
+
+    test.equal(cache.load('huge'), null, 'templates bigger than the limit are not cached');
+    test.equal(cache.load('big')(), 'foobar', 'and do not evict the other templates');
+
+    test.end();
+  });
+
+  test.test('clear', function (test) {
+    let cache = new TwigCacheMemory();
+
+    cache.write('a', factory('a'));
+    cache.load('a');
+    cache.clear();
+
+    test.equal(cache.getTimestamp('a'), 0);
+    test.same(cache.getStats(), {hits: 0, misses: 0, evictions: 0, entries: 0, size: 0});
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let cache = new TwigCacheMemory({max_entries: 1});
+    let loader = new TwigLoaderArray({
+      index: 'Hello {{ name }}',
+      other: '{% include "index" %}!'
+    });
+    let createEnvironment = function () {
+      return new TwigEnvironment(loader, {cache: cache});
+    };
+
+    test.equal(createEnvironment().getCache(), cache);
+    test.equal(createEnvironment().render('index', {name: 'foo'}), 'Hello foo');
+    test.same(cache.getStats(), {hits: 1, misses: 1, evictions: 0, entries: 1, size: cache.getStats().size});
+
+    test.equal(createEnvironment().render('index', {name: 'bar'}), 'Hello bar');
+    test.equal(cache.getStats().hits, 2, 'compiled templates are shared between environments');
+
+    test.equal(createEnvironment().render('other', {name: 'bar'}), 'Hello bar!');
+    test.equal(cache.getStats().evictions, 2);
+
+    test.end();
+  });
+
+  test.test('auto_reload', function (test) {
+    let cache = new TwigCacheMemory();
+    let loader = new TwigLoaderArray({index: 'foo'});
+    let isFresh = true;
+    let writes = 0;
+    let write = cache.write;
+
+    cache.write = function (key, content) {
+      writes++;
+
+      return write.call(this, key, content);
+    };
+
+    loader.isFresh = function () {
+      return isFresh;
+    };
+
+    let createEnvironment = function () {
+      return new TwigEnvironment(loader, {cache: cache, auto_reload: true});
+    };
+
+    test.equal(createEnvironment().render('index'), 'foo');
+    test.equal(createEnvironment().render('index'), 'foo');
+    test.equal(writes, 1, 'fresh templates are loaded from the cache');
+
+    isFresh = false;
+
+    test.equal(createEnvironment().render('index'), 'foo');
+    test.equal(writes, 2, 'stale templates are compiled again');
+
+    test.end();
+  });
+});
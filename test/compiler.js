@@ -1,9 +1,19 @@
-const path = require('path');
 const tap = require('tap');
 const Compiler = require('../src/compiler');
+const TwigEnvironment = require('../src/environment');
+const TwigSource = require('../src/source');
+const TwigTemplate = require('../src/template');
+const TwigNode = require('../src/node');
+const TwigNodeModule = require('../src/node/module');
+const TwigNodeText = require('../src/node/text');
+const TwigNodeExpressionName = require('../src/node/expression/name');
+const TwigNodeExpressionConstant = require('../src/node/expression/constant');
+const TwigNodeExpressionArray = require('../src/node/expression/array');
+const TwigNodeExpressionMethodCall = require('../src/node/expression/method-call');
+const {createEnvironment} = require('./helpers/environment');
 
 tap.test('compiler', function (test) {
-  test.plan(2);
+  test.plan(7);
 
   test.test('constructor', function(test) {
     test.plan(1);
@@ -18,10 +28,190 @@ tap.test('compiler', function (test) {
   });
 
   test.test('getVarName', function(test) {
-    let compiler = new Compiler();
+    let compiler = new Compiler(new TwigEnvironment(null));
+    let name = compiler.getVarName();
 
-    console.log(compiler.getVarName());
+    test.match(name, /^__internal_[0-9a-f]{64}$/);
+    test.notEqual(compiler.getVarName(), name);
+
+    compiler.compile(new TwigNode());
+
+    test.equal(compiler.getVarName(), name, 'names are deterministic for a given compilation');
+
+    test.end();
+  });
+
+  test.test('repr', function(test) {
+    let repr = function (value) {
+      let compiler = new Compiler(new TwigEnvironment(null));
+
+      return compiler.compile(new TwigNode()).repr(value).getSource();
+    };
+
+    test.equal(repr(1.5), '1.5');
+    test.equal(repr(-0), '-0');
+    test.equal(repr(null), 'null');
+    test.equal(repr(undefined), 'null');
+    test.equal(repr(false), 'false');
+    test.equal(repr('foo "$bar"'), '"foo \\"$bar\\""');
+    test.equal(repr('a b'), '"a\\u2028b"');
+    test.equal(repr([1, 'a', [true]]), '[1, "a", [true]]');
+    test.equal(repr(new Map([['a', 1], [2, [null]]])), 'new Map([["a", 1], [2, [null]]])');
+
+    test.end();
+  });
+
+  test.test('addDebugInfo', function(test) {
+    let compiler = new Compiler(new TwigEnvironment(null));
+
+    compiler.compile(new TwigNode());
+    compiler
+      .write("let a;\n")
+      .addDebugInfo(new TwigNode(new Map(), new Map(), 3))
+      .write("let b;\n")
+      .addDebugInfo(new TwigNode(new Map(), new Map(), 3))
+      .write("let c;\n")
+      .addDebugInfo(new TwigNode(new Map(), new Map(), 5))
+    ;
+
+    test.equal(compiler.getSource(), "let a;\n// line 3\nlet b;\nlet c;\n// line 5\n");
+    test.same(Array.from(compiler.getDebugInfo()), [[3, 3], [6, 5]]);
+
+    test.end();
+  });
+
+  test.test('indentation', function(test) {
+    let compiler = new Compiler(new TwigEnvironment(null));
+
+    compiler.compile(new TwigNode()).indent(2).subcompile(new TwigNodeExpressionConstant('foo', 1), false);
+
+    test.equal(compiler.getSource(), '    "foo"', 'the subcompiled nodes can be indented');
+
+    compiler.outdent(2);
+
+    test.throws(function () {
+      compiler.outdent();
+    }, new Error('Unable to call outdent() as the indentation would become negative.'));
 
     test.end();
   });
-});
\ No newline at end of file
+
+  test.test('compile', function(test) {
+    test.plan(5);
+
+    test.test('should output a javascript module', function (test) {
+      let env = createEnvironment({index: 'Hello {{ name }}!\n{% if name %}{% block foo %}{{ "$foo" }}{% endblock %}{% endif %}'});
+      let code = env.compileSource(env.getLoader().getSourceContext('index'));
+      let cls = env.getTemplateClass('index');
+      let lines = code.split('\n');
+
+      test.equal(lines[0], 'module.exports = function (Twig) {');
+      test.equal(lines[1], '  const {TwigExtensionCore, TwigSource, TwigTemplate} = Twig;', 'only the used classes are imported');
+      test.match(code, '  class ' + cls + ' extends TwigTemplate {\n');
+      test.match(code, '    *doDisplay($context, $blocks = new Map()) {\n      // line 1\n      yield "Hello ";\n');
+      test.match(code, '    *block_foo($context, $blocks = new Map()) {\n      yield TwigExtensionCore.strval("$foo");\n');
+      test.match(code, '  return new Map([\n    ["' + cls + '", ' + cls + ']\n  ]);\n};\n');
+      test.notMatch(code, 'array(');
+
+      test.end();
+    });
+
+    test.test('should map the compiled lines to the template lines', function (test) {
+      let env = createEnvironment({index: 'a\n{{ b }}\n\n{{ c }}'});
+      let lines = env.compileSource(env.getLoader().getSourceContext('index')).split('\n');
+      let debugInfo = env.loadTemplate('index').getDebugInfo();
+
+      debugInfo.forEach(function (templateLine, codeLine) {
+        test.equal(lines[codeLine - 2], '      // line ' + templateLine);
+      });
+
+      test.same(Array.from(debugInfo.values()), [4, 2, 1]);
+
+      test.end();
+    });
+
+    test.test('should compile the modules built by hand', function (test) {
+      let env = createEnvironment({index: ''});
+      let compile = function (body, traits) {
+        return new Compiler(env).compile(new TwigNodeModule(body, null, new TwigNode(), new TwigNode(), traits || new TwigNode(), [], new TwigSource('', 'index'))).getSource();
+      };
+
+      test.notMatch(compile(new TwigNodeText('foo', 1)), 'isTraitable()', 'the body does not have to be a TwigNodeBody');
+      test.match(compile(new TwigNode(new Map([[0, new TwigNode(new Map([[0, new TwigNodeText('foo', 1)]]))]]))), 'isTraitable()');
+
+      test.throws(function () {
+        compile(new TwigNode(), new TwigNode(new Map([
+          [0, new TwigNode(new Map([['template', new TwigNodeExpressionName('foo', 1)], ['targets', new TwigNode()]]))]
+        ])));
+      }, new Error('Trait templates can only be constant nodes.'));
+
+      test.end();
+    });
+
+    test.test('should compile the macro calls built by hand', function (test) {
+      let compile = function (node) {
+        return new Compiler(createEnvironment({})).compile(node).getSource();
+      };
+      let name = new TwigNodeExpressionName('forms', 1);
+
+      test.equal(compile(new TwigNodeExpressionMethodCall(name, 'macro_foo', new TwigNodeExpressionArray(new Map(), 1), 1)), '(yield* this.callMacro($context.get("forms"), "macro_foo", [], 1, $context))');
+      test.ok(name.getAttribute('always_defined'), 'the variables holding the templates are always defined');
+      test.equal(compile(new TwigNodeExpressionMethodCall(new TwigNodeExpressionConstant('forms', 1), 'macro_foo', new TwigNodeExpressionArray(new Map(), 1), 1)), '(yield* this.callMacro("forms", "macro_foo", [], 1, $context))', 'the template can be any expression');
+
+      test.end();
+    });
+
+    test.test('should escape the template name in the class comment', function (test) {
+      let env = createEnvironment({'foo*/bar': ''});
+
+      test.match(env.compileSource(env.getLoader().getSourceContext('foo*/bar')), '  /* foo* /bar */\n');
+
+      test.end();
+    });
+  });
+
+  test.test('loadTemplate', function(test) {
+    test.plan(3);
+
+    test.test('should load the compiled template classes', function (test) {
+      let env = createEnvironment({
+        index: 'Hello {% embed "foo" %}{% block bar %}{% endblock %}{% endembed %}'
+      });
+      let template = env.loadTemplate('index');
+
+      test.type(template, TwigTemplate);
+      test.equal(template.constructor.name, env.getTemplateClass('index'));
+      test.equal(template.getTemplateName(), 'index');
+      test.equal(template.doDisplay.constructor.name, 'GeneratorFunction');
+      test.same(Array.from(template.blocks.keys()), []);
+      test.equal(env.loadTemplate('index'), template, 'templates are only loaded once');
+      test.equal(env.templateClasses.size, 2, 'embedded templates are part of the module');
+
+      test.end();
+    });
+
+    test.test('should only expose the source code in debug mode', function (test) {
+      let template = createEnvironment({index: 'foo'}).loadTemplate('index');
+
+      test.same(template.getSourceContext(), new TwigSource('', 'index'));
+
+      template = createEnvironment({index: 'foo'}, {debug: true}).loadTemplate('index');
+
+      test.same(template.getSourceContext(), new TwigSource('foo', 'index'));
+
+      test.end();
+    });
+
+    test.test('should support a custom base template class', function (test) {
+      class CustomTemplate extends TwigTemplate {
+      }
+
+      let env = createEnvironment({index: 'foo'}, {base_template_class: CustomTemplate});
+
+      test.type(env.loadTemplate('index'), CustomTemplate);
+      test.match(env.compileSource(new TwigSource('', 'index')), '  const {CustomTemplate, TwigSource} = Twig;\n');
+
+      test.end();
+    });
+  });
+});
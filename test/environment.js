@@ -1,7 +1,702 @@
-const path = require('path');
 const tap = require('tap');
+const {Writable} = require('stream');
 const TwigEnvironment = require('../src/environment');
+const TwigSource = require('../src/source');
+const TwigErrorLoader = require('../src/error/loader');
+const TwigErrorSyntax = require('../src/error/syntax');
+const TwigFilter = require('../src/filter');
+const TwigFunction = require('../src/function');
+const TwigLoaderArray = require('../src/loader/array');
+const TwigLoaderChain = require('../src/loader/chain');
+const TwigLexer = require('../src/lexer');
+const TwigParser = require('../src/parser');
+const TwigCompiler = require('../src/compiler');
+const TwigTemplate = require('../src/template');
+const TwigTemplateWrapper = require('../src/template-wrapper');
+const TwigCacheInterface = require('../src/cache-interface');
+const TwigExtensionInterface = require('../src/extension-interface');
+const {createEnvironment} = require('./helpers/environment');
 
-tap.test('node', function (test) {
-  test.plan(2);
-});
\ No newline at end of file
+/**
+ * A loader fetching the templates asynchronously, like from a database.
+ */
+class AsyncLoader {
+  constructor(templates) {
+    this.templates = templates;
+    this.fetched = [];
+  }
+
+  getSourceContext(name) {
+    throw new TwigErrorLoader('Template "' + name + '" can only be fetched asynchronously.');
+  }
+
+  getSourceContextAsync(name) {
+    let self = this;
+
+    this.fetched.push(name);
+
+    return new Promise(function (resolve, reject) {
+      setTimeout(function () {
+        if (!(name in self.templates)) {
+          reject(new TwigErrorLoader('Template "' + name + '" is not in the database.'));
+        }
+        else {
+          resolve(new TwigSource(self.templates[name], name, ''));
+        }
+      }, 1);
+    });
+  }
+
+  getCacheKey(name) {
+    return name;
+  }
+}
+
+let delay = function (value) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 1, value);
+  });
+};
+
+let createAsyncEnvironment = function (loader) {
+  let env = new TwigEnvironment(loader, {
+    auto_reload: false
+  });
+
+  env.addFilter(new TwigFilter('translate', function (value) {
+    return delay(value.toUpperCase());
+  }, {is_async: true}));
+  env.addFilter(new TwigFilter('fail', function (value) {
+    return Promise.reject(new Error(value));
+  }, {is_async: true}));
+  env.addFunction(new TwigFunction('user', function (id) {
+    return delay({id: id, name: '<user' + id + '>'});
+  }, {is_async: true}));
+  env.addFunction(new TwigFunction('sync_user', function (id) {
+    return {name: 'user' + id};
+  }, {is_async: true}));
+
+  return env;
+};
+
+let expectRejection = function (test, promise, expected, message) {
+  return promise.then(function () {
+    test.fail(message);
+  }, function (e) {
+    test.match(e, expected, message);
+  });
+};
+
+/**
+ * @param {stream.Readable} readable
+ *
+ * @return {Promise<string[]>} The chunks read from the stream
+ */
+let collect = function (readable) {
+  return new Promise(function (resolve, reject) {
+    let chunks = [];
+
+    readable.on('data', function (chunk) {
+      chunks.push(chunk.toString());
+    });
+    readable.on('end', function () {
+      resolve(chunks);
+    });
+    readable.on('error', reject);
+  });
+};
+
+tap.test('environment', function (test) {
+  test.plan(11);
+
+  test.test('lexer option', function (test) {
+    test.plan(3);
+
+    test.test('should be passed to the lexer', function (test) {
+      let env = new TwigEnvironment(null, {
+        lexer: {
+          tag_variable: ['[[', ']]']
+        }
+      });
+
+      let stream = env.tokenize(new TwigSource('{{ foo }}[[ bar ]]', 'index'));
+
+      test.same(stream.tokens.map(function (token) {
+        return token.getValue();
+      }), ['{{ foo }}', '', 'bar', '', '']);
+
+      test.end();
+    });
+
+    test.test('should be part of the options hash', function (test) {
+      let env = new TwigEnvironment(null);
+      let customEnv = new TwigEnvironment(null, {
+        lexer: {
+          tag_variable: ['[[', ']]']
+        }
+      });
+
+      test.notEqual(env.optionsHash, customEnv.optionsHash);
+
+      test.end();
+    });
+
+    test.test('should be exposed to custom lexers', function (test) {
+      let options = {
+        tag_variable: ['[[', ']]']
+      };
+      let env = new TwigEnvironment(null, {
+        lexer: options
+      });
+
+      test.same(new TwigEnvironment(null).getLexerOptions(), {});
+      test.equal(env.getLexerOptions(), options);
+
+      env.setLexer(new TwigLexer(env, Object.assign({}, env.getLexerOptions(), {
+        tag_comment: ['<#', '#>']
+      })));
+
+      test.same(env.tokenize(new TwigSource('<# foo #>[[ bar ]]', 'index')).tokens.map(function (token) {
+        return token.getValue();
+      }), ['', 'bar', '', '']);
+
+      test.end();
+    });
+  });
+
+  test.test('options', function (test) {
+    let env = new TwigEnvironment(new TwigLoaderArray({index: '{{ foo }}'}), {charset: 'utf8'});
+    let cls = env.getTemplateClass('index');
+
+    test.equal(env.getCharset(), 'UTF-8', 'the UTF8 alias is normalized');
+    test.notOk(env.isDebug());
+    test.notOk(env.isAutoReload(), 'auto_reload defaults to the debug option');
+
+    env.enableDebug();
+    env.enableAutoReload();
+    env.enableStrictVariables();
+
+    test.ok(env.isDebug());
+    test.ok(env.isAutoReload());
+    test.ok(env.isStrictVariables());
+    test.notEqual(env.getTemplateClass('index'), cls, 'the debug and strict_variables options are part of the template class');
+
+    test.throws(function () {
+      env.render('index');
+    }, {name: 'TwigErrorRuntime', message: 'Variable "foo" does not exist in "index" at line 1.'});
+
+    env.disableDebug();
+    env.disableAutoReload();
+    env.disableStrictVariables();
+
+    test.notOk(env.isDebug());
+    test.notOk(env.isAutoReload());
+    test.notOk(env.isStrictVariables());
+    test.equal(env.getTemplateClass('index'), cls);
+
+    env = new TwigEnvironment(new TwigLoaderArray({index: '{{ foo }}'}));
+    env.setBaseTemplateClass('TwigTemplate');
+
+    test.equal(env.getBaseTemplateClass(), 'TwigTemplate');
+    test.equal(env.getTemplateClass('index'), cls, 'a class and its name give the same template class');
+    test.equal(env.render('index', {foo: 'bar'}), 'bar', 'the base template class can be the name of an exported class');
+    test.type(env.loadTemplate('index'), TwigTemplate);
+
+    let parser = new TwigParser(env);
+    let compiler = new TwigCompiler(env);
+
+    env.setParser(parser);
+    env.setCompiler(compiler);
+
+    test.equal(env.parser, parser);
+    test.equal(env.compiler, compiler);
+
+    test.end();
+  });
+
+  test.test('cache option', function (test) {
+    class CorruptedCache extends TwigCacheInterface {
+      load($key) {
+        // a module that lost the classes of its embedded templates
+        return function () {
+          return new Map([[cls, TwigTemplate]]);
+        };
+      }
+    }
+
+    let env = createEnvironment({index: 'foo'}, {cache: new CorruptedCache(), auto_reload: true});
+    let cls = env.getTemplateClass('index');
+
+    test.throws(function () {
+      env.loadTemplate('index', 1);
+    }, {name: 'TwigErrorRuntime', message: 'Failed to load Twig template "index", index "1": cache is corrupted in "index".'});
+
+    let cache = new TwigCacheInterface();
+
+    test.equal(cache.generateKey('index', cls), undefined, 'the interface does not implement anything');
+    test.equal(cache.load('index'), undefined);
+    test.equal(cache.getTimestamp('index'), undefined);
+
+    test.throws(function () {
+      env.setCache({});
+    }, new Error('Cache can only be a string, false, or a TwigCacheInterface implementation.'));
+
+    test.end();
+  });
+
+  test.test('resolveTemplate', function (test) {
+    let env = createEnvironment({
+      foo: 'foo',
+      bar: 'bar',
+      invalid: '{{ foo'
+    });
+    let template = env.loadTemplate('bar');
+
+    test.equal(env.resolveTemplate('foo'), env.loadTemplate('foo'));
+    test.equal(env.resolveTemplate(['missing', 'bar', 'foo']), template);
+    test.equal(env.resolveTemplate(template), template);
+
+    test.throws(function () {
+      env.resolveTemplate('missing');
+    }, {name: 'TwigErrorLoader', message: 'Template "missing" is not defined.'});
+
+    test.throws(function () {
+      env.resolveTemplate(['missing', 'other']);
+    }, {name: 'TwigErrorLoader', message: 'Unable to find one of the following templates: "missing", "other".'});
+
+    test.throws(function () {
+      env.resolveTemplate(['invalid', 'foo']);
+    }, TwigErrorSyntax, 'only loading errors are ignored');
+
+    test.end();
+  });
+
+  test.test('load', function (test) {
+    let env = createEnvironment({foo: 'foo'});
+    let wrapper = env.load('foo');
+
+    test.type(wrapper, TwigTemplateWrapper);
+    test.equal(env.load(wrapper), wrapper, 'wrappers are returned as is');
+    test.type(env.load(env.loadTemplate('foo')), TwigTemplateWrapper, 'templates are wrapped');
+
+    test.end();
+  });
+
+  test.test('extensions', function (test) {
+    class FooExtension extends TwigExtensionInterface {
+    }
+
+    let env = createEnvironment({});
+    let extension = new FooExtension();
+
+    env.setExtensions([extension]);
+
+    test.same(Array.from(env.getExtensions().keys()), ['TwigExtensionCore', 'TwigExtensionEscaper', 'TwigExtensionOptimizer', 'FooExtension']);
+    test.equal(env.getExtension('FooExtension'), extension);
+
+    test.end();
+  });
+
+  test.test('getRuntime', function (test) {
+    let env = createEnvironment({});
+    let runtime = {};
+    let loaded = [];
+
+    env.addRuntimeLoader({
+      load: function (name) {
+        return null;
+      }
+    });
+    env.addRuntimeLoader({
+      load: function (name) {
+        loaded.push(name);
+
+        return name === 'FooRuntime' ? runtime : null;
+      }
+    });
+
+    test.equal(env.getRuntime('FooRuntime'), runtime, 'the first runtime found is returned');
+    test.equal(env.getRuntime('FooRuntime'), runtime);
+    test.same(loaded, ['FooRuntime'], 'the runtimes are only loaded once');
+
+    test.throws(function () {
+      env.getRuntime('BarRuntime');
+    }, {name: 'TwigErrorRuntime', message: 'Unable to load the "BarRuntime" runtime.'});
+
+    test.end();
+  });
+
+  test.test('globals', function (test) {
+    let env = createEnvironment({index: '{{ foo }}|{{ bar }}'});
+
+    env.addGlobal('foo', 'foo');
+    env.addGlobal('bar', 'bar');
+
+    test.equal(env.render('index', {bar: 'BAR'}), 'foo|BAR', 'the context wins over the globals');
+
+    env.addGlobal('foo', 'FOO');
+
+    test.equal(env.render('index'), 'FOO|bar', 'the globals can be updated after the initialization');
+
+    test.throws(function () {
+      env.addGlobal('baz', 'baz');
+    }, new Error('Unable to add global "baz" as the runtime or the extensions have already been initialized.'));
+
+    test.end();
+  });
+
+  test.test('renderAsync', function (test) {
+    test.plan(5);
+
+    test.test('should wait for the asynchronous filters and functions', function (test) {
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        layout: '{% block content %}{% endblock %}|{{ block("footer") }}',
+        index: '{% extends "layout" %}{% import _self as m %}{% macro name(id) %}{{ user(id).name }}{% endmacro %}' +
+        '{% block content %}{{ "hello"|translate }} {{ user(1).name }}{% set foo %}{{ m.name(2) }}{% endset %}{{ foo }}{% include "partial" %}{% endblock %}' +
+        '{% block footer %}{% for i in 1..2 %}{{ user(i).id }}{% endfor %}{% endblock %}',
+        partial: '{% spaceless %} <b>{{ sync_user(3).name|translate }}</b> {% endspaceless %}',
+        dynamic: '{% extends random(["lay" ~ "out"|lower]) %}{% block content %}foo{% endblock %}{% block footer %}bar{% endblock %}'
+      }));
+
+      test.equal(env.render('dynamic'), 'foo|bar', 'the parent template can be computed by synchronous filters and functions');
+
+      test.throws(function () {
+        env.render('partial');
+      }, {
+        name: 'TwigErrorRuntime',
+        message: 'Asynchronous filters and functions can only be called by templates rendered with renderAsync(), outside of arrow functions in "partial" at line 1.'
+      }, 'asynchronous callables cannot be called synchronously');
+
+      return env.renderAsync('index').then(function (output) {
+        test.equal(output, 'HELLO &lt;user1&gt;&lt;user2&gt;<b>USER3</b>|12');
+      });
+    });
+
+    test.test('should report the errors', function (test) {
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: 'foo\n{{ "boom"|fail }}',
+        sync: 'foo\n\n{{ user(1).name }}\n{{ user(2).name }}',
+        arrow: '{{ [1, 2]|map(i => user(i).name)|join }}',
+        extends: '{% extends "layout"|translate %}',
+        capture: '{% set foo %}\n{{ "boom"|fail }}{% endset %}',
+        ignore_missing: '{% include "foo"|locate ignore missing %}{% set foo %}{% include "bar"|locate ignore missing %}bar{% endset %}{{ foo }}'
+      }));
+
+      env.addFilter(new TwigFilter('locate', function (name) {
+        return Promise.reject(new TwigErrorLoader('Template "' + name + '" is not in the database.'));
+      }, {is_async: true}));
+
+      test.throws(function () {
+        env.render('index');
+      }, {
+        name: 'TwigErrorRuntime',
+        message: 'Asynchronous filters and functions can only be called by templates rendered with renderAsync(), outside of arrow functions in "index" at line 2.'
+      }, 'the rejections of the calls made synchronously are ignored');
+
+      test.throws(function () {
+        env.render('sync');
+      }, {
+        name: 'TwigErrorRuntime',
+        message: 'Asynchronous filters and functions can only be called by templates rendered with renderAsync(), outside of arrow functions in "sync" at line 3.'
+      });
+
+      test.throws(function () {
+        env.loadTemplate('extends');
+      }, {
+        name: 'TwigErrorSyntax',
+        message: 'The parent template cannot be computed by an asynchronous filter or function in "extends" at line 1.'
+      });
+
+      return Promise.all([
+        expectRejection(test, env.renderAsync('index'), {
+          name: 'TwigErrorRuntime',
+          message: 'An exception has been thrown during the rendering of a template ("boom") in "index" at line 2.'
+        }, 'rejections are reported at the line of the call'),
+        expectRejection(test, env.renderAsync('capture'), {
+          name: 'TwigErrorRuntime',
+          message: 'An exception has been thrown during the rendering of a template ("boom") in "capture" at line 2.'
+        }),
+        env.renderAsync('ignore_missing').then(function (output) {
+          test.equal(output, 'bar', 'the rejections can be caught by the templates');
+        }),
+        expectRejection(test, env.renderAsync('arrow'), {
+          name: 'TwigErrorRuntime',
+          message: 'Asynchronous filters and functions can only be called by templates rendered with renderAsync(), outside of arrow functions in "arrow" at line 1.'
+        }),
+        expectRejection(test, env.renderAsync('missing'), {
+          name: 'TwigErrorLoader',
+          message: 'Template "missing" is not defined.'
+        })
+      ]);
+    });
+
+    test.test('should fetch the templates from asynchronous loaders', function (test) {
+      let loader = new AsyncLoader({
+        layout: '<{% block content %}{% endblock %}>{% include ["missing", "footer"] %}',
+        parts: '{% block part %}part{% endblock %}',
+        index: '{% extends "layout" %}{% use "parts" %}{% import "macros" as m %}{% block content %}{{ block("part") }}|{{ m.hello() }}|{% include name %}|{% include "missing" ignore missing %}{% embed "embed" %}{% block foo %}{{ "embedded"|translate }}{% endblock %}{% endembed %}{% endblock %}',
+        macros: '{% macro hello() %}hello{% endmacro %}',
+        dynamic: '{% extends name %}',
+        footer: '[footer]',
+        embed: '{% block foo %}{% endblock %}',
+        included: 'included'
+      });
+      let env = createAsyncEnvironment(loader);
+
+      return env.renderAsync('index', {name: 'included'}).then(function (output) {
+        test.equal(output, '<part|hello|included|EMBEDDED>[footer]');
+        test.same(loader.fetched.sort(), ['embed', 'footer', 'included', 'index', 'layout', 'macros', 'missing', 'missing', 'parts'], 'the templates are fetched once, the missing ones on each attempt to load them');
+        test.equal(env.render('layout'), '<>[footer]', 'the fetched templates can then be rendered synchronously');
+
+        return env.renderAsync('dynamic', {name: 'layout'});
+      }).then(function (output) {
+        test.equal(output, '<>[footer]', 'dynamic parents are supported');
+
+        test.equal(env.asyncSources.size, 0, 'the sources fetched asynchronously are not kept');
+
+        test.throws(function () {
+          createAsyncEnvironment(loader).render('index');
+        }, {
+          name: 'TwigErrorLoader',
+          message: 'Template "index" can only be fetched asynchronously.'
+        });
+
+        return expectRejection(test, env.renderAsync('dynamic', {name: 'missing'}), {
+          name: 'TwigErrorLoader',
+          message: 'Template "missing" is not in the database in "dynamic" at line 1.'
+        });
+      }).then(function () {
+        let broken = new AsyncLoader({});
+
+        broken.getSourceContextAsync = function () {
+          return Promise.reject(new Error('The database is down.'));
+        };
+
+        return expectRejection(test, createAsyncEnvironment(broken).renderAsync('index'), new Error('The database is down.'), 'only the loading errors are kept for the next attempt');
+      });
+    });
+
+    test.test('should support chain loaders', function (test) {
+      let env = createAsyncEnvironment(new TwigLoaderChain([
+        new TwigLoaderArray({index: '{% include "remote" %}|{{ include(template_from_string("local")) }}'}),
+        new AsyncLoader({remote: '{{ "remote"|translate }}'})
+      ]));
+
+      return env.renderAsync('index').then(function (output) {
+        test.equal(output, 'REMOTE|local');
+
+        return expectRejection(test, env.renderAsync('missing'), {
+          name: 'TwigErrorLoader',
+          message: 'Template "missing" is not defined (Template "missing" is not in the database.).'
+        });
+      });
+    });
+
+    test.test('TwigTemplate.renderAsync', function (test) {
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: '{{ "foo"|translate }}{% flush %}{{ name }}'
+      }));
+
+      return env.loadTemplate('index').renderAsync({name: 'bar'}).then(function (output) {
+        test.equal(output, 'FOObar');
+      });
+    });
+  });
+
+  test.test('display', function (test) {
+    let env = createEnvironment({
+      index: 'Hello {{ name }}{% flush %}{% for i in 1..3 %}.{% endfor %}{% flush %}{% flush %}!'
+    });
+    let chunks = [];
+    let writable = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      }
+    });
+
+    env.display('index', {name: 'World'}, writable);
+
+    test.same(chunks, ['Hello World', '...', '!'], 'the output is written when flushed');
+
+    let write = process.stdout.write;
+    let output = [];
+
+    process.stdout.write = function (chunk) {
+      output.push(chunk);
+    };
+
+    try {
+      env.display('index', {name: 'stdout'});
+    }
+    finally {
+      process.stdout.write = write;
+    }
+
+    test.same(output, ['Hello stdout', '...', '!'], 'the standard output is the default stream');
+
+    test.end();
+  });
+
+  test.test('renderToStream', function (test) {
+    test.plan(5);
+
+    test.test('should stream the output', function (test) {
+      let env = createAsyncEnvironment(new AsyncLoader({
+        index: '{{ "hello"|translate }}{% flush %}{% for i in 1..10 %}{{ i }}{% endfor %}{{ user(1).name }}'
+      }));
+
+      return Promise.all([
+        collect(env.renderToStream('index')).then(function (chunks) {
+          test.same(chunks, ['HELLO', '12345678910&lt;user1&gt;']);
+        }),
+        collect(env.renderToStream('index', {}, 4)).then(function (chunks) {
+          test.same(chunks, ['HELLO', '1234', '5678', '910&lt;user1&gt;'], 'the output is pushed when the buffer is full');
+        })
+      ]);
+    });
+
+    test.test('should push the flushed output before the rendering is complete', function (test) {
+      let resolveSlow;
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: '<head>{% flush %}{{ slow() }}'
+      }));
+
+      env.addFunction(new TwigFunction('slow', function () {
+        return new Promise(function (resolve) {
+          resolveSlow = resolve;
+        });
+      }, {is_async: true}));
+
+      let readable = env.renderToStream('index');
+
+      return new Promise(function (resolve) {
+        readable.once('data', function (chunk) {
+          test.equal(chunk.toString(), '<head>');
+
+          let chunks = collect(readable);
+
+          resolve(delay().then(function () {
+            test.equal(typeof resolveSlow, 'function', 'the rendering is waiting for the slow function');
+
+            resolveSlow('<body>');
+
+            return chunks;
+          }));
+        });
+      }).then(function (chunks) {
+        test.same(chunks, ['&lt;body&gt;']);
+      });
+    });
+
+    test.test('should pause the rendering while the output is not read', function (test) {
+      let count = 0;
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: '{% for i in 1..10000 %}{{ count() }}{% endfor %}'
+      }));
+
+      env.addFunction(new TwigFunction('count', function () {
+        count++;
+
+        return '0123456789';
+      }));
+
+      let readable = env.renderToStream('index', {}, 100);
+
+      test.equal(count, 0, 'the rendering starts when the stream is read');
+
+      readable.read(0);
+
+      return delay().then(function () {
+        return delay();
+      }).then(function () {
+        test.ok(count > 0 && count < 10000, 'the rendering is paused when the buffer of the stream is full');
+
+        return collect(readable);
+      }).then(function (chunks) {
+        test.equal(count, 10000);
+        test.equal(chunks.join('').length, 100000);
+        test.ok(chunks.every(function (chunk) {
+          return chunk.length <= 16384;
+        }));
+      });
+    });
+
+    test.test('should stop the rendering when the stream is destroyed', function (test) {
+      let count = 0;
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: '{% for i in 1..10000 %}{{ count() }}{% endfor %}'
+      }));
+
+      env.addFunction(new TwigFunction('count', function () {
+        count++;
+
+        return delay('0123456789');
+      }, {is_async: true}));
+
+      let readable = env.renderToStream('index', {}, 10);
+
+      return new Promise(function (resolve) {
+        readable.once('data', function () {
+          readable.destroy();
+
+          resolve(delay().then(delay).then(delay));
+        });
+      }).then(function () {
+        test.ok(count < 10, 'the rendering stops');
+
+        env = createAsyncEnvironment(new TwigLoaderArray({
+          index: '{% for i in 1..10000 %}{{ count() }}{% endfor %}'
+        }));
+
+        env.addFunction(new TwigFunction('count', function () {
+          count++;
+
+          return '0123456789';
+        }));
+
+        count = 0;
+        readable = env.renderToStream('index', {}, 100);
+        readable.read(0);
+
+        return delay().then(delay);
+      }).then(function () {
+        let paused = count;
+
+        readable.destroy();
+
+        return delay().then(delay).then(function () {
+          test.ok(paused < 10000 && count - paused <= 10, 'the paused rendering stops');
+        });
+      });
+    });
+
+    test.test('should emit the errors', function (test) {
+      let env = createAsyncEnvironment(new TwigLoaderArray({
+        index: 'foo{% flush %}\n{{ "boom"|fail }}'
+      }));
+      let chunks = [];
+      let readable = env.renderToStream('index');
+
+      readable.on('data', function (chunk) {
+        chunks.push(chunk.toString());
+      });
+
+      return Promise.all([
+        expectRejection(test, collect(env.renderToStream('missing')), {
+          name: 'TwigErrorLoader',
+          message: 'Template "missing" is not defined.'
+        }),
+        expectRejection(test, new Promise(function (resolve, reject) {
+          readable.on('error', reject);
+          readable.on('end', resolve);
+        }), {
+          name: 'TwigErrorRuntime',
+          message: 'An exception has been thrown during the rendering of a template ("boom") in "index" at line 2.'
+        }).then(function () {
+          test.same(chunks, ['foo'], 'the output flushed before the error is pushed');
+        })
+      ]);
+    });
+  });
+});
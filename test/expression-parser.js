@@ -0,0 +1,513 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigSource = require('../src/source');
+const TwigFilter = require('../src/filter');
+const TwigFunction = require('../src/function');
+const TwigTest = require('../src/test');
+const TwigTemplate = require('../src/template');
+const TwigExtensionInterface = require('../src/extension-interface');
+const TwigNodeExpressionArray = require('../src/node/expression/array');
+const TwigNodeExpressionBinaryMul = require('../src/node/expression/binary/mul');
+const TwigNodeExpressionConstant = require('../src/node/expression/constant');
+const TwigNodeExpressionName = require('../src/node/expression/name');
+const TwigNodeExpressionUnaryNot = require('../src/node/expression/unary/not');
+const {createEnvironment} = require('./helpers/environment');
+const {captureWarnings} = require('./helpers/warnings');
+
+/**
+ * Provides a "!" unary operator and a "twice" postfix operator, parsed by a callable.
+ */
+class OperatorExtension extends TwigExtensionInterface {
+  getOperators() {
+    return [
+      new Map([
+        ['!', {precedence: 50, class: TwigNodeExpressionUnaryNot}]
+      ]),
+      new Map([
+        ['twice', {
+          precedence: 500,
+          callable: function (parser, expr) {
+            return new TwigNodeExpressionBinaryMul(expr, new TwigNodeExpressionConstant(2, expr.getTemplateLine()), expr.getTemplateLine());
+          }
+        }]
+      ])
+    ];
+  }
+}
+
+let createParserEnvironment = function () {
+  let env = new TwigEnvironment(null, {autoescape: false, optimizations: 0});
+
+  env.addFilter(new TwigFilter('upper', function (value) {
+    return value.toUpperCase();
+  }));
+  env.addFilter(new TwigFilter('join'));
+  env.addFilter(new TwigFilter('slice'));
+  env.addFunction(new TwigFunction('range'));
+  env.addTest(new TwigTest('even'));
+  env.addTest(new TwigTest('same as'));
+
+  return env;
+};
+
+let parse = function (code, env) {
+  env = env || createParserEnvironment();
+
+  return env.parse(env.tokenize(new TwigSource('{{ ' + code + ' }}', 'index'))).getNode('body').getNode(0).getNode('expr');
+};
+
+let render = function (template, context, configure) {
+  let env = createEnvironment({index: template}, {autoescape: false});
+
+  if (configure) {
+    configure(env);
+  }
+
+  return env.render('index', context || {});
+};
+
+/**
+ * Renders an expression, returning whether it is truthy.
+ */
+let evaluate = function (expression, context) {
+  return 'true' === render('{{ (' + expression + ') ? "true" : "false" }}', context);
+};
+
+/**
+ * Returns a compact representation of an expression tree, like Add(a, Mul(b, 2)).
+ */
+let dump = function (node) {
+  if (node instanceof TwigNodeExpressionName) {
+    return node.getAttribute('name');
+  }
+
+  if (node instanceof TwigNodeExpressionConstant) {
+    return JSON.stringify(node.getAttribute('value'));
+  }
+
+  let name = node.constructor.name.replace(/^TwigNode(Expression)?/, '').replace(/^Binary|^Unary/, '') || 'Node';
+  let children = Array.from(node.getIterator()).map(dump);
+
+  ['name', 'type'].forEach(function (attribute) {
+    if (node.hasAttribute(attribute)) {
+      children.unshift(attribute + '=' + node.getAttribute(attribute));
+    }
+  });
+
+  return name + '(' + children.join(', ') + ')';
+};
+
+tap.test('expression parser', function (test) {
+  test.plan(15);
+
+  test.test('should parse literals', function (test) {
+    test.same(dump(parse('"foo"')), '"foo"');
+    test.same(dump(parse('12.5')), '12.5');
+    test.same(dump(parse('true')), 'true');
+    test.same(dump(parse('FALSE')), 'false');
+    test.same(dump(parse('none')), 'null');
+    test.same(dump(parse('null')), 'null');
+    test.same(dump(parse('"foo #{bar} baz"')), 'Concat(Concat("foo ", bar), " baz")');
+    test.same(dump(parse('-1')), 'Neg(1)');
+    test.ok(parse('a').isSimple());
+    test.notOk(parse('_self').isSimple());
+    test.notOk(parse('a is defined').getNode('node').isSimple());
+    test.equal(render('{{ _charset }}|{{ _self }}|{{ _self is defined ? "yes" : "no" }}'), 'UTF-8|index|yes');
+
+    test.end();
+  });
+
+  test.test('should parse arrays and hashes', function (test) {
+    let node = parse('[1, "foo", bar,]');
+
+    test.same(dump(node), 'Array(0, 1, 1, "foo", 2, bar)');
+    test.ok(node.isSequence());
+
+    node = parse('{foo: 1, "bar": 2, 3: 4, (a ~ b): 5}');
+
+    test.same(dump(node), 'Array("foo", 1, "bar", 2, 3, 4, Concat(a, b), 5)');
+    test.notOk(node.isSequence());
+
+    test.same(dump(parse('[]')), 'Array()');
+    test.same(dump(parse('{}')), 'Array()');
+    test.same(dump(parse('{foo: 1,}')), 'Array("foo", 1)');
+
+    node = new TwigNodeExpressionArray(new Map([
+      [0, new TwigNodeExpressionConstant('foo', 1)],
+      [1, new TwigNodeExpressionConstant(1, 1)],
+      [2, new TwigNodeExpressionConstant(5, 1)],
+      [3, new TwigNodeExpressionConstant(2, 1)],
+      [4, new TwigNodeExpressionConstant(2, 1)],
+      [5, new TwigNodeExpressionConstant(3, 1)],
+      [6, new TwigNodeExpressionName('bar', 1)],
+      [7, new TwigNodeExpressionConstant(4, 1)]
+    ]), 1);
+    node.addElement(new TwigNodeExpressionConstant(5, 1));
+
+    test.same(dump(node), 'Array("foo", 1, 5, 2, 2, 3, bar, 4, 6, 5)', 'the next key follows the greatest integer key');
+    test.ok(node.hasElement(new TwigNodeExpressionConstant(5, 2)));
+    test.notOk(node.hasElement(new TwigNodeExpressionConstant('bar', 1)));
+
+    test.throws(function () {
+      parse('{[1]: 2}');
+    }, {name: 'TwigErrorSyntax', message: 'A hash key must be a quoted string, a number, a name, or an expression enclosed in parentheses (unexpected token "punctuation" of value "[" in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('[1 2]');
+    }, {name: 'TwigErrorSyntax', message: 'An array element must be followed by a comma. Unexpected token "number" of value "2" ("punctuation" expected with value ",") in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should honor operator precedence', function (test) {
+    test.same(dump(parse('a + b * c')), 'Add(a, Mul(b, c))');
+    test.same(dump(parse('(a + b) * c')), 'Mul(Add(a, b), c)');
+    test.same(dump(parse('a or b and c')), 'Or(a, And(b, c))');
+    test.same(dump(parse('not a and b')), 'And(Not(a), b)');
+    test.same(dump(parse('a ~ b + c')), 'Add(Concat(a, b), c)');
+    test.same(dump(parse('a b-or b b-xor c b-and d')), 'BitwiseOr(a, BitwiseXor(b, BitwiseAnd(c, d)))');
+    test.same(dump(parse('-a ** 2')), 'Power(Neg(a), 2)');
+    test.same(dump(parse('a == b < c')), 'Less(Equal(a, b), c)');
+    test.same(dump(parse('1 + 2..3 * 4')), 'Range(Add(1, 2), Mul(3, 4))');
+    test.same(dump(parse('a // b % c')), 'Mod(FloorDiv(a, b), c)');
+    test.same(dump(parse('a <=> b != c >= d')), 'GreaterEqual(NotEqual(Spaceship(a, b), c), d)');
+
+    test.end();
+  });
+
+  test.test('should honor operator associativity', function (test) {
+    test.same(dump(parse('a - b - c')), 'Sub(Sub(a, b), c)');
+    test.same(dump(parse('a / b / c')), 'Div(Div(a, b), c)');
+    test.same(dump(parse('a ** b ** c')), 'Power(a, Power(b, c))');
+    test.same(dump(parse('a ?? b ?? c')), 'NullCoalesce(And(TestDefined(name=defined, a, Node()), Not(TestNull(name=null, a, Node()))), a, NullCoalesce(And(TestDefined(name=defined, b, Node()), Not(TestNull(name=null, b, Node()))), b, c))');
+
+    test.end();
+  });
+
+  test.test('should parse ternaries', function (test) {
+    test.same(dump(parse('a ? b : c')), 'Conditional(a, b, c)');
+    test.same(dump(parse('a ? b')), 'Conditional(a, b, "")');
+    test.same(dump(parse('a ?: c')), 'Conditional(a, a, c)');
+    test.same(dump(parse('a ? b : c ? d : e')), 'Conditional(a, b, Conditional(c, d, e))');
+    test.same(dump(parse('a or b ? c + 1 : d')), 'Conditional(Or(a, b), Add(c, 1), d)');
+
+    test.end();
+  });
+
+  test.test('should parse containment and string operators', function (test) {
+    test.same(dump(parse('a in b')), 'In(a, b)');
+    test.same(dump(parse('a not in [1, 2]')), 'NotIn(a, Array(0, 1, 1, 2))');
+    test.same(dump(parse('a matches "/^foo/"')), 'Matches(a, "/^foo/")');
+    test.same(dump(parse('a starts with "f" and a ends with "o"')), 'And(StartsWith(a, "f"), EndsWith(a, "o"))');
+
+    test.end();
+  });
+
+  test.test('should parse attribute and array access', function (test) {
+    test.same(dump(parse('a.b')), 'GetAttr(type=' + TwigTemplate.ANY_CALL + ', a, "b", Array())');
+    test.same(dump(parse('a["b"]')), 'GetAttr(type=' + TwigTemplate.ARRAY_CALL + ', a, "b", Array())');
+    test.same(dump(parse('a.0')), 'GetAttr(type=any, a, 0, Array())');
+    test.same(dump(parse('a.b(1, c)')), 'GetAttr(type=' + TwigTemplate.METHOD_CALL + ', a, "b", Array(0, 1, 1, c))');
+    test.same(dump(parse('a.b[c].d')), 'GetAttr(type=any, GetAttr(type=array, GetAttr(type=any, a, "b", Array()), c, Array()), "d", Array())');
+    test.same(dump(parse('a.and')), 'GetAttr(type=any, a, "and", Array())', 'operators are valid attribute names');
+    test.same(dump(parse('attribute(a, "b", [1])')), 'GetAttr(type=any, a, "b", Array(0, 1))');
+    test.same(dump(parse('a[1:2]')), 'Filter(a, "slice", Node(1, 2))');
+    test.same(dump(parse('a[:2]')), 'Filter(a, "slice", Node(0, 2))');
+    test.same(dump(parse('a[1:]')), 'Filter(a, "slice", Node(1, null))');
+
+    test.throws(function () {
+      parse('a.(b)');
+    }, {name: 'TwigErrorSyntax', message: 'Expected name or number in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should parse filters', function (test) {
+    test.same(dump(parse('a|upper')), 'Filter(a, "upper", Node())');
+    test.same(dump(parse('a|join(", ")|upper')), 'Filter(Filter(a, "join", Node(", ")), "upper", Node())');
+    test.same(dump(parse('-a|upper')), 'Neg(Filter(a, "upper", Node()))', 'filters bind tighter than unary operators');
+    test.same(dump(parse('a ~ b|upper')), 'Concat(a, Filter(b, "upper", Node()))');
+    test.equal(render('{{ "foo"|describe }}', {bar: 'bar'}, function (env) {
+      env.addFilter(new TwigFilter('describe', function (env, context, value) {
+        return [env.getCharset(), context.get('bar'), value].join('|');
+      }, {needs_environment: true, needs_context: true}));
+    }), 'UTF-8|bar|foo', 'filters can need both the environment and the context');
+    test.equal(render('{{ "foo"|describe }}', {bar: 'bar'}, function (env) {
+      env.addFilter(new TwigFilter('describe', function (context, value) {
+        return [context.get('bar'), value].join('|');
+      }, {needs_context: true}));
+    }), 'bar|foo');
+
+    test.throws(function () {
+      parse('a|uper');
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "uper" filter. Did you mean "upper" in "index" at line 1?'});
+
+    test.end();
+  });
+
+  test.test('should parse named arguments', function (test) {
+    let node = parse('a|join(glue = ", ", 1)');
+    let args = node.getNode('arguments');
+
+    test.same(Array.from(args.$nodes.keys()), ['glue', 0]);
+    test.same(dump(args), 'Node(", ", 1)');
+
+    node = parse('range(low = 1, high = 10)');
+
+    test.same(dump(node), 'Function(name=range, Node(1, 10))');
+    test.same(Array.from(node.getNode('arguments').$nodes.keys()), ['low', 'high']);
+
+    test.throws(function () {
+      parse('range(1 = 2)');
+    }, {name: 'TwigErrorSyntax', message: 'A parameter name must be a string, "TwigNodeExpressionConstant" given in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should parse arrow functions', function (test) {
+    test.same(dump(parse('a|join(v => v.b)')), 'Filter(a, "join", Node(ArrowFunction(GetAttr(type=any, v, "b", Array()), Node(v))))');
+    test.same(dump(parse('a|join((v, k) => k ~ v, (1))')), 'Filter(a, "join", Node(ArrowFunction(Concat(k, v), Node(v, k)), 1))');
+    test.same(dump(parse('a|join(glue = v => v)')), 'Filter(a, "join", Node(ArrowFunction(v, Node(v))))');
+    test.same(dump(parse('a|join((b ~ c))')), 'Filter(a, "join", Node(Concat(b, c)))', 'parentheses do not always start an arrow function');
+
+    test.throws(function () {
+      parse('v => v');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected token "arrow function" of value "=>" ("end of print statement" expected) in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('range(v => v)');
+    }, {name: 'TwigErrorSyntax', message: 'Arguments must be separated by a comma. Unexpected token "arrow function" of value "=>" ("punctuation" expected with value ",") in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should parse tests', function (test) {
+    test.same(dump(parse('a is even')), 'Test(name=even, a)');
+    test.same(dump(parse('a is not even')), 'Not(Test(name=even, a))');
+    test.same(dump(parse('a is same as(b)')), 'Test(name=same as, a, Node(b))');
+    test.same(dump(parse('a is defined')), 'TestDefined(name=defined, a)');
+    test.ok(parse('a is defined').getNode('node').getAttribute('is_defined_test'));
+    test.same(dump(parse('a.b is defined')), 'TestDefined(name=defined, GetAttr(type=any, a, "b", Array()))');
+    test.same(dump(parse('a is null')), 'TestNull(name=null, a)');
+    test.same(dump(parse('a + 1 is even')), 'Add(a, Test(name=even, 1))');
+    test.same(dump(parse('a.b.c is defined')), 'TestDefined(name=defined, GetAttr(type=any, GetAttr(type=any, a, "b", Array()), "c", Array()))');
+    test.ok(parse('a.b.c is defined').getNode('node').getNode('node').getAttribute('ignore_strict_check'), 'the strict check is ignored for the whole chain');
+    test.same(dump(parse('constant("FOO") is defined')), 'TestDefined(name=defined, Function(name=constant, Node("FOO")))');
+
+    test.throws(function () {
+      parse('a is evenn');
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "evenn" test. Did you mean "even" in "index" at line 1?'});
+
+    test.throws(function () {
+      parse('a is foo bar');
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "foo bar" test in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('a|upper is defined');
+    }, {name: 'TwigErrorSyntax', message: 'The "defined" test only works with simple variables in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should parse functions', function (test) {
+    test.same(dump(parse('range(1, 10)')), 'Function(name=range, Node(1, 10))');
+    test.same(dump(parse('block("foo")')), 'BlockReference("foo")');
+    test.same(dump(parse('attribute(a, "b")')), 'GetAttr(type=any, a, "b")');
+    test.equal(render('{{ attribute(a, "b") }}|{{ constant("Math.PI") is defined ? "yes" : "no" }}|{{ constant("Math.FOO") is defined ? "yes" : "no" }}|{{ "a" is defined ? "yes" : "no" }}', {a: {b: 'c'}}), 'c|yes|no|yes');
+
+    test.throws(function () {
+      parse('rnge(1)');
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "rnge" function. Did you mean "range" in "index" at line 1?'});
+
+    test.throws(function () {
+      parse('parent()');
+    }, {name: 'TwigErrorSyntax', message: 'Calling "parent" outside a block is forbidden in "index" at line 1.'});
+
+    test.throws(function () {
+      let env = createParserEnvironment();
+
+      env.parse(env.tokenize(new TwigSource('{% block foo %}{{ parent() }}{% endblock %}', 'index')));
+    }, {name: 'TwigErrorSyntax', message: 'Calling "parent" on a template that does not extend nor "use" another template is forbidden in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('block()');
+    }, {name: 'TwigErrorSyntax', message: 'The "block" function takes one argument (the block name) in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('attribute(a)');
+    }, {name: 'TwigErrorSyntax', message: 'The "attribute" function takes at least two arguments (the variable and the attributes) in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should throw on syntax errors', function (test) {
+    test.throws(function () {
+      parse('a ==');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected token "end of print statement" of value "" in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('a === b');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected operator of value "=". Did you try to use "===" or "!==" for strict comparison? Use "is same as(value)" instead in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('(a + b c)');
+    }, {name: 'TwigErrorSyntax', message: 'An opened parenthesis is not properly closed. Unexpected token "name" of value "c" ("punctuation" expected with value ")") in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('not not');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected token "end of print statement" of value "" in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('a !== b');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected operator of value "=". Did you try to use "===" or "!==" for strict comparison? Use "is same as(value)" instead in "index" at line 1.'});
+
+    test.throws(function () {
+      render('{% set true = 1 %}');
+    }, {name: 'TwigErrorSyntax', message: 'You cannot assign a value to "true" in "index" at line 1.'});
+
+    test.throws(function () {
+      render('{% macro foo(bar = baz) %}{% endmacro %}');
+    }, {name: 'TwigErrorSyntax', message: 'A default value for an argument must be a constant (a boolean, a string, a number, or an array) in "index" at line 1.'});
+
+    test.throws(function () {
+      render('{% macro foo(bar = [1, baz]) %}{% endmacro %}');
+    }, {name: 'TwigErrorSyntax', message: 'A default value for an argument must be a constant (a boolean, a string, a number, or an array) in "index" at line 1.'});
+
+    test.throws(function () {
+      render('{% macro foo(bar = !1) %}{% endmacro %}', {}, function (env) {
+        env.addExtension(new OperatorExtension());
+      });
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected unary operator "!" in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should render the operators', function (test) {
+    let context = {
+      nothing: undefined,
+      object: {foo: 1},
+      other: {foo: 1},
+      set: new Set([1, 'b']),
+      instance: new (class Foo {
+        constructor() {
+          this.foo = 1;
+        }
+      })()
+    };
+
+    let numbers = {zero: 0, one: 1, two: 2, three: 3, six: 6, seven: 7, text: '3'};
+
+    test.equal(render('{{ six b-and three }}|{{ six b-xor three }}|{{ six b-or three }}|{{ seven / two }}|{{ seven // two }}|{{ -seven // two }}|{{ seven % three }}|{{ two ** three ** two }}', numbers), '2|5|7|3.5|3|-4|1|512');
+    test.equal(render('{{ -(one + one) }}|{{ +text + 1 }}|{{ not zero }}|{{ not "0" }}|{{ not [0] }}|{{ not {} }}|{{ zero or "" }}|{{ zero or [0] }}|{{ one and "a" }}|{{ not map }}|{{ not empty }}', Object.assign({map: new Map([['a', 1]]), empty: new Map()}, numbers)), '-2|4|1|1||1||1|1||1');
+    test.equal(render('{{ zero / zero }}|{{ one / zero }}|{{ -one / zero }}|{{ [1] }}|{{ {a: 1} }}|{{ range(5, 1, 2)|join }}|{{ range("e", "a", two)|join }}|{{ range(1, 3, zero)|join }}', numbers), 'NAN|INF|-INF|Array|Array|531|eca|123', 'the values are converted to strings the way PHP does');
+    test.equal(render('{{ 3 twice }}|{{ !0 }}', {}, function (env) {
+      env.addExtension(new OperatorExtension());
+    }), '6|1', 'custom operators can be parsed by a callable');
+
+    [
+      // null, booleans and strings
+      ['null == ""', true],
+      ['null < "a"', true],
+      ['"a" == null', false],
+      ['"a" > null', true],
+      ['null == false', true],
+      ['null == 0', true],
+      ['true == "a"', true],
+      ['false == "0"', true],
+      ['"a" < "b"', true],
+      ['"abc" == "ABC"', false],
+      // numeric strings
+      ['"1e1" == "10"', true],
+      ['"10" > "9"', true],
+      ['"10" > "9a"', false],
+      ['0 == "a"', false],
+      ['0 == "0"', true],
+      ['1 == "1.0"', true],
+      ['"1.0" == 1', true],
+      ['5 < "10"', true],
+      ['"abc" > 1', true],
+      ['(0 / 0) == "a"', false],
+      ['(0 / 0) == (0 / 0)', false],
+      ['1 < 2', true],
+      ['2 <= 2', true],
+      ['2 >= 3', false],
+      ['2 != 2', false],
+      // arrays and hashes
+      ['[1, 2] == [1, 2]', true],
+      ['[1, 2] == {0: 1, 1: 2}', true],
+      ['[1] < [1, 2]', true],
+      ['{a: 1} == {b: 1}', false],
+      ['[1, 2] < [1, 3]', true],
+      ['[1] == 1', false],
+      ['1 < [1]', true],
+      // objects
+      ['date("2020-01-01") < date("2021-01-01")', true],
+      ['object == object', true],
+      ['object == other', false],
+      ['nothing == null', true],
+      ['null == nothing', true]
+    ].forEach(function (comparison) {
+      test.equal(evaluate(comparison[0], context), comparison[1], comparison[0]);
+    });
+
+    test.equal(render('{% import _self as m %}{% macro foo(a = -1, b = +2) %}{{ a }}|{{ b }}{% endmacro %}{{ m.foo() }}'), '-1|2', 'negative and positive numbers are constants');
+    test.equal(render('{{ 1 <=> 2 }}|{{ "b" <=> "a" }}|{{ [1, 2] <=> [1, 2] }}'), '-1|1|0');
+
+    [
+      ['"b" in "abc"', true],
+      ['"" in "abc"', true],
+      ['1 in "a1"', true],
+      ['[1] in "a1"', false],
+      ['1 in 5', false],
+      ['1 in null', false],
+      ['1 in [1]', true],
+      ['"1" in [1]', true],
+      ['"a" in [0]', false],
+      ['1 in {a: 1}', true],
+      ['"b" in set', true],
+      ['1 in object', true],
+      ['1 in instance', false],
+      ['object in [object]', true],
+      ['object in [other]', false],
+      ['3 not in [1, 2]', true],
+      ['"foo" starts with "f"', true],
+      ['"foo" ends with "o"', true],
+      ['1 starts with "1"', false],
+      ['"foo" ends with 1', false],
+      ['"foo" matches "/^f/"', true],
+      ['"FOO" matches "/^f/i"', true],
+      ['"foo" matches "{^F}x"', false],
+      ['"foo" matches "(o$)"', true],
+      ['12 matches "/^\\\\d+$/"', true]
+    ].forEach(function (comparison) {
+      test.equal(evaluate(comparison[0], context), comparison[1], comparison[0]);
+    });
+
+    ['abc', '/', '/(/'].forEach(function (regexp) {
+      test.throws(function () {
+        render('{{ "foo" matches "' + regexp + '" }}');
+      }, {name: 'TwigErrorRuntime', message: 'Invalid regular expression "' + regexp + '" in "index" at line 1.'});
+    });
+
+    test.end();
+  });
+
+  test.test('should report the deprecated callables', function (test) {
+    let env = createParserEnvironment();
+
+    env.addFilter(new TwigFilter('old_filter', null, {deprecated: '1.2', alternative: 'upper'}));
+    env.addFunction(new TwigFunction('old_function', null, {deprecated: true}));
+    env.addTest(new TwigTest('old test', null, {deprecated: '2.0', alternative: 'even'}));
+
+    test.same(captureWarnings(function () {
+      env.parse(env.tokenize(new TwigSource('{{ a|old_filter }}\n{{ old_function() }}', 'index')));
+      env.parse(env.tokenize(new TwigSource('{{ a is old test }}', 'index', '/templates/index.twig')));
+    }), [
+      'Twig Filter "old_filter" is deprecated since version 1.2. Use "upper" instead in index at line 1.',
+      'Twig Function "old_function" is deprecated in index at line 2.',
+      'Twig Test "old test" is deprecated since version 2.0. Use "even" instead in /templates/index.twig at line 1.'
+    ]);
+
+    test.end();
+  });
+});
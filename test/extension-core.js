@@ -0,0 +1,570 @@
+const tap = require('tap');
+const TwigMarkup = require('../src/markup');
+const TwigExtensionCore = require('../src/extension-core');
+const TwigFunction = require('../src/function');
+const TwigFilter = require('../src/filter');
+const TwigTest = require('../src/test');
+const {createEnvironment} = require('./helpers/environment');
+
+let render = function (template, context, configure) {
+  let env = createEnvironment({index: template}, {
+    autoescape: false,
+    strict_variables: true
+  });
+
+  env.getExtension('TwigExtensionCore').setTimezone('Europe/Paris');
+
+  if (configure) {
+    configure(env.getExtension('TwigExtensionCore'));
+  }
+
+  return env.render('index', context || {});
+};
+
+class Stringable {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+class Countable {
+  constructor(count) {
+    this.items = count;
+  }
+
+  count() {
+    return this.items;
+  }
+}
+
+let generate = function* (...values) {
+  yield* values;
+};
+
+tap.test('extension-core', function (test) {
+  test.plan(13);
+
+  test.test('string filters', function (test) {
+    test.equal(render('{{ "hello wORLD"|upper }}|{{ "HeLLo"|lower }}'), 'HELLO WORLD|hello');
+    test.equal(render('{{ "hello world-foo o\'neil 3rd éTÉ"|title }}'), 'Hello World-Foo O\'neil 3rd Été');
+    test.equal(render('{{ "hELLO wORLD"|capitalize }}|{{ "élan"|capitalize }}'), 'Hello world|Élan');
+    test.equal(render('{{ "  abc \n"|trim }}|{{ "xxabcxx"|trim("x", "left") }}|{{ "xxabcxx"|trim("x", "right") }}|{{ "abcxyz"|trim("x..z") }}'), 'abc|abcxx|xxabc|abc');
+    test.equal(render('{{ "a\\nb\\r\\nc\\rd"|nl2br }}'), 'a<br />\nb<br />\r\nc<br />\rd');
+    test.equal(render('{{ "<p>Hello <b>you</b><!-- x --></p> 1 < 2"|striptags }}|{{ "<p>Hello <b>you</b></p>"|striptags("<b>") }}'), 'Hello you 1 < 2|Hello <b>you</b>');
+    test.equal(render('{{ "I like %s and %s."|format("cats", "dogs") }}|{{ "%05.1f %d"|format(3.14159, "12") }}'), 'I like cats and dogs.|003.1 12');
+    test.equal(render('{{ "I like this and that"|replace({"this": "cats", "that": "dogs", "": "x"}) }}|{{ "aaa"|replace({"a": "b", "aa": "c"}) }}'), 'I like cats and dogs|cb');
+    test.equal(render('{{ "foo"|replace({"": "x"}) }}|{{ "foo"|replace({}) }}'), 'foo|foo', 'empty keys are ignored');
+    test.equal(render('{{ "<b>a</b><i>b</i>"|striptags(["B"]) }}|{{ "<b>a</b>"|striptags("b") }}'), '<b>a</b>b|a', 'the allowed tags can be an array of names');
+    test.throws(function () {
+      render('{{ "foo"|trim(" ", "middle") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Trimming side must be "left", "right" or "both" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ "foo"|replace("o") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The "replace" filter expects an array or "Traversable" as replace values, got "string" in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('number filters', function (test) {
+    test.equal(render('{{ 1234567.891|number_format }}|{{ 1234567.891|number_format(2, ",", ".") }}|{{ (-1234.567)|number_format(1) }}|{{ 1.005|number_format(2) }}'), '1,234,568|1.234.567,89|-1,234.6|1.01');
+    test.equal(render('{{ 1234.5|number_format }}', {}, function (extension) {
+      extension.setNumberFormat(2, ',', ' ');
+    }), '1 234,50');
+    test.equal(render('{{ (-5)|abs }}|{{ "-2.5"|abs }}|{{ "foo"|abs }}'), '5|2.5|0');
+    test.equal(render('{{ "foo"|number_format(1) }}|{{ (1 / 0)|round }}|{{ "foo"|round }}'), '0.0|INF|NAN');
+    test.equal(render('{{ 2.5|round }}|{{ (-2.5)|round }}|{{ 1.955|round(2) }}|{{ 1234|round(-2) }}|{{ 2.45|round(1, "floor") }}|{{ 2.41|round(1, "ceil") }}'), '3|-3|1.96|1200|2.4|2.5');
+    test.throws(function () {
+      render('{{ 2.5|round(0, "up") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The round filter only supports the "common", "ceil", and "floor" methods in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('encoding filters', function (test) {
+    test.equal(render('{{ "a b&c/é~!"|url_encode }}|{{ {a: "b c", d: [1, 2], e: null, f: true}|url_encode }}'), 'a%20b%26c%2F%C3%A9~%21|a=b%20c&d%5B0%5D=1&d%5B1%5D=2&f=1');
+    test.equal(render('{{ {a: "é/<", b: [1, 2.5, true, null], c: {}}|json_encode }}|{{ [1, 2]|json_encode(16) }}|{{ "<é>"|json_encode(1 b-or 256) }}'), '{"a":"\\u00e9\\/<","b":[1,2.5,true,null],"c":[]}|{"0":1,"1":2}|"\\u003Cé\\u003E"');
+    test.equal(render('{{ {a: [1]}|json_encode(128) }}'), '{\n    "a": [\n        1\n    ]\n}');
+    test.equal(render('{{ markup|json_encode }}', {markup: new TwigMarkup('<b>', 'UTF-8')}), '"<b>"');
+    test.equal(render('{{ string|json_encode(2 b-or 4 b-or 8 b-or 64 b-or 256) }}|{{ string|json_encode(256) }}|{{ string|json_encode(256 b-or 2048) }}', {string: '"a/b&\'\u2028'}), '"\\u0022a/b\\u0026\\u0027\\u2028"|"\\"a\\/b&\'\\u2028"|"\\"a\\/b&\'\u2028"');
+    test.equal(render('{{ false|json_encode }}|{{ (1 / 0)|json_encode }}|{{ list|json_encode }}|{{ bare|json_encode }}|{{ object|json_encode }}|{{ empty|json_encode }}', {
+      list: {0: 'a', 1: 'b'},
+      bare: Object.assign(Object.create(null), {0: 1}),
+      object: Object.assign(Object.create({}), {0: 1}),
+      empty: Object.create({})
+    }), 'false|0|["a","b"]|[1]|{"0":1}|{}', 'only the plain objects can be encoded as JSON arrays');
+    test.equal(render('{{ query|url_encode }}', {query: {a: 1, b: false, c: new Stringable('d e'), f: Object.assign(Object.create(null), {g: 1})}}), 'a=1&b=0&c=d%20e&f%5Bg%5D=1');
+    test.equal(render('{% set latin = "café"|convert_encoding("ISO-8859-1", "UTF-8") %}{{ latin|length }}|{{ latin|convert_encoding("UTF-8", "ISO-8859-1") }}'), '4|café');
+    test.throws(function () {
+      render('{{ "foo"|convert_encoding("EBCDIC", "UTF-8") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The "EBCDIC" encoding is not supported in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('array filters', function (test) {
+    test.equal(render('{{ [1, 2, 3]|join }}|{{ [1, 2, 3]|join(", ", " and ") }}|{{ {a: 1, b: true}|join(",") }}|{{ [1]|join(", ", " and ") }}|{{ null|join }}'), '123|1, 2 and 3|1,1|1|');
+    test.equal(render('{{ 5|join }}|{{ undefined|join }}', {undefined: undefined}), '5|');
+    test.equal(render('{{ "a,b"|split(",", 5)|join("/") }}|{{ ""|split("")|json_encode }}|{{ "ab"|split("", 5)|json_encode }}'), 'a/b|[""]|["ab"]');
+    test.equal(render('{{ "a,b,c,d"|split(",")|join("/") }}|{{ "a,b,c,d"|split(",", 2)|join("/") }}|{{ "a,b,c,d"|split(",", -1)|join("/") }}|{{ "abcde"|split("")|join("/") }}|{{ "abcde"|split("", 2)|join("/") }}'), 'a/b/c/d|a/b,c,d|a/b/c|a/b/c/d/e|ab/cd/e');
+    test.equal(render('{{ [3, 1, 2]|sort|join }}|{{ [3, 1, 2]|sort|json_encode }}|{{ {b: "x", a: "10", c: 9}|sort|json_encode }}'), '123|{"1":1,"2":2,"0":3}|{"c":9,"a":"10","b":"x"}');
+    test.equal(render('{{ {a: 1, b: 2}|merge({b: 3, c: 4})|json_encode }}|{{ [1, 2]|merge([3])|json_encode }}|{{ {0: "a", foo: "b"}|merge(["c"])|json_encode }}'), '{"a":1,"b":3,"c":4}|[1,2,3]|{"0":"a","foo":"b","1":"c"}');
+    test.equal(render('{{ [1, 2, 3, 4, 5]|batch(2)|json_encode }}|{{ [1, 2, 3, 4, 5]|batch(2, "x")|json_encode }}|{{ [1, 2, 3]|batch(2, "x", false)|json_encode }}'), '[[1,2],{"2":3,"3":4},{"4":5}]|[[1,2],{"2":3,"3":4},[5,"x"]]|[[1,2],[3,"x"]]');
+    test.equal(render('{{ [1, 2, 3, 4]|batch(2, "x")|json_encode }}'), '[[1,2],{"2":3,"3":4}]', 'full batches are not filled');
+    test.equal(render('{{ [1, 2, 3]|batch(1.5)|length }}|{{ {a: 1, b: 2}|batch("1")|json_encode }}'), '2|[{"a":1},{"b":2}]', 'the size is rounded up');
+    test.throws(function () {
+      render('{{ null|batch(2) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The batch filter only works with arrays or "Traversable", got "null" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ [1, 2]|batch(0) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The batch size must be greater than 0, got "0" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ [1, 2]|batch("foo") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The batch size must be greater than 0, got "foo" in "index" at line 1.'
+    });
+    test.equal(render('{{ {a: 1, 2: 2}|keys|json_encode }}|{{ null|keys|json_encode }}'), '["a",2]|[]');
+    test.throws(function () {
+      render('{{ 1|sort }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The sort filter only works with arrays or "Traversable", got "integer" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ 0|sort }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The sort filter only works with arrays or "Traversable", got "integer" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ value|sort }}', {value: new Stringable('foo')});
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The sort filter only works with arrays or "Traversable", got "Stringable" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ 1|merge([1]) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The merge filter only works with arrays or "Traversable", got "integer" as first argument in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ [1]|merge("foo") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The merge filter only works with arrays or "Traversable", got "string" as second argument in "index" at line 1.'
+    });
+    test.same(Array.from(TwigExtensionCore.entries(new Set(['a', 'b']))), [[0, 'a'], [1, 'b']], 'iterables are keyed by their index');
+    test.same(Array.from(TwigExtensionCore.entries(5)), [], 'values that cannot be iterated have no entries');
+
+    test.end();
+  });
+
+  test.test('filter, map and reduce filters', function (test) {
+    let context = {
+      odd: function (value) {
+        return value % 2;
+      },
+      pair: function (value, key) {
+        return key + ':' + value;
+      },
+      sum: function (carry, value) {
+        return carry + value;
+      },
+      items: new Set([1, 2, 3, 4])
+    };
+
+    test.equal(render('{{ [1, 2, 3, 4]|filter(odd)|json_encode }}|{{ {a: 1, b: 2}|filter(odd)|json_encode }}|{{ items|filter(odd)|join(",") }}', context), '{"0":1,"2":3}|{"a":1}|1,3');
+    test.equal(render('{{ [1, 2]|map(pair)|join(",") }}|{{ {a: 1, b: 2}|map(pair)|json_encode }}|{{ items|map(pair)|join(",") }}', context), '0:1,1:2|{"a":"a:1","b":"b:2"}|0:1,1:2,2:3,3:4');
+    test.equal(render('{{ values|filter(odd)|join(",") }}', {odd: context.odd, values: generate(1, 2, 3)}), '1,3', 'generic iterables are filtered lazily');
+    test.equal(render('{{ [1, 2, 3]|reduce(sum) }}|{{ [1, 2, 3]|reduce(sum, 10) }}|{{ items|reduce(sum) }}', context), '6|16|10');
+
+    test.end();
+  });
+
+  test.test('arrow functions', function (test) {
+    let context = {
+      products: [
+        {name: 'pen', stock: 3, price: 2},
+        {name: 'ink', stock: 0, price: 5},
+        {name: 'pad', stock: 1, price: 1}
+      ],
+      map: new Map([['a', 1], ['b', 2], ['c', 3]]),
+      items: new Set([3, 1, 2])
+    };
+
+    test.equal(render('{{ products|filter(i => i.stock > 0)|map(i => i.name)|join(", ") }}', context), 'pen, pad');
+    test.equal(render('{{ products|sort((a, b) => a.price <=> b.price)|map(i => i.name)|join(", ") }}|{{ items|sort((a, b) => b <=> a)|join }}|{{ {x: 2, y: 1}|sort((a, b) => a - b)|json_encode }}', context), 'pad, pen, ink|321|{"y":1,"x":2}');
+    test.equal(render('{{ map|filter((v, k) => k != "b")|json_encode }}|{{ map|map((v, k) => k ~ v)|join }}|{{ map|reduce((carry, v) => carry + v, 10) }}', context), '{"a":1,"c":3}|a1b2c3|16');
+    test.equal(render('{{ {a: 1, b: 2}|map(v => v * 2)|json_encode }}|{{ items|filter(v => v > 1)|join }}|{{ items|map(v => v * 2)|join }}|{{ items|reduce((carry, v) => carry ~ v, "") }}', context), '{"a":2,"b":4}|32|624|312');
+    test.equal(render('{{ [3, 1, 2]|sort((a, b) => "foo")|join }}'), '312', 'the comparisons that are not numbers keep the order');
+    test.equal(render('{% set v = "outer" %}{{ [1, 2]|map(v => v + 1)|join }}|{{ v }}'), '23|outer', 'arguments are local to the arrow function');
+    test.equal(render('{% import _self as m %}{% macro wrap(value) %}<{{ value }}>{% endmacro %}{{ [1, 2]|map(v => m.wrap(v))|join }}'), '<1><2>', 'arrow functions can call macros');
+
+    test.end();
+  });
+
+  test.test('string/array filters', function (test) {
+    test.equal(render('{{ "abcé"|reverse }}|{{ [1, 2, 3]|reverse|json_encode }}|{{ [1, 2, 3]|reverse(true)|json_encode }}|{{ {a: 1, 0: 2}|reverse|json_encode }}'), 'écba|[3,2,1]|{"2":3,"1":2,"0":1}|{"0":2,"a":1}');
+    test.equal(render('{{ "héllo"|length }}|{{ [1, 2]|length }}|{{ {a: 1}|length }}|{{ null|length }}|{{ 123|length }}|{{ items|length }}|{{ object|length }}', {
+      items: new Set([1, 2, 3]),
+      object: {toString: null}
+    }), '5|2|1|0|3|3|1');
+    test.equal(render('{{ string|length }}|{{ countable|length }}|{{ values|length }}|{{ callable|length }}|{{ object|length }}', {
+      string: new Stringable('abc'),
+      countable: new Countable(4),
+      values: generate(1, 2),
+      callable: function () {},
+      object: Object.create({})
+    }), '3|4|2|14|1', 'the length of the objects is the one of their string representation, their count or their number of values');
+    test.equal(render('{{ "abc"|slice(1, "foo") }}|{{ []|last }}'), '|', 'the lengths that are not numbers are 0');
+    test.equal(TwigExtensionCore.last(null, []), false, 'the last element of an empty sequence is false');
+    test.equal(render('{{ "abcdef"|slice(1, 3) }}|{{ "abcdef"|slice(-2) }}|{{ "abcdef"|slice(1, -2) }}|{{ "abcdef"[2:] }}|{{ "abcdef"[:2] }}'), 'bcd|ef|bcd|cdef|ab');
+    test.equal(render('{{ [1, 2, 3, 4]|slice(1, 2)|json_encode }}|{{ [1, 2, 3, 4]|slice(1, 2, true)|json_encode }}|{{ {a: 1, b: 2, c: 3}|slice(1)|json_encode }}|{{ [1, 2]|slice(5)|json_encode }}'), '[2,3]|{"1":2,"2":3}|{"b":2,"c":3}|[]');
+    test.equal(render('{{ [1, 2, 3]|first }}|{{ [1, 2, 3]|last }}|{{ "abc"|first }}|{{ "abc"|last }}|{{ {a: 1, b: 2}|first }}|{{ {a: 1, b: 2}|last }}'), '1|3|a|c|1|2');
+    test.equal(TwigExtensionCore.first(null, []), false, 'the first element of an empty sequence is false');
+
+    test.end();
+  });
+
+  test.test('default, keys, escape and raw filters', function (test) {
+    test.equal(render('{{ foo|default("default") }}|{{ foo.bar|default("default") }}|{{ ""|default("empty") }}|{{ 0|default("zero") }}|{{ []|default("empty") }}|{{ bar|default }}|', {bar: []}), 'default|default|empty|0|empty||');
+    test.equal(render('{{ "<a href=\'x\'>&\\"</a>"|e }}|{{ "<b>"|escape("html") }}|{{ "<b>"|raw }}|{{ 3|e }}|{{ markup|e }}', {markup: new TwigMarkup('<i>', 'UTF-8')}), '&lt;a href=&#039;x&#039;&gt;&amp;&quot;&lt;/a&gt;|&lt;b&gt;|<b>|3|&lt;i&gt;');
+    test.equal(TwigExtensionCore.escapeFilter(null, new TwigMarkup('<i>', 'UTF-8'), 'html', null, true).toString(), '<i>', 'markup is not escaped again by the auto-escaping');
+    test.equal(createEnvironment({index: '{{ "<b>"|e(strategy) }}'}).render('index', {strategy: 'html'}), '&amp;lt;b&amp;gt;', 'the output of a dynamic strategy is escaped again');
+    test.throws(function () {
+      render('{{ "foo"|e("foo") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Invalid escaping strategy "foo" (valid ones: html, js, css, html_attr, url) in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('date filters', function (test) {
+    test.equal(render('{{ 1264689000|date }}|{{ "1264689000"|date("Y-m-d H:i") }}|{{ date|date("Y-m-d H:i:s") }}', {date: new Date(Date.UTC(2010, 0, 28, 14, 30))}), 'January 28, 2010 15:30|2010-01-28 15:30|2010-01-28 15:30:00');
+    test.equal(render('{{ "2010-01-28T15:00:00+04:00"|date("Y-m-d H:i P") }}|{{ "2010-01-28"|date("d/m/Y H:i", "America/New_York") }}|{{ "2010-07-28 10:00"|date("c T") }}'), '2010-01-28 12:00 +01:00|27/01/2010 18:00|2010-07-28T10:00:00+02:00 CEST');
+    test.equal(render('{{ "2010-01-28"|date("D, d M Y \\\\a\\\\t N jS z W t L") }}'), 'Thu, 28 Jan 2010 at 4 28th 27 04 31 0');
+    test.equal(render('{{ date|date("l N jS w z W o y a A B g G h u v e I Z U") }}|{{ date|date("r") }}', {date: new Date(Date.UTC(2000, 2, 11, 23, 5, 9, 123))}), 'Sunday 7 12th 0 71 10 2000 00 am AM 003 12 0 12 123000 123 Europe/Paris 0 3600 952815909|Sun, 12 Mar 2000 00:05:09 +0100');
+    test.equal(render('{{ "2010-07-28 15:00"|date("a A g h I z t L p") }}|{{ "2010-07-28 15:00"|date("p", "UTC") }}|{{ "2010-01-28"|date("O T", "America/New_York") }}|{{ "2000-02-10"|date("n t L") }}'), 'pm PM 3 03 1 208 31 0 +02:00|Z|-0500 EST|2 29 1');
+    test.equal(render('{{ "2010-01-28"|date("T", "America/Sao_Paulo") }}'), '-02', 'the offset is used for the timezones without abbreviation');
+
+    let ancient = new Date(0);
+    let early = new Date(0);
+
+    ancient.setUTCFullYear(-5, 0, 1);
+    early.setUTCFullYear(50, 5, 1);
+
+    test.equal(render('{{ ancient|date("Y-m-d H:i") }}|{{ early|date("Y-m-d H:i") }}', {ancient: ancient, early: early}), '-0005-01-01 00:09|0050-06-01 00:09', 'the years before 100 are supported');
+    test.equal(render('{{ 1264689000|date }}', {}, function (extension) {
+      extension.setDateFormat('d/m/Y');
+      extension.setTimezone('UTC');
+    }), '28/01/2010');
+    test.equal(render('{{ 1264689000|date }}', {}, function (extension) {
+      extension.setDateFormat(null, '%h hours');
+
+      test.same(extension.getDateFormat(), ['F j, Y H:i', '%h hours']);
+    }), 'January 28, 2010 15:30');
+    test.equal(render('{{ "2010-01-31"|date_modify("+1 month")|date("Y-m-d") }}|{{ "2010-01-31 10:00"|date_modify("last day of next month")|date("Y-m-d H:i") }}|{{ "2010-01-28"|date_modify("next monday")|date("Y-m-d") }}|{{ "2010-01-28"|date_modify("2 days ago")|date("Y-m-d") }}'), '2010-03-03|2010-02-28 10:00|2010-02-01|2010-01-26');
+    test.equal(render([
+      'noon', 'today', 'midnight', 'tomorrow', 'yesterday', 'now', '10:30pm', '12:15 a.m.', '3:04:05.5',
+      'thurs', 'tues', 'last friday', 'this thursday', 'previous week', '+1 fortnight', '-2 hours 30 min', '3 sec', '1 year',
+      '28 february', '3rd march 2011', 'march 5th, 2011', 'dec 2011', 'june', 'first day of next month', '@86400', '+0100', '-0500', '2010-01-28 10:00:00.5 gmt',
+      'next thursday', 'last thursday'
+    ].map(function (modifier) {
+      return '{{ "2010-01-28 15:20"|date_modify("' + modifier + '")|date("Y-m-d H:i:s.v") }}';
+    }).join('\n')), [
+      '2010-01-28 12:00:00.000', '2010-01-28 00:00:00.000', '2010-01-28 00:00:00.000', '2010-01-29 00:00:00.000', '2010-01-27 00:00:00.000', '2010-01-28 15:20:00.000', '2010-01-28 22:30:00.000', '2010-01-28 00:15:00.000', '2010-01-28 03:04:05.500',
+      '2010-01-28 00:00:00.000', '2010-02-02 00:00:00.000', '2010-01-22 00:00:00.000', '2010-01-28 00:00:00.000', '2010-01-21 15:20:00.000', '2010-02-11 15:20:00.000', '2010-01-28 13:50:00.000', '2010-01-28 15:20:03.000', '2011-01-28 15:20:00.000',
+      '2010-02-28 00:00:00.000', '2011-03-03 00:00:00.000', '2011-03-05 00:00:00.000', '2011-12-01 15:20:00.000', '2010-06-28 15:20:00.000', '2010-02-01 15:20:00.000', '1970-01-02 01:00:00.000', '2010-01-28 15:20:00.000', '2010-01-28 15:20:00.000', '2010-01-28 11:00:00.500',
+      '2010-02-04 00:00:00.000', '2010-01-21 00:00:00.000'
+    ].join('\n'));
+    test.throws(function () {
+      render('{{ "2010-01-28"|date_modify("foo") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Failed to parse time string (foo) in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ "foo"|date }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Failed to parse time string (foo) in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ "now"|date("Y", "Foo/Bar") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Unknown or bad timezone (Foo/Bar) in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('functions', function (test) {
+    let env = createEnvironment({
+      index: '{{ include("foo", {bar: 2}) }}|{{ include("foo", with_context = false) }}|{{ include("missing", ignore_missing = true) }}|{{ source("foo") }}',
+      foo: '[{{ bar|default("none") }}]',
+      missing_source: '{{ source("missing", ignore_missing = true) }}|{{ source("missing") }}',
+      missing_include: '{{ include("missing") }}'
+    });
+
+    test.equal(env.render('index', {bar: 1}), '[2]|[none]||[{{ bar|default("none") }}]');
+    test.throws(function () {
+      env.render('missing_source');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined in "missing_source" at line 1.'
+    });
+    test.throws(function () {
+      env.render('missing_include');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined in "missing_include" at line 1.'
+    });
+
+    env = createEnvironment({
+      index: '{{ include(template_from_string("Hello {{ bar }}")) }}|{{ include(template_from_string("{% include \'foo\' %}"), {bar: 2}) }}',
+      foo: '[{{ bar }}]'
+    });
+
+    test.equal(env.render('index', {bar: '<1>'}), 'Hello &lt;1&gt;|[2]', 'templates created from strings can use the other templates');
+
+    test.equal(render('{{ max(1, 3, 2) }}|{{ max([1, 5]) }}|{{ min({a: 4, b: 2}) }}|{{ min("b", "a") }}|{{ min(1, 3, 2) }}'), '3|5|2|a|1');
+    test.equal(render('{{ range(1, 5, 2)|join }}|{{ range("a", "c")|join }}'), '135|abc');
+    test.equal(render('{{ constant("Math.PI") }}|{{ constant("TwigTemplate.ANY_CALL") }}|{{ constant("ANY_CALL", template) }}|{{ constant("Foo.BAR") is defined ? "yes" : "no" }}|{{ constant("Math.E") is defined ? "yes" : "no" }}', {template: new (require('../src/template'))()}), '3.141592653589793|any|any|no|yes');
+    test.equal(render('{% for i in 0..4 %}{{ cycle(["a", "b"], i) }}{% endfor %}|{{ cycle("a", 1) }}'), 'ababa|a');
+    test.throws(function () {
+      render('{{ cycle([], 1) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The "cycle" function does not work on empty sequences in "index" at line 1.'
+    });
+    test.equal(render('{{ random(5) <= 5 and random(5) >= 0 ? "ok" }}|{{ random(-5) <= 0 ? "ok" }}|{{ random(10, 10) }}|{{ random("a") }}|{{ random([7]) }}|{{ random({a: 8}) }}|{{ random("") }}'), 'ok|ok|10|a|7|8|');
+    test.equal(render('{{ random(5, 1) >= 1 and random(5, 1) <= 5 ? "ok" }}|{{ random() >= 0 and random() <= 2147483647 ? "ok" }}|{{ random(null, 0) }}|{{ random(true) }}'), 'ok|ok|0|1');
+    test.equal(render('{{ date(1264689000)|date("Y-m-d H:i") }}|{{ date("2010-01-28")|date("Y-m-d H:i") }}'), '2010-01-28 15:30|2010-01-28 00:00');
+    test.throws(function () {
+      render('{{ max([]) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'max(): Argument #1 ($value) must contain at least one element in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ min([]) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'min(): Argument #1 ($value) must contain at least one element in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ constant("Foo.BAR") }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Undefined constant "Foo.BAR" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ random([]) }}');
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The random function cannot pick from an empty array in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('dump function', function (test) {
+    let env = createEnvironment({
+      index: '{{ dump(1, "é", [true, null]) }}{% import _self as macros %}{{ dump() }}'
+    }, {
+      debug: true
+    });
+
+    test.equal(env.render('index', {foo: 1.5}), 'int(1)\nstring(2) "é"\narray(2) {\n  [0]=>\n  bool(true)\n  [1]=>\n  NULL\n}\narray(1) {\n  ["foo"]=>\n  float(1.5)\n}\n');
+    test.equal(render('{{ dump(1) }}'), '', 'nothing is dumped outside of debug mode');
+
+    env = createEnvironment({
+      index: '{{ dump(floats, hash, bare, object, object) }}'
+    }, {
+      debug: true
+    });
+
+    let object = new Countable(2);
+
+    test.equal(env.render('index', {
+      floats: [0 / 0, 1 / 0, -1 / 0],
+      hash: {a: 1},
+      bare: Object.assign(Object.create(null), {b: 2}),
+      object: object
+    }), 'array(3) {\n  [0]=>\n  float(NAN)\n  [1]=>\n  float(INF)\n  [2]=>\n  float(-INF)\n}\narray(1) {\n  ["a"]=>\n  int(1)\n}\narray(1) {\n  ["b"]=>\n  int(2)\n}\nobject(Countable)#1 (1) {\n  ["items"]=>\n  int(2)\n}\nobject(Countable)#1 (1) {\n  ["items"]=>\n  int(2)\n}\n', 'the objects keep their identifier');
+
+    test.end();
+  });
+
+  test.test('tests', function (test) {
+    test.equal(render('{{ 2 is even ? "y" : "n" }}{{ 3 is even ? "y" : "n" }}{{ 3 is odd ? "y" : "n" }}{{ 2 is odd ? "y" : "n" }}'), 'ynyn');
+    test.equal(render('{{ false is same as(false) ? "y" : "n" }}{{ 0 is same as(false) ? "y" : "n" }}{{ 9 is divisible by(3) ? "y" : "n" }}{{ 9 is divisible by(2) ? "y" : "n" }}'), 'ynyn');
+    test.equal(render('{{ [] is empty ? "y" : "n" }}{{ "" is empty ? "y" : "n" }}{{ "0" is empty ? "y" : "n" }}{{ {a: 1} is empty ? "y" : "n" }}{{ null is empty ? "y" : "n" }}'), 'yynny');
+    test.equal(render('{{ a is empty ? "y" : "n" }}{{ b is empty ? "y" : "n" }}{{ c is empty ? "y" : "n" }}{{ d is empty ? "y" : "n" }}', {
+      a: new Countable(0),
+      b: new Countable(1),
+      c: new Stringable(''),
+      d: new Stringable('a')
+    }), 'ynyn');
+    test.equal(render('{{ {} is iterable ? "y" : "n" }}{{ [] is iterable ? "y" : "n" }}{{ "a" is iterable ? "y" : "n" }}{{ foo is iterable ? "y" : "n" }}', {foo: new Set([1])}), 'yyny');
+    test.equal(render('{{ 3.141592653589793 is constant("Math.PI") ? "y" : "n" }}{{ "any" is constant("ANY_CALL", template) ? "y" : "n" }}{{ foo is null ? "y" : "n" }}{{ foo is none ? "y" : "n" }}', {foo: null, template: new (require('../src/template'))()}), 'yyyy');
+
+    test.end();
+  });
+
+  test.test('named arguments', function (test) {
+    test.equal(render('{{ "abcdef"|slice(length = 2, start = 1) }}|{{ [1, 2, 3]|slice(1, preserve_keys = true)|json_encode }}|{{ "abcdef"|slice(2) }}'), 'bc|{"1":2,"2":3}|cdef');
+    test.equal(render('{{ 1234.5|number_format(decimal_point = ",") }}|{{ 1234.5|number_format(2, thousand_sep = " ") }}|{{ [1, 2]|join(and = " & ") }}'), '1,235|1 234.50|1 & 2');
+    test.equal(render('{{ "2010-01-28"|date(timezone = "UTC", format = "Y-m-d H:i") }}|{{ 2.5|round(method = "floor") }}|{{ " a "|trim(side = "left") }}'), '2010-01-27 23:00|2|a ');
+    test.throws(function () {
+      render('{{ "a"|slice(foo = 1) }}');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unknown argument "foo" for filter "slice(start, length, preserve_keys)" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ "a"|slice(start = 1, 2) }}');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Positional arguments cannot be used after named arguments for filter "slice" in "index" at line 1.'
+    });
+    test.throws(function () {
+      render('{{ "a"|slice(1, start = 1) }}');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Argument "start" is defined twice for filter "slice" in "index" at line 1.'
+    });
+
+    let env = createEnvironment({
+      defaults: '{{ url(b = "B") }}|{{ url("https://example.com", b = "C") }}',
+      comments: '{{ comments(b = 2) }}',
+      native: '{{ native(a = 1) }}',
+      bound: '{{ bound(a = 1) }}',
+      strings: '{{ strings(b = 2) }}',
+      nested: '{{ nested(c = 3) }}',
+      arrow: '{{ arrow(value = 1) }}',
+      destructured: '{{ destructured(b = 2) }}',
+      dynamic: '{{ "foo"|asset_path(suffix = "!") }}',
+      nothing: '{{ nothing(a = 1) }}',
+      unknown: '{{ strings(c = 1, d = 2) }}',
+      no_callable: '{{ no_callable(a = 1) }}',
+      variadic: '{{ variadic(1, 2, 3, c = 4) }}',
+      not_variadic: '{{ not_variadic(a = 1) }}',
+      test: '{{ 5 is between(max = 10, min = 1) ? "yes" : "no" }}'
+    });
+
+    env.addFunction(new TwigFunction('url', function (a = "http://x/*", b = 'y)', c = `//${a}`) {
+      return [a, b, c].join(' ');
+    }));
+    env.addFunction(new TwigFunction('comments', function (a /* = 1, x */, // c
+      b) {
+      return a + '-' + b;
+    }));
+    env.addFunction(new TwigFunction('native', Math.max));
+    env.addFunction(new TwigFunction('bound', function (a) {
+      return a;
+    }.bind(null)));
+    env.addFunction(new TwigFunction('strings', function (a = "\",)", b = '\\\'') {
+      return a + b;
+    }));
+    env.addFunction(new TwigFunction('nested', function (a = [1, 2], b = Math.max(1, 2), c = {d: 1}) {
+      return [a, b, c].join('|');
+    }));
+    env.addFunction(new TwigFunction('arrow', value => value + 1));
+    env.addFunction(new TwigFunction('destructured', function ({a} = {}, b) {
+      return b;
+    }));
+    env.addFilter(new TwigFilter('*_path', function (type, value, suffix = '') {
+      return type + ':' + value + suffix;
+    }));
+    env.addFunction(new TwigFunction('nothing', function () {
+      return 'nothing';
+    }));
+    env.addFunction(new TwigFunction('no_callable'));
+    env.addTest(new TwigTest('between', function (value, min, max) {
+      return (value >= min) && (value <= max);
+    }));
+    env.addFunction(new TwigFunction('variadic', function (a, b, ...rest) {
+      return rest;
+    }, {is_variadic: true}));
+    env.addFunction(new TwigFunction('not_variadic', function notVariadic(a) {
+      return a;
+    }, {is_variadic: true}));
+
+    test.equal(env.render('defaults'), 'http://x/* B //http://x/*|https://example.com C //https://example.com', 'default values are not mistaken for comments');
+    test.equal(env.render('comments'), 'undefined-2', 'comments are ignored');
+    test.equal(env.render('strings'), '&quot;,)2', 'the string literals of the default values are skipped');
+    test.equal(env.render('nested'), '1,2|2|3', 'the commas of the nested default values are skipped');
+    test.equal(env.render('arrow'), '2');
+    test.equal(env.render('destructured'), '2', 'destructured parameters are named by their position');
+    test.equal(env.render('dynamic'), 'asset:foo!', 'the arguments of the dynamic filters are skipped');
+    test.equal(env.render('test'), 'yes');
+    test.throws(function () {
+      env.render('nothing');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unknown argument "a" for function "nothing()" in "nothing" at line 1.'
+    });
+    test.throws(function () {
+      env.render('unknown');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unknown arguments "c", "d" for function "strings(a, b)" in "unknown" at line 1.'
+    });
+    test.throws(function () {
+      env.render('no_callable');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'An exception has been thrown during the compilation of a template ("Named arguments are not supported for function "no_callable".") in "no_callable".'
+    });
+    test.throws(function () {
+      env.render('variadic');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unknown argument "c" for function "variadic(a, b)" in "variadic" at line 1.'
+    }, 'the extra positional arguments of the variadic callables are accepted');
+    test.throws(function () {
+      env.render('not_variadic');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'An exception has been thrown during the compilation of a template ("The last parameter of "notVariadic" for function "not_variadic" must be a rest parameter, eg. "...$args".") in "not_variadic".'
+    });
+
+    ['native', 'bound'].forEach(function (name) {
+      test.throws(function () {
+        env.render(name);
+      }, {
+        name: 'TwigErrorSyntax',
+        message: 'Named arguments are not supported for function "' + name + '" as the parameters of its callable cannot be read (native and bound functions are not supported) in "' + name + '" at line 1.'
+      });
+    });
+
+    test.end();
+  });
+});
@@ -0,0 +1,247 @@
+const tap = require('tap');
+const TwigFilter = require('../src/filter');
+const TwigFunction = require('../src/function');
+const TwigMarkup = require('../src/markup');
+const TwigExtensionEscaper = require('../src/extension-escaper');
+const TwigFileExtensionEscapingStrategy = require('../src/file-extension-escaping-strategy');
+const {createEnvironment} = require('./helpers/environment');
+
+let render = function (template, context, options) {
+  return createEnvironment({index: template}, options).render('index', context || {});
+};
+
+tap.test('extension-escaper', function (test) {
+  test.plan(9);
+
+  test.test('escaping strategies', function (test) {
+    let context = {
+      html: '<a href="x">\'é&',
+      special: 'é\'\u{1F600}\n< -,._'
+    };
+
+    test.equal(render('{{ html|e }}|{{ html|e("html") }}', context), '&lt;a href=&quot;x&quot;&gt;&#039;é&amp;|&lt;a href=&quot;x&quot;&gt;&#039;é&amp;');
+    test.equal(render('{{ special|e("js") }}', context), '\\u00E9\\x27\\uD83D\\uDE00\\x0A\\x3C\\x20\\x2D,._');
+    test.equal(render('{{ special|e("css") }}', context), '\\E9 \\27 \\1F600 \\A \\3C \\20 \\2D \\2C \\2E \\5F ');
+    test.equal(render('{{ special|e("html_attr") }}|{{ "\u0001\t"|e("html_attr") }}', context), '&#x00E9;&#x27;&#x1F600;&#x0A;&lt;&#x20;-,._|&#xFFFD;&#x09;');
+    test.equal(render('{{ special|e("url") }}', context), '%C3%A9%27%F0%9F%98%80%0A%3C%20-%2C._');
+    test.equal(render('{{ 3|e("js") }}|{{ null|e("css") }}|{{ markup|e("js") }}', {markup: new TwigMarkup('<i>', 'UTF-8')}), '3||\\x3Ci\\x3E', 'only strings and objects with a string representation are escaped');
+
+    test.throws(function () {
+      render('{{ lone|e("js") }}', {lone: 'a\uD800b'});
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'The string to escape is not a valid UTF-8 string in "index" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('auto-escaping', function (test) {
+    let context = {
+      foo: '<br>'
+    };
+
+    test.equal(render('{{ foo }}|{{ foo|raw }}|{{ foo|e }}|{{ foo|e("js") }}|{{ foo|upper }}|{{ "<b>" }}|{{ "<b>" ~ foo }}', context), '&lt;br&gt;|<br>|&lt;br&gt;|\\x3Cbr\\x3E|&lt;BR&gt;|<b>|&lt;b&gt;&lt;br&gt;', 'values are only escaped once');
+    test.equal(render('{{ foo }}', context, {autoescape: false}), '<br>');
+    test.equal(render('{{ foo }}', context, {autoescape: 'js'}), '\\x3Cbr\\x3E');
+    test.equal(render('{{ foo ? foo|raw : "<i>" }}|{{ foo ? foo : "<i>" }}', context), '<br>|&lt;br&gt;', 'a conditional is safe when both of its branches are');
+    test.equal(render('{% set bar %}<i>{{ foo }}</i>{% endset %}{{ bar }}|{% macro m(a) %}<{{ a }}>{% endmacro %}{% import _self as macros %}{{ macros.m(foo) }}', context), '<i>&lt;br&gt;</i>|<&lt;br&gt;>', 'captured output and macro calls are markup');
+    test.equal(render('{% block b %}<i>{{ foo }}</i>{% endblock %}|{{ block("b") }}', context), '<i>&lt;br&gt;</i>|<i>&lt;br&gt;</i>', 'blocks are safe');
+
+    test.end();
+  });
+
+  test.test('autoescape tag', function (test) {
+    let context = {
+      foo: '<br>'
+    };
+
+    test.equal(render('{% autoescape %}{{ foo }}{% endautoescape %}|{% autoescape "js" %}{{ foo }}{% autoescape false %}{{ foo }}{% endautoescape %}{% endautoescape %}|{{ foo }}', context), '&lt;br&gt;|\\x3Cbr\\x3E<br>|&lt;br&gt;');
+    test.equal(render('{% autoescape "html" %}{{ foo }}{% endautoescape %}|{{ foo }}', context, {autoescape: false}), '&lt;br&gt;|<br>');
+    test.equal(render('{% autoescape "js" %}{{ foo|e("js") }}|{{ foo|e }}{% endautoescape %}', context), '\\x3Cbr\\x3E|\\x26lt\\x3Bbr\\x26gt\\x3B', 'values escaped for another strategy are escaped again');
+
+    test.end();
+  });
+
+  test.test('safe filters and functions', function (test) {
+    let env = createEnvironment({
+      index: '{{ foo|safe_html }}|{{ foo|safe_html|upper }}|{{ foo|keep_safety }}|{{ foo|raw|keep_safety }}|{{ foo|pre_escaped }}|{{ "<i>"|pre_escaped }}|{{ safe_html() }}|{{ safe_callback("<b>") }}|{{ safe_callback(foo) }}',
+      unsafe: '{{ unsafe_callback() }}'
+    });
+
+    env.addFilter(new TwigFilter('safe_html', function (value) {
+      return value;
+    }, {is_safe: ['html']}));
+    env.addFilter(new TwigFilter('keep_safety', function (value) {
+      return value;
+    }, {preserves_safety: ['html']}));
+    env.addFilter(new TwigFilter('pre_escaped', function (value) {
+      return '<p>' + value + '</p>';
+    }, {pre_escape: 'html', is_safe: ['html']}));
+    env.addFunction(new TwigFunction('safe_html', function () {
+      return '<hr>';
+    }, {is_safe: ['html']}));
+    env.addFunction(new TwigFunction('safe_callback', function (value) {
+      return value;
+    }, {
+      is_safe_callback: function (args) {
+        return args.getNode(0).constructor.name === 'TwigNodeExpressionConstant' ? ['all'] : [];
+      }
+    }));
+    env.addFunction(new TwigFunction('unsafe_callback', function () {
+      return '<hr>';
+    }, {
+      is_safe_callback: function () {
+      }
+    }));
+
+    test.equal(env.render('index', {foo: '<br>'}), '<br>|&lt;BR&gt;|&lt;br&gt;|<br>|<p>&lt;br&gt;</p>|<p><i></p>|<hr>|<b>|&lt;br&gt;');
+    test.equal(env.render('unsafe'), '&lt;hr&gt;', 'the functions are not safe when the callback returns nothing');
+
+    test.end();
+  });
+
+  test.test('default strategy', function (test) {
+    let templates = {
+      'index.js.twig': '{{ foo }}',
+      'index.css': '{{ foo }}',
+      'index.txt.twig': '{{ foo }}',
+      'index.html.twig': '{{ foo }}',
+      'index': '{{ foo }}'
+    };
+    let env = createEnvironment(templates, {autoescape: 'name'});
+    let results = Object.keys(templates).map(function (name) {
+      return env.render(name, {foo: '<br>'});
+    });
+
+    test.same(results, ['\\x3Cbr\\x3E', '\\3C br\\3E ', '<br>', '&lt;br&gt;', '&lt;br&gt;']);
+
+    env = createEnvironment(templates, {
+      autoescape: function (name) {
+        return name === 'index' ? 'url' : false;
+      }
+    });
+
+    test.equal(env.render('index', {foo: '<br>'}), '%3Cbr%3E');
+    test.equal(env.render('index.css', {foo: '<br>'}), '<br>');
+
+    test.end();
+  });
+
+  test.test('custom escapers', function (test) {
+    let env = createEnvironment({
+      index: '{{ foo|e("markdown") }}|{% autoescape "markdown" %}{{ foo }}|{{ foo|e("markdown") }}|{{ foo|e("markdown")|upper }}|{{ foo|e }}{% endautoescape %}',
+      invalid: '{{ foo|e("xml") }}',
+      other: '{{ foo|e("markdown", "ISO-8859-1") }}|{{ 3|e("type") }}|{{ [3]|e("type") }}'
+    });
+    let extension = env.getExtension('TwigExtensionEscaper');
+    let markdown = function (env, string, charset) {
+      return string.replace(/[*_]/g, '\\$&') + (charset === 'UTF-8' ? '' : '!');
+    };
+
+    extension.setEscaper('markdown', markdown);
+    extension.setEscaper('type', function (env, value) {
+      return typeof value;
+    });
+
+    test.same(Array.from(extension.getEscapers().keys()), ['markdown', 'type']);
+    test.equal(env.render('other', {foo: '*'}), '\\*!|number|object', 'the values that are not strings are passed as is to the custom escapers');
+    test.equal(env.render('index', {foo: '*<b>*'}), '\\*&lt;b&gt;\\*|\\*<b>\\*|\\*<b>\\*|\\\\*<B>\\\\*|\\*&lt;b&gt;\\*', 'values are only escaped again when not safe for the custom strategy');
+
+    test.throws(function () {
+      env.render('invalid', {foo: 'bar'});
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Invalid escaping strategy "xml" (valid ones: html, js, css, html_attr, url, markdown, type) in "invalid" at line 1.'
+    });
+
+    env = createEnvironment({index: '{{ foo }}'}, {autoescape: 'markdown'});
+    env.getExtension('TwigExtensionEscaper').setEscaper('markdown', markdown);
+
+    test.equal(env.render('index', {foo: '_<b>_'}), '\\_<b>\\_', 'custom strategies can be used as the default strategy');
+
+    test.end();
+  });
+
+  test.test('safe classes', function (test) {
+    class SafeHtml {
+      constructor(html) {
+        this.html = html;
+      }
+
+      toString() {
+        return this.html;
+      }
+    }
+
+    class SafeParagraph extends SafeHtml {
+      toString() {
+        return '<p>' + this.html + '</p>';
+      }
+    }
+
+    class SafeEverywhere extends SafeHtml {
+    }
+
+    let env = createEnvironment({
+      index: '{{ foo }}|{{ bar }}|{{ foo|e }}|{{ foo|upper }}|{% autoescape "js" %}{{ foo }}|{{ baz }}{% endautoescape %}'
+    });
+    let extension = env.getExtension('TwigExtensionEscaper');
+    let context = {
+      foo: new SafeHtml('<br>'),
+      bar: new SafeParagraph('<br>'),
+      baz: new SafeEverywhere('<br>')
+    };
+
+    test.equal(env.render('index', context), '&lt;br&gt;|&lt;p&gt;&lt;br&gt;&lt;/p&gt;|&lt;br&gt;|&lt;BR&gt;|\\x3Cbr\\x3E|\\x3Cbr\\x3E');
+
+    extension.addSafeClass(SafeHtml, ['html']);
+    extension.addSafeClass(SafeEverywhere, ['all']);
+
+    test.equal(env.render('index', context), '<br>|<p><br></p>|&lt;br&gt;|&lt;BR&gt;|\\x3Cbr\\x3E|<br>', 'instances of safe classes and of their subclasses are only left as is by the auto-escaping');
+
+    extension.addSafeClass(SafeHtml, ['html', 'js']);
+
+    test.same(Array.from(extension.safeClasses.get(SafeHtml)), ['html', 'js']);
+    test.equal(env.render('index', context), '<br>|<p><br></p>|&lt;br&gt;|&lt;BR&gt;|<br>|<br>');
+
+    extension.setSafeClasses(new Map([[SafeParagraph, ['html']]]));
+
+    test.equal(env.render('index', context), '&lt;br&gt;|<p><br></p>|&lt;br&gt;|&lt;BR&gt;|\\x3Cbr\\x3E|\\x3Cbr\\x3E');
+
+    extension.setSafeClasses();
+
+    test.same(Array.from(extension.safeClasses), []);
+
+    test.end();
+  });
+
+  test.test('getDefaultStrategy', function (test) {
+    test.equal(new TwigExtensionEscaper().getDefaultStrategy('foo'), 'html');
+    test.equal(new TwigExtensionEscaper(true).getDefaultStrategy('foo'), 'html');
+    test.equal(new TwigExtensionEscaper(false).getDefaultStrategy('foo'), false);
+    test.equal(new TwigExtensionEscaper('name').getDefaultStrategy('foo.js'), 'js');
+
+    let extension = new TwigExtensionEscaper();
+
+    extension.setDefaultStrategy('css');
+
+    test.equal(extension.getDefaultStrategy('foo'), 'css');
+
+    test.end();
+  });
+
+  test.test('TwigFileExtensionEscapingStrategy', function (test) {
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.js'), 'js');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.js.twig'), 'js');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.css.twig'), 'css');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.txt'), false);
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.html'), 'html');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.twig'), 'html');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo.js/bar'), 'html');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo/'), 'html');
+    test.equal(TwigFileExtensionEscapingStrategy.guess('foo\\'), 'html');
+
+    test.end();
+  });
+});
@@ -0,0 +1,148 @@
+const tap = require('tap');
+const fs = require('fs');
+const path = require('path');
+const TwigExtensionOptimizer = require('../src/extension-optimizer');
+const TwigNodeVisitorOptimizer = require('../src/node-visitor/optimizer');
+const {createEnvironment} = require('./helpers/environment');
+
+let compile = function (template, options) {
+  let env = createEnvironment({index: template}, options);
+
+  return env.compileSource(env.getLoader().getSourceContext('index'));
+};
+
+tap.test('extension-optimizer', function (test) {
+  test.plan(7);
+
+  test.test('constructor', function (test) {
+    test.equal(new TwigNodeVisitorOptimizer().optimizers, TwigNodeVisitorOptimizer.OPTIMIZE_ALL);
+    test.equal(new TwigNodeVisitorOptimizer(TwigNodeVisitorOptimizer.OPTIMIZE_FOR | TwigNodeVisitorOptimizer.OPTIMIZE_RAW_FILTER).optimizers, 6);
+    test.equal(new TwigNodeVisitorOptimizer().getPriority(), 255, 'the optimizer runs after the other visitors');
+    test.equal(new TwigExtensionOptimizer().getNodeVisitors()[0].optimizers, TwigNodeVisitorOptimizer.OPTIMIZE_ALL, 'the extension enables all the optimizations by default');
+
+    test.throws(function () {
+      new TwigNodeVisitorOptimizer(16);
+    }, new Error('Optimizer mode "16" is not valid.'));
+
+    test.throws(function () {
+      createEnvironment({index: ''}, {optimizations: 'all'}).render('index');
+    }, new Error('Optimizer mode "all" is not valid.'));
+
+    test.end();
+  });
+
+  test.test('print nodes', function (test) {
+    let template = '{% extends "parent" %}{% block foo %}{% endblock %}{% block bar %}{{ parent() }}{% endblock %}{% block baz %}{{ block("foo") }}{{ block("foo")|upper }}{% endblock %}';
+
+    let code = compile(template);
+
+    test.match(code, 'yield* this.displayBlock("foo", $context, $blocks);\n', 'block references are displayed');
+    test.match(code, 'yield* this.displayParentBlock("bar", $context, $blocks);\n', 'parent blocks are displayed');
+    test.match(code, '(yield* this.renderBlock("foo", $context, $blocks))', 'expressions using a block reference are left as is');
+
+    test.match(compile(template, {optimizations: TwigNodeVisitorOptimizer.OPTIMIZE_FOR}), 'yield* this.displayBlock("foo", $context, $blocks);\n', 'print nodes are optimized in every mode');
+
+    code = compile(template, {optimizations: 0});
+
+    test.notMatch(code, 'displayBlock("foo"');
+    test.match(code, '(yield* this.renderParentBlock("bar", $context, $blocks))');
+
+    let env = createEnvironment({
+      parent: '{% block foo %}<{{ bar }}>{% endblock %}',
+      index: '{% extends "parent" %}{% block foo %}{{ parent() }}|{{ block("baz") }}{% endblock %}{% block baz %}<i>{% endblock %}'
+    });
+
+    test.equal(env.render('index', {bar: '<br>'}), '<&lt;br&gt;>|<i>');
+
+    test.end();
+  });
+
+  test.test('for loops', function (test) {
+    let loopVariable = "$context.set('loop', ";
+
+    test.notMatch(compile('{% for i in 1..3 %}{{ i }}{% endfor %}'), loopVariable, 'the loop variable is not created when not used');
+    test.match(compile('{% for i in 1..3 %}{{ i }}{% endfor %}', {optimizations: 0}), loopVariable);
+    test.match(compile('{% for i in 1..3 %}{{ i }}{% endfor %}', {optimizations: TwigNodeVisitorOptimizer.OPTIMIZE_RAW_FILTER}), loopVariable, 'the loops are only optimized by the for optimization');
+    test.match(compile('{% for i in 1..3 %}{{ i }}{% endfor %}'), '$context.get("i")', 'the loop targets are always defined');
+
+    test.match(compile('{% for i in 1..3 %}{{ loop.index }}{% endfor %}'), loopVariable);
+    test.match(compile('{% for i in 1..3 %}{% for j in 1..3 %}{{ loop.parent.loop.index }}{% endfor %}{% endfor %}').split(loopVariable).length, 3, 'the parent loops are created when used');
+    test.match(compile('{% for i in 1..3 %}{% for j in 1..3 %}{{ loop.index }}{% endfor %}{% endfor %}').split(loopVariable).length, 2, 'only the current loop is created when used');
+    test.match(compile('{% block foo %}{% endblock %}{% for i in 1..3 %}{{ block("foo") }}{% endfor %}'), loopVariable, 'the loop variable is created when a block is referenced');
+    test.match(compile('{% for i in 1..3 %}{% include "foo" %}{% endfor %}'), loopVariable, 'the loop variable is created when a template is included');
+    test.notMatch(compile('{% for i in 1..3 %}{% include "foo" only %}{% endfor %}'), loopVariable);
+    test.match(compile('{% for i in 1..3 %}{{ include("foo") }}{% endfor %}'), loopVariable);
+    test.notMatch(compile('{% for i in 1..3 %}{{ include("foo", with_context = false) }}{% endfor %}'), loopVariable);
+
+    let env = createEnvironment({
+      index: '{% for i in 1..3 %}{{ loop.index }}{% for j in 1..2 %}{{ i }}{{ j }}{% endfor %}{% endfor %}'
+    });
+
+    test.equal(env.render('index'), '111122212233132');
+
+    test.end();
+  });
+
+  test.test('raw filters', function (test) {
+    test.notMatch(compile('{{ foo|raw }}'), 'getFilter("raw")', 'raw filters are removed');
+    test.match(compile('{{ foo|raw }}', {optimizations: TwigNodeVisitorOptimizer.OPTIMIZE_FOR}), 'getFilter("raw")');
+
+    test.equal(createEnvironment({index: '{{ foo|raw }}|{{ foo|raw|upper }}|{{ foo }}'}).render('index', {foo: '<br>'}), '<br>|&lt;BR&gt;|&lt;br&gt;');
+
+    test.end();
+  });
+
+  test.test('constant expressions', function (test) {
+    let options = {autoescape: false};
+
+    test.match(compile('{{ 60 * 60 * 24 ~ " seconds" }}', options), 'yield TwigExtensionCore.strval("86400 seconds");\n', 'constant expressions are inlined');
+    test.match(compile('{{ -(1 + 2) }}|{{ not 0 }}|{{ 7 // 2 }}|{{ 7 % 4 - 1 / 2 }}|{{ +"3" }}', options), /strval\(-3\)[^]*strval\(true\)[^]*strval\(3\)[^]*strval\(2\.5\)[^]*strval\(3\)/);
+    test.match(compile('{{ 1 + foo }}', options), 'Number(1) + Number(', 'expressions using variables are left as is');
+    test.match(compile('{{ 60 * 60 }}', {autoescape: false, optimizations: 0}), '(60 * 60)');
+
+    test.equal(createEnvironment({index: '{{ "<" ~ "br>" }}|{{ 1 ~ null ~ 2.5 }}'}).render('index'), '&lt;br&gt;|12.5', 'inlined expressions are still escaped');
+
+    test.end();
+  });
+
+  test.test('optimizations', function (test) {
+    let render = function (optimizations) {
+      return createEnvironment({
+        index: '{% for i in items %}{{ i|raw }}{{ loop.last ? "" : 2 * 3 }}{% endfor %}'
+      }, {optimizations: optimizations}).render('index', {items: ['<a>', '<b>']});
+    };
+
+    test.equal(render(-1), '<a>6<b>');
+    test.equal(render(0), render(-1), 'optimizations do not change the output');
+
+    test.end();
+  });
+
+  test.test('benchmark', function (test) {
+    let templates = {
+      index: fs.readFileSync(path.join(__dirname, 'optimizer', 'benchmark.twig'), 'utf8')
+    };
+    let context = {
+      title: 'Benchmark',
+      rows: [[1, 2], [3]]
+    };
+    let optimized = createEnvironment(templates, {optimizations: -1});
+    let unoptimized = createEnvironment(templates, {optimizations: 0});
+    let code = optimized.compileSource(optimized.getLoader().getSourceContext('index'));
+
+    // the render times are compared by the benchmark script, as they are not reliable enough for a test
+    test.notMatch(code, "$context.set('loop', ", 'the unused loop variables are not created');
+    test.notMatch(code, 'getFilter("raw")', 'the raw filters are removed');
+    test.match(code, '"86400 seconds"', 'the constant expressions are inlined');
+    test.match(code, 'yield* this.displayBlock("title", $context, $blocks);\n', 'the block references are displayed');
+
+    code = unoptimized.compileSource(unoptimized.getLoader().getSourceContext('index'));
+
+    test.match(code, "$context.set('loop', ");
+    test.match(code, 'getFilter("raw")');
+
+    test.equal(optimized.render('index', context), unoptimized.render('index', context));
+
+    test.end();
+  });
+});
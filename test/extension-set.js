@@ -0,0 +1,303 @@
+const tap = require('tap');
+const fs = require('fs');
+const path = require('path');
+const TwigExtensionSet = require('../src/extension-set');
+const TwigExtensionInterface = require('../src/extension-interface');
+const TwigFilter = require('../src/filter');
+const TwigFunction = require('../src/function');
+const TwigTest = require('../src/test');
+const TwigNodeVisitorInterface = require('../src/node-visitor-interface');
+const TwigTokenParserInterface = require('../src/token-parser-interface');
+const {createEnvironment} = require('./helpers/environment');
+
+class FooExtension extends TwigExtensionInterface {
+  getFilters() {
+    return [new TwigFilter('foo', function (value) {
+      return 'foo' + value;
+    })];
+  }
+
+  getGlobals() {
+    return new Map([['foo', 'foo'], ['bar', 'foo']]);
+  }
+}
+
+class BarExtension extends TwigExtensionInterface {
+  constructor() {
+    super();
+
+    this.initialized = [];
+  }
+
+  initRuntime(env) {
+    this.initialized.push(env);
+  }
+
+  getGlobals() {
+    return new Map([['bar', 'bar']]);
+  }
+}
+
+tap.test('extension-set', function (test) {
+  test.plan(8);
+
+  test.test('extensions', function (test) {
+    let set = new TwigExtensionSet();
+    let foo = new FooExtension();
+
+    set.setExtensions([foo, new BarExtension()]);
+
+    test.ok(set.hasExtension('FooExtension'));
+    test.notOk(set.hasExtension('BazExtension'));
+    test.equal(set.getExtension('FooExtension'), foo);
+    test.same(Array.from(set.getExtensions().keys()), ['FooExtension', 'BarExtension']);
+    test.equal(set.getSignature(), '["FooExtension","BarExtension"]');
+
+    test.throws(function () {
+      set.getExtension('BazExtension');
+    }, new Error('The "BazExtension" extension is not enabled.'));
+
+    test.throws(function () {
+      set.addExtension(new FooExtension());
+    }, new Error('Unable to register extension "FooExtension" as it is already registered.'));
+
+    test.end();
+  });
+
+  test.test('initialization', function (test) {
+    let set = new TwigExtensionSet();
+
+    set.addExtension(new FooExtension());
+    set.addFilter(new TwigFilter('bar'));
+
+    test.notOk(set.isInitialized());
+    test.same(Array.from(set.getFilters().keys()), ['foo', 'bar'], 'extensions are initialized on first use');
+    test.ok(set.isInitialized());
+
+    test.throws(function () {
+      set.addExtension(new BarExtension());
+    }, new Error('Unable to register extension "BarExtension" as extensions have already been initialized.'));
+
+    test.throws(function () {
+      set.addFilter(new TwigFilter('baz'));
+    }, new Error('Unable to add filter "baz" as extensions have already been initialized.'));
+
+    test.throws(function () {
+      set.addFunction(new TwigFunction('baz'));
+    }, new Error('Unable to add function "baz" as extensions have already been initialized.'));
+
+    test.throws(function () {
+      set.addTest(new TwigTest('baz'));
+    }, new Error('Unable to add test "baz" as extensions have already been initialized.'));
+
+    test.throws(function () {
+      set.addTokenParser(new TwigTokenParserInterface());
+    }, new Error('Unable to add a token parser as extensions have already been initialized.'));
+
+    test.throws(function () {
+      set.addNodeVisitor(new TwigNodeVisitorInterface());
+    }, new Error('Unable to add a node visitor as extensions have already been initialized.'));
+
+    class InvalidExtension extends TwigExtensionInterface {
+      getOperators() {
+        return [new Map()];
+      }
+    }
+
+    set = new TwigExtensionSet();
+    set.addExtension(new InvalidExtension());
+
+    test.throws(function () {
+      set.getFilters();
+    }, new Error('"InvalidExtension.getOperators()" must return an array of 2 elements, got 1.'));
+    test.notOk(set.isInitialized(), 'a failed initialization does not mark the set as initialized');
+
+    ['getFunctions', 'getFunction', 'getTests', 'getTest', 'getTokenParsers', 'getBinaryOperators'].forEach(function (getter) {
+      set = new TwigExtensionSet();
+      set[getter]('foo');
+
+      test.ok(set.isInitialized(), getter + ' should initialize the extensions');
+    });
+
+    test.end();
+  });
+
+  test.test('staging', function (test) {
+    class FooTokenParser extends TwigTokenParserInterface {
+      getTag() {
+        return 'foo';
+      }
+    }
+
+    class BarTokenParser extends TwigTokenParserInterface {
+      getTag() {
+        return 'bar';
+      }
+    }
+
+    let set = new TwigExtensionSet();
+
+    set.addFunction(new TwigFunction('foo'));
+    set.addFilter(new TwigFilter('foo'));
+    set.addTest(new TwigTest('foo'));
+    set.addTokenParser(new FooTokenParser());
+    set.addTokenParser(new BarTokenParser());
+
+    test.throws(function () {
+      set.addFunction(new TwigFunction('foo'));
+    }, new Error('Function "foo" is already registered.'));
+
+    test.throws(function () {
+      set.addFilter(new TwigFilter('foo'));
+    }, new Error('Filter "foo" is already registered.'));
+
+    test.throws(function () {
+      set.addTest(new TwigTest('foo'));
+    }, new Error('Test "foo" is already registered.'));
+
+    test.throws(function () {
+      set.addTokenParser(new FooTokenParser());
+    }, new Error('Tag "foo" is already registered.'));
+
+    test.same(set.getTokenParsers().map(function (parser) {
+      return parser.getTag();
+    }), ['foo', 'bar']);
+
+    test.end();
+  });
+
+  test.test('dynamic filters and functions', function (test) {
+    let env = createEnvironment({
+      index: '{{ "foo"|asset_path }}|{{ "bar"|image_url_small }}|{{ user_link_to("baz") }}|{{ "foo"|upper }}'
+    });
+
+    env.addFilter(new TwigFilter('*_path', function (type, value) {
+      return type + ':' + value;
+    }));
+    env.addFilter(new TwigFilter('*_url_*', function (a, b, value) {
+      return [a, b, value].join(',');
+    }));
+    env.addFunction(new TwigFunction('*_link_to', function (type, value) {
+      return type + ':' + value;
+    }));
+
+    test.equal(env.render('index'), 'asset:foo|image,small,bar|user:baz|FOO');
+    test.equal(env.getFilter('a.b_path').getArguments()[0], 'a.b', 'patterns match any character');
+    test.equal(env.getFilter('path'), false);
+    test.equal(env.getFunction('_link'), false);
+
+    test.end();
+  });
+
+  test.test('undefined filter and function callbacks', function (test) {
+    let env = createEnvironment({
+      index: '{{ "foo"|reverse_string }}|{{ answer() }}',
+      missing: '{{ "foo"|missing }}'
+    });
+    let names = [];
+
+    env.registerUndefinedFilterCallback(function (name) {
+      names.push(name);
+
+      return false;
+    });
+    env.registerUndefinedFilterCallback(function (name) {
+      return name === 'reverse_string' ? new TwigFilter(name, function (value) {
+        return value.split('').reverse().join('');
+      }) : false;
+    });
+    env.registerUndefinedFunctionCallback(function (name) {
+      return false;
+    });
+    env.registerUndefinedFunctionCallback(function (name) {
+      return name === 'answer' ? new TwigFunction(name, function () {
+        return 42;
+      }) : false;
+    });
+
+    test.equal(env.render('index'), 'oof|42');
+    test.same(Array.from(new Set(names)), ['reverse_string'], 'the callbacks are called until one returns a filter');
+    test.notOk(env.getFilters().has('reverse_string'), 'the filters returned by the callbacks are not registered');
+
+    test.throws(function () {
+      env.render('missing');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unknown "missing" filter in "missing" at line 1.'
+    });
+
+    test.end();
+  });
+
+  test.test('getGlobals', function (test) {
+    let set = new TwigExtensionSet();
+
+    set.setExtensions([new FooExtension(), new BarExtension()]);
+
+    test.same(Array.from(set.getGlobals()), [['foo', 'foo'], ['bar', 'bar']], 'the globals of the last extensions win');
+    test.notEqual(set.getGlobals(), set.getGlobals(), 'globals are not cached before initialization');
+
+    set.getFilters();
+
+    test.equal(set.getGlobals(), set.getGlobals());
+
+    class InvalidExtension extends TwigExtensionInterface {
+      getGlobals() {
+        return {foo: 'bar'};
+      }
+    }
+
+    set = new TwigExtensionSet();
+    set.addExtension(new InvalidExtension());
+
+    test.throws(function () {
+      set.getGlobals();
+    }, new Error('"InvalidExtension.getGlobals()" must return a Map with globals.'));
+
+    test.end();
+  });
+
+  test.test('getLastModified', function (test) {
+    let set = new TwigExtensionSet();
+
+    test.equal(set.getLastModified(), 0);
+
+    set.addExtension(new FooExtension());
+
+    test.equal(set.getLastModified(), 0, 'extensions not exported by a module are ignored');
+
+    let env = createEnvironment({index: ''});
+    let lastModified = Math.max(...['extension-core.js', 'extension-escaper.js', 'extension-optimizer.js'].map(function (name) {
+      return fs.statSync(path.join(__dirname, '..', 'src', name)).mtime.getTime();
+    }));
+
+    test.equal(env.extensionSet.getLastModified(), lastModified);
+    test.ok(env.isTemplateFresh('index', lastModified));
+    test.notOk(env.isTemplateFresh('index', lastModified - 1), 'templates compiled before a change of an extension are not fresh');
+
+    env.render('index');
+
+    test.equal(env.extensionSet.getLastModified(), lastModified);
+    test.equal(env.extensionSet.lastModified, lastModified, 'the time is cached once the extensions are initialized');
+    test.equal(env.extensionSet.getLastModified(), lastModified);
+
+    test.end();
+  });
+
+  test.test('initRuntime', function (test) {
+    let env = createEnvironment({index: 'foo', other: 'bar'});
+    let extension = new BarExtension();
+
+    env.addExtension(extension);
+
+    test.same(extension.initialized, []);
+
+    env.render('index');
+    env.render('other');
+
+    test.equal(extension.initialized.length, 1, 'the runtime is only initialized once');
+    test.equal(extension.initialized[0], env);
+
+    test.end();
+  });
+});
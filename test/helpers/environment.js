@@ -0,0 +1,20 @@
+const TwigEnvironment = require('../../src/environment');
+const TwigLoaderArray = require('../../src/loader/array');
+
+/**
+ * Returns an environment serving the given templates, with auto reloading disabled by default.
+ *
+ * @param {Object|Map} [templates] The templates, keyed by name
+ * @param {{}}         [options]   The options of the environment
+ *
+ * @return {TwigEnvironment}
+ */
+let createEnvironment = function (templates, options) {
+  return new TwigEnvironment(new TwigLoaderArray(templates), Object.assign({
+    auto_reload: false
+  }, options));
+};
+
+module.exports = {
+  createEnvironment: createEnvironment
+};
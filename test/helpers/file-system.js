@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Removes a directory and its content, like fs.rmSync that is not available before Node.js 14.14.
+ *
+ * @param {string} directory
+ */
+let removeDirectory = function (directory) {
+  fs.readdirSync(directory).forEach(function (entry) {
+    let entryPath = path.join(directory, entry);
+
+    if (fs.lstatSync(entryPath).isDirectory()) {
+      removeDirectory(entryPath);
+    }
+    else {
+      fs.unlinkSync(entryPath);
+    }
+  });
+
+  fs.rmdirSync(directory);
+};
+
+module.exports = {
+  removeDirectory: removeDirectory
+};
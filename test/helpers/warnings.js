@@ -0,0 +1,28 @@
+/**
+ * Calls a function and returns the messages of the warnings it emitted, without printing them.
+ *
+ * @param {Function} callback
+ *
+ * @return {string[]}
+ */
+let captureWarnings = function (callback) {
+  let emitWarning = process.emitWarning;
+  let messages = [];
+
+  process.emitWarning = function (message) {
+    messages.push(message);
+  };
+
+  try {
+    callback();
+  }
+  finally {
+    process.emitWarning = emitWarning;
+  }
+
+  return messages;
+};
+
+module.exports = {
+  captureWarnings: captureWarnings
+};
@@ -0,0 +1,243 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigLexer = require('../src/lexer');
+const TwigSource = require('../src/source');
+const TwigToken = require('../src/token');
+
+let tokenize = function (code, options) {
+  let lexer = new TwigLexer(new TwigEnvironment(null), options);
+
+  return lexer.tokenize(new TwigSource(code, 'index')).tokens;
+};
+
+let summarize = function (tokens) {
+  return tokens.map(function (token) {
+    return [token.getType(), token.getValue()];
+  });
+};
+
+tap.test('lexer', function (test) {
+  test.plan(9);
+
+  test.test('should tokenize text, variables, blocks and comments', function (test) {
+    let tokens = tokenize('Hello {{ name }}{# comment #}{% if foo %}bar{% endif %}');
+
+    test.same(summarize(tokens), [
+      [TwigToken.TEXT_TYPE, 'Hello '],
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'name'],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.BLOCK_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'if'],
+      [TwigToken.NAME_TYPE, 'foo'],
+      [TwigToken.BLOCK_END_TYPE, ''],
+      [TwigToken.TEXT_TYPE, 'bar'],
+      [TwigToken.BLOCK_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'endif'],
+      [TwigToken.BLOCK_END_TYPE, ''],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    test.end();
+  });
+
+  test.test('should track line numbers', function (test) {
+    let tokens = tokenize('foo\n{{\nbar\n}}\n{# a\ncomment #}{{ baz }}');
+
+    test.same(tokens.map(function (token) {
+      return token.getLine();
+    }), [1, 2, 3, 3, 4, 6, 6, 6, 6]);
+
+    test.end();
+  });
+
+  test.test('should support whitespace control modifiers', function (test) {
+    let tokens = tokenize('foo  \n  {{- bar -}}  \n  baz \n {%~ if true ~%} \n qux');
+
+    test.same(summarize(tokens.filter(function (token) {
+      return token.getType() === TwigToken.TEXT_TYPE;
+    })), [
+      [TwigToken.TEXT_TYPE, 'foo'],
+      [TwigToken.TEXT_TYPE, 'baz \n'],
+      [TwigToken.TEXT_TYPE, '\n qux']
+    ]);
+
+    test.end();
+  });
+
+  test.test('should support verbatim blocks', function (test) {
+    let tokens = tokenize('{% verbatim %}{{ foo }}{% endverbatim %}{% verbatim %} {% if %} {%- endverbatim %}');
+
+    test.same(summarize(tokens), [
+      [TwigToken.TEXT_TYPE, '{{ foo }}'],
+      [TwigToken.TEXT_TYPE, ' {% if %}'],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    test.same(summarize(tokenize('{% verbatim %} foo \n {%~ endverbatim %}')), [
+      [TwigToken.TEXT_TYPE, ' foo \n'],
+      [TwigToken.EOF_TYPE, '']
+    ], 'the line whitespace control modifier should keep the new lines');
+
+    test.throws(function () {
+      tokenize('{% verbatim %}{{ foo }}');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected end of file: Unclosed "verbatim" block in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should support string interpolation', function (test) {
+    let tokens = tokenize('{{ "foo #{bar ~ "baz"} \\#{qux}" }}');
+
+    test.same(summarize(tokens), [
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.STRING_TYPE, 'foo '],
+      [TwigToken.INTERPOLATION_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'bar'],
+      [TwigToken.OPERATOR_TYPE, '~'],
+      [TwigToken.STRING_TYPE, 'baz'],
+      [TwigToken.INTERPOLATION_END_TYPE, ''],
+      [TwigToken.STRING_TYPE, ' #{qux}'],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    test.same(summarize(tokenize('{{ "\\x41\\101\\x" }}')).slice(1, 2), [[TwigToken.STRING_TYPE, 'AAx']], 'should unescape the hexadecimal and octal sequences');
+
+    test.same(summarize(tokenize('{{ "{{" }}foo')), [
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.STRING_TYPE, '{{'],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.TEXT_TYPE, 'foo'],
+      [TwigToken.EOF_TYPE, '']
+    ], 'should ignore the delimiters found inside the strings');
+
+    test.end();
+  });
+
+  test.test('should tokenize operators, numbers, strings and punctuation', function (test) {
+    let tokens = tokenize('{{ not a and b not  in [1, 2.5] or "x" starts with \'y\\\'z\' ?? c..d }}');
+
+    test.same(summarize(tokens), [
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.OPERATOR_TYPE, 'not'],
+      [TwigToken.NAME_TYPE, 'a'],
+      [TwigToken.OPERATOR_TYPE, 'and'],
+      [TwigToken.NAME_TYPE, 'b'],
+      [TwigToken.OPERATOR_TYPE, 'not in'],
+      [TwigToken.PUNCTUATION_TYPE, '['],
+      [TwigToken.NUMBER_TYPE, 1],
+      [TwigToken.PUNCTUATION_TYPE, ','],
+      [TwigToken.NUMBER_TYPE, 2.5],
+      [TwigToken.PUNCTUATION_TYPE, ']'],
+      [TwigToken.OPERATOR_TYPE, 'or'],
+      [TwigToken.STRING_TYPE, 'x'],
+      [TwigToken.OPERATOR_TYPE, 'starts with'],
+      [TwigToken.STRING_TYPE, 'y\'z'],
+      [TwigToken.OPERATOR_TYPE, '??'],
+      [TwigToken.NAME_TYPE, 'c'],
+      [TwigToken.OPERATOR_TYPE, '..'],
+      [TwigToken.NAME_TYPE, 'd'],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    test.same(summarize(tokenize('{{ a|map((v, k) => v <=> k) }}')).slice(5, 14), [
+      [TwigToken.PUNCTUATION_TYPE, '('],
+      [TwigToken.NAME_TYPE, 'v'],
+      [TwigToken.PUNCTUATION_TYPE, ','],
+      [TwigToken.NAME_TYPE, 'k'],
+      [TwigToken.PUNCTUATION_TYPE, ')'],
+      [TwigToken.ARROW_TYPE, '=>'],
+      [TwigToken.NAME_TYPE, 'v'],
+      [TwigToken.OPERATOR_TYPE, '<=>'],
+      [TwigToken.NAME_TYPE, 'k']
+    ]);
+    test.same(summarize(tokenize('{{ notice }}')).slice(1, 2), [[TwigToken.NAME_TYPE, 'notice']], 'operators ending with a letter must be followed by a space or a parenthesis');
+
+    test.end();
+  });
+
+  test.test('should support custom delimiters', function (test) {
+    let tokens = tokenize('{{ foo }}${ bar }<% if baz -%> <#~ comment #> "[[ qux ]]"', {
+      tag_comment: ['<#', '#>'],
+      tag_block: ['<%', '%>'],
+      tag_variable: ['${', '}'],
+      interpolation: ['[[', ']]']
+    });
+
+    test.same(summarize(tokens), [
+      [TwigToken.TEXT_TYPE, '{{ foo }}'],
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'bar'],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.BLOCK_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'if'],
+      [TwigToken.NAME_TYPE, 'baz'],
+      [TwigToken.BLOCK_END_TYPE, ''],
+      [TwigToken.TEXT_TYPE, ' "[[ qux ]]"'],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    tokens = tokenize('<< "a [[ b ]]" >>', {
+      tag_variable: ['<<', '>>'],
+      interpolation: ['[[', ']]']
+    });
+
+    test.same(summarize(tokens), [
+      [TwigToken.VAR_START_TYPE, ''],
+      [TwigToken.STRING_TYPE, 'a '],
+      [TwigToken.INTERPOLATION_START_TYPE, ''],
+      [TwigToken.NAME_TYPE, 'b'],
+      [TwigToken.INTERPOLATION_END_TYPE, ''],
+      [TwigToken.VAR_END_TYPE, ''],
+      [TwigToken.EOF_TYPE, '']
+    ]);
+
+    test.end();
+  });
+
+  test.test('should support the line tag', function (test) {
+    let tokens = tokenize('{% line 10 %}{{ foo }}');
+
+    test.equal(tokens[0].getLine(), 10);
+
+    test.end();
+  });
+
+  test.test('should throw syntax errors with the template line', function (test) {
+    test.throws(function () {
+      tokenize('{{ foo }}\n{{ bar( }}');
+    }, {name: 'TwigErrorSyntax', message: 'Unclosed "(" in "index" at line 2.'});
+
+    test.throws(function () {
+      tokenize('{{ foo ] }}');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected "]" in "index" at line 1.'});
+
+    test.throws(function () {
+      tokenize('{{ foo }}{# bar');
+    }, {name: 'TwigErrorSyntax', message: 'Unclosed comment in "index" at line 1.'});
+
+    test.throws(function () {
+      tokenize('\n\n{{ foo ');
+    }, {name: 'TwigErrorSyntax', message: 'Unclosed "variable" in "index" at line 3.'});
+
+    test.throws(function () {
+      tokenize('{% foo ');
+    }, {name: 'TwigErrorSyntax', message: 'Unclosed "block" in "index" at line 1.'});
+
+    test.throws(function () {
+      tokenize('{{ "foo }}');
+    }, {name: 'TwigErrorSyntax', message: 'Unclosed """ in "index" at line 1.'});
+
+    test.throws(function () {
+      tokenize('{{ foo @ }}');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected character "@" in "index" at line 1.'});
+
+    test.throws(function () {
+      tokenize('{{ "foo\\');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected character "\\" in "index" at line 1.'});
+
+    test.end();
+  });
+});
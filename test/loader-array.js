@@ -0,0 +1,113 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderArray = require('../src/loader/array');
+const TwigLoaderInterface = require('../src/loader-interface');
+const TwigSource = require('../src/source');
+
+tap.test('loader/array', function (test) {
+  test.plan(6);
+
+  test.test('getSourceContext', function (test) {
+    let loader = new TwigLoaderArray({foo: 'bar'});
+
+    test.type(loader, TwigLoaderInterface);
+    test.same(loader.getSourceContext('foo'), new TwigSource('bar', 'foo'));
+    test.same(new TwigLoaderArray(new Map([[1, 'bar']])).getSourceContext(1), new TwigSource('bar', '1'), 'names are strings');
+
+    test.throws(function () {
+      loader.getSourceContext('missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined.'
+    });
+
+    test.end();
+  });
+
+  test.test('getSourceContextAsync', function (test) {
+    let loader = new TwigLoaderArray({foo: 'bar'});
+    let loaderInterface = new TwigLoaderInterface();
+
+    test.equal(loaderInterface.getSourceContext('foo'), undefined, 'the interface does not implement anything');
+    test.equal(loaderInterface.getCacheKey('foo'), undefined);
+    test.equal(loaderInterface.isFresh('foo', 0), undefined);
+    test.equal(loaderInterface.exists('foo'), undefined);
+
+    return loader.getSourceContextAsync('foo').then(function (source) {
+      test.same(source, new TwigSource('bar', 'foo'), 'the source is loaded synchronously by default');
+
+      return loader.getSourceContextAsync('missing');
+    }).then(function () {
+      test.fail('missing templates are rejected');
+    }, function (e) {
+      test.match(e, {
+        name: 'TwigErrorLoader',
+        message: 'Template "missing" is not defined.'
+      }, 'missing templates are rejected');
+    });
+  });
+
+  test.test('getCacheKey', function (test) {
+    let loader = new TwigLoaderArray({foo: 'bar'});
+
+    test.equal(loader.getCacheKey('foo'), 'foo:bar', 'the cache key changes with the source');
+
+    test.throws(function () {
+      loader.getCacheKey('missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined.'
+    });
+
+    test.end();
+  });
+
+  test.test('isFresh', function (test) {
+    let loader = new TwigLoaderArray({foo: 'bar'});
+
+    test.ok(loader.isFresh('foo', 0));
+
+    test.throws(function () {
+      loader.isFresh('missing', 0);
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined.'
+    });
+
+    test.end();
+  });
+
+  test.test('setTemplate and exists', function (test) {
+    let loader = new TwigLoaderArray();
+
+    test.notOk(loader.exists('foo'));
+
+    loader.setTemplate('foo', 'bar');
+
+    test.ok(loader.exists('foo'));
+    test.equal(loader.getSourceContext('foo').getCode(), 'bar');
+
+    loader.setTemplate('foo', 'baz');
+
+    test.equal(loader.getSourceContext('foo').getCode(), 'baz');
+    test.equal(loader.getCacheKey('foo'), 'foo:baz');
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let loader = new TwigLoaderArray({
+      index: '{% extends "layout" %}{% block content %}{{ name }}{% endblock %}',
+      layout: '<p>{% block content %}{% endblock %}</p>'
+    });
+    let env = new TwigEnvironment(loader, {auto_reload: true});
+
+    test.equal(env.render('index', {name: 'foo'}), '<p>foo</p>');
+
+    loader.setTemplate('layout', '<div>{% block content %}{% endblock %}</div>');
+
+    test.equal(new TwigEnvironment(loader).render('index', {name: 'foo'}), '<div>foo</div>');
+
+    test.end();
+  });
+});
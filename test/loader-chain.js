@@ -0,0 +1,188 @@
+const tap = require('tap');
+const path = require('path');
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderArray = require('../src/loader/array');
+const TwigLoaderChain = require('../src/loader/chain');
+const TwigLoaderFileSystem = require('../src/loader/file-system');
+const TwigErrorLoader = require('../src/error/loader');
+const TwigSource = require('../src/source');
+
+/**
+ * A loader without the exists method, failing for the templates it does not hold.
+ */
+class ObjectLoader {
+  constructor(templates) {
+    this.templates = templates;
+    this.calls = 0;
+  }
+
+  getSourceContext(name) {
+    this.calls++;
+
+    if (!(name in this.templates)) {
+      throw new TwigErrorLoader('Template "' + name + '" is not an object property.');
+    }
+
+    return new TwigSource(this.templates[name], name, '');
+  }
+
+  getCacheKey(name) {
+    return this.getSourceContext(name).getName();
+  }
+
+  isFresh(name, time) {
+    return false;
+  }
+}
+
+tap.test('loader/chain', function (test) {
+  test.plan(6);
+
+  test.test('getSourceContext', function (test) {
+    let loader = new TwigLoaderChain([
+      new TwigLoaderArray({foo: 'bar'}),
+      new TwigLoaderArray({foo: 'foobar', bar: 'foo'}),
+      new TwigLoaderFileSystem(path.join(__dirname, 'loader', 'normal'))
+    ]);
+
+    test.equal(loader.getSourceContext('foo').getCode(), 'bar', 'the first loader holding the template wins');
+    test.equal(loader.getSourceContext('bar').getCode(), 'foo');
+    test.equal(loader.getSourceContext('index.html').getCode(), 'path (normal)');
+
+    test.end();
+  });
+
+  test.test('errors', function (test) {
+    let loader = new TwigLoaderChain([
+      new TwigLoaderArray({foo: 'bar'}),
+      new ObjectLoader({}),
+      new ObjectLoader({bar: 'baz'})
+    ]);
+
+    test.throws(function () {
+      loader.getSourceContext('missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined (Template "missing" is not an object property., Template "missing" is not an object property.).'
+    }, 'the errors of the loaders are aggregated');
+
+    test.throws(function () {
+      new TwigLoaderChain([new TwigLoaderArray()]).getCacheKey('missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined.'
+    }, 'the loaders that do not hold the template are skipped');
+
+    test.throws(function () {
+      new TwigLoaderChain().isFresh('missing', 0);
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Template "missing" is not defined.'
+    });
+
+    let failing = new TwigLoaderArray({foo: 'bar'});
+
+    failing.getSourceContext = function () {
+      throw new Error('Unexpected error.');
+    };
+
+    test.throws(function () {
+      new TwigLoaderChain([failing]).getSourceContext('foo');
+    }, new Error('Unexpected error.'), 'other errors are not caught');
+
+    failing = new ObjectLoader({});
+    failing.getSourceContext = function () {
+      throw new Error('Unexpected error.');
+    };
+
+    test.throws(function () {
+      new TwigLoaderChain([failing]).exists('foo');
+    }, new Error('Unexpected error.'), 'other errors are not caught by the loaders without the exists method');
+
+    test.end();
+  });
+
+  test.test('getSourceContextAsync', function (test) {
+    let failing = new TwigLoaderArray({foo: 'bar'});
+
+    failing.getSourceContextAsync = function () {
+      return Promise.reject(new Error('Unexpected error.'));
+    };
+
+    let loader = new TwigLoaderChain([
+      new TwigLoaderArray({foo: 'bar'}),
+      new ObjectLoader({bar: 'baz'}),
+      failing
+    ]);
+
+    return loader.getSourceContextAsync('bar').then(function (source) {
+      test.equal(source.getCode(), 'baz', 'the loaders without getSourceContextAsync are called synchronously');
+
+      return loader.getSourceContextAsync('foo');
+    }).then(function (source) {
+      test.equal(source.getCode(), 'bar');
+
+      return new TwigLoaderChain([new TwigLoaderArray(), new ObjectLoader({})]).getSourceContextAsync('missing');
+    }).then(function () {
+      test.fail('missing templates are rejected');
+    }, function (e) {
+      test.match(e, {
+        name: 'TwigErrorLoader',
+        message: 'Template "missing" is not defined (Template "missing" is not an object property.).'
+      }, 'the loaders that do not hold the template are skipped');
+
+      return new TwigLoaderChain([new ObjectLoader({}), failing]).getSourceContextAsync('foo');
+    }).then(function () {
+      test.fail('other errors are not caught');
+    }, function (e) {
+      test.match(e, new Error('Unexpected error.'), 'other errors are not caught');
+    });
+  });
+
+  test.test('getCacheKey and isFresh', function (test) {
+    let loader = new TwigLoaderChain([
+      new TwigLoaderArray({foo: 'bar'}),
+      new ObjectLoader({bar: 'baz'})
+    ]);
+
+    test.equal(loader.getCacheKey('foo'), 'foo:bar');
+    test.equal(loader.getCacheKey('bar'), 'bar');
+    test.ok(loader.isFresh('foo', 0));
+    test.notOk(loader.isFresh('bar', 0));
+
+    test.end();
+  });
+
+  test.test('addLoader and exists', function (test) {
+    let objectLoader = new ObjectLoader({bar: 'baz'});
+    let loader = new TwigLoaderChain([new TwigLoaderArray({foo: 'bar'})]);
+
+    test.ok(loader.exists('foo'));
+    test.notOk(loader.exists('bar'));
+
+    loader.addLoader(objectLoader);
+
+    test.ok(loader.exists('bar'), 'adding a loader invalidates the cache');
+    test.ok(loader.exists('bar'));
+    test.equal(objectLoader.calls, 1, 'lookups are cached');
+    test.notOk(loader.exists('missing'));
+    test.notOk(loader.exists('missing'));
+    test.equal(objectLoader.calls, 2);
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let env = new TwigEnvironment(new TwigLoaderChain([
+      new TwigLoaderArray({index: '{% include "@named/footer.html" %}|{% include "index.html" %}'}),
+      new TwigLoaderFileSystem(path.join(__dirname, 'loader', 'normal'))
+    ]), {auto_reload: false});
+
+    env.getLoader().addLoader(new TwigLoaderFileSystem());
+    env.getLoader().loaders[2].addPath(path.join(__dirname, 'loader', 'named'), 'named');
+
+    test.equal(env.render('index'), 'FOOTER|path (normal)');
+
+    test.end();
+  });
+});
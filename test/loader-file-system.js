@@ -0,0 +1,197 @@
+const tap = require('tap');
+const fs = require('fs');
+const path = require('path');
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderFileSystem = require('../src/loader/file-system');
+
+let fixtures = path.join(__dirname, 'loader');
+
+tap.test('loader/file-system', function (test) {
+  test.plan(7);
+
+  test.test('paths and namespaces', function (test) {
+    let loader = new TwigLoaderFileSystem([fixtures + '/normal', fixtures + '/normal_bis/']);
+
+    loader.setPaths([fixtures + '/named', fixtures + '/named_bis'], 'named');
+    loader.prependPath(fixtures + '/named_bis', 'named_bis');
+    loader.addPath(fixtures + '/named', 'named_bis');
+
+    test.same(loader.getNamespaces(), [TwigLoaderFileSystem.MAIN_NAMESPACE, 'named', 'named_bis']);
+    test.same(loader.getPaths(), [fixtures + '/normal', fixtures + '/normal_bis'], 'trailing separators are removed');
+    test.same(loader.getPaths('named_bis'), [fixtures + '/named_bis', fixtures + '/named']);
+    test.same(loader.getPaths('foo'), []);
+
+    test.equal(loader.getSourceContext('index.html').getCode(), 'path (normal)');
+    test.equal(loader.getSourceContext('bis.html').getCode(), 'only in normal_bis', 'paths are looked into in order');
+    test.equal(loader.getSourceContext('@named/index.html').getCode(), 'named path (named)');
+    test.equal(loader.getSourceContext('@named_bis/index.html').getCode(), 'named path (named_bis)');
+
+    loader.prependPath(fixtures + '/normal_bis');
+
+    test.equal(loader.getSourceContext('index.html').getCode(), 'path (normal_bis)', 'prepending a path invalidates the cache');
+
+    loader.prependPath(fixtures + '/named', 'new');
+
+    test.same(loader.getPaths('new'), [fixtures + '/named']);
+
+    test.throws(function () {
+      loader.addPath(fixtures + '/missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'The "' + fixtures + '/missing" directory does not exist ("' + fixtures + '/missing").'
+    });
+
+    test.end();
+  });
+
+  test.test('root path', function (test) {
+    let loader = new TwigLoaderFileSystem(['normal', 'named'], fixtures);
+
+    test.same(loader.getPaths(), ['normal', 'named'], 'relative paths are kept as is');
+    test.equal(loader.getSourceContext('footer.html').getPath(), path.join(fixtures, 'named', 'footer.html'));
+    test.equal(loader.getCacheKey('footer.html'), path.join('named', 'footer.html'), 'cache keys are relative to the root path');
+
+    loader = new TwigLoaderFileSystem([fixtures + '/normal'], fixtures + '/named');
+
+    test.equal(loader.getCacheKey('index.html'), path.join(fixtures, 'normal', 'index.html'), 'templates outside of the root path use their absolute path as cache key');
+
+    let cwd = process.cwd();
+
+    process.chdir(__dirname);
+
+    try {
+      loader = new TwigLoaderFileSystem('loader/normal');
+    }
+    finally {
+      process.chdir(cwd);
+    }
+
+    test.equal(loader.getCacheKey('index.html'), path.join('loader', 'normal', 'index.html'), 'the root path defaults to the current working directory');
+
+    test.throws(function () {
+      new TwigLoaderFileSystem('missing', fixtures);
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'The "missing" directory does not exist ("' + fixtures + path.sep + 'missing").'
+    });
+
+    test.throws(function () {
+      new TwigLoaderFileSystem('normal', fixtures + '/missing');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'The "normal" directory does not exist ("' + fixtures + '/missing' + path.sep + 'normal").'
+    }, 'missing root paths are kept as is');
+
+    test.end();
+  });
+
+  test.test('template names', function (test) {
+    let loader = new TwigLoaderFileSystem([fixtures + '/normal'], fixtures);
+
+    loader.addPath(fixtures + '/named', 'named');
+
+    test.equal(loader.getSourceContext('sub/../index.html').getCode(), 'path (normal)');
+    test.equal(loader.getSourceContext('./sub//page.html').getName(), './sub//page.html', 'the source keeps the requested name');
+    test.equal(loader.getSourceContext('sub\\page.html').getPath(), path.join(fixtures, 'normal', 'sub', 'page.html'), 'backslashes are normalized');
+
+    let errors = new Map([
+      ['../secret.html', 'Looks like you try to load a template outside configured directories (../secret.html).'],
+      ['sub/../../secret.html', 'Looks like you try to load a template outside configured directories (sub/../../secret.html).'],
+      ['@named/../secret.html', 'Looks like you try to load a template outside configured directories (../secret.html).'],
+      ['/../secret.html', 'Looks like you try to load a template outside configured directories (../secret.html).'],
+      ['index\0.html', 'A template name cannot contain NUL bytes.'],
+      ['@named', 'Malformed namespaced template name "@named" (expecting "@namespace/template_name").'],
+      ['@foo/index.html', 'There are no registered paths for namespace "foo".'],
+      ['missing.html', 'Unable to find template "missing.html" (looked into: ' + fixtures + '/normal).']
+    ]);
+
+    errors.forEach(function (message, name) {
+      test.throws(function () {
+        loader.getSourceContext(name);
+      }, {
+        name: 'TwigErrorLoader',
+        message: message
+      }, name);
+    });
+
+    test.throws(function () {
+      loader.getSourceContext('@foo/index.html');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'There are no registered paths for namespace "foo".'
+    }, 'errors are cached');
+
+    test.end();
+  });
+
+  test.test('exists', function (test) {
+    let loader = new TwigLoaderFileSystem([fixtures + '/normal']);
+
+    loader.addPath(fixtures + '/named', 'named');
+
+    test.ok(loader.exists('index.html'));
+    test.ok(loader.exists('index.html'));
+    test.ok(loader.exists('@named/footer.html'));
+    test.notOk(loader.exists('missing.html'));
+    test.notOk(loader.exists('missing.html'));
+    test.notOk(loader.exists('@foo/index.html'));
+    test.notOk(loader.exists('../secret.html'));
+    test.notOk(loader.exists('@named'));
+    test.notOk(loader.exists('sub'), 'directories are not templates');
+
+    class InvalidLoader extends TwigLoaderFileSystem {
+      validateName(name) {
+        throw new Error('Invalid name.');
+      }
+    }
+
+    test.throws(function () {
+      new InvalidLoader([fixtures + '/normal']).exists('index.html');
+    }, new Error('Invalid name.'), 'only the loading errors mean that the template does not exist');
+
+    test.end();
+  });
+
+  test.test('isFresh', function (test) {
+    let loader = new TwigLoaderFileSystem([fixtures + '/normal']);
+    let time = fs.statSync(path.join(fixtures, 'normal', 'index.html')).mtime.getTime();
+
+    test.ok(loader.isFresh('index.html', time));
+    test.ok(loader.isFresh('index.html', time + 1000));
+    test.notOk(loader.isFresh('index.html', time - 1000));
+
+    test.throws(function () {
+      loader.isFresh('missing.html', time);
+    }, {
+      name: 'TwigErrorLoader'
+    });
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let loader = new TwigLoaderFileSystem([fixtures + '/normal']);
+
+    loader.addPath(fixtures + '/named', 'named');
+
+    let env = new TwigEnvironment(loader, {auto_reload: true});
+
+    test.equal(env.render('sub/page.html', {name: 'Bob'}), 'Hello Bob, FOOTER');
+    test.equal(env.render('@named/footer.html'), 'FOOTER');
+
+    test.throws(function () {
+      env.render('@named/missing.html');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'Unable to find template "@named/missing.html" (looked into: ' + fixtures + '/named).'
+    });
+
+    test.end();
+  });
+
+  test.test('MAIN_NAMESPACE', function (test) {
+    test.equal(TwigLoaderFileSystem.MAIN_NAMESPACE, '__main__');
+
+    test.end();
+  });
+});
@@ -0,0 +1,111 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderArray = require('../src/loader/array');
+const TwigLoaderChain = require('../src/loader/chain');
+const TwigLoaderPrecompiled = require('../src/loader/precompiled');
+const {createEnvironment} = require('./helpers/environment');
+
+/**
+ * Precompiles templates the way TwigPrecompiler does, without the filesystem.
+ */
+let precompile = function (templates, options) {
+  let env = createEnvironment(templates, options);
+  let bundle = {
+    manifest: {},
+    factories: {}
+  };
+
+  Object.keys(templates).forEach(function (name) {
+    let cls = env.getTemplateClass(name);
+    let module = {exports: null};
+
+    new Function('module', env.compileSource(env.getLoader().getSourceContext(name)))(module);
+
+    bundle.manifest[cls] = {
+      name: name,
+      key: env.getLoader().getCacheKey(name)
+    };
+    bundle.factories[cls] = module.exports;
+  });
+
+  return bundle;
+};
+
+tap.test('loader/precompiled', function (test) {
+  test.plan(4);
+
+  test.test('loader', function (test) {
+    let bundle = precompile({index: 'foo'});
+    let loader = new TwigLoaderPrecompiled(bundle);
+    let cls = Object.keys(bundle.manifest)[0];
+
+    test.ok(loader.exists('index'));
+    test.notOk(loader.exists('missing'));
+    test.equal(loader.getCacheKey('index'), 'index:foo', 'the cache key is the one of the original loader');
+    test.ok(loader.isFresh('index', 0));
+    test.equal(loader.getTemplateFactory('index', cls), bundle.factories[cls]);
+    test.equal(loader.getTemplateFactory('index', 'foo'), null);
+
+    test.throws(function () {
+      loader.getSourceContext('index');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'The source of the precompiled template "index" is not available; make sure the environment options and extensions match the ones used to precompile it.'
+    });
+
+    ['getSourceContext', 'getCacheKey', 'isFresh', 'getTemplateFactory'].forEach(function (method) {
+      test.throws(function () {
+        loader[method]('missing');
+      }, {
+        name: 'TwigErrorLoader',
+        message: 'Template "missing" is not defined.'
+      }, method);
+    });
+
+    test.end();
+  });
+
+  test.test('should be usable by an environment', function (test) {
+    let env = new TwigEnvironment(new TwigLoaderPrecompiled(precompile({
+      layout: '<p>{% block content %}{% endblock %}</p>',
+      index: '{% extends "layout" %}{% block content %}{% embed "embed" %}{% block foo %}{{ name }}{% endblock %}{% endembed %}{% endblock %}',
+      embed: '[{% block foo %}{% endblock %}]'
+    })));
+
+    env.compileSource = function () {
+      throw new Error('Precompiled templates should not be compiled.');
+    };
+
+    test.equal(env.render('index', {name: 'foo'}), '<p>[foo]</p>', 'embedded templates are precompiled too');
+
+    test.end();
+  });
+
+  test.test('should fail when the environment does not match', function (test) {
+    let env = new TwigEnvironment(new TwigLoaderPrecompiled(precompile({index: 'foo'})), {strict_variables: true});
+
+    test.throws(function () {
+      env.render('index');
+    }, {
+      name: 'TwigErrorLoader',
+      message: 'The source of the precompiled template "index" is not available; make sure the environment options and extensions match the ones used to precompile it.'
+    });
+
+    test.end();
+  });
+
+  test.test('should be usable through a chain loader', function (test) {
+    let env = new TwigEnvironment(new TwigLoaderChain([
+      new TwigLoaderArray({
+        index: '{% include "precompiled" %}!',
+        string: '{{ include(template_from_string("{% include \'precompiled\' %}?")) }}'
+      }),
+      new TwigLoaderPrecompiled(precompile({precompiled: 'foo'}))
+    ]));
+
+    test.equal(env.render('index'), 'foo!');
+    test.equal(env.render('string'), 'foo?', 'nested chain loaders are supported');
+
+    test.end();
+  });
+});
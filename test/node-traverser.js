@@ -0,0 +1,184 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigFilter = require('../src/filter');
+const TwigNode = require('../src/node');
+const TwigNodeTraverser = require('../src/node-traverser');
+const TwigNodeVisitorInterface = require('../src/node-visitor-interface');
+const TwigNodePrint = require('../src/node/print');
+const TwigNodeText = require('../src/node/text');
+const TwigNodeExpressionConstant = require('../src/node/expression/constant');
+const TwigNodeExpressionFilter = require('../src/node/expression/filter');
+const TwigNodeExpressionFunction = require('../src/node/expression/function');
+const {createEnvironment} = require('./helpers/environment');
+
+/**
+ * Collects the messages passed to the trans filter.
+ */
+class TranslationExtractor extends TwigNodeVisitorInterface {
+  constructor() {
+    super();
+
+    this.messages = [];
+  }
+
+  enterNode(node, env) {
+    if ((node instanceof TwigNodeExpressionFilter) && ('trans' === node.getNode('filter').getAttribute('value')) && (node.getNode('node') instanceof TwigNodeExpressionConstant)) {
+      this.messages.push([node.getNode('node').getAttribute('value'), node.getTemplateName(), node.getTemplateLine()]);
+    }
+
+    return node;
+  }
+}
+
+/**
+ * Reports the calls to the dump function and removes them.
+ */
+class DumpLinter extends TwigNodeVisitorInterface {
+  constructor() {
+    super();
+
+    this.errors = [];
+  }
+
+  leaveNode(node, env) {
+    if ((node instanceof TwigNodePrint) && (node.getNode('expr') instanceof TwigNodeExpressionFunction) && ('dump' === node.getNode('expr').getAttribute('name'))) {
+      this.errors.push('Unexpected dump() at line ' + node.getTemplateLine() + '.');
+
+      return false;
+    }
+
+    return node;
+  }
+
+  getPriority() {
+    return -10;
+  }
+}
+
+/**
+ * Records the order in which the nodes are visited.
+ */
+class Recorder extends TwigNodeVisitorInterface {
+  constructor(name, priority, calls) {
+    super();
+
+    this.name = name;
+    this.priority = priority;
+    this.calls = calls;
+  }
+
+  enterNode(node, env) {
+    this.calls.push(this.name + ':enter:' + node.constructor.name);
+
+    return node;
+  }
+
+  leaveNode(node, env) {
+    this.calls.push(this.name + ':leave:' + node.constructor.name);
+
+    return node;
+  }
+
+  getPriority() {
+    return this.priority;
+  }
+}
+
+tap.test('node-traverser', function (test) {
+  test.plan(5);
+
+  test.test('TwigNodeVisitorInterface', function (test) {
+    let visitor = new TwigNodeVisitorInterface();
+    let node = new TwigNode();
+
+    test.equal(visitor.enterNode(node, null), node);
+    test.equal(visitor.leaveNode(node, null), node);
+    test.equal(visitor.getPriority(), 0);
+
+    test.end();
+  });
+
+  test.test('traverse', function (test) {
+    let calls = [];
+    let env = new TwigEnvironment(null);
+    let traverser = new TwigNodeTraverser(env, [new Recorder('b', 10, calls), new Recorder('a', -5, calls)]);
+    let node = new TwigNode(new Map([[0, new TwigNodeText('foo', 1)]]));
+
+    traverser.addVisitor(new Recorder('c', 10, calls));
+
+    test.equal(traverser.traverse(node), node);
+    test.same(calls, [
+      'a:enter:TwigNode', 'a:enter:TwigNodeText', 'a:leave:TwigNodeText', 'a:leave:TwigNode',
+      'b:enter:TwigNode', 'b:enter:TwigNodeText', 'b:leave:TwigNodeText', 'b:leave:TwigNode',
+      'c:enter:TwigNode', 'c:enter:TwigNodeText', 'c:leave:TwigNodeText', 'c:leave:TwigNode'
+    ], 'visitors run on the whole tree by ascending priority, then by registration order');
+    test.equal(new TwigNodeTraverser(env).traverse(node), node, 'the visitors are optional');
+
+    test.end();
+  });
+
+  test.test('should replace and remove nodes', function (test) {
+    class Replacer extends TwigNodeVisitorInterface {
+      leaveNode(node, env) {
+        if (node instanceof TwigNodeText) {
+          return 'remove' === node.getAttribute('data') ? false : new TwigNodeText(node.getAttribute('data').toUpperCase(), node.getTemplateLine());
+        }
+
+        return node;
+      }
+    }
+
+    let node = new TwigNode(new Map([
+      ['a', new TwigNodeText('foo', 1)],
+      ['b', new TwigNodeText('remove', 1)],
+      ['c', new TwigNode(new Map([[0, new TwigNodeText('remove', 1)], [1, new TwigNodeText('bar', 1)]]))]
+    ]));
+
+    node = new TwigNodeTraverser(new TwigEnvironment(null), [new Replacer()]).traverse(node);
+
+    test.same(Array.from(node.$nodes.keys()), ['a', 'c']);
+    test.equal(node.getNode('a').getAttribute('data'), 'FOO');
+    test.same(Array.from(node.getNode('c').$nodes.keys()), [1]);
+    test.equal(node.getNode('c').getNode(1).getAttribute('data'), 'BAR');
+
+    test.end();
+  });
+
+  test.test('should support an i18n extraction visitor', function (test) {
+    let env = createEnvironment({
+      index: '{{ "Hello"|trans }}\n{% if foo %}{{ "Goodbye"|trans|upper }}{% endif %}\n{{ foo|trans }}'
+    });
+    let extractor = new TranslationExtractor();
+
+    env.addFilter(new TwigFilter('trans', function (value) {
+      return value;
+    }));
+    env.addNodeVisitor(extractor);
+
+    test.same(env.getNodeVisitors().slice(-1), [extractor]);
+
+    env.parse(env.tokenize(env.getLoader().getSourceContext('index')));
+
+    test.same(extractor.messages, [['Hello', 'index', 1], ['Goodbye', 'index', 2]]);
+
+    test.end();
+  });
+
+  test.test('should support a lint visitor', function (test) {
+    let env = createEnvironment({
+      index: '{{ foo }}\n{{ dump(foo) }}|{% for i in 1..2 %}{{ dump(i) }}{{ i }}{% endfor %}'
+    }, {debug: true});
+    let linter = new DumpLinter();
+
+    env.addNodeVisitor(linter);
+
+    test.equal(env.render('index', {foo: 'bar'}), 'bar\n|12', 'removed nodes are not compiled');
+    test.same(linter.errors, ['Unexpected dump() at line 2.', 'Unexpected dump() at line 2.']);
+
+    test.throws(function () {
+      env.addNodeVisitor(new DumpLinter());
+    }, new Error('Unable to add a node visitor as extensions have already been initialized.'));
+
+    test.end();
+  });
+});
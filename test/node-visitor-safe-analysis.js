@@ -0,0 +1,57 @@
+const tap = require('tap');
+const TwigFilter = require('../src/filter');
+const TwigTemplate = require('../src/template');
+const TwigNode = require('../src/node');
+const TwigNodeTraverser = require('../src/node-traverser');
+const TwigNodeVisitorSafeAnalysis = require('../src/node-visitor/safe-analysis');
+const TwigNodeExpressionConstant = require('../src/node/expression/constant');
+const TwigNodeExpressionConditional = require('../src/node/expression/conditional');
+const TwigNodeExpressionFilter = require('../src/node/expression/filter');
+const TwigNodeExpressionFunction = require('../src/node/expression/function');
+const TwigNodeExpressionGetAttr = require('../src/node/expression/get-attr');
+const TwigNodeExpressionMethodCall = require('../src/node/expression/method-call');
+const TwigNodeExpressionName = require('../src/node/expression/name');
+const {createEnvironment} = require('./helpers/environment');
+
+let filter = function (name) {
+  return new TwigNodeExpressionFilter(new TwigNodeExpressionName('foo', 1), new TwigNodeExpressionConstant(name, 1), new TwigNode(), 1);
+};
+
+tap.test('node-visitor-safe-analysis', function (test) {
+  test.plan(2);
+
+  let env = createEnvironment({});
+
+  env.addFilter(new TwigFilter('html', null, {is_safe: ['html', 'js']}));
+  env.addFilter(new TwigFilter('html_attr', null, {is_safe: ['html_attr', 'js']}));
+
+  let analyze = function (node, safeVars) {
+    let visitor = new TwigNodeVisitorSafeAnalysis();
+
+    visitor.setSafeVars(safeVars || []);
+    new TwigNodeTraverser(env, [visitor]).traverse(node);
+
+    return visitor.getSafe(node);
+  };
+
+  test.test('should intersect the strategies of the conditional branches', function (test) {
+    test.same(analyze(filter('html_attr')), ['html_attr', 'js', 'html'], 'the values safe for HTML attributes are safe for HTML');
+    test.same(analyze(new TwigNodeExpressionConditional(new TwigNodeExpressionConstant(true, 1), filter('html'), filter('html_attr'), 1)), ['html', 'js']);
+    test.same(analyze(new TwigNodeExpressionConditional(new TwigNodeExpressionConstant(true, 1), filter('html'), new TwigNodeExpressionConstant('foo', 1), 1)), ['html', 'js']);
+
+    test.end();
+  });
+
+  test.test('should support the nodes built by hand', function (test) {
+    let getAttr = new TwigNodeExpressionGetAttr(new TwigNodeExpressionName('forms', 1), new TwigNodeExpressionConstant('input', 1), null, TwigTemplate.ANY_CALL, 1);
+
+    test.same(analyze(filter('unknown')), [], 'the unknown filters are not safe');
+    test.same(analyze(new TwigNodeExpressionFunction('unknown', new TwigNode(), 1)), [], 'the unknown functions are not safe');
+    test.same(analyze(new TwigNodeExpressionMethodCall(new TwigNodeExpressionName('forms', 1), 'macro_input', new TwigNode(), 1)), [], 'the macro calls are only safe when marked as such');
+    test.same(analyze(getAttr, ['forms']), ['all'], 'the attributes of the safe variables are safe');
+    test.same(analyze(getAttr), []);
+    test.equal(new TwigNodeVisitorSafeAnalysis().getSafe(getAttr), null, 'the nodes that have not been analyzed have no strategies');
+
+    test.end();
+  });
+});
@@ -1,9 +1,12 @@
 const path = require('path');
 const tap = require('tap');
 const TwigNode = require('../src/node');
+const TwigNodeText = require('../src/node/text');
+const TwigCompiler = require('../src/compiler');
+const TwigEnvironment = require('../src/environment');
 
 tap.test('node', function (test) {
-  test.plan(2);
+  test.plan(4);
 
   test.test('constructor', function (test) {
     test.plan(1);
@@ -35,6 +38,18 @@ tap.test('node', function (test) {
         test.equal(err.message, 'Using "string" for the value of node "foo" of "TwigNode" is not supported. You must pass a TwigNode instance.');
       }
 
+      test.throws(function () {
+        new TwigNode(new Map([
+          ['foo', null]
+        ]));
+      }, new Error('Using "null" for the value of node "foo" of "TwigNode" is not supported. You must pass a TwigNode instance.'));
+
+      test.throws(function () {
+        new TwigNode(new Map([
+          ['foo', new Map()]
+        ]));
+      }, new Error('Using "Map" for the value of node "foo" of "TwigNode" is not supported. You must pass a TwigNode instance.'));
+
       test.end();
     });
   });
@@ -71,4 +86,39 @@ tap.test('node', function (test) {
       test.end();
     });
   });
-});
\ No newline at end of file
+
+  test.test('attributes', function (test) {
+    let node = new TwigNode(null, new Map([
+      ['foo', 'bar']
+    ]), 1, 'set');
+
+    test.equal(node.getAttribute('foo'), 'bar');
+    test.equal(node.getNodeTag(), 'set');
+
+    node.removeAttribute('foo');
+
+    test.notOk(node.hasAttribute('foo'));
+    test.throws(function () {
+      node.getAttribute('foo');
+    }, new Error('Attribute "foo" does not exist for Node "TwigNode".'));
+
+    test.end();
+  });
+
+  test.test('nodes', function (test) {
+    let node = new TwigNode(new Map([
+      ['foo', new TwigNodeText('foo', 1)],
+      ['bar', new TwigNodeText('bar', 1)]
+    ]));
+
+    node.removeNode('foo');
+
+    test.notOk(node.hasNode('foo'));
+    test.throws(function () {
+      node.getNode('foo');
+    }, new Error('Node "foo" does not exist for Node "TwigNode".'));
+    test.equal(new TwigCompiler(new TwigEnvironment(null)).compile(node).getSource(), '// line 1\nyield "bar";\n', 'should compile its nodes');
+
+    test.end();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Compares the render time of the benchmark template with and without the optimizations.
+ *
+ * Usage: npm run benchmark [-- <iterations>]
+ */
+const fs = require('fs');
+const path = require('path');
+const {createEnvironment} = require('../helpers/environment');
+
+let iterations = Number(process.argv[2]) || 200;
+let templates = {
+  index: fs.readFileSync(path.join(__dirname, 'benchmark.twig'), 'utf8')
+};
+let context = {
+  title: 'Benchmark',
+  rows: Array.from({length: 100}, function (row, i) {
+    return Array.from({length: 10}, function (cell, j) {
+      return i * 10 + j;
+    });
+  })
+};
+
+let measure = function (optimizations) {
+  let env = createEnvironment(templates, {optimizations: optimizations});
+
+  // the first rendering compiles the template
+  env.render('index', context);
+
+  let start = process.hrtime();
+
+  for (let i = 0; i < iterations; i++) {
+    env.render('index', context);
+  }
+
+  let time = process.hrtime(start);
+
+  return (time[0] * 1e3 + time[1] / 1e6) / iterations;
+};
+
+let unoptimized = measure(0);
+let optimized = measure(-1);
+
+process.stdout.write('optimizations: 0   ' + unoptimized.toFixed(3) + ' ms per rendering\n');
+process.stdout.write('optimizations: -1  ' + optimized.toFixed(3) + ' ms per rendering\n');
+process.stdout.write('speedup: ' + (unoptimized / optimized).toFixed(2) + 'x\n');
@@ -0,0 +1,246 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigParser = require('../src/parser');
+const TwigSource = require('../src/source');
+const TwigToken = require('../src/token');
+const TwigTokenStream = require('../src/token-stream');
+const TwigErrorSyntax = require('../src/error/syntax');
+const TwigNodeText = require('../src/node/text');
+const TwigNodePrint = require('../src/node/print');
+const TwigNodeModule = require('../src/node/module');
+
+/**
+ * A minimal token parser for a "foo" tag, ending with "endfoo".
+ */
+class FooTokenParser {
+  setParser(parser) {
+    this.parser = parser;
+  }
+
+  getTag() {
+    return 'foo';
+  }
+
+  parse(token) {
+    let stream = this.parser.getStream();
+
+    this.hasFooMacro = this.parser.hasMacro('foo');
+
+    stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let body = this.parser.subparse([this, 'decideFooEnd'], true);
+
+    stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return body;
+  }
+
+  decideFooEnd(token) {
+    return token.test('endfoo');
+  }
+}
+
+/**
+ * A token parser for a "bar" tag, ending with "endbar", that tests the end of its body with a function.
+ */
+class BarTokenParser {
+  setParser(parser) {
+    this.parser = parser;
+  }
+
+  getTag() {
+    return 'bar';
+  }
+
+  parse(token) {
+    let stream = this.parser.getStream();
+
+    stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    let body = this.parser.subparse(function (token) {
+      return token.test('endbar');
+    }, true);
+
+    stream.expect(TwigToken.BLOCK_END_TYPE);
+
+    return body;
+  }
+}
+
+/**
+ * A token parser throwing the error passed to its constructor.
+ */
+class FailingTokenParser {
+  constructor(error) {
+    this.error = error;
+  }
+
+  setParser(parser) {
+    this.parser = parser;
+  }
+
+  getTag() {
+    return 'fail';
+  }
+
+  parse(token) {
+    throw this.error;
+  }
+}
+
+/**
+ * A minimal token parser setting the parent of the template.
+ */
+class ParentTokenParser {
+  setParser(parser) {
+    this.parser = parser;
+  }
+
+  getTag() {
+    return 'parent';
+  }
+
+  parse(token) {
+    this.parser.setParent(this.parser.getExpressionParser().parseExpression());
+    this.parser.getStream().expect(TwigToken.BLOCK_END_TYPE);
+
+    return null;
+  }
+}
+
+let parse = function (code, env) {
+  env = env || new TwigEnvironment(null, {autoescape: false, optimizations: 0});
+
+  return env.parse(env.tokenize(new TwigSource(code, 'index')));
+};
+
+tap.test('parser', function (test) {
+  test.plan(6);
+
+  test.test('should return a module node', function (test) {
+    let module = parse('Hello {{ name }}');
+    let body = module.getNode('body').getNode(0);
+
+    test.type(module, TwigNodeModule);
+    test.equal(module.getTemplateName(), 'index');
+    test.equal(module.getSourceContext().getName(), 'index');
+    test.type(body.getNode(0), TwigNodeText);
+    test.equal(body.getNode(0).getAttribute('data'), 'Hello ');
+    test.type(body.getNode(1), TwigNodePrint);
+    test.equal(body.getNode(1).getNode('expr').getAttribute('name'), 'name');
+
+    test.end();
+  });
+
+  test.test('should dispatch tags to token parsers', function (test) {
+    let env = new TwigEnvironment(null);
+    let fooTokenParser = new FooTokenParser();
+
+    env.addTokenParser(fooTokenParser);
+    env.addTokenParser(new BarTokenParser());
+
+    let body = parse('{% foo %}bar{% endfoo %}', env).getNode('body').getNode(0);
+
+    test.type(body, TwigNodeText);
+    test.equal(body.getAttribute('data'), 'bar');
+    test.notOk(fooTokenParser.hasFooMacro);
+
+    parse('{% macro foo() %}{% endmacro %}{% foo %}{% endfoo %}', env);
+
+    test.ok(fooTokenParser.hasFooMacro, 'the token parsers can check the macros defined so far');
+    test.equal(parse('{% bar %}baz{% endbar %}', env).getNode('body').getNode(0).getAttribute('data'), 'baz', 'the end of the body can be tested by a function');
+
+    test.throws(function () {
+      parse('{% foo %}{% bar %}{% endfoo %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected "endfoo" tag in "index" at line 1'});
+
+    test.throws(function () {
+      parse('{% foo %}{% baz %}{% endfoo %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected "baz" tag (expecting closing tag for the "foo" tag defined near line 1) in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should complete the errors thrown by token parsers', function (test) {
+    let error = new Error('Boom.');
+    let env = new TwigEnvironment(null);
+
+    env.addTokenParser(new FailingTokenParser(error));
+
+    test.throws(function () {
+      parse('\n{% fail %}', env);
+    }, error, 'only syntax errors are completed');
+
+    env = new TwigEnvironment(null);
+    env.addTokenParser(new FailingTokenParser(new TwigErrorSyntax('Boom.')));
+
+    test.throws(function () {
+      parse('\n{% fail %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'Boom in "index" at line 2.'});
+
+    test.throws(function () {
+      env.parse(new TwigTokenStream([
+        new TwigToken(TwigToken.NAME_TYPE, 'foo', 1),
+        new TwigToken(TwigToken.EOF_TYPE, '', 1)
+      ], new TwigSource('', 'index')));
+    }, {name: 'TwigErrorSyntax', message: 'Lexer or parser ended up in unsupported state in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should throw on unknown tags', function (test) {
+    let env = new TwigEnvironment(null);
+
+    env.addTokenParser(new FooTokenParser());
+
+    test.throws(function () {
+      parse('{% fo %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "fo" tag. Did you mean "for", "foo" in "index" at line 1?'});
+
+    test.throws(function () {
+      parse('{% fooo %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'Unknown "fooo" tag. Did you mean "foo" in "index" at line 1?'});
+
+    test.throws(function () {
+      parse('{% "foo" %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'A block must start with a tag name in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('should reject content outside blocks in child templates', function (test) {
+    let env = new TwigEnvironment(null);
+
+    env.addTokenParser(new ParentTokenParser());
+
+    let body = parse('{% parent "base" %}\n  \n', env).getNode('body').getNode(0);
+
+    test.equal(body.count(), 0, 'whitespace is filtered out');
+    test.equal(parse('{% parent "base" %}{% set foo %}bar{% endset %}', env).getNode('body').getNode(0).getNodeTag(), 'set', 'the nodes capturing the output are kept');
+
+    test.throws(function () {
+      parse('\uFEFF{% parent "base" %}', env);
+    }, {name: 'TwigErrorSyntax', message: 'A template that extends another one cannot start with a byte order mark (BOM); it must be removed in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% parent "base" %}\n  \n{{ foo }}', env);
+    }, {name: 'TwigErrorSyntax', message: 'A template that extends another one cannot include content outside Twig blocks. Did you forget to put the content inside a {% block %} tag in "index" at line 3?'});
+
+    test.end();
+  });
+
+  test.test('should generate unique variable names', function (test) {
+    let env = new TwigEnvironment(null);
+    let parser = new TwigParser(env);
+
+    parser.parse(env.tokenize(new TwigSource('foo', 'index')));
+    parser.stream = env.tokenize(new TwigSource('foo', 'index'));
+
+    let name = parser.getVarName();
+
+    test.match(name, /^__internal_[0-9a-f]{64}$/);
+    test.notEqual(parser.getVarName(), name);
+
+    test.end();
+  });
+});
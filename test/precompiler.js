@@ -0,0 +1,189 @@
+const tap = require('tap');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {spawnSync} = require('child_process');
+const TwigEnvironment = require('../src/environment');
+const TwigLoaderArray = require('../src/loader/array');
+const TwigLoaderFileSystem = require('../src/loader/file-system');
+const TwigLoaderPrecompiled = require('../src/loader/precompiled');
+const TwigPrecompiler = require('../src/precompiler');
+const {removeDirectory} = require('./helpers/file-system');
+
+let fixtures = path.join(__dirname, 'loader');
+let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-twig-precompiler-'));
+
+let createFileSystemEnvironment = function (options) {
+  let loader = new TwigLoaderFileSystem([fixtures + '/normal', fixtures + '/normal_bis'], fixtures);
+
+  loader.addPath(fixtures + '/named', 'named');
+
+  return new TwigEnvironment(loader, Object.assign({
+    auto_reload: false
+  }, options));
+};
+
+let cli = function (args) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'node-twig.js')].concat(args), {
+    cwd: __dirname,
+    encoding: 'utf8'
+  });
+};
+
+tap.tearDown(function () {
+  removeDirectory(directory);
+});
+
+tap.test('precompiler', function (test) {
+  test.plan(5);
+
+  test.test('constructor', function (test) {
+    test.throws(function () {
+      new TwigPrecompiler(new TwigEnvironment(new TwigLoaderArray()));
+    }, new Error('The precompiler requires a TwigLoaderFileSystem, got "TwigLoaderArray".'));
+
+    test.throws(function () {
+      new TwigPrecompiler(new TwigEnvironment(null));
+    }, new Error('The precompiler requires a TwigLoaderFileSystem, got "null".'));
+
+    test.end();
+  });
+
+  test.test('getTemplateNames', function (test) {
+    test.same(new TwigPrecompiler(createFileSystemEnvironment(), {extensions: ['.html']}).getTemplateNames(), [
+      'index.html',
+      'sub/page.html',
+      'bis.html',
+      '@named/footer.html',
+      '@named/index.html'
+    ]);
+
+    let templates = path.join(directory, 'walk');
+
+    fs.mkdirSync(path.join(templates, 'sub'), {recursive: true});
+    fs.mkdirSync(path.join(templates, '.git'));
+
+    ['index.twig', 'index.twig~', '.index.twig.swp', '.hidden.twig', 'notes.txt', 'sub/page.twig', '.git/HEAD.twig'].forEach(function (file) {
+      fs.writeFileSync(path.join(templates, file), '');
+    });
+
+    fs.symlinkSync('..', path.join(templates, 'sub', 'parent'));
+    fs.symlinkSync('missing.twig', path.join(templates, 'broken.twig'));
+
+    let env = new TwigEnvironment(new TwigLoaderFileSystem(templates));
+
+    test.same(new TwigPrecompiler(env).getTemplateNames(), ['index.twig', 'sub/page.twig'], 'only the visible templates are found, and symbolic link cycles are not followed');
+    test.same(new TwigPrecompiler(env, {extensions: ['.twig', '.txt']}).getTemplateNames(), ['index.twig', 'notes.txt', 'sub/page.twig']);
+
+    test.end();
+  });
+
+  test.test('compile', function (test) {
+    let env = createFileSystemEnvironment();
+    let templates = new TwigPrecompiler(env, {extensions: ['.html']}).compile(['sub/page.html']);
+
+    test.same(Array.from(templates.keys()), [env.getTemplateClass('sub/page.html')], 'templates are keyed by class name');
+
+    let template = templates.get(env.getTemplateClass('sub/page.html'));
+
+    test.equal(template.name, 'sub/page.html');
+    test.equal(template.key, path.join('normal', 'sub', 'page.html'));
+    test.equal(template.content, env.compileSource(env.getLoader().getSourceContext('sub/page.html')));
+
+    let embedDirectory = path.join(directory, 'embed');
+
+    fs.mkdirSync(embedDirectory);
+    fs.writeFileSync(path.join(embedDirectory, 'base.twig'), '{% block a %}A{% endblock %}');
+    fs.writeFileSync(path.join(embedDirectory, 'index.twig'), '{% embed "base.twig" %}{% block a %}{% embed "base.twig" %}{% endembed %}{% endblock %}{% endembed %}{% embed "base.twig" %}{% endembed %}');
+
+    let compile = function () {
+      return new TwigPrecompiler(env).compile(['index.twig']).get(env.getTemplateClass('index.twig')).content;
+    };
+
+    env = new TwigEnvironment(new TwigLoaderFileSystem(embedDirectory));
+
+    let content = compile();
+
+    test.equal(compile(), content, 'the compiled code is reproducible');
+
+    [1, 2, 3].forEach(function (index) {
+      test.match(content, 'class ' + env.getTemplateClass('index.twig', index) + ' extends', 'the embedded templates are numbered in order');
+    });
+
+    test.end();
+  });
+
+  test.test('writeModules and writeBundle', function (test) {
+    let precompiler = new TwigPrecompiler(createFileSystemEnvironment({strict_variables: true}), {extensions: ['.html']});
+    let index = precompiler.writeModules(path.join(directory, 'modules'));
+    let bundle = precompiler.writeBundle(path.join(directory, 'bundle', 'templates.js'));
+
+    test.equal(index, path.join(directory, 'modules', 'index.js'));
+    test.equal(fs.readdirSync(path.join(directory, 'modules')).length, 6, 'one module is written per template');
+    test.equal(bundle, path.join(directory, 'bundle', 'templates.js'));
+    test.same(fs.readdirSync(path.join(directory, 'bundle')), ['templates.js']);
+
+    [index, bundle].forEach(function (file) {
+      let env = new TwigEnvironment(new TwigLoaderPrecompiled(file), {strict_variables: true});
+
+      env.compileSource = function () {
+        throw new Error('Precompiled templates should not be compiled.');
+      };
+
+      test.same(Object.keys(require(file).manifest).map(function (cls) {
+        return require(file).manifest[cls].name;
+      }), precompiler.getTemplateNames());
+      test.equal(env.render('sub/page.html', {name: 'Bob'}), 'Hello Bob, FOOTER');
+      test.equal(env.render('index.html'), 'path (normal)');
+    });
+
+    test.end();
+  });
+
+  test.test('CLI', function (test) {
+    let result = cli(['compile', '--bundle', '-o', path.join(directory, 'cli', 'bundle.js'), '--root', fixtures, 'normal', '-n', 'named=named', '-x', '.html']);
+
+    test.equal(result.status, 0);
+    test.equal(result.stdout, 'Precompiled templates written to ' + path.join(directory, 'cli', 'bundle.js') + '.\n');
+    test.equal(new TwigEnvironment(new TwigLoaderPrecompiled(path.join(directory, 'cli', 'bundle.js'))).render('sub/page.html', {name: 'Bob'}), 'Hello Bob, FOOTER');
+
+    fs.writeFileSync(path.join(directory, 'env.js'), 'const TwigEnvironment = require(' + JSON.stringify(require.resolve('../src/environment')) + ');\n\nmodule.exports = function (loader) {\n  return new TwigEnvironment(loader, {debug: true});\n};\n');
+
+    result = cli(['compile', '--output', path.join(directory, 'cli', 'modules'), '--env', path.join(directory, 'env.js'), '--extension', '.txt', '--extension', '.html', 'loader/normal']);
+
+    test.equal(result.status, 0);
+    test.equal(new TwigEnvironment(new TwigLoaderPrecompiled(path.join(directory, 'cli', 'modules', 'index.js')), {debug: true}).render('index.html'), 'path (normal)', 'the environment can be customized');
+
+    result = cli(['compile', '-b', '-o', path.join(directory, 'cli', 'twig.js'), '-r', fixtures, '-e', path.join(directory, 'env.js'), 'normal']);
+
+    test.equal(result.status, 0);
+    test.notOk(new TwigLoaderPrecompiled(path.join(directory, 'cli', 'twig.js')).exists('index.html'), 'only the .twig files are templates by default');
+
+    test.match(cli(['--help']).stdout, /^Usage: node-twig compile/);
+    test.match(cli(['compile', '-h']).stdout, /^Usage: node-twig compile/);
+
+    let errors = new Map([
+      [[], 'A command is required.'],
+      [['foo'], 'Unknown command "foo".'],
+      [['compile', 'loader/normal'], 'The "--output" option is required.'],
+      [['compile', '-o', 'foo'], 'At least one path is required.'],
+      [['compile', '-o'], 'The "-o" option requires a value.'],
+      [['compile', '-n', 'foo', '-o', 'foo'], 'The "-n" option expects a value like <name>=<path>, got "foo".'],
+      [['compile', '--foo'], 'Unknown option "--foo".']
+    ]);
+
+    errors.forEach(function (message, args) {
+      let result = cli(args);
+
+      test.equal(result.status, 1);
+      test.equal(result.stderr.split('\n')[0], message, message);
+    });
+
+    result = cli(['compile', '-o', path.join(directory, 'cli', 'missing'), 'missing']);
+
+    test.equal(result.status, 1);
+    test.equal(result.stderr, 'The "missing" directory does not exist ("' + path.join(__dirname, 'missing') + '").\n');
+
+    test.end();
+  });
+});
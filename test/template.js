@@ -0,0 +1,509 @@
+const tap = require('tap');
+const TwigSource = require('../src/source');
+const TwigTemplate = require('../src/template');
+const TwigEnvironment = require('../src/environment');
+const TwigErrorLoader = require('../src/error/loader');
+const {createEnvironment} = require('./helpers/environment');
+
+class User {
+  constructor() {
+    this.name = 'bob';
+  }
+
+  getEmail() {
+    return 'bob@example.com';
+  }
+
+  isAdmin() {
+    return true;
+  }
+
+  hasPosts() {
+    return false;
+  }
+
+  greet(greeting, punctuation) {
+    return greeting + ' ' + this.name + punctuation;
+  }
+
+  fail() {
+    throw new Error('Something went wrong.');
+  }
+}
+
+class Settings {
+  get() {
+    return 'all';
+  }
+
+  getTheme() {
+    return 'dark';
+  }
+
+  isTheme() {
+    return false;
+  }
+}
+
+/**
+ * A template whose parent is given by its name, like the custom base template classes may do.
+ */
+class ChildTemplate extends TwigTemplate {
+  constructor(env, parent) {
+    super(env);
+
+    this.parentName = parent;
+  }
+
+  getTemplateName() {
+    return 'child';
+  }
+
+  doGetParent() {
+    return this.parentName;
+  }
+}
+
+tap.test('template', function (test) {
+  test.plan(11);
+
+  test.test('render', function (test) {
+    let env = createEnvironment({
+      index: 'Hello {{ name }}{% flush %}!{% set foo %}{{ name }}{% flush %}{% endset %}{{ foo }}'
+    });
+    let template = env.loadTemplate('index');
+
+    test.equal(template.render(new Map([['name', 'World']])), 'Hello World!World');
+    test.equal(template.render({name: 'World'}), 'Hello World!World', 'plain objects are supported as context');
+    test.equal(template.render(), 'Hello !');
+    test.equal(env.render('index', {name: true}), 'Hello 1!1');
+
+    test.end();
+  });
+
+  test.test('display', function (test) {
+    let template = createEnvironment({
+      index: '{% set name = "foo" %}{{ name }}{% flush %}{{ bar }}'
+    }).loadTemplate('index');
+    let context = new Map([['name', 'World'], ['bar', 2]]);
+
+    test.same(Array.from(template.display(context)), ['foo', TwigTemplate.FLUSH, '2']);
+    test.equal(context.get('name'), 'World', 'the context is not altered');
+
+    test.end();
+  });
+
+  test.test('blocks', function (test) {
+    let env = createEnvironment({
+      base: '<{% block foo %}foo{% endblock %}|{% block bar %}bar{% endblock %}>',
+      index: '{% extends "base" %}{% block foo %}FOO({{ name }}){% endblock %}'
+    });
+    let template = env.loadTemplate('index');
+    let context = new Map([['name', 'index']]);
+
+    test.equal(template.render(context), '<FOO(index)|bar>');
+    test.same(Array.from(template.displayBlock('foo', context)), ['FOO(', 'index', ')']);
+    test.equal(template.renderBlock('bar', context).next().value, 'bar', 'blocks are looked up in the parents');
+    test.ok(template.hasBlock('foo', context));
+    test.ok(template.hasBlock('bar', context));
+    test.notOk(template.hasBlock('baz', context));
+    test.same(template.getBlockNames(context), ['foo', 'bar']);
+    test.equal(template.getParent(context), env.loadTemplate('base'));
+    test.equal(env.loadTemplate('base').getParent(context), false);
+
+    test.throws(function () {
+      Array.from(template.displayBlock('baz', context));
+    }, {name: 'TwigErrorRuntime', message: 'Block "baz" on template "base" does not exist in "base".'});
+
+    test.throws(function () {
+      Array.from(env.loadTemplate('base').displayParentBlock('foo', context));
+    }, {name: 'TwigErrorRuntime', message: 'The template has no parent and no traits defining the "foo" block in "base".'});
+
+    test.throws(function () {
+      Array.from(template.displayBlock('foo', context, new Map([['foo', [{}, 'block_foo']]])));
+    }, new Error('A block must be a method on a TwigTemplate instance.'));
+
+    test.throws(function () {
+      Array.from(template.displayBlock('foo', new Map([['name', {
+        toString() {
+          throw new Error('Something went wrong.');
+        }
+      }]])));
+    }, {name: 'TwigErrorRuntime', message: 'An exception has been thrown during the rendering of a template ("Something went wrong.") in "index" at line 1.'}, 'the errors thrown by the blocks are located');
+
+    test.end();
+  });
+
+  test.test('inheritance', function (test) {
+    test.plan(5);
+
+    let env = createEnvironment({
+      layout: '<{% block head %}[{% block title %}layout{% endblock %}]{% endblock %}{% block body %}body{% endblock %}>',
+      page: '{% extends "layout" %}{% block title %}page/{{ parent() }}{% endblock %}{% block body %}({% block content %}page{% endblock %}){% endblock %}',
+      section: '{% extends "page" %}{% block content %}section/{{ parent() }}{% block sidebar %}sidebar{% endblock %}{% endblock %}',
+      article: '{% extends "section" %}{% block title %}article/{{ parent() }}{% endblock %}{% block sidebar %}<{{ block("title") }}>{% endblock %}',
+      dynamic: '{% extends layout %}{% block title %}dynamic{% endblock %}',
+      blocks: '{{ block("title", "page") }}|{{ block("title") }}|{{ block("title") is defined ? "yes" : "no" }}|{{ block("foo") is defined ? "yes" : "no" }}|{{ block("content", "section") is defined ? "yes" : "no" }}{% block title %}blocks{% endblock %}',
+      missing: '{% extends "foo" %}',
+      missing_dynamic: '\n{% extends layout %}',
+      filtered: '{% extends "layout" %}{% block title %}{{ parent()|upper }}{% endblock %}'
+    });
+
+    test.test('should support multiple levels of blocks overriding', function (test) {
+      test.equal(env.render('article'), '<[article/page/layout](section/page<article/page/layout>)>');
+      test.equal(env.render('section'), '<[page/layout](section/pagesidebar)>');
+      test.equal(env.render('filtered'), '<[LAYOUT]body>', 'the parent blocks can be filtered');
+
+      test.end();
+    });
+
+    test.test('should support dynamic parents', function (test) {
+      test.equal(env.render('dynamic', {layout: 'section'}), '<[dynamic](section/pagesidebar)>');
+      test.equal(env.render('dynamic', {layout: env.loadTemplate('page')}), '<[dynamic](page)>');
+      test.equal(env.render('dynamic', {layout: ['foo', 'layout']}), '<[dynamic]body>', 'the first existing template of an array is used');
+
+      test.end();
+    });
+
+    test.test('should support the block function', function (test) {
+      test.equal(env.render('blocks'), 'page/layout|blocks|yes|no|yesblocks');
+
+      test.end();
+    });
+
+    test.test('should report missing parents', function (test) {
+      test.throws(function () {
+        env.render('missing');
+      }, {name: 'TwigErrorLoader', message: 'Template "foo" is not defined in "missing" at line 1.'});
+
+      test.throws(function () {
+        env.render('missing_dynamic', {layout: 'foo'});
+      }, {name: 'TwigErrorLoader', message: 'Template "foo" is not defined in "missing_dynamic" at line 2.'});
+
+      test.throws(function () {
+        env.render('missing_dynamic', {layout: ['foo', 'bar']});
+      }, {name: 'TwigErrorLoader', message: 'Unable to find one of the following templates: "foo", "bar" in "missing_dynamic" at line 2.'});
+
+      test.end();
+    });
+
+    test.test('should resolve the parent only once', function (test) {
+      let template = env.loadTemplate('dynamic');
+      let context = new Map([['layout', 'page']]);
+
+      test.equal(template.getParent(context), env.loadTemplate('page'));
+      test.equal(template.getParent(context), template.getParent(context));
+
+      test.end();
+    });
+  });
+
+  test.test('use', function (test) {
+    let env = createEnvironment({
+      blocks: '{% block foo %}foo{% endblock %}{% block bar %}bar{% endblock %}',
+      more_blocks: '{% use "blocks" %}{% block baz %}baz{% endblock %}',
+      index: '{% use "blocks" %}{{ block("foo") }}|{{ block("bar") }}',
+      nested: '{% use "more_blocks" %}{{ block("foo") }}|{{ block("baz") }}',
+      override: '{% use "blocks" %}{% block foo %}<{{ parent() }}>{% endblock %}',
+      renamed: '{% use "blocks" with foo as renamed_foo %}{% block foo %}[{{ block("renamed_foo") }}]{% endblock %}',
+      renamed_override: '{% use "blocks" with foo as renamed_foo %}{% block renamed_foo %}<{{ parent() }}>{% endblock %}',
+      not_traitable: '{{ foo }}{% block foo %}{% endblock %}',
+      invalid: '{% use "not_traitable" %}',
+      missing_block: '{% use "blocks" with baz as foo %}',
+      multiple: '{% use "blocks" with foo as renamed_foo %}{% use "more_blocks" %}{{ block("renamed_foo") }}|{{ block("baz") }}'
+    });
+
+    test.equal(env.render('index'), 'foo|bar');
+    test.equal(env.render('nested'), 'foo|baz');
+    test.equal(env.render('override'), '<foo>');
+    test.equal(env.render('renamed'), '[foo]');
+    test.equal(env.render('renamed_override'), '<foo>');
+    test.equal(env.render('multiple'), 'foo|baz');
+    test.same(Array.from(env.loadTemplate('renamed').getBlocks().keys()), ['bar', 'renamed_foo', 'foo']);
+    test.same(Array.from(env.loadTemplate('override').displayParentBlock('foo', new Map())), ['foo'], 'the parent blocks of the traits are displayed without the current set of blocks');
+
+    test.throws(function () {
+      env.render('invalid');
+    }, {name: 'TwigErrorRuntime', message: 'Template "not_traitable" cannot be used as a trait in "invalid" at line 1.'});
+
+    test.throws(function () {
+      env.render('missing_block');
+    }, {name: 'TwigErrorRuntime', message: 'Block "baz" is not defined in trait "blocks" in "missing_block" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('embed', function (test) {
+    let env = createEnvironment({
+      card: '<{% block header %}header{% endblock %}|{% block body %}{% endblock %}>',
+      index: '{% embed "card" %}{% block body %}{{ name }}{% endblock %}{% endembed %}',
+      variables: '{% embed "card" with {name: "bar"} only %}{% block header %}{{ parent() }}/{{ name }}{% endblock %}{% endembed %}',
+      nested: '{% embed "card" %}{% block body %}{% embed "card" %}{% block header %}{{ name }}{% endblock %}{% endembed %}{% endblock %}{% endembed %}'
+    });
+    let context = {name: 'foo'};
+
+    test.equal(env.render('index', context), '<header|foo>');
+    test.equal(env.render('variables', context), '<header/bar|>');
+    test.equal(env.render('nested', context), '<header|<foo|>>');
+
+    let classes = Array.from(env.templateClasses.keys()).filter(function (name) {
+      return name.indexOf(env.getTemplateClass('nested') + '_') === 0;
+    });
+
+    test.equal(classes.length, 2, 'each embedded template has its own class');
+
+    classes.forEach(function (name) {
+      let index = Number(name.substr(name.lastIndexOf('_') + 1));
+
+      test.equal(env.getTemplateClass('nested', index), name);
+      test.type(env.loadTemplate('nested', index), TwigTemplate);
+      test.equal(env.loadTemplate('nested', index).getParent(new Map()), env.loadTemplate('card'));
+    });
+
+    test.end();
+  });
+
+  test.test('macros', function (test) {
+    let env = createEnvironment({
+      forms: '{% macro input(name, value = "", type = "text") %}<input type="{{ type }}" name="{{ name }}" value="{{ value }}">{% endmacro %}{% macro list() %}{% for item in varargs %}[{{ item }}]{% endfor %}{% endmacro %}',
+      index: '{% import "forms" as forms %}{{ forms.input("foo") }}|{{ forms.input("bar", "baz", "hidden") }}|{{ forms.list(1, 2, 3) }}',
+      from: '{% from "forms" import input as field, list %}{{ field("foo", name) }}|{{ list() }}',
+      self: '{% macro greet(name) %}Hello {{ name }}{% endmacro %}{% import _self as macros %}{{ macros.greet(name) }}',
+      defined: '{% import "forms" as forms %}{{ forms.input is defined ? "yes" : "no" }}|{{ forms.foo is defined ? "yes" : "no" }}',
+      undefined: '{% import "forms" as forms %}\n\n{{ forms.foo() }}',
+      overridden: '{% import "forms" as forms %}{% set forms = user %}{{ forms.input() }}'
+    });
+    let context = {name: 'bob'};
+
+    test.equal(env.render('index', context), '<input type="text" name="foo" value="">|<input type="hidden" name="bar" value="baz">|[1][2][3]');
+    test.equal(env.render('from', context), '<input type="text" name="foo" value="bob">|');
+    test.equal(env.render('self', context), 'Hello bob');
+    test.equal(env.render('defined', context), 'yes|no');
+    test.equal(env.loadTemplate('forms').macro_input('foo').next().value.constructor.name, 'TwigMarkup', 'macros return markup');
+    test.throws(function () {
+      env.render('undefined', context);
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Macro "foo" is not defined in template "forms" in "undefined" at line 3.'
+    });
+    test.throws(function () {
+      env.render('overridden', {user: new User()});
+    }, {
+      name: 'TwigErrorRuntime',
+      message: 'Macro "input" is not defined in template "User" in "overridden" at line 1.'
+    }, 'the class name is reported for the values that are not templates');
+
+    test.end();
+  });
+
+  test.test('metadata', function (test) {
+    let env = createEnvironment({
+      index: 'foo\n{{ bar }}',
+      blocks: '{% block foo %}{% endblock %}'
+    }, {
+      debug: true
+    });
+    let template = env.loadTemplate('index');
+
+    test.equal(template.getTemplateName(), 'index');
+    test.same(template.getSourceContext(), new TwigSource('foo\n{{ bar }}', 'index', ''));
+    test.same(Array.from(template.getDebugInfo().values()), [2, 1]);
+    test.notOk(template.isTraitable());
+    test.ok(env.loadTemplate('blocks').isTraitable());
+
+    test.end();
+  });
+
+  test.test('base class', function (test) {
+    let env = createEnvironment({base: '{% block foo %}foo{% endblock %}'});
+    let template = new TwigTemplate(env);
+
+    test.equal(template.getTemplateName(), undefined);
+    test.same(template.getDebugInfo(), new Map());
+    test.same(template.getSourceContext(), new TwigSource('', undefined));
+    test.equal(template.getParent(new Map()), false);
+    test.equal(template.render(), '', 'the base class does not display anything');
+
+    template = new ChildTemplate(env, 'base');
+
+    test.equal(template.getParent(new Map()), env.loadTemplate('base'), 'the parent can be given by its name');
+    test.equal(template.getParent(new Map()), env.loadTemplate('base'), 'the parent is only loaded once');
+
+    test.throws(function () {
+      new ChildTemplate(env, 'missing').getParent(new Map());
+    }, {name: 'TwigErrorLoader', message: 'Template "missing" is not defined.'});
+
+    class BrokenTemplate extends TwigTemplate {
+      doGetParent() {
+        throw new Error('Something went wrong.');
+      }
+    }
+
+    test.throws(function () {
+      new BrokenTemplate(env).getParent(new Map());
+    }, new Error('Something went wrong.'), 'the errors that are not loading errors are thrown as is');
+
+    test.end();
+  });
+
+  test.test('getAttribute', function (test) {
+    let template = createEnvironment({index: ''}).loadTemplate('index');
+    let user = new User();
+
+    test.equal(template.getAttribute(new Map([['foo', 'bar']]), 'foo'), 'bar');
+    test.equal(template.getAttribute(new Map([[1, 'bar']]), '1'), 'bar', 'numeric keys match numeric strings');
+    test.equal(template.getAttribute(['a', 'b'], 1), 'b');
+    test.equal(template.getAttribute(['a', 'b'], 2), null);
+    test.equal(template.getAttribute({foo: 'bar'}, 'foo', [], TwigTemplate.ARRAY_CALL), 'bar');
+    test.equal(template.getAttribute(user, 'name'), 'bob');
+    test.equal(template.getAttribute(user, 'email'), 'bob@example.com');
+    test.equal(template.getAttribute(user, 'EMAIL'), 'bob@example.com');
+    test.equal(template.getAttribute(user, 'admin'), true);
+    test.equal(template.getAttribute(user, 'posts'), false);
+    test.equal(template.getAttribute(user, 'greet', ['Hi', '!'], TwigTemplate.METHOD_CALL), 'Hi bob!');
+    test.equal(template.getAttribute(user, 'name', [], TwigTemplate.ARRAY_CALL), null);
+    test.equal(template.getAttribute(user, 'missing'), null);
+    test.equal(template.getAttribute(null, 'foo'), null);
+    test.equal(template.getAttribute('foo', 'length'), null, 'scalars have no attributes');
+    test.equal(template.getAttribute(template, 'env'), null, 'template properties are not exposed');
+    test.ok(template.getAttribute(user, 'email', [], TwigTemplate.ANY_CALL, true));
+    test.ok(template.getAttribute(user, 'name', [], TwigTemplate.ANY_CALL, true));
+    test.notOk(template.getAttribute(user, 'missing', [], TwigTemplate.ANY_CALL, true));
+    test.notOk(template.getAttribute(new Map(), 'foo', [], TwigTemplate.ANY_CALL, true));
+    test.ok(template.getAttribute(new Map([[1, 'a']]), 1, [], TwigTemplate.ANY_CALL, true));
+    test.ok(template.getAttribute(['a'], 0, [], TwigTemplate.ANY_CALL, true));
+    test.ok(template.getAttribute({foo: 'bar'}, 'foo', [], TwigTemplate.ANY_CALL, true));
+    test.notOk(template.getAttribute('foo', 'bar', [], TwigTemplate.METHOD_CALL, true));
+    test.equal(template.getAttribute('foo', 'bar', [], TwigTemplate.METHOD_CALL), null);
+    test.equal(template.getAttribute(['a', 'b'], 1.5), 'b', 'floats are truncated, like PHP array keys');
+    test.equal(template.getAttribute(['a', 'b'], true), 'b', 'booleans are converted to integers, like PHP array keys');
+
+    let settings = new Settings();
+
+    test.equal(template.getAttribute(settings, 'theme'), 'dark', 'the "get" methods win over the "is" methods');
+    test.equal(template.getAttribute(settings, 'get', [], TwigTemplate.METHOD_CALL), 'all');
+    test.equal(template.getAttribute(settings, ''), null, 'the get(), is() and has() methods do not match empty names');
+
+    test.equal(template.getAttribute(user, '__proto__'), null, 'the prototype is not exposed');
+    test.equal(template.getAttribute({}, '__proto__'), null, 'the prototype of plain objects is not exposed');
+    test.equal(template.getAttribute(user, 'constructor'), null, 'the constructor is not exposed');
+    test.equal(template.getAttribute(user, 'prototype'), null);
+    test.notOk(template.getAttribute(user, '__proto__', [], TwigTemplate.ANY_CALL, true));
+    test.notOk(template.getAttribute(user, 'constructor', [], TwigTemplate.METHOD_CALL, true));
+
+    test.end();
+  });
+
+  test.test('strict_variables', function (test) {
+    let env = createEnvironment({
+      name: 'foo\n{{ foo }}',
+      attribute: 'foo\n\n{{ user.missing }}',
+      key: '{{ foo["bar"] }}',
+      method: '{{ foo.bar() }}',
+      defined: '{{ foo is defined ? 1 : 0 }}{{ user.missing is defined ? 1 : 0 }}',
+      prototype: '{{ user.__proto__ }}',
+      constructor: '{{ user.constructor.name }}',
+      error: '\n{{ user.fail() }}',
+      late_error: 'foo\n{{ user.fail() }}\n{{ user.name }}',
+      captured_error: '{% set foo %}\n{{ user.fail() }}{% endset %}'
+    }, {
+      strict_variables: true
+    });
+
+    test.throws(function () {
+      env.render('name');
+    }, {name: 'TwigErrorRuntime', message: 'Variable "foo" does not exist in "name" at line 2.'});
+
+    test.throws(function () {
+      env.render('attribute', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'Neither the property "missing" nor one of the methods "missing()", "getmissing()"/"ismissing()"/"hasmissing()" exist and have public access in class "User" in "attribute" at line 3.'});
+
+    test.throws(function () {
+      env.render('key', {foo: new Map([['foo', 1], ['baz', 2]])});
+    }, {name: 'TwigErrorRuntime', message: 'Key "bar" for array with keys "foo, baz" does not exist in "key" at line 1.'});
+
+    test.throws(function () {
+      env.render('key', {foo: []});
+    }, {name: 'TwigErrorRuntime', message: 'Key "bar" does not exist as the array is empty in "key" at line 1.'});
+
+    test.throws(function () {
+      env.render('key', {foo: 'baz'});
+    }, {name: 'TwigErrorRuntime', message: 'Impossible to access a key ("bar") on a string variable ("baz") in "key" at line 1.'});
+
+    test.throws(function () {
+      env.render('method', {foo: null});
+    }, {name: 'TwigErrorRuntime', message: 'Impossible to invoke a method ("bar") on a null variable in "method" at line 1.'});
+
+    test.throws(function () {
+      env.render('error', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'An exception has been thrown during the rendering of a template ("Something went wrong.") in "error" at line 2.'});
+
+    test.equal(env.render('defined', {user: new User()}), '00');
+
+    test.throws(function () {
+      env.render('prototype', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'Neither the property "__proto__" nor one of the methods "__proto__()", "get__proto__()"/"is__proto__()"/"has__proto__()" exist and have public access in class "User" in "prototype" at line 1.'}, 'the prototype is not reachable');
+
+    test.throws(function () {
+      env.render('prototype', {user: {name: 'bob'}});
+    }, {name: 'TwigErrorRuntime'}, 'the prototype of plain objects is not reachable');
+
+    test.throws(function () {
+      env.render('constructor', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'Neither the property "constructor" nor one of the methods "constructor()", "getconstructor()"/"isconstructor()"/"hasconstructor()" exist and have public access in class "User" in "constructor" at line 1.'}, 'the constructor is not reachable');
+
+    let template = env.loadTemplate('name');
+
+    [
+      [{foo: 'bar'}, 'baz', TwigTemplate.ARRAY_CALL, 'Key "baz" does not exist in the object.'],
+      [new User(), 'name', TwigTemplate.ARRAY_CALL, 'Impossible to access a key "name" on an object of class "User" that is not a Map.'],
+      [null, 'baz', TwigTemplate.ARRAY_CALL, 'Impossible to access a key ("baz") on a null variable.'],
+      [undefined, 'baz', TwigTemplate.ANY_CALL, 'Impossible to access an attribute ("baz") on a null variable.'],
+      [5, 'baz', TwigTemplate.ANY_CALL, 'Impossible to access an attribute ("baz") on a integer variable ("5").'],
+      [true, 'baz', TwigTemplate.ANY_CALL, 'Impossible to access an attribute ("baz") on a boolean variable ("1").'],
+      [false, 'baz', TwigTemplate.METHOD_CALL, 'Impossible to invoke a method ("baz") on a boolean variable ("").']
+    ].forEach(function ([object, item, type, message]) {
+      test.throws(function () {
+        template.getAttribute(object, item, [], type);
+      }, {name: 'TwigErrorRuntime', message: message.replace(/\.$/, ' in "name".')}, message);
+    });
+
+    test.throws(function () {
+      env.render('late_error', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'An exception has been thrown during the rendering of a template ("Something went wrong.") in "late_error" at line 2.'}, 'the line of the error is guessed from the compiled code');
+
+    test.throws(function () {
+      env.render('captured_error', {user: new User()});
+    }, {name: 'TwigErrorRuntime', message: 'An exception has been thrown during the rendering of a template ("Something went wrong.") in "captured_error" at line 2.'}, 'the anonymous functions of the compiled code are part of it');
+
+    let error = new Error('Something went wrong.');
+
+    test.throws(function () {
+      env.render('error', {user: {fail: function () {
+        throw error;
+      }}});
+    }, {name: 'TwigErrorRuntime', message: 'An exception has been thrown during the rendering of a template ("Something went wrong.") in "error".'}, 'the line of the errors created outside of the template is not guessed');
+
+    test.throws(function () {
+      env.render('error', {user: {fail: function () {
+        throw new TwigErrorLoader('Template "foo" is not defined.');
+      }}});
+    }, {name: 'TwigErrorLoader', message: 'Template "foo" is not defined in "error" at line 2.'}, 'the line of the loading errors is guessed');
+
+    env.disableStrictVariables();
+
+    test.equal(env.render('attribute', {user: new User()}), 'foo\n\n');
+
+    env = new TwigEnvironment({
+      getCacheKey() {
+        throw new Error('The database is down.');
+      }
+    });
+
+    test.throws(function () {
+      new TwigTemplate(env).loadTemplate('foo');
+    }, new Error('The database is down.'), 'the errors that are not Twig errors are thrown as is');
+
+    test.end();
+  });
+});
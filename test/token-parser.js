@@ -0,0 +1,437 @@
+const tap = require('tap');
+const TwigEnvironment = require('../src/environment');
+const TwigSource = require('../src/source');
+const TwigFilter = require('../src/filter');
+const TwigNodeExpressionConstant = require('../src/node/expression/constant');
+const TwigNodeExpressionName = require('../src/node/expression/name');
+const TwigNodeText = require('../src/node/text');
+const TwigNodeSpaceless = require('../src/node/spaceless');
+const TwigNodeAutoEscape = require('../src/node/auto-escape');
+const TwigTokenParserInterface = require('../src/token-parser-interface');
+const {createEnvironment} = require('./helpers/environment');
+const {captureWarnings} = require('./helpers/warnings');
+
+let createParserEnvironment = function () {
+  let env = new TwigEnvironment(null, {autoescape: false, optimizations: 0});
+
+  env.addFilter(new TwigFilter('upper'));
+  env.addFilter(new TwigFilter('lower'));
+
+  return env;
+};
+
+let parse = function (code, env) {
+  env = env || createParserEnvironment();
+
+  return env.parse(env.tokenize(new TwigSource(code, 'index')));
+};
+
+let parseBody = function (code, env) {
+  return parse(code, env).getNode('body').getNode(0);
+};
+
+let render = function (template, context, templates) {
+  let env = createEnvironment(Object.assign({index: template}, templates), {autoescape: false});
+
+  return env.render('index', context || {});
+};
+
+/**
+ * Returns a compact representation of a node tree, like If(Node(a, Text("b"))).
+ */
+let dump = function (node) {
+  if (node instanceof TwigNodeExpressionName) {
+    return node.getAttribute('name');
+  }
+
+  if (node instanceof TwigNodeExpressionConstant) {
+    return JSON.stringify(node.getAttribute('value'));
+  }
+
+  if (node instanceof TwigNodeText) {
+    return 'Text(' + JSON.stringify(node.getAttribute('data')) + ')';
+  }
+
+  let name = node.constructor.name.replace(/^TwigNode(Expression)?/, '') || 'Node';
+  let children = Array.from(node.getIterator()).map(dump);
+
+  return name + '(' + children.join(', ') + ')';
+};
+
+tap.test('token parsers', function (test) {
+  test.plan(20);
+
+  test.test('if', function (test) {
+    test.same(dump(parseBody('{% if a %}b{% endif %}')), 'If(Node(a, Text("b")))');
+    test.same(dump(parseBody('{% if a %}b{% elseif c %}d{% else %}e{% endif %}')), 'If(Node(a, Text("b"), c, Text("d")), Text("e"))');
+
+    let template = '{% if a %}b{% elseif c %}d{% elseif e %}f{% else %}g{% endif %}';
+
+    test.equal(render(template, {a: true}), 'b');
+    test.equal(render(template, {c: true, e: true}), 'd');
+    test.equal(render(template, {e: new Map([['a', 1]])}), 'f');
+    test.equal(render(template, {e: new Map()}), 'g');
+
+    test.throws(function () {
+      parse('{% if a %}b{% endfor %}');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected "endfor" tag (expecting closing tag for the "if" tag defined near line 1) in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('for', function (test) {
+    let node = parseBody('{% for v in items %}{{ v }}{% else %}empty{% endfor %}');
+
+    test.same(dump(node), 'For(_key, v, items, Node(Print(v), ForLoop()), Text("empty"))');
+    test.same(node.getNode('key_target').getAttribute('name'), '_key');
+    test.same(node.getNode('value_target').getAttribute('name'), 'v');
+    test.ok(node.getAttribute('with_loop'));
+    test.notOk(node.getAttribute('ifexpr'));
+
+    node = parseBody('{% for k, v in items %}{{ loop.index }}{% endfor %}');
+
+    test.same(node.getNode('key_target').getAttribute('name'), 'k');
+    test.same(node.getNode('value_target').getAttribute('name'), 'v');
+    test.notOk(node.hasNode('else'));
+
+    node = parseBody('{% for v in items if v %}{{ loop.index }}{% endfor %}');
+
+    test.same(dump(node.getNode('body')), 'If(Node(v, Node(Print(GetAttr(loop, "index", Array())), ForLoop())))');
+    test.ok(node.getAttribute('ifexpr'));
+
+    test.throws(function () {
+      parse('{% for v in items if loop.index %}{% endfor %}');
+    }, {name: 'TwigErrorSyntax', message: 'The "loop" variable cannot be used in a looping condition in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% for v in items if v %}{{ loop.last }}{% endfor %}');
+    }, {name: 'TwigErrorSyntax', message: 'The "loop.last" variable is not defined when looping with a condition in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% for v in items if v > 1 and loop.index %}{% endfor %}');
+    }, {name: 'TwigErrorSyntax', message: 'The "loop" variable cannot be used in a looping condition in "index" at line 1.'});
+
+    test.doesNotThrow(function () {
+      parse('{% for v in items if v %}{% for w in v %}{{ loop.last }}{% endfor %}{% endfor %}');
+    }, 'the loops nested in a loop with a condition are not checked');
+
+    let template = '{% for v in items %}{{ loop.index }}/{{ loop.length }}{{ loop.last ? "." : "," }}{{ v }} {% else %}empty{% endfor %}';
+
+    test.equal(render(template, {items: ['a', 'b']}), '1/2,a 2/2.b ');
+    test.equal(render(template, {items: []}), 'empty');
+    test.equal(render(template, {items: 5}), 'empty', 'values that cannot be iterated are iterated as empty sequences');
+    test.equal(render('{% for v in items %}{{ v }}{% endfor %}', {items: new Set(['a', 'b'])}), 'ab', 'any iterable can be iterated');
+    test.equal(render('{% for v in items if v > 1 %}{{ loop.index }}:{{ v }} {% endfor %}', {items: [1, 2, 3]}), '1:2 2:3 ');
+    test.equal(render('{% for k, v in items %}{{ k }}{{ v }}{% endfor %}{{ k is defined ? "leaked" }}', {items: {a: 1, b: 2}}), 'a1b2', 'the loop variables are scoped to the loop');
+
+    test.throws(function () {
+      parse('{% for v in items %}');
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected end of template in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('set', function (test) {
+    let node = parseBody('{% set a = 1 %}');
+
+    test.same(dump(node), 'Set(Node(a), Node(1))');
+    test.notOk(node.getAttribute('capture'));
+    test.notOk(node.getAttribute('safe'));
+
+    test.same(dump(parseBody('{% set a, b = 1, c %}')), 'Set(Node(a, b), Node(1, c))');
+
+    node = parseBody('{% set a %}foo{% endset %}');
+
+    test.same(dump(node), 'Set(Node(a), "foo")', 'a captured text is optimized to a constant');
+    test.notOk(node.getAttribute('capture'));
+    test.ok(node.getAttribute('safe'));
+
+    node = parseBody('{% set a %}foo {{ b }}{% endset %}');
+
+    test.same(dump(node), 'Set(Node(a), Node(Text("foo "), Print(b)))');
+    test.ok(node.getAttribute('capture'));
+
+    test.throws(function () {
+      parse('{% set a, b = 1 %}');
+    }, {name: 'TwigErrorSyntax', message: 'When using set, you must have the same number of variables and assignments in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% set a, b %}foo{% endset %}');
+    }, {name: 'TwigErrorSyntax', message: 'When using set with a block, you cannot have a multi-target in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% set 1 = 1 %}');
+    }, {name: 'TwigErrorSyntax', message: 'Only variables can be assigned to. Unexpected token "number" of value "1" ("name" expected) in "index" at line 1.'});
+
+    test.equal(render('{% set a = b ~ "c" %}{{ a }}', {b: 'b'}), 'bc');
+    test.equal(render('{% set a, b = b, a %}{{ a }}{{ b }}', {a: 1, b: 2}), '21', 'the values are evaluated before being assigned');
+    test.equal(render('{% set a %}foo{% endset %}{{ a }}|{{ a|length }}|{% set b %}{% endset %}{{ b is same as("") ? "empty" }}'), 'foo|3|empty');
+    test.equal(render('{% set a %}{{ b }}{% endset %}{{ a }}|{{ a|length }}|{% set c %}{{ d }}{% endset %}{{ c is same as("") ? "empty" }}', {b: 'foo'}), 'foo|3|empty');
+
+    test.end();
+  });
+
+  test.test('block', function (test) {
+    let module = parse('{% block foo %}bar{% endblock %}{% block baz "qux" %}');
+
+    test.same(dump(module.getNode('body').getNode(0)), 'Node(BlockReference(), BlockReference())');
+    test.same(dump(module.getNode('blocks').getNode('foo')), 'Body(Block(Text("bar")))');
+    test.same(dump(module.getNode('blocks').getNode('baz')), 'Body(Block(Node(Print("qux"))))');
+
+    test.same(dump(parse('{% block foo %}bar{% endblock foo %}').getNode('blocks').getNode('foo')), 'Body(Block(Text("bar")))');
+
+    test.throws(function () {
+      parse('{% block foo %}{% endblock bar %}');
+    }, {name: 'TwigErrorSyntax', message: 'Expected endblock for block "foo" (but "bar" given) in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% block foo %}{% endblock %}\n{% block foo %}{% endblock %}');
+    }, {name: 'TwigErrorSyntax', message: 'The block \'foo\' has already been defined line 1 in "index" at line 2.'});
+
+    test.end();
+  });
+
+  test.test('extends', function (test) {
+    let module = parse('{% extends "base" %}{% block foo %}bar{% endblock %}');
+
+    test.same(dump(module.getNode('parent')), '"base"');
+    test.same(dump(module.getNode('body').getNode(0)), 'Node()', 'block references are not rendered by child templates');
+
+    test.throws(function () {
+      parse('{% extends "base" %}{% extends "base" %}');
+    }, {name: 'TwigErrorSyntax', message: 'Multiple extends tags are forbidden in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% block foo %}{% extends "base" %}{% endblock %}');
+    }, {name: 'TwigErrorSyntax', message: 'Cannot use "extend" in a block in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% macro foo() %}{% extends "base" %}{% endmacro %}');
+    }, {name: 'TwigErrorSyntax', message: 'Cannot use "extend" in a macro in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('include', function (test) {
+    let node = parseBody('{% include "foo" %}');
+
+    test.same(dump(node), 'Include("foo")');
+    test.notOk(node.getAttribute('only'));
+    test.notOk(node.getAttribute('ignore_missing'));
+
+    node = parseBody('{% include ["foo", "bar"] ignore missing with {a: 1} only %}');
+
+    test.same(dump(node), 'Include(Array(0, "foo", 1, "bar"), Array("a", 1))');
+    test.ok(node.getAttribute('only'));
+    test.ok(node.getAttribute('ignore_missing'));
+
+    let templates = {foo: '{{ a }}{{ b is defined ? b }}'};
+    let context = {a: 1, b: 3};
+
+    test.equal(render('{% include "foo" %}', context, templates), '13');
+    test.equal(render('{% include "foo" with {a: 2} %}', context, templates), '23');
+    test.equal(render('{% include "foo" with {a: 2} only %}', context, templates), '2');
+    test.equal(render('{% include ["missing", "foo"] ignore missing with {a: 2} only %}', context, templates), '2');
+
+    test.throws(function () {
+      render('{% extends "foo" %}{% include "foo" %}', context, templates);
+    }, {name: 'TwigErrorSyntax', message: 'A template that extends another one cannot include content outside Twig blocks. Did you forget to put the content inside a {% block %} tag in "index" at line 1?'}, 'the tag is considered as output');
+
+    test.end();
+  });
+
+  test.test('embed', function (test) {
+    let module = parse('{% embed "foo" with {a: 1} %}{% block bar %}baz{% endblock %}{% endembed %}');
+    let node = module.getNode('body').getNode(0);
+    let embedded = module.getAttribute('embedded_templates');
+
+    test.same(dump(node), 'Embed("not_used", Array("a", 1))');
+    test.same(embedded.length, 1);
+    test.same(node.getAttribute('name'), 'index');
+    test.same(node.getAttribute('index'), embedded[0].getAttribute('index'));
+    test.same(dump(embedded[0].getNode('parent')), '"foo"');
+    test.same(dump(embedded[0].getNode('blocks').getNode('bar')), 'Body(Block(Text("baz")))');
+    test.notOk(module.getNode('blocks').hasNode('bar'), 'the blocks of embedded templates are not blocks of the embedding template');
+
+    embedded = parse('{% embed foo %}{% endembed %}').getAttribute('embedded_templates');
+
+    test.same(dump(embedded[0].getNode('parent')), 'foo');
+
+    embedded = parse('{% embed foo ~ "bar" %}{% endembed %}').getAttribute('embedded_templates');
+
+    test.same(dump(embedded[0].getNode('parent')), 'BinaryConcat(foo, "bar")');
+
+    test.end();
+  });
+
+  test.test('use', function (test) {
+    let module = parse('{% use "foo" %}{% use "bar" with a as b, c %}');
+
+    test.same(dump(module.getNode('traits')), 'Node(Node("foo", Node()), Node("bar", Node("b", "c")))');
+    test.same(Array.from(module.getNode('traits').getNode(1).getNode('targets').$nodes.keys()), ['a', 'c']);
+
+    test.throws(function () {
+      parse('{% use foo %}');
+    }, {name: 'TwigErrorSyntax', message: 'The template references in a "use" statement must be a string in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('import and from', function (test) {
+    let node = parseBody('{% import "forms" as forms %}');
+
+    test.same(dump(node), 'Import("forms", forms)');
+    test.same(node.getNode('var').getAttribute('name'), 'forms');
+
+    node = parseBody('{% from _self import input as field, textarea %}');
+
+    test.same(dump(node.getNode('expr')), '_self');
+    test.match(node.getNode('var').getAttribute('name'), /^__internal_/);
+
+    test.end();
+  });
+
+  test.test('macro', function (test) {
+    let module = parse('{% macro input(name, value = "", type = "text") %}{{ name }}{% endmacro input %}');
+    let macro = module.getNode('macros').getNode('input');
+
+    test.same(dump(macro), 'Macro(Body(Print(name)), Node(null, "", "text"))');
+    test.same(Array.from(macro.getNode('arguments').$nodes.keys()), ['name', 'value', 'type']);
+    test.same(module.getNode('body').getNode(0).count(), 0, 'macros do not output anything where they are defined');
+
+    test.throws(function () {
+      parse('{% macro foo(varargs) %}{% endmacro %}');
+    }, {name: 'TwigErrorSyntax', message: 'The argument "varargs" in macro "foo" cannot be defined because the variable "varargs" is reserved for arbitrary arguments in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% macro foo() %}{% endmacro bar %}');
+    }, {name: 'TwigErrorSyntax', message: 'Expected endmacro for macro "foo" (but "bar" given) in "index" at line 1.'});
+
+    test.throws(function () {
+      parse('{% macro foo(a = b) %}{% endmacro %}');
+    }, {name: 'TwigErrorSyntax', message: 'A default value for an argument must be a constant (a boolean, a string, a number, or an array) in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('filter', function (test) {
+    let module = parse('{% filter upper|lower %}foo{% endfilter %}');
+    let node = module.getNode('body').getNode(0);
+    let name = node.getNode('expr').getNode('node').getNode('node').getNode('name').getAttribute('value');
+
+    test.same(dump(node), 'Print(Filter(Filter(BlockReference(' + JSON.stringify(name) + '), "upper", Node()), "lower", Node()))');
+    test.same(dump(module.getNode('blocks').getNode(name)), 'Body(Block(Text("foo")))');
+
+    test.end();
+  });
+
+  test.test('apply', function (test) {
+    let node = parseBody('{% apply upper %}foo {{ bar }}{% endapply %}');
+
+    test.same(dump(node), 'Node(Set(Node(TempName()), Node(Text("foo "), Print(bar))), Print(Filter(TempName(), "upper", Node())))');
+    test.same(node.getNode(0).getNode('names').getNode(0), node.getNode(1).getNode('expr').getNode('node'));
+    test.equal(render('{% apply upper %}foo {{ bar }}{% endapply %}', {bar: 'bar'}), 'FOO BAR');
+
+    test.end();
+  });
+
+  test.test('spaceless', function (test) {
+    test.same(dump(parseBody('{% spaceless %}<b> {{ a }} </b>{% endspaceless %}')), 'Spaceless(Node(Text("<b> "), Print(a), Text(" </b>")))');
+    test.equal(new TwigNodeSpaceless(new TwigNodeText('', 1), 1).getNodeTag(), 'spaceless');
+    test.equal(render('{% spaceless %} <b> {{ a }} </b>\n<i></i> {% endspaceless %}', {a: 'foo'}), '<b> foo </b><i></i>');
+
+    test.throws(function () {
+      render('{% extends "base" %}{% spaceless %}{% endspaceless %}', {}, {base: ''});
+    }, {name: 'TwigErrorSyntax', message: 'A template that extends another one cannot include content outside Twig blocks. Did you forget to put the content inside a {% block %} tag in "index" at line 1?'}, 'the tag is considered as output');
+
+    test.end();
+  });
+
+  test.test('autoescape', function (test) {
+    let node = parseBody('{% autoescape %}{{ a }}{% endautoescape %}');
+
+    test.same(dump(node), 'AutoEscape(Print(Filter(a, "escape", Node("html", null, true))))', 'the escaper wraps the printed expressions');
+    test.same(node.getAttribute('value'), 'html');
+    test.same(parseBody('{% autoescape "js" %}{% endautoescape %}').getAttribute('value'), 'js');
+    test.same(parseBody('{% autoescape false %}{% endautoescape %}').getAttribute('value'), false);
+    test.equal(new TwigNodeAutoEscape('html', new TwigNodeText('', 1), 1).getNodeTag(), 'autoescape');
+
+    test.throws(function () {
+      parse('{% autoescape a %}{% endautoescape %}');
+    }, {name: 'TwigErrorSyntax', message: 'An escaping strategy must be a string or false in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('with', function (test) {
+    let node = parseBody('{% with %}{{ a }}{% endwith %}');
+
+    test.same(dump(node), 'With(Print(a))');
+    test.notOk(node.getAttribute('only'));
+
+    node = parseBody('{% with {a: 1} only %}{{ a }}{% endwith %}');
+
+    test.same(dump(node), 'With(Print(a), Array("a", 1))');
+    test.ok(node.getAttribute('only'));
+
+    let context = {a: 'a', b: 'b', vars: {b: 'c'}};
+
+    test.equal(render('{% with %}{% set a = "b" %}{{ a }}{% endwith %}{{ a }}', context), 'ba', 'the variables set in the tag are scoped to it');
+    test.equal(render('{% with {a: "c"} %}{{ a }}{{ b }}{% endwith %}{{ a }}', context), 'cba');
+    test.equal(render('{% with vars %}{{ a }}{{ b }}{% endwith %}', context), 'ac', 'the variables can be any hash');
+    test.equal(render('{% with {a: "c"} only %}{{ a }}{{ b is defined ? "b" }}{% endwith %}{{ a }}', context), 'ca', 'only the given variables are available');
+
+    test.throws(function () {
+      render('{% with "foo" %}{% endwith %}');
+    }, {name: 'TwigErrorRuntime', message: 'Variables passed to the "with" tag must be a hash in "index" at line 1.'});
+
+    test.end();
+  });
+
+  test.test('do', function (test) {
+    test.same(dump(parseBody('{% do 1 + 2 %}')), 'Do(BinaryAdd(1, 2))');
+
+    let items = [];
+
+    test.equal(render('{% do list.add(1) %}', {list: {add: items.push.bind(items)}}), '', 'the expression is evaluated without being printed');
+    test.same(items, [1]);
+
+    test.end();
+  });
+
+  test.test('flush', function (test) {
+    test.same(dump(parseBody('{% flush %}')), 'Flush()');
+
+    test.end();
+  });
+
+  test.test('deprecated', function (test) {
+    test.same(dump(parseBody('{% deprecated "Use bar instead." %}')), 'Deprecated("Use bar instead.")');
+
+    let output;
+
+    test.same(captureWarnings(function () {
+      output = render('foo{% deprecated "Use bar instead." %}{% deprecated "Use " ~ name ~ " instead." %}', {name: 'baz'});
+    }), ['Use bar instead. ("index" at line 1).', 'Use baz instead. ("index" at line 1).']);
+    test.equal(output, 'foo', 'the tag does not output anything');
+
+    test.end();
+  });
+
+  test.test('interface', function (test) {
+    let parser = new TwigTokenParserInterface();
+
+    parser.setParser(null);
+
+    test.equal(parser.parse(null), null);
+    test.equal(parser.getTag(), null);
+
+    test.end();
+  });
+
+  test.test('verbatim', function (test) {
+    test.same(dump(parseBody('{% verbatim %}{% if a %}{{ b }}{% endif %}{% endverbatim %}')), 'Text("{% if a %}{{ b }}{% endif %}")');
+
+    test.end();
+  });
+});
@@ -0,0 +1,116 @@
+const tap = require('tap');
+const TwigToken = require('../src/token');
+const TwigTokenStream = require('../src/token-stream');
+const TwigSource = require('../src/source');
+
+let createStream = function () {
+  return new TwigTokenStream([
+    new TwigToken(TwigToken.NAME_TYPE, 'foo', 1),
+    new TwigToken(TwigToken.PUNCTUATION_TYPE, '(', 1),
+    new TwigToken(TwigToken.NUMBER_TYPE, 5, 2),
+    new TwigToken(TwigToken.PUNCTUATION_TYPE, ')', 2),
+    new TwigToken(TwigToken.EOF_TYPE, '', 3)
+  ], new TwigSource('', 'index'));
+};
+
+tap.test('token stream', function (test) {
+  test.plan(7);
+
+  test.test('next', function (test) {
+    let stream = createStream();
+
+    test.equal(stream.next().getValue(), 'foo');
+    test.equal(stream.getCurrent().getValue(), '(');
+    stream.next();
+    stream.next();
+    stream.next();
+    test.ok(stream.isEOF());
+    test.throws(function () {
+      stream.next();
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected end of template in "index" at line 3.'});
+
+    test.end();
+  });
+
+  test.test('look', function (test) {
+    let stream = createStream();
+
+    test.equal(stream.look().getValue(), '(');
+    test.equal(stream.look(2).getValue(), 5);
+    test.equal(stream.getCurrent().getValue(), 'foo', 'should not move the pointer');
+    test.throws(function () {
+      stream.look(5);
+    }, {name: 'TwigErrorSyntax', message: 'Unexpected end of template in "index" at line 3.'});
+
+    test.end();
+  });
+
+  test.test('test and nextIf', function (test) {
+    let stream = createStream();
+
+    test.ok(stream.test('foo'));
+    test.ok(stream.test(TwigToken.NAME_TYPE));
+    test.equal(stream.nextIf(TwigToken.PUNCTUATION_TYPE), null);
+    test.equal(stream.nextIf(TwigToken.NAME_TYPE, ['bar', 'foo']).getValue(), 'foo');
+    test.equal(stream.getCurrent().getValue(), '(');
+
+    test.end();
+  });
+
+  test.test('expect', function (test) {
+    let stream = createStream();
+
+    test.equal(stream.expect(TwigToken.NAME_TYPE, 'foo').getValue(), 'foo');
+    test.equal(stream.expect(TwigToken.PUNCTUATION_TYPE).getValue(), '(');
+    test.throws(function () {
+      stream.expect(TwigToken.PUNCTUATION_TYPE, ')');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unexpected token "number" of value "5" ("punctuation" expected with value ")") in "index" at line 2.'
+    });
+    test.throws(function () {
+      stream.expect(TwigToken.STRING_TYPE, null, 'Custom tags need a string');
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Custom tags need a string. Unexpected token "number" of value "5" ("string" expected) in "index" at line 2.'
+    });
+    test.throws(function () {
+      stream.expect(['bar', 'baz']);
+    }, {
+      name: 'TwigErrorSyntax',
+      message: 'Unexpected token "number" of value "5" ("name" expected with value "bar", "baz") in "index" at line 2.'
+    });
+
+    test.end();
+  });
+
+  test.test('injectTokens', function (test) {
+    let stream = createStream();
+
+    stream.next();
+    stream.injectTokens([new TwigToken(TwigToken.NAME_TYPE, 'bar', 1)]);
+
+    test.equal(stream.getCurrent().getValue(), 'bar');
+    test.equal(stream.look().getValue(), '(');
+
+    test.end();
+  });
+
+  test.test('getSourceContext', function (test) {
+    test.equal(createStream().getSourceContext().getName(), 'index');
+
+    test.end();
+  });
+
+  test.test('toString', function (test) {
+    let stream = new TwigTokenStream([
+      new TwigToken(TwigToken.NAME_TYPE, 'foo', 1),
+      new TwigToken(TwigToken.EOF_TYPE, '', 1)
+    ]);
+
+    test.equal(stream.toString(), 'NAME_TYPE(foo)\nEOF_TYPE()');
+    test.equal(stream.getSourceContext(), null, 'the source context is optional');
+
+    test.end();
+  });
+});
@@ -0,0 +1,45 @@
+const tap = require('tap');
+const TwigToken = require('../src/token');
+
+tap.test('token', function (test) {
+  test.plan(4);
+
+  test.test('test', function (test) {
+    let token = new TwigToken(TwigToken.NAME_TYPE, 'foo', 1);
+
+    test.ok(token.test(TwigToken.NAME_TYPE));
+    test.ok(token.test(TwigToken.NAME_TYPE, 'foo'));
+    test.ok(token.test(TwigToken.NAME_TYPE, ['bar', 'foo']));
+    test.ok(token.test('foo'), 'should default to the name type');
+    test.ok(token.test(['bar', 'foo']));
+    test.notOk(token.test(TwigToken.NAME_TYPE, 'bar'));
+    test.notOk(token.test(TwigToken.STRING_TYPE, 'foo'));
+
+    test.end();
+  });
+
+  test.test('toString', function (test) {
+    test.equal(new TwigToken(TwigToken.NAME_TYPE, 'foo', 1).toString(), 'NAME_TYPE(foo)');
+
+    test.end();
+  });
+
+  test.test('typeToString', function (test) {
+    test.equal(TwigToken.typeToString(TwigToken.EOF_TYPE), 'TwigToken.EOF_TYPE');
+    test.equal(TwigToken.typeToString(TwigToken.PUNCTUATION_TYPE, true), 'PUNCTUATION_TYPE');
+    test.throws(function () {
+      TwigToken.typeToString(999);
+    }, {message: 'Token of type "999" does not exist.'});
+
+    test.end();
+  });
+
+  test.test('typeToEnglish', function (test) {
+    test.equal(TwigToken.typeToEnglish(TwigToken.BLOCK_END_TYPE), 'end of statement block');
+    test.throws(function () {
+      TwigToken.typeToEnglish(999);
+    }, {message: 'Token of type "999" does not exist.'});
+
+    test.end();
+  });
+});